@@ -0,0 +1,35 @@
+require('dotenv').config();
+
+// Connection settings for sequelize-cli (npm run migrate), read from the same variables
+// as config/database.js
+const connection = process.env.DATABASE_URL
+  ? {
+      use_env_variable: 'DATABASE_URL',
+      dialect: 'postgres',
+      dialectOptions: {
+        ssl: process.env.DATABASE_URL.includes('sslmode=require') ? {
+          require: true,
+          rejectUnauthorized: false
+        } : false
+      }
+    }
+  : {
+      username: process.env.DB_USER,
+      password: String(process.env.DB_PASSWORD || ''),
+      database: process.env.DB_NAME,
+      host: process.env.DB_HOST || 'localhost',
+      port: parseInt(process.env.DB_PORT || '5432', 10),
+      dialect: 'postgres',
+      dialectOptions: {
+        ssl: process.env.DB_SSL === 'true' ? {
+          require: true,
+          rejectUnauthorized: false
+        } : false
+      }
+    };
+
+module.exports = {
+  development: connection,
+  test: connection,
+  production: connection
+};
@@ -7,6 +7,7 @@ module.exports = {
     '!**/node_modules/**',
     '!**/tests/**',
     '!**/config/**',
+    '!**/migrations/**',
     '!server.js'
   ]
 };
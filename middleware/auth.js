@@ -1,9 +1,40 @@
-const jwt = require('jsonwebtoken');
-const { User } = require('../models');
+const { verifyAccessToken } = require('../utils/jwt');
+const { hasPermission } = require('../utils/permissions');
+const { isApiKey, verifyApiKey, trackApiKeyWrites } = require('../utils/apiKeys');
 
-// Verify JWT token
+// API keys come in X-API-Key or as a Bearer credential with the key prefix
+const getApiKeyHeader = (req) => {
+  const key = req.header('X-API-Key') || req.header('Authorization')?.replace('Bearer ', '');
+  return isApiKey(key) ? key : null;
+};
+
+// Authenticate with an API key. The user carries the key so permission checks are
+// limited to its scopes.
+const authenticateApiKey = async (req, res, next, key) => {
+  const result = await verifyApiKey(key, req.ip);
+
+  if (!result) {
+    return res.status(401).json({
+      success: false,
+      message: 'API key is not valid, revoked, or expired'
+    });
+  }
+
+  result.user.apiKey = result.apiKey;
+  req.user = result.user;
+  req.apiKey = result.apiKey;
+  trackApiKeyWrites(req, res, result.apiKey);
+  next();
+};
+
+// Verify JWT token, or an API key
 const authenticate = async (req, res, next) => {
   try {
+    const apiKey = getApiKeyHeader(req);
+    if (apiKey) {
+      return await authenticateApiKey(req, res, next, apiKey);
+    }
+
     const token = req.header('Authorization')?.replace('Bearer ', '');
 
     if (!token) {
@@ -13,13 +44,12 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findByPk(decoded.userId);
+    const user = await verifyAccessToken(token);
 
-    if (!user || !user.isActive) {
+    if (!user) {
       return res.status(401).json({
         success: false,
-        message: 'Token is not valid or user is inactive'
+        message: 'Token is not valid, revoked, or user is inactive'
       });
     }
 
@@ -45,6 +75,36 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+// Like authenticate, but only for a user's own session: account endpoints (logout, 2FA)
+// refuse API keys
+const authenticateSession = (req, res, next) => {
+  if (getApiKeyHeader(req)) {
+    return res.status(403).json({
+      success: false,
+      message: 'API keys cannot be used for this endpoint'
+    });
+  }
+  return authenticate(req, res, next);
+};
+
+// Attach the user when a valid token is sent, but let anonymous requests through
+const optionalAuthenticate = async (req, res, next) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+  if (!token || getApiKeyHeader(req)) {
+    return next();
+  }
+
+  try {
+    const user = await verifyAccessToken(token);
+    if (user) {
+      req.user = user;
+    }
+  } catch (error) {
+    // Invalid or expired tokens are treated as anonymous
+  }
+  next();
+};
+
 // Role-based access control
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -66,5 +126,29 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { authenticate, authorize };
+// Permission-based access control (see utils/permissions.js); passes with any one of them
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized access'
+      });
+    }
+
+    try {
+      if (!(await hasPermission(req.user, ...permissions))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Insufficient permissions.'
+        });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = { authenticate, authenticateSession, optionalAuthenticate, authorize, requirePermission };
 
@@ -0,0 +1,52 @@
+'use strict';
+
+// Rotating refresh tokens, and the users' token version that revokes every session at
+// once. Like the migrations after it, safe to run on a database the server has synced.
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const userColumns = await queryInterface.describeTable('users', { transaction });
+      if (!userColumns.tokenVersion) {
+        await queryInterface.addColumn('users', 'tokenVersion', {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        }, { transaction });
+      }
+
+      const tables = await queryInterface.showAllTables({ transaction });
+      if (tables.includes('refresh_tokens')) {
+        return;
+      }
+
+      await queryInterface.createTable('refresh_tokens', {
+        id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+        tokenHash: { type: Sequelize.STRING(64), allowNull: false, unique: true },
+        family: { type: Sequelize.UUID, allowNull: false },
+        userId: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'users', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        expiresAt: { type: Sequelize.DATE, allowNull: false },
+        revokedAt: { type: Sequelize.DATE, allowNull: true },
+        replacedByHash: { type: Sequelize.STRING(64), allowNull: true },
+        userAgent: { type: Sequelize.STRING, allowNull: true },
+        ip: { type: Sequelize.STRING, allowNull: true },
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false }
+      }, { transaction });
+      await queryInterface.addIndex('refresh_tokens', ['userId'], { transaction });
+      await queryInterface.addIndex('refresh_tokens', ['family'], { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable('refresh_tokens', { transaction });
+      await queryInterface.removeColumn('users', 'tokenVersion', { transaction });
+    });
+  }
+};
@@ -0,0 +1,52 @@
+'use strict';
+
+// Single-use tokens for password resets, email verification and single sign-on logins,
+// and the users' email verification state
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const userColumns = await queryInterface.describeTable('users', { transaction });
+      if (!userColumns.emailVerified) {
+        await queryInterface.addColumn('users', 'emailVerified', {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        }, { transaction });
+      }
+      if (!userColumns.emailVerifiedAt) {
+        await queryInterface.addColumn('users', 'emailVerifiedAt', { type: Sequelize.DATE, allowNull: true }, { transaction });
+      }
+
+      const tables = await queryInterface.showAllTables({ transaction });
+      if (tables.includes('user_tokens')) {
+        return;
+      }
+
+      await queryInterface.createTable('user_tokens', {
+        id: { type: Sequelize.UUID, primaryKey: true },
+        userId: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'users', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        purpose: { type: Sequelize.ENUM('password_reset', 'email_verification', 'sso_login'), allowNull: false },
+        expiresAt: { type: Sequelize.DATE, allowNull: false },
+        usedAt: { type: Sequelize.DATE, allowNull: true },
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false }
+      }, { transaction });
+      await queryInterface.addIndex('user_tokens', ['userId', 'purpose'], { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable('user_tokens', { transaction });
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_user_tokens_purpose"', { transaction });
+      await queryInterface.removeColumn('users', 'emailVerifiedAt', { transaction });
+      await queryInterface.removeColumn('users', 'emailVerified', { transaction });
+    });
+  }
+};
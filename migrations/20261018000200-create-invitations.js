@@ -0,0 +1,49 @@
+'use strict';
+
+// Email invitations to join with a preset role
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const tables = await queryInterface.showAllTables({ transaction });
+      if (tables.includes('invitations')) {
+        return;
+      }
+
+      await queryInterface.createTable('invitations', {
+        id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+        email: { type: Sequelize.STRING, allowNull: false },
+        name: { type: Sequelize.STRING, allowNull: true },
+        role: {
+          type: Sequelize.ENUM('Admin', 'Manager', 'Sales Executive'),
+          allowNull: false,
+          defaultValue: 'Sales Executive'
+        },
+        tokenHash: { type: Sequelize.STRING(64), allowNull: false, unique: true },
+        invitedById: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'users', key: 'id' }
+        },
+        expiresAt: { type: Sequelize.DATE, allowNull: false },
+        acceptedAt: { type: Sequelize.DATE, allowNull: true },
+        acceptedUserId: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        revokedAt: { type: Sequelize.DATE, allowNull: true },
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false }
+      }, { transaction });
+      await queryInterface.addIndex('invitations', ['email'], { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable('invitations', { transaction });
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_invitations_role"', { transaction });
+    });
+  }
+};
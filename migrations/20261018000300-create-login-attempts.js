@@ -0,0 +1,32 @@
+'use strict';
+
+// Failed login counters per account and per IP, for throttling and lockouts
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const tables = await queryInterface.showAllTables({ transaction });
+      if (tables.includes('login_attempts')) {
+        return;
+      }
+
+      await queryInterface.createTable('login_attempts', {
+        key: { type: Sequelize.STRING, primaryKey: true },
+        failures: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+        firstFailureAt: { type: Sequelize.DATE, allowNull: true },
+        lastFailureAt: { type: Sequelize.DATE, allowNull: true },
+        lastIp: { type: Sequelize.STRING, allowNull: true },
+        blockedUntil: { type: Sequelize.DATE, allowNull: true },
+        lockedUntil: { type: Sequelize.DATE, allowNull: true },
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false }
+      }, { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable('login_attempts', { transaction });
+    });
+  }
+};
@@ -0,0 +1,52 @@
+'use strict';
+
+// TOTP two-factor authentication on users, and the settings table holding the roles
+// that must use it (and later the role permissions)
+
+const TWO_FACTOR_COLUMNS = ['twoFactorEnabled', 'twoFactorSecret', 'twoFactorPendingSecret', 'twoFactorRecoveryCodes', 'twoFactorLastCounter'];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const columns = {
+        twoFactorEnabled: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+        twoFactorSecret: { type: Sequelize.STRING, allowNull: true },
+        twoFactorPendingSecret: { type: Sequelize.STRING, allowNull: true },
+        twoFactorRecoveryCodes: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] },
+        twoFactorLastCounter: { type: Sequelize.BIGINT, allowNull: true }
+      };
+      const userColumns = await queryInterface.describeTable('users', { transaction });
+      for (const name of TWO_FACTOR_COLUMNS) {
+        if (!userColumns[name]) {
+          await queryInterface.addColumn('users', name, columns[name], { transaction });
+        }
+      }
+
+      const tables = await queryInterface.showAllTables({ transaction });
+      if (tables.includes('settings')) {
+        return;
+      }
+
+      await queryInterface.createTable('settings', {
+        key: { type: Sequelize.STRING, primaryKey: true },
+        value: { type: Sequelize.JSONB, allowNull: true },
+        updatedById: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false }
+      }, { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable('settings', { transaction });
+      for (const name of TWO_FACTOR_COLUMNS) {
+        await queryInterface.removeColumn('users', name, { transaction });
+      }
+    });
+  }
+};
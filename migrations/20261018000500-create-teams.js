@@ -0,0 +1,43 @@
+'use strict';
+
+// Teams with a manager and a parent team, and the team each user belongs to
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const tables = await queryInterface.showAllTables({ transaction });
+      if (!tables.includes('teams')) {
+        await queryInterface.createTable('teams', {
+          id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+          name: { type: Sequelize.STRING, allowNull: false, unique: true },
+          description: { type: Sequelize.TEXT, allowNull: true },
+          managerId: {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            references: { model: 'users', key: 'id' }
+          },
+          parentTeamId: {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            references: { model: 'teams', key: 'id' }
+          },
+          createdAt: { type: Sequelize.DATE, allowNull: false },
+          updatedAt: { type: Sequelize.DATE, allowNull: false }
+        }, { transaction });
+      }
+
+      // No foreign key constraint: teams already reference users
+      const userColumns = await queryInterface.describeTable('users', { transaction });
+      if (!userColumns.teamId) {
+        await queryInterface.addColumn('users', 'teamId', { type: Sequelize.INTEGER, allowNull: true }, { transaction });
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.removeColumn('users', 'teamId', { transaction });
+      await queryInterface.dropTable('teams', { transaction });
+    });
+  }
+};
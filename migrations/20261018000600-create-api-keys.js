@@ -0,0 +1,63 @@
+'use strict';
+
+// Scoped API keys, and the log of the writes made with them
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const tables = await queryInterface.showAllTables({ transaction });
+      if (!tables.includes('api_keys')) {
+        await queryInterface.createTable('api_keys', {
+          id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+          name: { type: Sequelize.STRING, allowNull: false },
+          prefix: { type: Sequelize.STRING(16), allowNull: false },
+          keyHash: { type: Sequelize.STRING(64), allowNull: false, unique: true },
+          scopes: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] },
+          userId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: 'users', key: 'id' },
+            onDelete: 'CASCADE'
+          },
+          createdById: {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            references: { model: 'users', key: 'id' }
+          },
+          expiresAt: { type: Sequelize.DATE, allowNull: true },
+          lastUsedAt: { type: Sequelize.DATE, allowNull: true },
+          lastUsedIp: { type: Sequelize.STRING, allowNull: true },
+          revokedAt: { type: Sequelize.DATE, allowNull: true },
+          createdAt: { type: Sequelize.DATE, allowNull: false },
+          updatedAt: { type: Sequelize.DATE, allowNull: false }
+        }, { transaction });
+        await queryInterface.addIndex('api_keys', ['userId'], { transaction });
+      }
+
+      if (!tables.includes('api_key_writes')) {
+        await queryInterface.createTable('api_key_writes', {
+          id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+          apiKeyId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: 'api_keys', key: 'id' },
+            onDelete: 'CASCADE'
+          },
+          method: { type: Sequelize.STRING(10), allowNull: false },
+          path: { type: Sequelize.STRING, allowNull: false },
+          statusCode: { type: Sequelize.INTEGER, allowNull: true },
+          ip: { type: Sequelize.STRING, allowNull: true },
+          createdAt: { type: Sequelize.DATE, allowNull: false }
+        }, { transaction });
+        await queryInterface.addIndex('api_key_writes', ['apiKeyId', 'createdAt'], { transaction });
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable('api_key_writes', { transaction });
+      await queryInterface.dropTable('api_keys', { transaction });
+    });
+  }
+};
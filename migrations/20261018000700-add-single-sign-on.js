@@ -0,0 +1,37 @@
+'use strict';
+
+// OpenID Connect single sign-on: the pending login states, and the identity each user
+// is linked to
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const tables = await queryInterface.showAllTables({ transaction });
+      if (!tables.includes('oidc_login_states')) {
+        await queryInterface.createTable('oidc_login_states', {
+          stateHash: { type: Sequelize.STRING(64), primaryKey: true },
+          nonce: { type: Sequelize.STRING, allowNull: false },
+          codeVerifier: { type: Sequelize.STRING, allowNull: false },
+          expiresAt: { type: Sequelize.DATE, allowNull: false },
+          createdAt: { type: Sequelize.DATE, allowNull: false }
+        }, { transaction });
+      }
+
+      const userColumns = await queryInterface.describeTable('users', { transaction });
+      if (!userColumns.oidcSubject) {
+        await queryInterface.addColumn('users', 'oidcSubject', {
+          type: Sequelize.STRING,
+          allowNull: true,
+          unique: true
+        }, { transaction });
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.removeColumn('users', 'oidcSubject', { transaction });
+      await queryInterface.dropTable('oidc_login_states', { transaction });
+    });
+  }
+};
@@ -0,0 +1,62 @@
+'use strict';
+
+// Lead tags, and the Admin-defined custom lead fields with each lead's values
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const tables = await queryInterface.showAllTables({ transaction });
+      if (!tables.includes('custom_fields')) {
+        await queryInterface.createTable('custom_fields', {
+          id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+          key: { type: Sequelize.STRING, allowNull: false, unique: true },
+          label: { type: Sequelize.STRING, allowNull: false },
+          type: {
+            type: Sequelize.ENUM('text', 'number', 'date', 'select', 'multi_select', 'boolean'),
+            allowNull: false
+          },
+          options: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] },
+          required: { type: Sequelize.BOOLEAN, defaultValue: false },
+          validation: { type: Sequelize.JSONB, allowNull: false, defaultValue: {} },
+          position: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+          createdById: {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            references: { model: 'users', key: 'id' }
+          },
+          createdAt: { type: Sequelize.DATE, allowNull: false },
+          updatedAt: { type: Sequelize.DATE, allowNull: false }
+        }, { transaction });
+      }
+
+      // A database the server has not created yet gets the new leads table on first start
+      if (!tables.includes('leads')) {
+        return;
+      }
+      const leadColumns = await queryInterface.describeTable('leads', { transaction });
+      if (!leadColumns.tags) {
+        await queryInterface.addColumn('leads', 'tags', {
+          type: Sequelize.ARRAY(Sequelize.STRING),
+          allowNull: false,
+          defaultValue: []
+        }, { transaction });
+      }
+      if (!leadColumns.customFields) {
+        await queryInterface.addColumn('leads', 'customFields', {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: {}
+        }, { transaction });
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.removeColumn('leads', 'customFields', { transaction });
+      await queryInterface.removeColumn('leads', 'tags', { transaction });
+      await queryInterface.dropTable('custom_fields', { transaction });
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_custom_fields_type"', { transaction });
+    });
+  }
+};
@@ -0,0 +1,133 @@
+'use strict';
+
+// Moves leads from the hardcoded status ENUM to configurable pipelines and stages. The
+// old statuses become the stages of a default pipeline and every lead is placed in the
+// stage of the same name. Safe to run on a database the server has already synced.
+
+const STATUSES = ['New', 'Contacted', 'Qualified', 'Proposal', 'Negotiation', 'Won', 'Lost'];
+
+const DEFAULT_STAGES = [
+  { name: 'New', probability: 10, outcome: 'open' },
+  { name: 'Contacted', probability: 20, outcome: 'open' },
+  { name: 'Qualified', probability: 40, outcome: 'open' },
+  { name: 'Proposal', probability: 60, outcome: 'open' },
+  { name: 'Negotiation', probability: 80, outcome: 'open' },
+  { name: 'Won', probability: 100, outcome: 'won' },
+  { name: 'Lost', probability: 0, outcome: 'lost' }
+];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const query = (sql, replacements = {}) => queryInterface.sequelize.query(sql, { replacements, transaction });
+      const tables = await queryInterface.showAllTables({ transaction });
+
+      if (!tables.includes('pipelines')) {
+        await queryInterface.createTable('pipelines', {
+          id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+          name: { type: Sequelize.STRING, allowNull: false, unique: true },
+          description: { type: Sequelize.TEXT, allowNull: true },
+          isDefault: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+          position: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+          createdAt: { type: Sequelize.DATE, allowNull: false },
+          updatedAt: { type: Sequelize.DATE, allowNull: false }
+        }, { transaction });
+      }
+
+      if (!tables.includes('stages')) {
+        await queryInterface.createTable('stages', {
+          id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+          pipelineId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: 'pipelines', key: 'id' },
+            onDelete: 'CASCADE'
+          },
+          name: { type: Sequelize.STRING(50), allowNull: false },
+          position: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+          probability: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+          outcome: { type: Sequelize.ENUM('open', 'won', 'lost'), allowNull: false, defaultValue: 'open' },
+          createdAt: { type: Sequelize.DATE, allowNull: false },
+          updatedAt: { type: Sequelize.DATE, allowNull: false }
+        }, { transaction });
+        await queryInterface.addIndex('stages', ['pipelineId', 'name'], { unique: true, transaction });
+      }
+
+      // The default pipeline, seeded with the old statuses unless one exists already
+      const [pipelines] = await query('SELECT id FROM pipelines ORDER BY "isDefault" DESC, position, id LIMIT 1');
+      let pipelineId = pipelines[0] && pipelines[0].id;
+      if (!pipelineId) {
+        const now = new Date();
+        const [[pipeline]] = await query(
+          'INSERT INTO pipelines (name, description, "isDefault", position, "createdAt", "updatedAt") VALUES (:name, :description, true, 0, :now, :now) RETURNING id',
+          { name: 'Sales Pipeline', description: 'Default sales process', now }
+        );
+        pipelineId = pipeline.id;
+        await queryInterface.bulkInsert('stages', DEFAULT_STAGES.map((stage, position) => ({
+          ...stage,
+          position,
+          pipelineId,
+          createdAt: now,
+          updatedAt: now
+        })), { transaction });
+      }
+
+      // A database the server has not created yet gets the new leads table on first start
+      if (tables.includes('leads')) {
+        // status holds the stage name from now on
+        await query('ALTER TABLE leads ALTER COLUMN status DROP DEFAULT, ALTER COLUMN status TYPE VARCHAR(50) USING status::text');
+        await query('DROP TYPE IF EXISTS "enum_leads_status"');
+
+        const columns = await queryInterface.describeTable('leads', { transaction });
+        if (!columns.pipelineId) {
+          await queryInterface.addColumn('leads', 'pipelineId', {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            references: { model: 'pipelines', key: 'id' }
+          }, { transaction });
+        }
+        if (!columns.stageId) {
+          await queryInterface.addColumn('leads', 'stageId', {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            references: { model: 'stages', key: 'id' }
+          }, { transaction });
+        }
+
+        // Each lead goes to the stage named like its status; anything else to the first stage
+        await query(
+          `UPDATE leads SET "pipelineId" = stages."pipelineId", "stageId" = stages.id
+           FROM stages
+           WHERE stages."pipelineId" = :pipelineId AND stages.name = leads.status AND leads."stageId" IS NULL`,
+          { pipelineId }
+        );
+        await query(
+          `UPDATE leads SET "pipelineId" = first_stage.pipeline_id, "stageId" = first_stage.id, status = first_stage.name
+           FROM (SELECT id, "pipelineId" AS pipeline_id, name FROM stages WHERE "pipelineId" = :pipelineId ORDER BY position, id LIMIT 1) AS first_stage
+           WHERE leads."stageId" IS NULL`,
+          { pipelineId }
+        );
+
+        await query('ALTER TABLE leads ALTER COLUMN "pipelineId" SET NOT NULL, ALTER COLUMN "stageId" SET NOT NULL');
+      }
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const query = (sql, replacements = {}) => queryInterface.sequelize.query(sql, { replacements, transaction });
+
+      await queryInterface.removeColumn('leads', 'stageId', { transaction });
+      await queryInterface.removeColumn('leads', 'pipelineId', { transaction });
+
+      // Stages the ENUM cannot hold fall back to New
+      await query(`CREATE TYPE "enum_leads_status" AS ENUM(${STATUSES.map(status => `'${status}'`).join(', ')})`);
+      await query('UPDATE leads SET status = \'New\' WHERE status NOT IN (:statuses)', { statuses: STATUSES });
+      await query('ALTER TABLE leads ALTER COLUMN status TYPE "enum_leads_status" USING status::"enum_leads_status", ALTER COLUMN status SET DEFAULT \'New\'');
+
+      await queryInterface.dropTable('stages', { transaction });
+      await queryInterface.dropTable('pipelines', { transaction });
+      await query('DROP TYPE IF EXISTS "enum_stages_outcome"');
+    });
+  }
+};
@@ -0,0 +1,34 @@
+'use strict';
+
+// Stage transition rules: the stages a lead may move to next, and the fields it needs
+// before entering a stage
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const columns = await queryInterface.describeTable('stages', { transaction });
+
+      if (!columns.allowedTransitions) {
+        await queryInterface.addColumn('stages', 'allowedTransitions', {
+          type: Sequelize.JSONB,
+          allowNull: true,
+          defaultValue: null
+        }, { transaction });
+      }
+      if (!columns.requiredFields) {
+        await queryInterface.addColumn('stages', 'requiredFields', {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: []
+        }, { transaction });
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.removeColumn('stages', 'requiredFields', { transaction });
+      await queryInterface.removeColumn('stages', 'allowedTransitions', { transaction });
+    });
+  }
+};
@@ -0,0 +1,106 @@
+'use strict';
+
+// Full-text search: leads."searchVector" with a GIN index, and the triggers that keep it
+// current as leads and their activities change. The SQL is a copy of the one in
+// utils/leadSearch.js as of this migration; the server reinstalls the current version
+// on start.
+
+const SEARCH_TRIGGERS_SQL = `
+CREATE OR REPLACE FUNCTION lead_search_vector(lead leads) RETURNS tsvector AS $$
+  SELECT
+    setweight(to_tsvector('english', concat_ws(' ', lead.name, lead.company)), 'A') ||
+    setweight(to_tsvector('english', concat_ws(' ',
+      lead.email, regexp_replace(coalesce(lead.email, ''), '[@._+-]+', ' ', 'g'),
+      lead.phone, regexp_replace(coalesce(lead.phone, ''), '\\D', '', 'g'))), 'B') ||
+    setweight(to_tsvector('english', concat_ws(' ', lead.notes, array_to_string(lead.tags, ' '))), 'C') ||
+    setweight(to_tsvector('english', coalesce((
+      SELECT string_agg(concat_ws(' ', activity.title, activity.description), ' ')
+      FROM activities activity
+      WHERE activity."leadId" = lead.id
+    ), '')), 'D')
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION leads_search_trigger() RETURNS trigger AS $$
+BEGIN
+  NEW."searchVector" := lead_search_vector(NEW);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION activities_search_trigger() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP IN ('INSERT', 'UPDATE') THEN
+    UPDATE leads SET "searchVector" = lead_search_vector(leads)
+    WHERE id IN (SELECT "leadId" FROM new_activities);
+  END IF;
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    UPDATE leads SET "searchVector" = lead_search_vector(leads)
+    WHERE id IN (SELECT "leadId" FROM old_activities);
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS leads_search_update ON leads;
+CREATE TRIGGER leads_search_update
+  BEFORE INSERT OR UPDATE OF name, email, phone, company, notes, tags ON leads
+  FOR EACH ROW EXECUTE PROCEDURE leads_search_trigger();
+
+DROP TRIGGER IF EXISTS activities_search_insert ON activities;
+CREATE TRIGGER activities_search_insert
+  AFTER INSERT ON activities REFERENCING NEW TABLE AS new_activities
+  FOR EACH STATEMENT EXECUTE PROCEDURE activities_search_trigger();
+
+DROP TRIGGER IF EXISTS activities_search_update ON activities;
+CREATE TRIGGER activities_search_update
+  AFTER UPDATE ON activities REFERENCING OLD TABLE AS old_activities NEW TABLE AS new_activities
+  FOR EACH STATEMENT EXECUTE PROCEDURE activities_search_trigger();
+
+DROP TRIGGER IF EXISTS activities_search_delete ON activities;
+CREATE TRIGGER activities_search_delete
+  AFTER DELETE ON activities REFERENCING OLD TABLE AS old_activities
+  FOR EACH STATEMENT EXECUTE PROCEDURE activities_search_trigger();
+`;
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const tables = await queryInterface.showAllTables({ transaction });
+      // A database the server has not created yet gets all of this on first start
+      if (!tables.includes('leads') || !tables.includes('activities')) {
+        return;
+      }
+
+      const columns = await queryInterface.describeTable('leads', { transaction });
+      if (!columns.searchVector) {
+        await queryInterface.addColumn('leads', 'searchVector', {
+          type: Sequelize.TSVECTOR,
+          allowNull: true
+        }, { transaction });
+      }
+      await queryInterface.sequelize.query(
+        'CREATE INDEX IF NOT EXISTS leads_search_vector ON leads USING GIN ("searchVector")',
+        { transaction }
+      );
+
+      await queryInterface.sequelize.query(SEARCH_TRIGGERS_SQL, { transaction });
+      await queryInterface.sequelize.query('UPDATE leads SET "searchVector" = lead_search_vector(leads)', { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const query = sql => queryInterface.sequelize.query(sql, { transaction });
+
+      await query('DROP TRIGGER IF EXISTS activities_search_delete ON activities');
+      await query('DROP TRIGGER IF EXISTS activities_search_update ON activities');
+      await query('DROP TRIGGER IF EXISTS activities_search_insert ON activities');
+      await query('DROP TRIGGER IF EXISTS leads_search_update ON leads');
+      await query('DROP FUNCTION IF EXISTS activities_search_trigger()');
+      await query('DROP FUNCTION IF EXISTS leads_search_trigger()');
+      await query('DROP FUNCTION IF EXISTS lead_search_vector(leads)');
+      await query('DROP INDEX IF EXISTS leads_search_vector');
+      await queryInterface.removeColumn('leads', 'searchVector', { transaction });
+    });
+  }
+};
@@ -0,0 +1,43 @@
+'use strict';
+
+// Saved lead list views, private to their owner or shared with the owner's team
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const tables = await queryInterface.showAllTables({ transaction });
+      if (tables.includes('saved_views')) {
+        return;
+      }
+
+      await queryInterface.createTable('saved_views', {
+        id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+        name: { type: Sequelize.STRING(100), allowNull: false },
+        userId: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'users', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        visibility: { type: Sequelize.ENUM('private', 'team'), allowNull: false, defaultValue: 'private' },
+        teamId: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'teams', key: 'id' },
+          onDelete: 'SET NULL'
+        },
+        filters: { type: Sequelize.JSONB, allowNull: false, defaultValue: {} },
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false }
+      }, { transaction });
+      await queryInterface.addIndex('saved_views', ['userId', 'name'], { unique: true, transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable('saved_views', { transaction });
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_saved_views_visibility"', { transaction });
+    });
+  }
+};
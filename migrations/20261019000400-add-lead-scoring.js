@@ -0,0 +1,64 @@
+'use strict';
+
+// Lead scoring: the scoring rules, and each lead's score with the breakdown behind it.
+// Leads start at 0, which is their score until rules exist.
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const tables = await queryInterface.showAllTables({ transaction });
+      if (!tables.includes('scoring_rules')) {
+        await queryInterface.createTable('scoring_rules', {
+          id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+          name: { type: Sequelize.STRING(100), allowNull: false },
+          type: { type: Sequelize.ENUM('field', 'activityCount', 'activityRecency'), allowNull: false },
+          condition: { type: Sequelize.JSONB, allowNull: true },
+          activityTypes: { type: Sequelize.JSONB, allowNull: false, defaultValue: ['Call', 'Meeting', 'Email'] },
+          withinDays: { type: Sequelize.INTEGER, allowNull: true },
+          points: { type: Sequelize.INTEGER, allowNull: false },
+          maxPoints: { type: Sequelize.INTEGER, allowNull: true },
+          isActive: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: true },
+          position: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+          createdById: {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            references: { model: 'users', key: 'id' }
+          },
+          createdAt: { type: Sequelize.DATE, allowNull: false },
+          updatedAt: { type: Sequelize.DATE, allowNull: false }
+        }, { transaction });
+      }
+
+      const leadColumns = await queryInterface.describeTable('leads', { transaction });
+      if (!leadColumns.score) {
+        await queryInterface.addColumn('leads', 'score', {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        }, { transaction });
+        await queryInterface.addIndex('leads', ['score'], { name: 'leads_score', transaction });
+      }
+      if (!leadColumns.scoreBreakdown) {
+        await queryInterface.addColumn('leads', 'scoreBreakdown', {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: []
+        }, { transaction });
+      }
+      if (!leadColumns.scoredAt) {
+        await queryInterface.addColumn('leads', 'scoredAt', { type: Sequelize.DATE, allowNull: true }, { transaction });
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.removeColumn('leads', 'scoredAt', { transaction });
+      await queryInterface.removeColumn('leads', 'scoreBreakdown', { transaction });
+      await queryInterface.sequelize.query('DROP INDEX IF EXISTS leads_score', { transaction });
+      await queryInterface.removeColumn('leads', 'score', { transaction });
+      await queryInterface.dropTable('scoring_rules', { transaction });
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_scoring_rules_type"', { transaction });
+    });
+  }
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+// Automatic lead assignment rules, tried by priority for leads created without an assignee
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const tables = await queryInterface.showAllTables({ transaction });
+      if (tables.includes('assignment_rules')) {
+        return;
+      }
+
+      await queryInterface.createTable('assignment_rules', {
+        id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+        name: { type: Sequelize.STRING(100), allowNull: false },
+        priority: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+        condition: { type: Sequelize.JSONB, allowNull: true },
+        strategy: { type: Sequelize.ENUM('roundRobin', 'loadBalanced'), allowNull: false, defaultValue: 'roundRobin' },
+        userIds: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] },
+        weights: { type: Sequelize.JSONB, allowNull: false, defaultValue: {} },
+        lastAssignedUserId: { type: Sequelize.INTEGER, allowNull: true },
+        isActive: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: true },
+        createdById: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false }
+      }, { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable('assignment_rules', { transaction });
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_assignment_rules_strategy"', { transaction });
+    });
+  }
+};
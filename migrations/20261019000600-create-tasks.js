@@ -0,0 +1,64 @@
+'use strict';
+
+// Follow-up tasks on leads, with their reminders
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const tables = await queryInterface.showAllTables({ transaction });
+      if (tables.includes('tasks')) {
+        return;
+      }
+
+      await queryInterface.createTable('tasks', {
+        id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+        title: { type: Sequelize.STRING, allowNull: false },
+        description: { type: Sequelize.TEXT, allowNull: true },
+        dueAt: { type: Sequelize.DATE, allowNull: false },
+        priority: { type: Sequelize.ENUM('Low', 'Medium', 'High'), allowNull: false, defaultValue: 'Medium' },
+        leadId: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'leads', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        assignedToId: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'users', key: 'id' }
+        },
+        createdById: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        remindAt: { type: Sequelize.DATE, allowNull: true },
+        reminderSentAt: { type: Sequelize.DATE, allowNull: true },
+        completedAt: { type: Sequelize.DATE, allowNull: true },
+        completedById: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        activityId: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'activities', key: 'id' },
+          onDelete: 'SET NULL'
+        },
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false }
+      }, { transaction });
+      await queryInterface.addIndex('tasks', ['assignedToId', 'dueAt'], { transaction });
+      await queryInterface.addIndex('tasks', ['leadId'], { transaction });
+      await queryInterface.addIndex('tasks', ['remindAt'], { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable('tasks', { transaction });
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_tasks_priority"', { transaction });
+    });
+  }
+};
@@ -0,0 +1,61 @@
+'use strict';
+
+// The background job queue, with the reminders of open tasks queued on it
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const tables = await queryInterface.showAllTables({ transaction });
+      if (tables.includes('jobs')) {
+        return;
+      }
+
+      await queryInterface.createTable('jobs', {
+        id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+        type: { type: Sequelize.STRING(100), allowNull: false },
+        payload: { type: Sequelize.JSONB, allowNull: false, defaultValue: {} },
+        status: {
+          type: Sequelize.ENUM('pending', 'running', 'completed', 'dead'),
+          allowNull: false,
+          defaultValue: 'pending'
+        },
+        attempts: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+        maxAttempts: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 5 },
+        runAt: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.fn('NOW') },
+        lockedAt: { type: Sequelize.DATE, allowNull: true },
+        lockedBy: { type: Sequelize.STRING, allowNull: true },
+        lastError: { type: Sequelize.TEXT, allowNull: true },
+        idempotencyKey: { type: Sequelize.STRING, allowNull: true, unique: true },
+        completedAt: { type: Sequelize.DATE, allowNull: true },
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false }
+      }, { transaction });
+      await queryInterface.addIndex('jobs', ['status', 'runAt'], { transaction });
+
+      // Reminders used to be found by polling the tasks; queue the ones still to send
+      if (tables.includes('tasks')) {
+        await queryInterface.sequelize.query(`
+          INSERT INTO jobs (type, payload, "runAt", "idempotencyKey", "createdAt", "updatedAt")
+          SELECT 'task.reminder',
+            jsonb_build_object(
+              'taskId', id,
+              'remindAt', to_char("remindAt" AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"')
+            ),
+            "remindAt",
+            'task.reminder:' || id || ':' || (EXTRACT(EPOCH FROM "updatedAt") * 1000)::bigint,
+            NOW(),
+            NOW()
+          FROM tasks
+          WHERE "remindAt" IS NOT NULL AND "reminderSentAt" IS NULL AND "completedAt" IS NULL
+        `, { transaction });
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable('jobs', { transaction });
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_jobs_status"', { transaction });
+    });
+  }
+};
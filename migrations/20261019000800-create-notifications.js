@@ -0,0 +1,60 @@
+'use strict';
+
+// In-app notifications, and each user's choice of channel per notification type
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const tables = await queryInterface.showAllTables({ transaction });
+      if (!tables.includes('notifications')) {
+        await queryInterface.createTable('notifications', {
+          id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+          userId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: 'users', key: 'id' },
+            onDelete: 'CASCADE'
+          },
+          type: {
+            type: Sequelize.ENUM('leadAssigned', 'statusChanged', 'newActivity', 'taskDue'),
+            allowNull: false
+          },
+          title: { type: Sequelize.STRING, allowNull: false },
+          body: { type: Sequelize.TEXT, allowNull: true },
+          leadId: {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            references: { model: 'leads', key: 'id' },
+            onDelete: 'CASCADE'
+          },
+          data: { type: Sequelize.JSONB, allowNull: false, defaultValue: {} },
+          channel: { type: Sequelize.ENUM('inApp', 'email', 'digest'), allowNull: false, defaultValue: 'inApp' },
+          readAt: { type: Sequelize.DATE, allowNull: true },
+          digestedAt: { type: Sequelize.DATE, allowNull: true },
+          createdAt: { type: Sequelize.DATE, allowNull: false },
+          updatedAt: { type: Sequelize.DATE, allowNull: false }
+        }, { transaction });
+        await queryInterface.addIndex('notifications', ['userId', 'readAt'], { transaction });
+        await queryInterface.addIndex('notifications', ['channel', 'digestedAt'], { transaction });
+      }
+
+      const userColumns = await queryInterface.describeTable('users', { transaction });
+      if (!userColumns.notificationPreferences) {
+        await queryInterface.addColumn('users', 'notificationPreferences', {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: {}
+        }, { transaction });
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.removeColumn('users', 'notificationPreferences', { transaction });
+      await queryInterface.dropTable('notifications', { transaction });
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_notifications_type"', { transaction });
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_notifications_channel"', { transaction });
+    });
+  }
+};
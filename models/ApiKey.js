@@ -0,0 +1,90 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Long-lived credential for server-to-server integrations. Requests made with a key act
+// as its user, limited to the key's scopes.
+const ApiKey = sequelize.define('ApiKey', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  // First characters of the key, shown in listings so keys can be told apart
+  prefix: {
+    type: DataTypes.STRING(16),
+    allowNull: false
+  },
+  // SHA-256 of the key; the raw value is only shown once, on creation
+  keyHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  // Permission names (see utils/permissions.js) the key may use
+  scopes: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  createdById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastUsedIp: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'api_keys',
+  timestamps: true,
+  indexes: [
+    { fields: ['userId'] }
+  ]
+});
+
+ApiKey.prototype.getStatus = function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt <= new Date()) return 'expired';
+  return 'active';
+};
+
+ApiKey.prototype.toJSON = function() {
+  const values = Object.assign({}, this.get());
+  delete values.keyHash;
+  values.status = this.getStatus();
+  return values;
+};
+
+module.exports = ApiKey;
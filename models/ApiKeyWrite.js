@@ -0,0 +1,45 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One row per write request (anything but GET/HEAD/OPTIONS) authenticated with an API key
+const ApiKeyWrite = sequelize.define('ApiKeyWrite', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  apiKeyId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'api_keys',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  method: {
+    type: DataTypes.STRING(10),
+    allowNull: false
+  },
+  path: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  statusCode: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  ip: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'api_key_writes',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['apiKeyId', 'createdAt'] }
+  ]
+});
+
+module.exports = ApiKeyWrite;
@@ -0,0 +1,73 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// An automatic lead assignment rule. New leads without an assignee go to the user picked
+// by the first active rule, by priority, whose condition they match.
+const AssignmentRule = sequelize.define('AssignmentRule', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  // Rules are tried from the lowest priority number up
+  priority: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // A lead filter condition or group, as GET /api/leads `filters` takes. Null matches
+  // every lead; a condition on source or a region custom field makes a territory rule.
+  condition: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  // roundRobin: each user in turn; loadBalanced: the user with the fewest open leads
+  // for their weight
+  strategy: {
+    type: DataTypes.ENUM('roundRobin', 'loadBalanced'),
+    allowNull: false,
+    defaultValue: 'roundRobin'
+  },
+  // The users the rule assigns to; empty means every active Sales Executive
+  userIds: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  // User ID -> weight for loadBalanced (default 1); a user of weight 2 takes twice the leads
+  weights: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  },
+  // Where round-robin continues from
+  lastAssignedUserId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  createdById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'assignment_rules',
+  timestamps: true
+});
+
+module.exports = AssignmentRule;
@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Admin-defined lead field. Values live in Lead.customFields under `key`.
+const CustomField = sequelize.define('CustomField', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  key: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    validate: {
+      is: /^[a-z][a-zA-Z0-9_]{0,49}$/
+    }
+  },
+  label: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('text', 'number', 'date', 'select', 'multi_select', 'boolean'),
+    allowNull: false
+  },
+  // Choices of select and multi_select fields
+  options: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  required: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  // Type-specific rules: min/max (number, date), minLength/maxLength/pattern (text),
+  // integer (number), maxSelected (multi_select)
+  validation: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  createdById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'custom_fields',
+  timestamps: true
+});
+
+module.exports = CustomField;
@@ -0,0 +1,84 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Invitation = sequelize.define('Invitation', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  email: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isEmail: true
+    }
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  role: {
+    type: DataTypes.ENUM('Admin', 'Manager', 'Sales Executive'),
+    allowNull: false,
+    defaultValue: 'Sales Executive'
+  },
+  // SHA-256 of the token in the invite link; replaced on every resend
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  invitedById: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  acceptedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  acceptedUserId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'invitations',
+  timestamps: true,
+  indexes: [
+    { fields: ['email'] }
+  ]
+});
+
+// pending | accepted | revoked | expired
+Invitation.prototype.getStatus = function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt < new Date()) return 'expired';
+  return 'pending';
+};
+
+Invitation.prototype.toJSON = function() {
+  const values = Object.assign({}, this.get());
+  delete values.tokenHash;
+  values.status = this.getStatus();
+  return values;
+};
+
+module.exports = Invitation;
+
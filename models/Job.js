@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A unit of background work (an email, a reminder), run by the job workers
+const Job = sequelize.define('Job', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  // Names the handler that runs the job, e.g. "email.send"
+  type: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  },
+  // pending: waiting for `runAt`; running: claimed by a worker; completed; dead: out of
+  // attempts, kept for inspection and manual retry
+  status: {
+    type: DataTypes.ENUM('pending', 'running', 'completed', 'dead'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  maxAttempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 5
+  },
+  runAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  lockedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lockedBy: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Enqueueing again with a key already used returns the existing job
+  idempotencyKey: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    unique: true
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'jobs',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['status', 'runAt']
+    }
+  ]
+});
+
+module.exports = Job;
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { syncLeadStage } = require('../utils/pipelines');
 
 const Lead = sequelize.define('Lead', {
   id: {
@@ -29,9 +30,25 @@ const Lead = sequelize.define('Lead', {
     type: DataTypes.STRING,
     allowNull: true
   },
+  pipelineId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'pipelines',
+      key: 'id'
+    }
+  },
+  stageId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'stages',
+      key: 'id'
+    }
+  },
+  // Name of the lead's stage, kept in step by the hooks below
   status: {
-    type: DataTypes.ENUM('New', 'Contacted', 'Qualified', 'Proposal', 'Negotiation', 'Won', 'Lost'),
-    defaultValue: 'New',
+    type: DataTypes.STRING(50),
     allowNull: false
   },
   source: {
@@ -62,10 +79,73 @@ const Lead = sequelize.define('Lead', {
   notes: {
     type: DataTypes.TEXT,
     allowNull: true
+  },
+  tags: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    allowNull: false,
+    defaultValue: []
+  },
+  // Values of the Admin-defined custom fields, by CustomField key
+  customFields: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  },
+  // Sum of the scoring rules' points, with the rules that gave them (utils/leadScoring.js)
+  score: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  scoreBreakdown: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  scoredAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Full-text index of the lead and its activities, maintained by the database triggers
+  // in utils/leadSearch.js
+  searchVector: {
+    type: DataTypes.TSVECTOR,
+    allowNull: true
   }
 }, {
   tableName: 'leads',
-  timestamps: true
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['searchVector'],
+      using: 'GIN'
+    },
+    {
+      fields: ['score']
+    }
+  ],
+  // The search index is only queried, never returned
+  defaultScope: {
+    attributes: { exclude: ['searchVector'] }
+  },
+  hooks: {
+    // New leads get their stage before the not-null checks run; leads without one start
+    // at the first stage of the default pipeline. Lead.update() validates an instance
+    // built from just the new values (with the update's `where`): not a new lead.
+    beforeValidate: async (lead, options) => {
+      if (lead.isNewRecord && !options.where) {
+        await syncLeadStage(lead);
+      }
+    },
+    beforeUpdate: async (lead) => {
+      await syncLeadStage(lead);
+    },
+    beforeBulkCreate: async (leads) => {
+      for (const lead of leads) {
+        await syncLeadStage(lead);
+      }
+    }
+  }
 });
 
 module.exports = Lead;
@@ -0,0 +1,44 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Failed login counters shared by all server instances. One row per throttled
+// key, e.g. "account:jane@example.com" or "ip:203.0.113.7".
+const LoginAttempt = sequelize.define('LoginAttempt', {
+  key: {
+    type: DataTypes.STRING,
+    primaryKey: true
+  },
+  failures: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  firstFailureAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastFailureAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastIp: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // Progressive delay: no attempts accepted before this time
+  blockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Temporary lockout after too many failures
+  lockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'login_attempts',
+  timestamps: true
+});
+
+module.exports = LoginAttempt;
+
@@ -0,0 +1,78 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// An entry in a user's in-app notification inbox
+const Notification = sequelize.define('Notification', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  // The event, which the user's preferences are keyed by
+  type: {
+    type: DataTypes.ENUM('leadAssigned', 'statusChanged', 'newActivity', 'taskDue'),
+    allowNull: false
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // The lead it is about; null when it covers several (see `data.leadIds`)
+  leadId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'leads',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  // Event details for clients, e.g. `{ from, to }` of a status change or a `taskId`
+  data: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  },
+  // How the user chose to get it besides the inbox: inApp only, email right away, or
+  // in the daily digest
+  channel: {
+    type: DataTypes.ENUM('inApp', 'email', 'digest'),
+    allowNull: false,
+    defaultValue: 'inApp'
+  },
+  readAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // When a digest notification went out in a digest email
+  digestedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'notifications',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId', 'readAt']
+    },
+    {
+      fields: ['channel', 'digestedAt']
+    }
+  ]
+});
+
+module.exports = Notification;
@@ -0,0 +1,30 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Pending single sign-on login, from the redirect to the identity provider until its callback
+const OidcLoginState = sequelize.define('OidcLoginState', {
+  // SHA-256 of the `state` parameter sent to the identity provider
+  stateHash: {
+    type: DataTypes.STRING(64),
+    primaryKey: true
+  },
+  nonce: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // PKCE verifier; only its challenge leaves the server
+  codeVerifier: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'oidc_login_states',
+  timestamps: true,
+  updatedAt: false
+});
+
+module.exports = OidcLoginState;
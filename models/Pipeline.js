@@ -0,0 +1,39 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A sales process: an ordered set of stages a lead moves through
+const Pipeline = sequelize.define('Pipeline', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    validate: {
+      notEmpty: true
+    }
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // New leads land in the default pipeline unless they name another
+  isDefault: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'pipelines',
+  timestamps: true
+});
+
+module.exports = Pipeline;
@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const RefreshToken = sequelize.define('RefreshToken', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  // SHA-256 of the token handed to the client; the raw value is never stored
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  // All tokens produced by rotating the same login share a family (one session)
+  family: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  replacedByHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  userAgent: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  ip: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'refresh_tokens',
+  timestamps: true,
+  indexes: [
+    { fields: ['userId'] },
+    { fields: ['family'] }
+  ]
+});
+
+module.exports = RefreshToken;
+
@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A named set of lead list filters a user saved, private or shared with their team
+const SavedView = sequelize.define('SavedView', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  visibility: {
+    type: DataTypes.ENUM('private', 'team'),
+    allowNull: false,
+    defaultValue: 'private'
+  },
+  // The team a shared view is visible to: the owner's when it was shared
+  teamId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'teams',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  // GET /api/leads query parameters: status, search, filters, sortBy, cf.<key>, ...
+  filters: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  }
+}, {
+  tableName: 'saved_views',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['userId', 'name']
+    }
+  ]
+});
+
+module.exports = SavedView;
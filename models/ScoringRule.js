@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A weighted lead scoring rule. A lead's score is the sum of the points of its rules.
+const ScoringRule = sequelize.define('ScoringRule', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  // field: `points` when the lead matches `condition`;
+  // activityCount: `points` for each activity of `activityTypes` in the last `withinDays`
+  // (all time when null), up to `maxPoints`;
+  // activityRecency: `points` when the last such activity is at most `withinDays` old
+  type: {
+    type: DataTypes.ENUM('field', 'activityCount', 'activityRecency'),
+    allowNull: false
+  },
+  // A lead filter condition or group, as GET /api/leads `filters` takes
+  condition: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  activityTypes: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: ['Call', 'Meeting', 'Email']
+  },
+  withinDays: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // The rule's weight; negative points lower the score
+  points: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  maxPoints: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  createdById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'scoring_rules',
+  timestamps: true
+});
+
+module.exports = ScoringRule;
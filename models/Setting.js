@@ -0,0 +1,28 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Admin-configurable application settings, one JSON value per key
+const Setting = sequelize.define('Setting', {
+  key: {
+    type: DataTypes.STRING,
+    primaryKey: true
+  },
+  value: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  updatedById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'settings',
+  timestamps: true
+});
+
+module.exports = Setting;
+
@@ -0,0 +1,71 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A step of a pipeline. Lead.status holds the name of the lead's stage.
+const Stage = sequelize.define('Stage', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  pipelineId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'pipelines',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  name: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Chance (percent) that a lead in this stage is won; weights the pipeline value
+  probability: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0,
+      max: 100
+    }
+  },
+  // Whether the stage closes the lead: won, lost, or still open
+  outcome: {
+    type: DataTypes.ENUM('open', 'won', 'lost'),
+    allowNull: false,
+    defaultValue: 'open'
+  },
+  // Names of the stages of the same pipeline a lead may move to from here; null allows any
+  allowedTransitions: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    defaultValue: null
+  },
+  // Lead fields (or `cf.<key>` custom fields) that must be filled before entering the stage
+  requiredFields: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  }
+}, {
+  tableName: 'stages',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['pipelineId', 'name']
+    }
+  ]
+});
+
+module.exports = Stage;
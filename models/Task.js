@@ -0,0 +1,105 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A follow-up to do on a lead, e.g. "call back Tuesday 10am". Activities record what
+// happened; tasks what should.
+const Task = sequelize.define('Task', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  dueAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  priority: {
+    type: DataTypes.ENUM('Low', 'Medium', 'High'),
+    allowNull: false,
+    defaultValue: 'Medium'
+  },
+  leadId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'leads',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  assignedToId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  createdById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // When the assignee is reminded; null for no reminder
+  remindAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  reminderSentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Null while the task is open
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  completedById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // The activity logged when the task was completed, if any
+  activityId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'activities',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  }
+}, {
+  tableName: 'tasks',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['assignedToId', 'dueAt']
+    },
+    {
+      fields: ['leadId']
+    },
+    {
+      fields: ['remindAt']
+    }
+  ]
+});
+
+module.exports = Task;
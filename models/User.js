@@ -39,6 +39,65 @@ const User = sequelize.define('User', {
   isActive: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
+  },
+  emailVerified: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  emailVerifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  twoFactorEnabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  // TOTP secret, encrypted at rest (see utils/totp.js)
+  twoFactorSecret: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // Secret generated by /2fa/setup, promoted to twoFactorSecret once a code is confirmed
+  twoFactorPendingSecret: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // SHA-256 hashes of the unused recovery codes
+  twoFactorRecoveryCodes: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  // Last accepted TOTP time step, so a code cannot be replayed
+  twoFactorLastCounter: {
+    type: DataTypes.BIGINT,
+    allowNull: true
+  },
+  // `sub` claim of the linked single sign-on identity
+  oidcSubject: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    unique: true
+  },
+  // Team the user belongs to. No foreign key constraint: teams already reference users.
+  teamId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Bumped to invalidate every access token issued before it ("log out all sessions")
+  tokenVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Notification type -> channel, only where the user changed the default (see
+  // utils/notifications)
+  notificationPreferences: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
   }
 }, {
   tableName: 'users',
@@ -66,6 +125,12 @@ User.prototype.comparePassword = async function(candidatePassword) {
 User.prototype.toJSON = function() {
   const values = Object.assign({}, this.get());
   delete values.password;
+  delete values.tokenVersion;
+  delete values.twoFactorSecret;
+  delete values.twoFactorPendingSecret;
+  delete values.twoFactorRecoveryCodes;
+  delete values.twoFactorLastCounter;
+  delete values.notificationPreferences;
   return values;
 };
 
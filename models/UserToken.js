@@ -0,0 +1,42 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Single-use tokens for email-based flows and the SSO hand-over. The signed token itself
+// is handed to the user; only its id (jti) is stored so it can be consumed exactly once.
+const UserToken = sequelize.define('UserToken', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    defaultValue: DataTypes.UUIDV4
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  purpose: {
+    type: DataTypes.ENUM('password_reset', 'email_verification', 'sso_login'),
+    allowNull: false
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'user_tokens',
+  timestamps: true,
+  indexes: [
+    { fields: ['userId', 'purpose'] }
+  ]
+});
+
+module.exports = UserToken;
+
@@ -1,23 +1,118 @@
+const { sequelize } = require('../config/database');
+const { installLeadSearch } = require('../utils/leadSearch');
 const User = require('./User');
 const Lead = require('./Lead');
 const Activity = require('./Activity');
+const RefreshToken = require('./RefreshToken');
+const UserToken = require('./UserToken');
+const Invitation = require('./Invitation');
+const LoginAttempt = require('./LoginAttempt');
+const Setting = require('./Setting');
+const Team = require('./Team');
+const ApiKey = require('./ApiKey');
+const ApiKeyWrite = require('./ApiKeyWrite');
+const OidcLoginState = require('./OidcLoginState');
+const CustomField = require('./CustomField');
+const Pipeline = require('./Pipeline');
+const Stage = require('./Stage');
+const SavedView = require('./SavedView');
+const ScoringRule = require('./ScoringRule');
+const AssignmentRule = require('./AssignmentRule');
+const Task = require('./Task');
+const Job = require('./Job');
+const Notification = require('./Notification');
 
 // Define associations
 User.hasMany(Lead, { foreignKey: 'assignedToId', as: 'assignedLeads' });
 User.hasMany(Lead, { foreignKey: 'createdById', as: 'createdLeads' });
 User.hasMany(Activity, { foreignKey: 'userId', as: 'activities' });
+User.hasMany(RefreshToken, { foreignKey: 'userId', as: 'refreshTokens' });
+User.hasMany(UserToken, { foreignKey: 'userId', as: 'userTokens' });
+User.hasMany(Invitation, { foreignKey: 'invitedById', as: 'sentInvitations' });
+User.belongsTo(Team, { foreignKey: 'teamId', as: 'team', constraints: false });
+User.hasMany(Team, { foreignKey: 'managerId', as: 'managedTeams' });
+User.hasMany(ApiKey, { foreignKey: 'userId', as: 'apiKeys' });
+User.hasMany(SavedView, { foreignKey: 'userId', as: 'savedViews' });
 
 Lead.belongsTo(User, { foreignKey: 'assignedToId', as: 'assignedTo' });
 Lead.belongsTo(User, { foreignKey: 'createdById', as: 'createdBy' });
 Lead.hasMany(Activity, { foreignKey: 'leadId', as: 'activities' });
+Lead.belongsTo(Pipeline, { foreignKey: 'pipelineId', as: 'pipeline' });
+Lead.belongsTo(Stage, { foreignKey: 'stageId', as: 'stage' });
 
 Activity.belongsTo(Lead, { foreignKey: 'leadId', as: 'lead' });
 Activity.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 
+RefreshToken.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+UserToken.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+Invitation.belongsTo(User, { foreignKey: 'invitedById', as: 'invitedBy' });
+Invitation.belongsTo(User, { foreignKey: 'acceptedUserId', as: 'acceptedUser' });
+
+Team.belongsTo(User, { foreignKey: 'managerId', as: 'manager' });
+Team.hasMany(User, { foreignKey: 'teamId', as: 'members', constraints: false });
+Team.belongsTo(Team, { foreignKey: 'parentTeamId', as: 'parentTeam' });
+Team.hasMany(Team, { foreignKey: 'parentTeamId', as: 'subTeams' });
+
+ApiKey.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+ApiKey.belongsTo(User, { foreignKey: 'createdById', as: 'createdBy' });
+ApiKey.hasMany(ApiKeyWrite, { foreignKey: 'apiKeyId', as: 'writes' });
+ApiKeyWrite.belongsTo(ApiKey, { foreignKey: 'apiKeyId', as: 'apiKey' });
+
+CustomField.belongsTo(User, { foreignKey: 'createdById', as: 'createdBy' });
+
+Pipeline.hasMany(Stage, { foreignKey: 'pipelineId', as: 'stages', onDelete: 'CASCADE' });
+Pipeline.hasMany(Lead, { foreignKey: 'pipelineId', as: 'leads' });
+Stage.belongsTo(Pipeline, { foreignKey: 'pipelineId', as: 'pipeline' });
+Stage.hasMany(Lead, { foreignKey: 'stageId', as: 'leads' });
+
+SavedView.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+SavedView.belongsTo(Team, { foreignKey: 'teamId', as: 'team' });
+
+ScoringRule.belongsTo(User, { foreignKey: 'createdById', as: 'createdBy' });
+
+AssignmentRule.belongsTo(User, { foreignKey: 'createdById', as: 'createdBy' });
+
+Lead.hasMany(Task, { foreignKey: 'leadId', as: 'tasks' });
+User.hasMany(Task, { foreignKey: 'assignedToId', as: 'tasks' });
+Task.belongsTo(Lead, { foreignKey: 'leadId', as: 'lead' });
+Task.belongsTo(User, { foreignKey: 'assignedToId', as: 'assignedTo' });
+Task.belongsTo(User, { foreignKey: 'createdById', as: 'createdBy' });
+Task.belongsTo(User, { foreignKey: 'completedById', as: 'completedBy' });
+Task.belongsTo(Activity, { foreignKey: 'activityId', as: 'activity' });
+
+User.hasMany(Notification, { foreignKey: 'userId', as: 'notifications' });
+Notification.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+Notification.belongsTo(Lead, { foreignKey: 'leadId', as: 'lead' });
+
+// The search triggers live on the tables sync() (re)creates
+sequelize.addHook('afterBulkSync', 'leadSearch', () => installLeadSearch());
+
 module.exports = {
   User,
   Lead,
-  Activity
+  Activity,
+  RefreshToken,
+  UserToken,
+  Invitation,
+  LoginAttempt,
+  Setting,
+  Team,
+  ApiKey,
+  ApiKeyWrite,
+  OidcLoginState,
+  CustomField,
+  Pipeline,
+  Stage,
+  SavedView,
+  ScoringRule,
+  AssignmentRule,
+  Task,
+  Job,
+  Notification
 };
 
+// Lead scoring adds its hooks to Lead and Activity
+require('../utils/leadScoring');
+
 
@@ -1,25 +1,38 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { Activity, Lead, User } = require('../models');
-const { authenticate } = require('../middleware/auth');
-const { emailTemplates, sendEmail } = require('../utils/email');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { emailTemplates } = require('../utils/email');
+const { notifyUser } = require('../utils/notifications');
+const { leadScopeWhere, canAccessLead, canEditActivity } = require('../utils/permissions');
+const { emitToLeadViewers } = require('../socket/socket');
+const { parsePagination, parseFields, pickFields, findPage } = require('../utils/pagination');
 
 const router = express.Router();
 
+// What `fields` can pick for each activity in the list
+const ACTIVITY_LIST_FIELDS = [...Object.keys(Activity.rawAttributes), 'lead', 'user'];
+
+// Newest first (see findPage)
+const ACTIVITY_SORT = {
+  key: 'createdAt',
+  direction: 'DESC',
+  attribute: 'createdAt',
+  value: activity => activity.createdAt
+};
+
 // All routes require authentication
 router.use(authenticate);
 
 // @route   GET /api/activities
-// @desc    Get all activities with filters
+// @desc    Get all activities with filters, newest first. Pages by `page` or by the
+//          `cursor` of the previous page; `fields` trims each activity.
 // @access  Private
 router.get('/', async (req, res) => {
   try {
-    const {
-      leadId,
-      type,
-      page = 1,
-      limit = 50
-    } = req.query;
+    const { leadId, type } = req.query;
+    const pagination = parsePagination(req.query, { defaultLimit: 50 });
+    const fields = parseFields(req.query.fields, ACTIVITY_LIST_FIELDS);
 
     const where = {};
 
@@ -31,40 +44,56 @@ router.get('/', async (req, res) => {
       where.type = type;
     }
 
-    const offset = (parseInt(page) - 1) * parseInt(limit);
+    // Only activities on leads the user may read
+    const leadWhere = await leadScopeWhere(req.user);
+    if (!leadWhere) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const include = [
+      {
+        model: Lead,
+        as: 'lead',
+        attributes: ['id', 'name', 'email'],
+        where: leadWhere,
+        required: true
+      }
+    ];
+    if (!fields || fields.includes('user')) {
+      include.push({
+        model: User,
+        as: 'user',
+        attributes: ['id', 'name', 'email']
+      });
+    }
 
-    const { count, rows: activities } = await Activity.findAndCountAll({
+    const { rows: activities, pagination: page } = await findPage(Activity, {
       where,
-      include: [
-        {
-          model: Lead,
-          as: 'lead',
-          attributes: ['id', 'name', 'email']
-        },
-        {
-          model: User,
-          as: 'user',
-          attributes: ['id', 'name', 'email']
-        }
-      ],
-      order: [['createdAt', 'DESC']],
-      limit: parseInt(limit),
-      offset
+      include,
+      attributes: fields
+        ? [...new Set(['id', 'createdAt', ...fields.filter(field => field in Activity.rawAttributes)])]
+        : undefined,
+      sort: ACTIVITY_SORT,
+      pagination
     });
 
     res.json({
       success: true,
       data: {
-        activities,
-        pagination: {
-          total: count,
-          page: parseInt(page),
-          limit: parseInt(limit),
-          pages: Math.ceil(count / parseInt(limit))
-        }
+        activities: activities.map(activity => pickFields(activity.toJSON(), fields)),
+        pagination: page
       }
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Get activities error:', error);
     res.status(500).json({
       success: false,
@@ -75,8 +104,8 @@ router.get('/', async (req, res) => {
 
 // @route   POST /api/activities
 // @desc    Create a new activity
-// @access  Private
-router.post('/', [
+// @access  Private (activity:create)
+router.post('/', requirePermission('activity:create'), [
   body('type').isIn(['Note', 'Call', 'Meeting', 'Email', 'Status Change']).withMessage('Invalid activity type'),
   body('title').trim().notEmpty().withMessage('Title is required'),
   body('leadId').isInt().withMessage('Lead ID is required')
@@ -103,10 +132,7 @@ router.post('/', [
     }
 
     // Check permissions
-    const userRole = req.user.role;
-    if (userRole === 'Sales Executive' && 
-        lead.assignedToId !== req.user.id && 
-        lead.createdById !== req.user.id) {
+    if (!(await canAccessLead(req.user, lead, 'read'))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -139,20 +165,23 @@ router.post('/', [
       ]
     });
 
-    // Send email notification to assigned user (if different from current user)
+    // Notify the assigned user (if different from current user)
     if (lead.assignedToId && lead.assignedToId !== req.user.id) {
       const assignedUser = await User.findByPk(lead.assignedToId);
-      if (assignedUser && assignedUser.email) {
-        const emailData = emailTemplates.newActivity(lead.name, type, req.user.name, lead.id);
-        await sendEmail(assignedUser.email, emailData.subject, emailData.html);
+      if (assignedUser) {
+        await notifyUser(req.app.get('io'), assignedUser, {
+          type: 'newActivity',
+          title: `New ${type} on ${lead.name}`,
+          body: `${req.user.name}: ${activity.title}`,
+          leadId: lead.id,
+          data: { activityId: activity.id, activityType: type },
+          email: emailTemplates.newActivity(lead.name, type, req.user.name, lead.id)
+        });
       }
     }
 
     // Emit socket event
-    const io = req.app.get('io');
-    if (io) {
-      io.emit('activity:created', { activity });
-    }
+    await emitToLeadViewers(req.app.get('io'), [lead.assignedToId, lead.createdById], 'activity:created', { activity });
 
     res.status(201).json({
       success: true,
@@ -195,6 +224,15 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    // Visible to whoever may read its lead
+    const lead = await Lead.findByPk(activity.leadId);
+    if (!lead || !(await canAccessLead(req.user, lead, 'read'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
     res.json({
       success: true,
       data: { activity }
@@ -232,8 +270,8 @@ router.put('/:id', [
       });
     }
 
-    // Only creator can update
-    if (activity.userId !== req.user.id && req.user.role !== 'Admin') {
+    // Creator (activity:edit:own) or activity:edit:any
+    if (!(await canEditActivity(req.user, activity))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -257,9 +295,9 @@ router.put('/:id', [
     });
 
     // Emit socket event
-    const io = req.app.get('io');
-    if (io) {
-      io.emit('activity:updated', { activity });
+    const lead = await Lead.findByPk(activity.leadId);
+    if (lead) {
+      await emitToLeadViewers(req.app.get('io'), [lead.assignedToId, lead.createdById], 'activity:updated', { activity });
     }
 
     res.json({
@@ -289,8 +327,8 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
-    // Only creator or Admin can delete
-    if (activity.userId !== req.user.id && req.user.role !== 'Admin') {
+    // Creator (activity:edit:own) or activity:edit:any
+    if (!(await canEditActivity(req.user, activity))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -300,9 +338,9 @@ router.delete('/:id', async (req, res) => {
     await activity.destroy();
 
     // Emit socket event
-    const io = req.app.get('io');
-    if (io) {
-      io.emit('activity:deleted', { activityId: req.params.id });
+    const lead = await Lead.findByPk(activity.leadId);
+    if (lead) {
+      await emitToLeadViewers(req.app.get('io'), [lead.assignedToId, lead.createdById], 'activity:deleted', { activityId: req.params.id });
     }
 
     res.json({
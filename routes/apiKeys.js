@@ -0,0 +1,229 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { ApiKey, ApiKeyWrite, User } = require('../models');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, getUserPermissions, uncoveredPermissions } = require('../utils/permissions');
+const { generateApiKey } = require('../utils/apiKeys');
+
+const router = express.Router();
+
+// All routes require permission to manage API keys
+router.use(authenticate, requirePermission('apikey:manage'));
+
+const apiKeyIncludes = [
+  { model: User, as: 'user', attributes: ['id', 'name', 'email', 'role'] },
+  { model: User, as: 'createdBy', attributes: ['id', 'name', 'email'] }
+];
+
+// @route   GET /api/api-keys
+// @desc    List API keys (active by default)
+// @access  Private (apikey:manage)
+router.get('/', [
+  query('status').optional().isIn(['active', 'all']).withMessage('Invalid status'),
+  query('userId').optional().isInt().withMessage('userId must be a user id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { status = 'active', userId } = req.query;
+    const where = {};
+
+    if (status === 'active') {
+      where.revokedAt = null;
+    }
+
+    if (userId) {
+      where.userId = userId;
+    }
+
+    let apiKeys = await ApiKey.findAll({
+      where,
+      include: apiKeyIncludes,
+      order: [['createdAt', 'DESC']]
+    });
+
+    // Expiry is checked in code so it uses the same rule as authentication
+    if (status === 'active') {
+      apiKeys = apiKeys.filter(apiKey => apiKey.getStatus() === 'active');
+    }
+
+    res.json({
+      success: true,
+      data: { apiKeys }
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/api-keys
+// @desc    Create an API key. The raw key is returned once and cannot be retrieved later.
+// @access  Private (apikey:manage)
+router.post('/', [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('scopes').isArray({ min: 1 }).withMessage('scopes must be a non-empty array'),
+  body('scopes.*').isIn(Object.keys(PERMISSIONS)).withMessage('Unknown scope'),
+  body('userId').optional().isInt().withMessage('userId must be a user id'),
+  body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('expiresAt must be a date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { name, scopes, expiresAt } = req.body;
+
+    // Keys act as a user: a dedicated integration user, or the creator by default
+    const user = req.body.userId ? await User.findByPk(req.body.userId) : req.user;
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'The key\'s user must be an active user'
+      });
+    }
+
+    // A key cannot do more than its creator: no scopes they lack, and no user whose role
+    // holds permissions they lack
+    const granted = await getUserPermissions(req.user);
+    const ungrantable = uncoveredPermissions(granted, [...new Set(scopes)]);
+    if (ungrantable.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot grant scopes you do not hold: ${ungrantable.join(', ')}`
+      });
+    }
+    if (user.id !== req.user.id && uncoveredPermissions(granted, [...await getUserPermissions(user)]).length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'The key\'s user cannot hold permissions you do not hold'
+      });
+    }
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'expiresAt must be in the future'
+      });
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+    const apiKey = await ApiKey.create({
+      name,
+      prefix,
+      keyHash,
+      scopes: [...new Set(scopes)],
+      userId: user.id,
+      createdById: req.user.id,
+      expiresAt: expiresAt || null
+    });
+    await apiKey.reload({ include: apiKeyIncludes });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now; it will not be shown again.',
+      data: {
+        apiKey,
+        key
+      }
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/api-keys/:id/writes
+// @desc    List the write requests made with an API key
+// @access  Private (apikey:manage)
+router.get('/:id/writes', async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+
+    const apiKey = await ApiKey.findByPk(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const { count, rows: writes } = await ApiKeyWrite.findAndCountAll({
+      where: { apiKeyId: apiKey.id },
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset
+    });
+
+    res.json({
+      success: true,
+      data: {
+        writes,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(count / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get API key writes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private (apikey:manage)
+router.delete('/:id', async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findByPk(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      await apiKey.update({ revokedAt: new Date() });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,189 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { AssignmentRule } = require('../models');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+  STRATEGIES,
+  checkAssignmentRule,
+  invalidateAssignmentRuleCache
+} = require('../utils/leadAssignment');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const assignmentRuleValidators = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty')
+    .isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+  body('priority').optional().isInt({ min: 0 }).withMessage('priority must be a whole number'),
+  body('condition').optional({ values: 'null' }).isObject().withMessage('condition must be a filter condition or group'),
+  body('strategy').optional().isIn(STRATEGIES).withMessage(`Strategy must be one of: ${STRATEGIES.join(', ')}`),
+  body('userIds').optional().isArray().withMessage('userIds must be a list of user IDs'),
+  body('weights').optional().isObject().withMessage('weights must map user IDs to positive numbers'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+];
+
+// @route   GET /api/assignment-rules
+// @desc    List the assignment rules, in the order they are tried
+// @access  Private (assignment:manage)
+router.get('/', requirePermission('assignment:manage'), async (req, res) => {
+  try {
+    const assignmentRules = await AssignmentRule.findAll({ order: [['priority', 'ASC'], ['id', 'ASC']] });
+
+    res.json({
+      success: true,
+      data: { assignmentRules }
+    });
+  } catch (error) {
+    console.error('Get assignment rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/assignment-rules
+// @desc    Add an assignment rule
+// @access  Private (assignment:manage)
+router.post('/', requirePermission('assignment:manage'), [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  ...assignmentRuleValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      name, priority = 0, condition = null, strategy = 'roundRobin', userIds = [], weights = {}, isActive = true
+    } = req.body;
+
+    await checkAssignmentRule({ condition, userIds, weights });
+
+    const assignmentRule = await AssignmentRule.create({
+      name,
+      priority,
+      condition,
+      strategy,
+      userIds,
+      weights,
+      isActive,
+      createdById: req.user.id
+    });
+    invalidateAssignmentRuleCache();
+
+    res.status(201).json({
+      success: true,
+      message: 'Assignment rule created successfully',
+      data: { assignmentRule }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Create assignment rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/assignment-rules/:id
+// @desc    Update an assignment rule
+// @access  Private (assignment:manage)
+router.put('/:id', requirePermission('assignment:manage'), assignmentRuleValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const assignmentRule = await AssignmentRule.findByPk(req.params.id);
+    if (!assignmentRule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment rule not found'
+      });
+    }
+
+    const updates = {};
+    ['name', 'priority', 'condition', 'strategy', 'userIds', 'weights', 'isActive']
+      .filter(field => req.body[field] !== undefined)
+      .forEach((field) => {
+        updates[field] = req.body[field];
+      });
+
+    await checkAssignmentRule({
+      condition: 'condition' in updates ? updates.condition : assignmentRule.condition,
+      userIds: updates.userIds || assignmentRule.userIds,
+      weights: updates.weights || assignmentRule.weights
+    });
+
+    await assignmentRule.update(updates);
+    invalidateAssignmentRuleCache();
+
+    res.json({
+      success: true,
+      message: 'Assignment rule updated successfully',
+      data: { assignmentRule }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Update assignment rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/assignment-rules/:id
+// @desc    Delete an assignment rule
+// @access  Private (assignment:manage)
+router.delete('/:id', requirePermission('assignment:manage'), async (req, res) => {
+  try {
+    const assignmentRule = await AssignmentRule.findByPk(req.params.id);
+    if (!assignmentRule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment rule not found'
+      });
+    }
+
+    await assignmentRule.destroy();
+    invalidateAssignmentRuleCache();
+
+    res.json({
+      success: true,
+      message: 'Assignment rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete assignment rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
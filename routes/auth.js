@@ -1,15 +1,31 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { User } = require('../models');
-const { authenticate } = require('../middleware/auth');
-const { generateToken } = require('../utils/jwt');
+const { authenticate, authenticateSession, optionalAuthenticate, requirePermission } = require('../middleware/auth');
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+  consumeUserToken,
+  generateChallengeToken
+} = require('../utils/jwt');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/accountEmails');
+const { checkLogin, recordLoginFailure, recordLoginSuccess } = require('../utils/loginThrottle');
+const { isTwoFactorRequired } = require('../utils/settings');
+const { hasPermission } = require('../utils/permissions');
+const { disconnectUserSockets } = require('../socket/socket');
 
 const router = express.Router();
 
+// Login can be restricted to accounts that confirmed their email address
+const isEmailVerificationRequired = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
-// @access  Public (Admin only in production)
-router.post('/register', [
+// @access  Private (user:manage), or public for the very first account (which becomes Admin).
+//          Everyone else joins through POST /api/invitations/accept.
+router.post('/register', optionalAuthenticate, [
   body('name').trim().notEmpty().withMessage('Name is required'),
   body('email').isEmail().withMessage('Please provide a valid email'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
@@ -27,6 +43,16 @@ router.post('/register', [
 
     const { name, email, password, role } = req.body;
 
+    // An empty database may be bootstrapped with an Admin; after that only user managers register users
+    const isBootstrap = (await User.count()) === 0;
+    const canManageUsers = await hasPermission(req.user, 'user:manage');
+    if (!isBootstrap && !canManageUsers) {
+      return res.status(403).json({
+        success: false,
+        message: 'Registration is restricted. Ask an Admin or Manager for an invitation.'
+      });
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({ where: { email } });
     if (existingUser) {
@@ -41,17 +67,32 @@ router.post('/register', [
       name,
       email,
       password,
-      role: role || 'Sales Executive'
+      role: isBootstrap ? 'Admin' : (role || 'Sales Executive')
     });
 
-    const token = generateToken(user.id);
+    await sendVerificationEmail(user);
+
+    // An Admin registering someone else keeps their own session. Without a verified
+    // email the account cannot log in yet either, so no session is issued.
+    if (!isBootstrap || isEmailVerificationRequired()) {
+      return res.status(201).json({
+        success: true,
+        message: isEmailVerificationRequired()
+          ? 'User registered successfully. Please check your email to verify your account.'
+          : 'User registered successfully',
+        data: { user }
+      });
+    }
+
+    const { token, refreshToken } = await issueTokens(user, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       data: {
         user,
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -82,9 +123,23 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
+    // Refuse early while the account or IP is delayed or locked out
+    const throttle = await checkLogin(email, req.ip);
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: throttle.locked
+          ? `Too many failed login attempts. Account temporarily locked, try again in ${Math.ceil(throttle.retryAfter / 60)} minute(s).`
+          : `Too many failed login attempts. Try again in ${throttle.retryAfter} second(s).`,
+        retryAfter: throttle.retryAfter
+      });
+    }
+
     // Find user
     const user = await User.findOne({ where: { email } });
     if (!user) {
+      await recordLoginFailure(email, req.ip);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -102,20 +157,63 @@ router.post('/login', [
     // Verify password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordLoginFailure(email, req.ip);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    const token = generateToken(user.id);
+    // Accounts linked to the identity provider sign in through SSO only
+    if (process.env.OIDC_ENFORCE_SSO === 'true' && user.oidcSubject) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please sign in with single sign-on'
+      });
+    }
+
+    if (isEmailVerificationRequired() && !user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before logging in'
+      });
+    }
+
+    // With 2FA the password only earns a challenge, exchanged at /api/auth/2fa/verify.
+    // Failure counters are only cleared once the second factor passes too.
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user, 'two_factor_challenge')
+        }
+      });
+    }
+
+    // The role requires 2FA but the user has not enrolled: enrol via /api/auth/2fa/setup first
+    if (await isTwoFactorRequired(user)) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication must be set up before logging in',
+        data: {
+          twoFactorSetupRequired: true,
+          challengeToken: generateChallengeToken(user, 'two_factor_setup')
+        }
+      });
+    }
+
+    await recordLoginSuccess(email);
+    const { token, refreshToken } = await issueTokens(user, req);
 
     res.json({
       success: true,
       message: 'Login successful',
       data: {
         user,
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -127,6 +225,290 @@ router.post('/login', [
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public (requires a valid refresh token)
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { user, token, refreshToken } = await rotateRefreshToken(req.body.refreshToken, req);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        user,
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Log out the session the refresh token belongs to
+// @access  Public (requires the session's refresh token)
+router.post('/logout', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    // Unknown tokens are ignored so logout is idempotent
+    await revokeRefreshToken(req.body.refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Log out all sessions of the current user
+// @access  Private
+router.post('/logout-all', authenticateSession, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user);
+    disconnectUserSockets(req.app.get('io'), req.user.id);
+
+    res.json({
+      success: true,
+      message: 'All sessions logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   POST /api/auth/users/:id/logout-all
+// @desc    Log out all sessions of another user (e.g. lost laptop, leaver)
+// @access  Private (user:manage)
+router.post('/users/:id/logout-all', authenticate, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await revokeAllSessions(user);
+    disconnectUserSockets(req.app.get('io'), user.id);
+
+    res.json({
+      success: true,
+      message: `All sessions of ${user.name} logged out successfully`
+    });
+  } catch (error) {
+    console.error('Logout user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send a password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ where: { email: req.body.email } });
+    if (user && user.isActive) {
+      await sendPasswordResetEmail(user);
+    }
+
+    // Same answer whether or not the account exists, so emails cannot be probed
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public (requires a reset token)
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await consumeUserToken(req.body.token, 'password_reset');
+
+    // Receiving the reset email also proves ownership of the address
+    user.password = req.body.password;
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // A reset usually means the old password may be compromised
+    await revokeAllSessions(user);
+    disconnectUserSockets(req.app.get('io'), user.id);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address using a verification token
+// @access  Public (requires a verification token)
+router.post('/verify-email', [
+  body('token').isString().notEmpty().withMessage('Token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await consumeUserToken(req.body.token, 'email_verification');
+    if (!user.emailVerified) {
+      await user.update({ emailVerified: true, emailVerifiedAt: new Date() });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: { user }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Public
+router.post('/resend-verification', [
+  body('email').isEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ where: { email: req.body.email } });
+    if (user && user.isActive && !user.emailVerified) {
+      await sendVerificationEmail(user);
+    }
+
+    res.json({
+      success: true,
+      message: 'If the account exists and is not yet verified, a verification link has been sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user profile
 // @access  Private
@@ -0,0 +1,211 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { Op, fn, col, where: sqlWhere } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { CustomField, Lead } = require('../models');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { FIELD_TYPES, checkDefinition, invalidateCustomFieldCache } = require('../utils/customFields');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const customFieldValidators = [
+  body('label').optional().trim().notEmpty().withMessage('Label cannot be empty'),
+  body('options').optional().isArray().withMessage('Options must be a list'),
+  body('required').optional().isBoolean().withMessage('required must be true or false'),
+  body('validation').optional().isObject().withMessage('validation must be an object of rules'),
+  body('position').optional().isInt({ min: 0 }).withMessage('position must be a whole number')
+];
+
+// @route   GET /api/custom-fields
+// @desc    List the custom lead fields, in display order
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const customFields = await CustomField.findAll({ order: [['position', 'ASC'], ['id', 'ASC']] });
+
+    res.json({
+      success: true,
+      data: { customFields }
+    });
+  } catch (error) {
+    console.error('Get custom fields error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/custom-fields
+// @desc    Define a custom lead field
+// @access  Private (customfield:manage)
+router.post('/', requirePermission('customfield:manage'), [
+  body('key')
+    .matches(/^[a-z][a-zA-Z0-9_]{0,49}$/)
+    .withMessage('Key must start with a lowercase letter and contain only letters, digits and underscores'),
+  body('label').trim().notEmpty().withMessage('Label is required'),
+  body('type').isIn(FIELD_TYPES).withMessage(`Type must be one of: ${FIELD_TYPES.join(', ')}`),
+  ...customFieldValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { key, label, type, options = [], required = false, validation = {}, position = 0 } = req.body;
+
+    const definitionError = checkDefinition({ type, options, validation });
+    if (definitionError) {
+      return res.status(400).json({
+        success: false,
+        message: definitionError
+      });
+    }
+
+    const existingField = await CustomField.findOne({ where: { key } });
+    if (existingField) {
+      return res.status(400).json({
+        success: false,
+        message: 'A custom field with this key already exists'
+      });
+    }
+
+    const customField = await CustomField.create({
+      key,
+      label,
+      type,
+      options,
+      required,
+      validation,
+      position,
+      createdById: req.user.id
+    });
+    invalidateCustomFieldCache();
+
+    res.status(201).json({
+      success: true,
+      message: 'Custom field created successfully',
+      data: { customField }
+    });
+  } catch (error) {
+    console.error('Create custom field error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/custom-fields/:id
+// @desc    Update a custom field's label, options, rules or position. The key and type
+//          cannot change, since stored values depend on them.
+// @access  Private (customfield:manage)
+router.put('/:id', requirePermission('customfield:manage'), [
+  body('key').not().exists().withMessage('The key of a custom field cannot change'),
+  body('type').not().exists().withMessage('The type of a custom field cannot change'),
+  ...customFieldValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const customField = await CustomField.findByPk(req.params.id);
+    if (!customField) {
+      return res.status(404).json({
+        success: false,
+        message: 'Custom field not found'
+      });
+    }
+
+    const { label, options, required, validation, position } = req.body;
+
+    const definitionError = checkDefinition({
+      type: customField.type,
+      options: options !== undefined ? options : customField.options,
+      validation: validation !== undefined ? validation : customField.validation
+    });
+    if (definitionError) {
+      return res.status(400).json({
+        success: false,
+        message: definitionError
+      });
+    }
+
+    await customField.update({
+      ...(label !== undefined && { label }),
+      ...(options !== undefined && { options }),
+      ...(required !== undefined && { required }),
+      ...(validation !== undefined && { validation }),
+      ...(position !== undefined && { position })
+    });
+    invalidateCustomFieldCache();
+
+    res.json({
+      success: true,
+      message: 'Custom field updated successfully',
+      data: { customField }
+    });
+  } catch (error) {
+    console.error('Update custom field error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/custom-fields/:id
+// @desc    Delete a custom field and its values on every lead
+// @access  Private (customfield:manage)
+router.delete('/:id', requirePermission('customfield:manage'), async (req, res) => {
+  try {
+    const customField = await CustomField.findByPk(req.params.id);
+    if (!customField) {
+      return res.status(404).json({
+        success: false,
+        message: 'Custom field not found'
+      });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      // Only the leads holding a value, and without touching their updatedAt
+      await Lead.update(
+        { customFields: sequelize.literal(`"customFields" - ${sequelize.escape(customField.key)}`) },
+        {
+          where: sqlWhere(fn('jsonb_extract_path', col('customFields'), customField.key), { [Op.ne]: null }),
+          silent: true,
+          transaction
+        }
+      );
+      await customField.destroy({ transaction });
+    });
+    invalidateCustomFieldCache();
+
+    res.json({
+      success: true,
+      message: 'Custom field deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete custom field error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,9 @@
 const express = require('express');
 const { Sequelize, Op } = require('sequelize');
 const { Lead, User, Activity } = require('../models');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { leadScopeWhere, getVisibleUserIds } = require('../utils/permissions');
+const { getPipelines, getStagesById } = require('../utils/pipelines');
 
 const router = express.Router();
 
@@ -13,31 +15,33 @@ router.use(authenticate);
 // @access  Private
 router.get('/stats', async (req, res) => {
   try {
-    const userRole = req.user.role;
-    const userId = req.user.id;
-
-    // Build where clause based on user role
-    const leadWhere = {};
-    if (userRole === 'Sales Executive') {
-      leadWhere[Op.or] = [
-        { assignedToId: userId },
-        { createdById: userId }
-      ];
+    // Stats cover the leads the user may read
+    const leadWhere = await leadScopeWhere(req.user);
+    if (!leadWhere) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
     }
 
     // Total leads
     const totalLeads = await Lead.count({ where: leadWhere });
 
-    // Leads by status
-    const leadsByStatus = await Lead.findAll({
+    // Leads and value by stage; the status and pipeline breakdowns are built from these
+    const leadsByStage = await Lead.findAll({
       where: leadWhere,
       attributes: [
-        'status',
-        [Sequelize.fn('COUNT', Sequelize.col('id')), 'count']
+        'stageId',
+        [Sequelize.fn('COUNT', Sequelize.col('id')), 'count'],
+        [Sequelize.fn('SUM', Sequelize.col('estimatedValue')), 'value']
       ],
-      group: ['status'],
+      group: ['stageId'],
       raw: true
     });
+    const stageTotals = new Map(leadsByStage.map(item => [item.stageId, {
+      count: parseInt(item.count),
+      value: parseFloat(item.value || 0)
+    }]));
 
     // Total value
     const totalValue = await Lead.sum('estimatedValue', { where: leadWhere }) || 0;
@@ -60,12 +64,13 @@ router.get('/stats', async (req, res) => {
 
     // Recent activities
     const recentActivities = await Activity.findAll({
-      where: userRole === 'Sales Executive' ? { userId } : {},
       include: [
         {
           model: Lead,
           as: 'lead',
-          attributes: ['id', 'name']
+          attributes: ['id', 'name'],
+          where: leadWhere,
+          required: true
         },
         {
           model: User,
@@ -77,13 +82,45 @@ router.get('/stats', async (req, res) => {
       limit: 10
     });
 
-    // Conversion rate (Won / Total)
-    const wonLeads = await Lead.count({
-      where: {
-        ...leadWhere,
-        status: 'Won'
-      }
+    // Per pipeline: leads and value in each stage, and the value weighted by the stages'
+    // win probability
+    const pipelines = (await getPipelines()).map((pipeline) => {
+      const stages = pipeline.stages.map((stage) => {
+        const { count, value } = stageTotals.get(stage.id) || { count: 0, value: 0 };
+        return {
+          stageId: stage.id,
+          name: stage.name,
+          outcome: stage.outcome,
+          probability: stage.probability,
+          count,
+          value,
+          weightedValue: parseFloat((value * stage.probability / 100).toFixed(2))
+        };
+      });
+      const openStages = stages.filter(stage => stage.outcome === 'open');
+
+      return {
+        pipelineId: pipeline.id,
+        name: pipeline.name,
+        totalLeads: stages.reduce((sum, stage) => sum + stage.count, 0),
+        openValue: openStages.reduce((sum, stage) => sum + stage.value, 0),
+        weightedValue: parseFloat(openStages.reduce((sum, stage) => sum + stage.weightedValue, 0).toFixed(2)),
+        stages
+      };
     });
+
+    // Leads by status (stage name; stages of different pipelines may share a name)
+    const leadsByStatus = {};
+    pipelines.forEach(pipeline => pipeline.stages.forEach((stage) => {
+      if (stage.count > 0) {
+        leadsByStatus[stage.name] = (leadsByStatus[stage.name] || 0) + stage.count;
+      }
+    }));
+
+    // Conversion rate (leads in a won stage / Total)
+    const wonLeads = pipelines.reduce((sum, pipeline) => sum + pipeline.stages
+      .filter(stage => stage.outcome === 'won')
+      .reduce((stageSum, stage) => stageSum + stage.count, 0), 0);
     const conversionRate = totalLeads > 0 ? (wonLeads / totalLeads) * 100 : 0;
 
     // Monthly trend (last 6 months)
@@ -110,11 +147,10 @@ router.get('/stats', async (req, res) => {
       success: true,
       data: {
         totalLeads,
-        leadsByStatus: leadsByStatus.reduce((acc, item) => {
-          acc[item.status] = parseInt(item.count);
-          return acc;
-        }, {}),
+        leadsByStatus,
         totalValue: parseFloat(totalValue),
+        weightedPipelineValue: parseFloat(pipelines.reduce((sum, pipeline) => sum + pipeline.weightedValue, 0).toFixed(2)),
+        pipelines,
         conversionRate: parseFloat(conversionRate.toFixed(2)),
         leadsBySource: leadsBySource.map(item => ({
           source: item.source,
@@ -137,13 +173,20 @@ router.get('/stats', async (req, res) => {
 });
 
 // @route   GET /api/dashboard/performance
-// @desc    Get performance metrics by user
-// @access  Private (Admin, Manager)
-router.get('/performance', authorize('Admin', 'Manager'), async (req, res) => {
+// @desc    Get performance metrics by user (limited to the users whose leads the caller can view)
+// @access  Private (dashboard:performance)
+router.get('/performance', requirePermission('dashboard:performance'), async (req, res) => {
   try {
+    const where = { isActive: true, role: 'Sales Executive' };
+
+    // Managers only see the rows of their teams
+    const visibleUserIds = await getVisibleUserIds(req.user);
+    if (visibleUserIds !== null) {
+      where.id = { [Op.in]: visibleUserIds };
+    }
 
     const users = await User.findAll({
-      where: { isActive: true, role: 'Sales Executive' },
+      where,
       attributes: ['id', 'name', 'email'],
       include: [
         {
@@ -151,17 +194,18 @@ router.get('/performance', authorize('Admin', 'Manager'), async (req, res) => {
           as: 'assignedLeads',
           attributes: [
             'id',
-            'status',
+            'stageId',
             'estimatedValue'
           ]
         }
       ]
     });
+    const stagesById = await getStagesById();
 
     const performance = users.map(user => {
       const leads = user.assignedLeads || [];
       const totalLeads = leads.length;
-      const wonLeads = leads.filter(l => l.status === 'Won').length;
+      const wonLeads = leads.filter(l => stagesById.get(l.stageId)?.outcome === 'won').length;
       const totalValue = leads.reduce((sum, lead) => sum + parseFloat(lead.estimatedValue || 0), 0);
       const conversionRate = totalLeads > 0 ? (wonLeads / totalLeads) * 100 : 0;
 
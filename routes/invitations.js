@@ -0,0 +1,408 @@
+const crypto = require('crypto');
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Invitation, User } = require('../models');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
+const { hashToken, issueTokens } = require('../utils/jwt');
+const { sendInvitationEmail } = require('../utils/accountEmails');
+
+const router = express.Router();
+
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS || '7', 10);
+
+// Fresh expiry for a new or resent invitation, with a token hash that no link matches
+// yet: the emailed link gets its own token when the email is sent (see accountEmails)
+const newInvitationToken = () => ({
+  tokenHash: hashToken(crypto.randomBytes(32).toString('hex')),
+  expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+});
+
+const pendingWhere = () => ({
+  acceptedAt: null,
+  revokedAt: null,
+  expiresAt: { [Op.gt]: new Date() }
+});
+
+// Inviters manage their own invitations; invitation:manage:any covers everyone's
+const canManage = async (user, invitation) => {
+  return invitation.invitedById === user.id || hasPermission(user, 'invitation:manage:any');
+};
+
+// @route   POST /api/invitations/preview
+// @desc    Look up a pending invitation by its token (for the accept form)
+// @access  Public (requires an invitation token)
+router.post('/preview', [
+  body('token').isString().notEmpty().withMessage('Token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const invitation = await Invitation.findOne({
+      where: { tokenHash: hashToken(req.body.token), ...pendingWhere() },
+      include: [{ model: User, as: 'invitedBy', attributes: ['id', 'name'] }]
+    });
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        invitation: {
+          email: invitation.email,
+          name: invitation.name,
+          role: invitation.role,
+          expiresAt: invitation.expiresAt,
+          invitedBy: invitation.invitedBy
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Preview invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/invitations/accept
+// @desc    Accept an invitation and create the account
+// @access  Public (requires an invitation token)
+router.post('/accept', [
+  body('token').isString().notEmpty().withMessage('Token is required'),
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const invitation = await Invitation.findOne({
+      where: { tokenHash: hashToken(req.body.token), ...pendingWhere() }
+    });
+
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    const name = req.body.name || invitation.name;
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name is required'
+      });
+    }
+
+    const existingUser = await User.findOne({ where: { email: invitation.email } });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already exists with this email'
+      });
+    }
+
+    const user = await sequelize.transaction(async (transaction) => {
+      // Goes through the model hooks so the password is hashed like any other account.
+      // The invite link reached this address, which verifies it.
+      const created = await User.create({
+        name,
+        email: invitation.email,
+        password: req.body.password,
+        role: invitation.role,
+        emailVerified: true,
+        emailVerifiedAt: new Date()
+      }, { transaction });
+
+      // Conditional update so an invitation cannot be accepted twice
+      const [accepted] = await Invitation.update(
+        { acceptedAt: new Date(), acceptedUserId: created.id },
+        { where: { id: invitation.id, ...pendingWhere() }, transaction }
+      );
+      if (!accepted) {
+        throw Object.assign(new Error('Invitation is invalid or has expired'), { status: 400 });
+      }
+
+      return created;
+    });
+
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation accepted successfully',
+      data: {
+        user,
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Remaining routes require permission to invite
+router.use(authenticate, requirePermission('invitation:create'));
+
+// @route   GET /api/invitations
+// @desc    List invitations (pending by default)
+// @access  Private (invitation:create)
+router.get('/', [
+  query('status').optional().isIn(['pending', 'accepted', 'revoked', 'expired', 'all']).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { status = 'pending' } = req.query;
+    const now = new Date();
+    const where = {};
+
+    if (!(await hasPermission(req.user, 'invitation:manage:any'))) {
+      where.invitedById = req.user.id;
+    }
+
+    if (status === 'pending') {
+      Object.assign(where, pendingWhere());
+    } else if (status === 'accepted') {
+      where.acceptedAt = { [Op.ne]: null };
+    } else if (status === 'revoked') {
+      where.revokedAt = { [Op.ne]: null };
+    } else if (status === 'expired') {
+      Object.assign(where, { acceptedAt: null, revokedAt: null, expiresAt: { [Op.lte]: now } });
+    }
+
+    const invitations = await Invitation.findAll({
+      where,
+      include: [
+        { model: User, as: 'invitedBy', attributes: ['id', 'name', 'email'] },
+        { model: User, as: 'acceptedUser', attributes: ['id', 'name', 'email'] }
+      ],
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: { invitations }
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/invitations
+// @desc    Invite a teammate by email with a pre-set role
+// @access  Private (invitation:create)
+router.post('/', [
+  body('email').isEmail().withMessage('Please provide a valid email'),
+  body('name').optional().trim(),
+  body('role').optional().isIn(['Admin', 'Manager', 'Sales Executive']).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { email, name } = req.body;
+    const role = req.body.role || 'Sales Executive';
+
+    // Granting Admin is reserved to those who may manage users anyway
+    if (role === 'Admin' && !(await hasPermission(req.user, 'user:manage'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only Admins can invite Admins'
+      });
+    }
+
+    const existingUser = await User.findOne({ where: { email } });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already exists with this email'
+      });
+    }
+
+    const existingInvitation = await Invitation.findOne({ where: { email, ...pendingWhere() } });
+    if (existingInvitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'A pending invitation already exists for this email'
+      });
+    }
+
+    const { tokenHash, expiresAt } = newInvitationToken();
+    const invitation = await Invitation.create({
+      email,
+      name: name || null,
+      role,
+      tokenHash,
+      expiresAt,
+      invitedById: req.user.id
+    });
+
+    const emailJob = await sendInvitationEmail(invitation);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation created; the email is queued',
+      data: {
+        invitation,
+        emailQueued: true,
+        emailJobId: emailJob.id
+      }
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/invitations/:id/resend
+// @desc    Resend an invitation with a new link and expiry
+// @access  Private (inviter, or invitation:manage:any)
+router.post('/:id/resend', async (req, res) => {
+  try {
+    const invitation = await Invitation.findByPk(req.params.id);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (!(await canManage(req.user, invitation))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (invitation.acceptedAt || invitation.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: `Invitation has already been ${invitation.getStatus()}`
+      });
+    }
+
+    // The previous link stops working once the token is replaced
+    const { tokenHash, expiresAt } = newInvitationToken();
+    await invitation.update({ tokenHash, expiresAt });
+
+    const emailJob = await sendInvitationEmail(invitation);
+
+    res.json({
+      success: true,
+      message: 'Invitation renewed; the email is queued',
+      data: {
+        invitation,
+        emailQueued: true,
+        emailJobId: emailJob.id
+      }
+    });
+  } catch (error) {
+    console.error('Resend invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/invitations/:id
+// @desc    Revoke a pending invitation
+// @access  Private (inviter, or invitation:manage:any)
+router.delete('/:id', async (req, res) => {
+  try {
+    const invitation = await Invitation.findByPk(req.params.id);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (!(await canManage(req.user, invitation))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (invitation.acceptedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation has already been accepted'
+      });
+    }
+
+    if (!invitation.revokedAt) {
+      await invitation.update({ revokedAt: new Date() });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
+
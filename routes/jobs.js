@@ -0,0 +1,135 @@
+const express = require('express');
+const { Job } = require('../models');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { parsePagination, findPage } = require('../utils/pagination');
+const { JOB_STATUSES, jobError, retryJob } = require('../utils/jobQueue');
+
+const router = express.Router();
+
+// All routes require permission to manage background jobs
+router.use(authenticate, requirePermission('job:manage'));
+
+// Newest first (see findPage)
+const JOB_SORT = {
+  key: 'id',
+  direction: 'DESC',
+  attribute: 'id',
+  value: job => job.id
+};
+
+const sendJobError = (res, error, label) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error'
+  });
+};
+
+const findJob = async (id) => {
+  const job = await Job.findByPk(id);
+  if (!job) {
+    throw jobError('Job not found', 404);
+  }
+  return job;
+};
+
+// @route   GET /api/jobs
+// @desc    List background jobs, newest first, with how many are in each status.
+//          Filters: `status` (pending, running, completed or dead) and `type`.
+//          Pages by `page` or by `cursor`.
+// @access  Private (job:manage)
+router.get('/', async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const pagination = parsePagination(req.query, { defaultLimit: 50 });
+
+    if (status && !JOB_STATUSES.includes(status)) {
+      throw jobError(`status must be one of: ${JOB_STATUSES.join(', ')}`);
+    }
+
+    const where = {};
+    if (status) {
+      where.status = status;
+    }
+    if (type) {
+      where.type = type;
+    }
+
+    const { rows: jobs, pagination: page } = await findPage(Job, { where, sort: JOB_SORT, pagination });
+
+    const counted = await Job.count({ where: type ? { type } : {}, group: ['status'] });
+    const counts = JOB_STATUSES.reduce((acc, jobStatus) => {
+      const row = counted.find(entry => entry.status === jobStatus);
+      acc[jobStatus] = row ? Number(row.count) : 0;
+      return acc;
+    }, {});
+
+    res.json({
+      success: true,
+      data: { jobs, counts, pagination: page }
+    });
+  } catch (error) {
+    sendJobError(res, error, 'Get jobs');
+  }
+});
+
+// @route   GET /api/jobs/:id
+// @desc    Get a job with its payload and last error
+// @access  Private (job:manage)
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await findJob(req.params.id);
+
+    res.json({
+      success: true,
+      data: { job }
+    });
+  } catch (error) {
+    sendJobError(res, error, 'Get job');
+  }
+});
+
+// @route   POST /api/jobs/:id/retry
+// @desc    Queue a dead job again with fresh attempts
+// @access  Private (job:manage)
+router.post('/:id/retry', async (req, res) => {
+  try {
+    const job = await retryJob(await findJob(req.params.id));
+
+    res.json({
+      success: true,
+      message: 'Job queued for retry',
+      data: { job }
+    });
+  } catch (error) {
+    sendJobError(res, error, 'Retry job');
+  }
+});
+
+// @route   DELETE /api/jobs/:id
+// @desc    Discard a dead job
+// @access  Private (job:manage)
+router.delete('/:id', async (req, res) => {
+  try {
+    const job = await findJob(req.params.id);
+    if (job.status !== 'dead') {
+      throw jobError('Only dead jobs can be deleted');
+    }
+    await job.destroy();
+
+    res.json({
+      success: true,
+      message: 'Job deleted successfully'
+    });
+  } catch (error) {
+    sendJobError(res, error, 'Delete job');
+  }
+});
+
+module.exports = router;
@@ -1,110 +1,559 @@
 const express = require('express');
+const multer = require('multer');
 const { body, validationResult } = require('express-validator');
 const { Op } = require('sequelize');
-const { Lead, User, Activity } = require('../models');
-const { authenticate, authorize } = require('../middleware/auth');
-const { emailTemplates, sendEmail } = require('../utils/email');
+const { sequelize } = require('../config/database');
+const { Lead, User, Activity, Task } = require('../models');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { emailTemplates } = require('../utils/email');
+const { notifyUser } = require('../utils/notifications');
+const { leadScopeWhere, leadAccessChecker, canAccessLead } = require('../utils/permissions');
+const { emitToLeadViewers } = require('../socket/socket');
+const { parseSpreadsheet, buildColumnMapping, validateRows } = require('../utils/leadImport');
+const { EXPORT_FORMATS, parseExportColumns, streamLeadExport } = require('../utils/leadExport');
+const { findDuplicateClusters, findLikelyDuplicates } = require('../utils/leadDuplicates');
+const {
+  getCustomFields,
+  validateCustomFieldValues,
+  mergeCustomFieldValues,
+  customFieldFilters,
+  customFieldSort
+} = require('../utils/customFields');
+const { resolveStage, resolveStageChange, getStagesById } = require('../utils/pipelines');
+const { LOSS_REASON_MAX_LENGTH, findStageViolations } = require('../utils/stageRules');
+const { searchCondition, searchRank, findSearchSnippets } = require('../utils/leadSearch');
+const { buildLeadFilter } = require('../utils/leadFilters');
+const { applySavedView } = require('../utils/savedViews');
+const { assignNewLead } = require('../utils/leadAssignment');
+const {
+  paginationError,
+  parseSortOrder,
+  parsePagination,
+  parseFields,
+  pickFields,
+  sortOrderClause,
+  findPage
+} = require('../utils/pagination');
 
 const router = express.Router();
 
+const IMPORT_MAX_FILE_MB = parseInt(process.env.IMPORT_MAX_FILE_MB || '5', 10);
+
+const TYPEAHEAD_DEFAULT_LIMIT = 8;
+const TYPEAHEAD_MAX_LIMIT = 20;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_FILE_MB * 1024 * 1024, files: 1 }
+});
+
+// Validates `customFields` against the Admin-defined fields and leaves the normalized
+// values ("12" -> 12, "yes" -> true) in req.body for the route to store. The sanitizer
+// does the replacing: express-validator puts back the value a custom validator saw.
+const customFieldsRule = ({ partial = false } = {}) => body('customFields')
+  .custom(async (value) => {
+    const { errors } = await validateCustomFieldValues(value, { partial });
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+    return true;
+  })
+  .customSanitizer(async (value) => {
+    if (value === undefined && partial) {
+      return value;
+    }
+    const { values, errors } = await validateCustomFieldValues(value, { partial });
+    return errors.length > 0 ? value : values;
+  });
+
+// Checks the stage a lead is put in: `stageId`, or `status` (a stage name) within
+// `pipelineId`. Without either pipeline the status is looked up in the lead's current
+// pipeline on update, the default one on create.
+const stageRules = ({ partial = false } = {}) => [
+  body('pipelineId').optional().isInt().withMessage('pipelineId must be a pipeline ID').toInt(),
+  body('stageId').optional().isInt().withMessage('stageId must be a stage ID').toInt(),
+  body('status').optional().isString().withMessage('status must be a stage name'),
+  body('status').custom(async (status, { req }) => {
+    const { stageId } = req.body;
+    let { pipelineId } = req.body;
+    if (status === undefined && !pipelineId && !stageId) {
+      return true;
+    }
+    if (partial && !pipelineId && !stageId) {
+      const lead = await Lead.findByPk(req.params.id, { attributes: ['pipelineId'] });
+      // A missing lead is answered with a 404 by the route
+      if (!lead) return true;
+      pipelineId = lead.pipelineId;
+    }
+    await resolveStage({ pipelineId, stageId, status }, { fallback: status === undefined });
+    return true;
+  })
+];
+
+// Rules for a new lead, shared by the create route and every imported row
+const createLeadRules = [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('email').isEmail().withMessage('Please provide a valid email'),
+  ...stageRules(),
+  body('estimatedValue').optional().isFloat({ min: 0 }),
+  body(['score', 'scoreBreakdown', 'scoredAt']).not().exists().withMessage('Lead scores come from the scoring rules'),
+  body('tags').optional().isArray().withMessage('Tags must be a list'),
+  body('tags.*').isString().trim().notEmpty().isLength({ max: 50 }).withMessage('Tags must be text of up to 50 characters'),
+  customFieldsRule()
+];
+
+const BULK_MAX_LEADS = 1000;
+
+// Lead attributes the list sorts on, besides `cf.<key>` and `relevance`
+const LEAD_SORT_FIELDS = ['createdAt', 'updatedAt', 'name', 'email', 'company', 'status', 'source', 'estimatedValue', 'score', 'id'];
+const NULLABLE_SORT_FIELDS = ['company', 'source', 'estimatedValue'];
+
+// What `fields` can pick for each lead in the list
+const LEAD_LIST_FIELDS = [
+  ...Object.keys(Lead.rawAttributes).filter(attribute => attribute !== 'searchVector'),
+  'assignedTo',
+  'createdBy',
+  'searchSnippet'
+];
+
+// A bulk request targets either `ids` or every lead matching `filter` (the list filters)
+const bulkTargetRules = [
+  body('ids').optional().isArray({ min: 1, max: BULK_MAX_LEADS }).withMessage(`ids must list 1 to ${BULK_MAX_LEADS} lead IDs`),
+  body('ids.*').isInt().withMessage('ids must be lead IDs').toInt(),
+  body('filter').optional().isObject().withMessage('filter must be an object of list filters'),
+  body().custom((value) => {
+    if (!value.ids === !value.filter) {
+      throw new Error('Provide either ids or filter');
+    }
+    return true;
+  })
+];
+
+// Fields whose surviving value can be picked when merging leads
+const MERGEABLE_FIELDS = ['name', 'email', 'phone', 'company', 'status', 'source', 'estimatedValue', 'notes', 'assignedToId', 'tags'];
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const lossReasonRule = body('lossReason').optional().isString().trim()
+  .isLength({ max: LOSS_REASON_MAX_LENGTH }).withMessage(`lossReason must be text of up to ${LOSS_REASON_MAX_LENGTH} characters`);
+
+// Names and activity metadata for a move between two stages (from getStagesById). The
+// pipeline is named too when the lead changed pipeline; a loss reason is kept with it.
+const describeStageChange = (oldStage, newStage, lossReason) => {
+  const pipelineChanged = oldStage && oldStage.pipelineId !== newStage.pipelineId;
+  const label = stage => (pipelineChanged ? `${stage.pipeline.name}: ${stage.name}` : stage.name);
+
+  return {
+    from: oldStage ? label(oldStage) : 'None',
+    to: label(newStage),
+    metadata: {
+      oldStatus: oldStage ? oldStage.name : null,
+      newStatus: newStage.name,
+      oldStageId: oldStage ? oldStage.id : null,
+      newStageId: newStage.id,
+      oldPipelineId: oldStage ? oldStage.pipelineId : null,
+      newPipelineId: newStage.pipelineId,
+      outcome: newStage.outcome,
+      ...(lossReason && { lossReason })
+    }
+  };
+};
+
+// Where clause for the lead list filters, limited to the leads the user may see.
+// Null when the user may not list leads at all.
+const buildLeadListWhere = async (user, query = {}) => {
+  const { status, pipelineId, stageId, assignedToId, search, tag } = query;
+  const where = {};
+  const conditions = [];
+
+  // Restrict to the leads the user's permissions cover
+  const scopeWhere = await leadScopeWhere(user);
+  if (!scopeWhere) {
+    return null;
+  }
+  conditions.push(scopeWhere);
+
+  // Status (stage name), pipeline and stage filters
+  if (status) {
+    conditions.push({ status });
+  }
+  if (pipelineId) {
+    conditions.push({ pipelineId: parseInt(pipelineId) });
+  }
+  if (stageId) {
+    conditions.push({ stageId: parseInt(stageId) });
+  }
+
+  // Assigned to filter
+  if (assignedToId) {
+    conditions.push({ assignedToId: parseInt(assignedToId) });
+  }
+
+  // Tag filter
+  if (tag) {
+    conditions.push({ tags: { [Op.contains]: [tag] } });
+  }
+
+  // Full-text search over the lead's fields and its activities
+  const searchWhere = searchCondition(search);
+  if (searchWhere) {
+    conditions.push(searchWhere);
+  }
+
+  // Custom field filters (`cf.<key>`)
+  conditions.push(...await customFieldFilters(query));
+
+  // Structured filter: and/or groups of field conditions
+  if (query.filters) {
+    conditions.push(await buildLeadFilter(query.filters, user));
+  }
+
+  // Combine all conditions with AND
+  if (conditions.length > 0) {
+    if (conditions.length === 1) {
+      Object.assign(where, conditions[0]);
+    } else {
+      where[Op.and] = conditions;
+    }
+  }
+
+  return where;
+};
+
+// Sort for the list sort parameters (see findPage): one of LEAD_SORT_FIELDS, a custom
+// field (`cf.<key>`), or `relevance` (the default when searching) for the best matches
+// for `search` first
+const resolveLeadSort = async (sortBy, sortOrder, search) => {
+  const searching = Boolean(searchCondition(search));
+  const key = sortBy || (searching ? 'relevance' : 'createdAt');
+  const direction = parseSortOrder(sortOrder);
+
+  if (key === 'relevance' && searching) {
+    // Ranks are floats computed per query; page through them by position
+    return { key, direction: 'DESC', expression: searchRank(search), keyset: false };
+  }
+  if (key === 'relevance') {
+    return { key: 'createdAt', direction: 'DESC', attribute: 'createdAt', value: lead => lead.createdAt };
+  }
+  if (String(key).startsWith('cf.')) {
+    return { key, direction, ...await customFieldSort(key.slice(3)) };
+  }
+  if (!LEAD_SORT_FIELDS.includes(key)) {
+    throw paginationError(`sortBy must be one of: ${[...LEAD_SORT_FIELDS, 'relevance'].join(', ')} or cf.<key>`);
+  }
+  return {
+    key,
+    direction,
+    attribute: key,
+    nullable: NULLABLE_SORT_FIELDS.includes(key),
+    value: lead => lead.get(key)
+  };
+};
+
+const buildLeadOrder = async (sortBy, sortOrder, search) => sortOrderClause(await resolveLeadSort(sortBy, sortOrder, search));
+
+// Lead columns to load for the `fields` a list asked for, plus what sorting needs
+const leadListAttributes = (fields, sort) => {
+  if (!fields) {
+    return undefined;
+  }
+  const attributes = new Set(['id', ...fields.filter(field => field in Lead.rawAttributes)]);
+  if (sort.attribute) attributes.add(sort.attribute);
+  if (sort.key.startsWith('cf.')) attributes.add('customFields');
+  return [...attributes];
+};
+
+const leadListInclude = fields => ['assignedTo', 'createdBy']
+  .filter(as => !fields || fields.includes(as))
+  .map(as => ({ model: User, as, attributes: ['id', 'name', 'email'] }));
+
+// Error carrying the HTTP status the bulk routes should answer with
+const bulkError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Leads a bulk request targets, split into those the user may update and per-item
+// failures (missing or not permitted)
+const resolveBulkTargets = async (req) => {
+  const { ids, filter } = req.body;
+  const results = [];
+  let leads;
+
+  if (ids) {
+    const uniqueIds = [...new Set(ids)];
+    leads = await Lead.findAll({ where: { id: uniqueIds }, order: [['id', 'ASC']] });
+    const foundIds = new Set(leads.map(lead => lead.id));
+    uniqueIds
+      .filter(id => !foundIds.has(id))
+      .forEach(id => results.push({ id, success: false, message: 'Lead not found' }));
+  } else {
+    const where = await buildLeadListWhere(req.user, await applySavedView(req.user, filter));
+    if (!where) {
+      throw bulkError('Access denied', 403);
+    }
+    leads = await Lead.findAll({ where, order: [['id', 'ASC']], limit: BULK_MAX_LEADS + 1 });
+    if (leads.length > BULK_MAX_LEADS) {
+      throw bulkError(`The filter matches more than ${BULK_MAX_LEADS} leads; narrow it down`);
+    }
+  }
+
+  const canUpdate = await leadAccessChecker(req.user, 'update');
+  const permitted = [];
+  for (const lead of leads) {
+    if (canUpdate(lead)) {
+      permitted.push(lead);
+    } else {
+      results.push({ id: lead.id, success: false, message: 'Access denied' });
+    }
+  }
+
+  return { permitted, results };
+};
+
+const sendBulkResults = (res, message, results) => {
+  results.sort((a, b) => a.id - b.id);
+  const succeeded = results.filter(result => result.success).length;
+
+  res.json({
+    success: true,
+    message,
+    data: {
+      summary: {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded
+      },
+      results
+    }
+  });
+};
+
+const handleBulkError = (res, error, label) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error'
+  });
+};
+
+// Leads with their users, as the single-lead socket events send them
+const findLeadsForEvents = (ids) => Lead.findAll({
+  where: { id: ids },
+  include: [
+    { model: User, as: 'assignedTo', attributes: ['id', 'name', 'email'] },
+    { model: User, as: 'createdBy', attributes: ['id', 'name', 'email'] }
+  ]
+});
+
 // All routes require authentication
 router.use(authenticate);
 
 // @route   GET /api/leads
-// @desc    Get all leads with filters and pagination
+// @desc    Get all leads with filters and pagination. `filters` takes and/or groups of
+//          field conditions; `view` applies a saved view. With `search`, each lead carries
+//          a highlighted `searchSnippet` and the best matches come first. Pages by `page`
+//          or by the `cursor` of the previous page; `fields` trims each lead.
 // @access  Private
 router.get('/', async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 10,
-      status,
-      assignedToId,
-      search,
-      sortBy = 'createdAt',
-      sortOrder = 'DESC'
-    } = req.query;
-
-    const where = {};
-    const userRole = req.user.role;
-    const conditions = [];
-
-    // Role-based filtering for Sales Executive
-    if (userRole === 'Sales Executive') {
-      conditions.push({
-        [Op.or]: [
-          { assignedToId: req.user.id },
-          { createdById: req.user.id }
-        ]
-      });
-    }
-    // Managers and Admins can see all leads
-
-    // Status filter
-    if (status) {
-      conditions.push({ status });
-    }
-
-    // Assigned to filter
-    if (assignedToId) {
-      conditions.push({ assignedToId: parseInt(assignedToId) });
-    }
-
-    // Search functionality
-    if (search) {
-      conditions.push({
-        [Op.or]: [
-          { name: { [Op.iLike]: `%${search}%` } },
-          { email: { [Op.iLike]: `%${search}%` } },
-          { company: { [Op.iLike]: `%${search}%` } }
-        ]
-      });
-    }
-
-    // Combine all conditions with AND
-    if (conditions.length > 0) {
-      if (conditions.length === 1) {
-        Object.assign(where, conditions[0]);
-      } else {
-        where[Op.and] = conditions;
+    const query = await applySavedView(req.user, req.query);
+    const { sortBy, sortOrder, search } = query;
+    const pagination = parsePagination(query, { defaultLimit: 10 });
+    const fields = parseFields(query.fields, LEAD_LIST_FIELDS);
+    const sort = await resolveLeadSort(sortBy, sortOrder, search);
+
+    const where = await buildLeadListWhere(req.user, query);
+    if (!where) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const { rows: leads, pagination: page } = await findPage(Lead, {
+      where,
+      include: leadListInclude(fields),
+      attributes: leadListAttributes(fields, sort),
+      sort,
+      pagination
+    });
+
+    const snippets = !fields || fields.includes('searchSnippet')
+      ? await findSearchSnippets(leads.map(lead => lead.id), search)
+      : new Map();
+
+    res.json({
+      success: true,
+      data: {
+        leads: leads.map((lead) => {
+          const values = lead.toJSON();
+          if (snippets.size > 0) {
+            values.searchSnippet = snippets.get(lead.id) || null;
+          }
+          return pickFields(values, fields);
+        }),
+        pagination: page
       }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Get leads error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/leads/export
+// @desc    Download the leads matching the list filters (status, assignedToId, search,
+//          filters, view, sortBy, sortOrder) as CSV, XLSX or JSON. `columns` picks the columns.
+// @access  Private
+router.get('/export', async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`
+      });
     }
 
-    const offset = (parseInt(page) - 1) * parseInt(limit);
+    const columns = parseExportColumns(req.query.columns, await getCustomFields());
+    const query = await applySavedView(req.user, req.query);
+    const { sortBy, sortOrder, search } = query;
 
-    const { count, rows: leads } = await Lead.findAndCountAll({
+    const where = await buildLeadListWhere(req.user, query);
+    if (!where) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    await streamLeadExport(res, {
+      format,
+      columns,
       where,
-      include: [
-        {
-          model: User,
-          as: 'assignedTo',
-          attributes: ['id', 'name', 'email']
-        },
-        {
-          model: User,
-          as: 'createdBy',
-          attributes: ['id', 'name', 'email']
-        }
-      ],
-      order: [[sortBy, sortOrder]],
-      limit: parseInt(limit),
-      offset
+      order: await buildLeadOrder(sortBy, sortOrder, search)
     });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Export leads error:', error);
+    // Part of the file has gone out already; cut the download short
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/leads/typeahead
+// @desc    Quick lookup for search boxes: the best few leads whose words start with
+//          the words of `q`, with just enough to display them
+// @access  Private
+router.get('/typeahead', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || TYPEAHEAD_DEFAULT_LIMIT, 1), TYPEAHEAD_MAX_LIMIT);
+
+    const scopeWhere = await leadScopeWhere(req.user);
+    if (!scopeWhere) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const searchWhere = searchCondition(req.query.q);
+    if (!searchWhere) {
+      return res.json({
+        success: true,
+        data: { leads: [] }
+      });
+    }
+
+    const leads = await Lead.findAll({
+      where: { [Op.and]: [scopeWhere, searchWhere] },
+      attributes: ['id', 'name', 'email', 'company', 'status'],
+      order: await buildLeadOrder('relevance', 'DESC', req.query.q),
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: { leads }
+    });
+  } catch (error) {
+    console.error('Lead typeahead error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/leads/duplicates
+// @desc    Clusters of leads that look like the same prospect: same normalized email or
+//          phone, or a similar name at a similar company
+// @access  Private
+router.get('/duplicates', async (req, res) => {
+  try {
+    // Clusters are built in memory, so they page by number only
+    const { page, limit } = parsePagination({ page: req.query.page, limit: req.query.limit }, { defaultLimit: 20 });
+
+    const scopeWhere = await leadScopeWhere(req.user);
+    if (!scopeWhere) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const { clusters, truncated } = await findDuplicateClusters(scopeWhere);
+    const offset = (page - 1) * limit;
 
     res.json({
       success: true,
       data: {
-        leads,
+        clusters: clusters.slice(offset, offset + limit),
+        truncated,
         pagination: {
-          total: count,
-          page: parseInt(page),
-          limit: parseInt(limit),
-          pages: Math.ceil(count / parseInt(limit))
+          total: clusters.length,
+          page,
+          limit,
+          pages: Math.ceil(clusters.length / limit)
         }
       }
     });
   } catch (error) {
-    console.error('Get leads error:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Find duplicate leads error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -152,10 +601,7 @@ router.get('/:id', async (req, res) => {
     }
 
     // Check permissions
-    const userRole = req.user.role;
-    if (userRole === 'Sales Executive' && 
-        lead.assignedToId !== req.user.id && 
-        lead.createdById !== req.user.id) {
+    if (!(await canAccessLead(req.user, lead, 'read'))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -176,14 +622,10 @@ router.get('/:id', async (req, res) => {
 });
 
 // @route   POST /api/leads
-// @desc    Create a new lead
-// @access  Private
-router.post('/', [
-  body('name').trim().notEmpty().withMessage('Name is required'),
-  body('email').isEmail().withMessage('Please provide a valid email'),
-  body('status').optional().isIn(['New', 'Contacted', 'Qualified', 'Proposal', 'Negotiation', 'Won', 'Lost']),
-  body('estimatedValue').optional().isFloat({ min: 0 })
-], async (req, res) => {
+// @desc    Create a new lead. Without `assignedToId` the assignment rules pick the
+//          assignee, or the lead goes to its creator when none applies.
+// @access  Private (lead:create)
+router.post('/', requirePermission('lead:create'), createLeadRules, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -197,18 +639,25 @@ router.post('/', [
     const leadData = {
       ...req.body,
       createdById: req.user.id,
-      assignedToId: req.body.assignedToId || req.user.id
+      assignedToId: req.body.assignedToId || null
     };
 
-    const lead = await Lead.create(leadData);
+    const lead = await sequelize.transaction(async (transaction) => {
+      const createdLead = await Lead.create(leadData, { transaction });
 
-    // Create activity for lead creation
-    await Activity.create({
-      type: 'Note',
-      title: 'Lead Created',
-      description: `Lead "${lead.name}" was created`,
-      leadId: lead.id,
-      userId: req.user.id
+      // Create activity for lead creation
+      await Activity.create({
+        type: 'Note',
+        title: 'Lead Created',
+        description: `Lead "${createdLead.name}" was created`,
+        leadId: createdLead.id,
+        userId: req.user.id
+      }, { transaction });
+
+      if (!leadData.assignedToId) {
+        await assignNewLead(createdLead, req.user, transaction);
+      }
+      return createdLead;
     });
 
     // Load relationships
@@ -219,27 +668,43 @@ router.post('/', [
       ]
     });
 
-    // Send email notification if assigned to someone else
+    // Warn (but do not refuse) when the lead looks like one the user can already see
+    const duplicateScope = await leadScopeWhere(req.user);
+    const possibleDuplicates = duplicateScope
+      ? await findLikelyDuplicates(lead, { excludeId: lead.id, scopeWhere: duplicateScope })
+      : [];
+
+    // Notify the assignee if it is someone else
     if (lead.assignedToId && lead.assignedToId !== req.user.id) {
       const assignedUser = await User.findByPk(lead.assignedToId);
-      if (assignedUser && assignedUser.email) {
-        const emailData = emailTemplates.leadAssigned(lead.name, assignedUser.name, lead.id);
-        await sendEmail(assignedUser.email, emailData.subject, emailData.html);
+      if (assignedUser) {
+        await notifyUser(req.app.get('io'), assignedUser, {
+          type: 'leadAssigned',
+          title: `${lead.name} was assigned to you`,
+          body: `Created by ${req.user.name}`,
+          leadId: lead.id,
+          email: emailTemplates.leadAssigned(lead.name, assignedUser.name, lead.id)
+        });
       }
     }
 
     // Emit socket event
-    const io = req.app.get('io');
-    if (io) {
-      io.emit('lead:created', { lead });
-    }
+    await emitToLeadViewers(req.app.get('io'), [lead.assignedToId, lead.createdById], 'lead:created', { lead });
 
     res.status(201).json({
       success: true,
-      message: 'Lead created successfully',
-      data: { lead }
+      message: possibleDuplicates.length > 0
+        ? 'Lead created successfully, but it may duplicate an existing lead'
+        : 'Lead created successfully',
+      data: { lead, possibleDuplicates }
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Create lead error:', error);
     res.status(500).json({
       success: false,
@@ -248,13 +713,135 @@ router.post('/', [
   }
 });
 
+// Upload errors (e.g. a file over the size limit) are answered as 400s
+const uploadImportFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE' ? `File is larger than ${IMPORT_MAX_FILE_MB} MB` : error.message
+      });
+    }
+    next();
+  });
+};
+
+// @route   POST /api/leads/import
+// @desc    Import leads from a CSV or XLSX file (multipart field `file`). Optional fields:
+//          `mapping` (JSON, column header -> lead field) and `dryRun` ("true" saves nothing).
+//          Rows without an assignee are assigned like created leads.
+// @access  Private (lead:create)
+router.post('/import', requirePermission('lead:create'), uploadImportFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'File is required'
+      });
+    }
+
+    let mapping = {};
+    if (req.body.mapping) {
+      try {
+        mapping = JSON.parse(req.body.mapping);
+      } catch (error) {
+        mapping = null;
+      }
+      if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return res.status(400).json({
+          success: false,
+          message: 'mapping must be a JSON object of column header to lead field'
+        });
+      }
+    }
+
+    const dryRun = req.body.dryRun === 'true';
+
+    const { headers, rows } = await parseSpreadsheet(req.file);
+    const columns = buildColumnMapping(headers, mapping, await getCustomFields());
+    const report = await validateRows(rows, columns, createLeadRules, await leadScopeWhere(req.user));
+    const validRows = report.filter(entry => entry.status === 'valid');
+
+    // Valid rows are saved together, each with the activity the create route writes
+    if (!dryRun && validRows.length > 0) {
+      const leads = await sequelize.transaction(async (transaction) => {
+        const createdLeads = await Lead.bulkCreate(validRows.map(entry => ({
+          ...entry.data,
+          createdById: req.user.id,
+          assignedToId: entry.data.assignedToId || null
+        })), { transaction, validate: true });
+
+        await Activity.bulkCreate(createdLeads.map(lead => ({
+          type: 'Note',
+          title: 'Lead Created',
+          description: `Lead "${lead.name}" was created`,
+          leadId: lead.id,
+          userId: req.user.id
+        })), { transaction });
+
+        // One at a time, so round-robin and load balancing see the leads assigned before
+        for (const lead of createdLeads.filter(createdLead => !createdLead.assignedToId)) {
+          await assignNewLead(lead, req.user, transaction);
+        }
+
+        createdLeads.forEach((lead, index) => {
+          validRows[index].status = 'imported';
+          validRows[index].leadId = lead.id;
+        });
+        return createdLeads;
+      });
+
+      const ownerIds = [req.user.id, ...leads.map(lead => lead.assignedToId)];
+      await emitToLeadViewers(req.app.get('io'), ownerIds, 'leads:imported', {
+        count: validRows.length,
+        importedById: req.user.id
+      });
+    }
+
+    const countByStatus = (status) => report.filter(entry => entry.status === status).length;
+
+    res.json({
+      success: true,
+      message: dryRun ? 'Dry run complete, nothing was imported' : `${countByStatus('imported')} lead(s) imported`,
+      data: {
+        dryRun,
+        summary: {
+          totalRows: report.length,
+          valid: dryRun ? countByStatus('valid') : countByStatus('imported'),
+          invalid: countByStatus('invalid'),
+          duplicates: countByStatus('duplicate'),
+          imported: countByStatus('imported')
+        },
+        rows: report
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Import leads error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   PUT /api/leads/:id
 // @desc    Update a lead
 // @access  Private
 router.put('/:id', [
   body('email').optional().isEmail().withMessage('Please provide a valid email'),
-  body('status').optional().isIn(['New', 'Contacted', 'Qualified', 'Proposal', 'Negotiation', 'Won', 'Lost']),
-  body('estimatedValue').optional().isFloat({ min: 0 })
+  ...stageRules({ partial: true }),
+  lossReasonRule,
+  body('estimatedValue').optional().isFloat({ min: 0 }),
+  body(['score', 'scoreBreakdown', 'scoredAt']).not().exists().withMessage('Lead scores come from the scoring rules'),
+  body('tags').optional().isArray().withMessage('Tags must be a list'),
+  body('tags.*').isString().trim().notEmpty().isLength({ max: 50 }).withMessage('Tags must be text of up to 50 characters'),
+  customFieldsRule({ partial: true })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -275,21 +862,41 @@ router.put('/:id', [
     }
 
     // Check permissions
-    const userRole = req.user.role;
-    if (userRole === 'Sales Executive' && 
-        lead.assignedToId !== req.user.id && 
-        lead.createdById !== req.user.id) {
+    if (!(await canAccessLead(req.user, lead, 'update'))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
 
-    const oldStatus = lead.status;
+    const oldStageId = lead.stageId;
     const oldAssignedToId = lead.assignedToId;
 
-    // Update lead
-    await lead.update(req.body);
+    // Custom fields not mentioned keep their values
+    const { lossReason, ...updates } = req.body;
+    if (updates.customFields) {
+      updates.customFields = mergeCustomFieldValues(lead.customFields, updates.customFields);
+    }
+
+    // A stage change must follow the stage rules, judged on the lead as updated
+    const newStage = await resolveStageChange(lead, updates);
+    if (newStage) {
+      const violations = await findStageViolations({
+        fromStage: (await getStagesById()).get(lead.stageId),
+        toStage: newStage,
+        values: { ...lead.get({ plain: true }), ...updates },
+        lossReason
+      });
+      if (violations.length > 0) {
+        return res.status(422).json({
+          success: false,
+          message: `The lead cannot move to "${newStage.name}"`,
+          errors: violations
+        });
+      }
+    }
+
+    await lead.update(updates);
     await lead.reload({
       include: [
         { model: User, as: 'assignedTo', attributes: ['id', 'name', 'email'] },
@@ -297,23 +904,31 @@ router.put('/:id', [
       ]
     });
 
-    // Create activity for status change
-    if (req.body.status && req.body.status !== oldStatus) {
+    // Create activity for stage change
+    if (lead.stageId !== oldStageId) {
+      const stagesById = await getStagesById();
+      const change = describeStageChange(stagesById.get(oldStageId), stagesById.get(lead.stageId), lossReason);
       await Activity.create({
         type: 'Status Change',
         title: 'Status Changed',
-        description: `Status changed from "${oldStatus}" to "${req.body.status}"`,
+        description: `Status changed from "${change.from}" to "${change.to}"`,
         leadId: lead.id,
         userId: req.user.id,
-        metadata: { oldStatus, newStatus: req.body.status }
+        metadata: change.metadata
       });
 
-      // Send email notification
-      if (lead.assignedToId) {
+      // Notify the assignee if it is someone else
+      if (lead.assignedToId && lead.assignedToId !== req.user.id) {
         const assignedUser = await User.findByPk(lead.assignedToId);
-        if (assignedUser && assignedUser.email) {
-          const emailData = emailTemplates.leadStatusChanged(lead.name, oldStatus, req.body.status, lead.id);
-          await sendEmail(assignedUser.email, emailData.subject, emailData.html);
+        if (assignedUser) {
+          await notifyUser(req.app.get('io'), assignedUser, {
+            type: 'statusChanged',
+            title: `${lead.name} moved to ${change.to}`,
+            body: `Status changed from "${change.from}" to "${change.to}" by ${req.user.name}`,
+            leadId: lead.id,
+            data: { from: change.from, to: change.to },
+            email: emailTemplates.leadStatusChanged(lead.name, change.from, change.to, lead.id)
+          });
         }
       }
     }
@@ -328,21 +943,23 @@ router.put('/:id', [
         userId: req.user.id
       });
 
-      // Send email notification
-      if (lead.assignedToId) {
+      // Notify the new assignee if it is someone else
+      if (lead.assignedToId && lead.assignedToId !== req.user.id) {
         const assignedUser = await User.findByPk(lead.assignedToId);
-        if (assignedUser && assignedUser.email) {
-          const emailData = emailTemplates.leadAssigned(lead.name, assignedUser.name, lead.id);
-          await sendEmail(assignedUser.email, emailData.subject, emailData.html);
+        if (assignedUser) {
+          await notifyUser(req.app.get('io'), assignedUser, {
+            type: 'leadAssigned',
+            title: `${lead.name} was assigned to you`,
+            body: `Reassigned by ${req.user.name}`,
+            leadId: lead.id,
+            email: emailTemplates.leadAssigned(lead.name, assignedUser.name, lead.id)
+          });
         }
       }
     }
 
-    // Emit socket event
-    const io = req.app.get('io');
-    if (io) {
-      io.emit('lead:updated', { lead });
-    }
+    // Emit socket event (the previous assignee learns the lead left them)
+    await emitToLeadViewers(req.app.get('io'), [lead.assignedToId, lead.createdById, oldAssignedToId], 'lead:updated', { lead });
 
     res.json({
       success: true,
@@ -350,6 +967,12 @@ router.put('/:id', [
       data: { lead }
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Update lead error:', error);
     res.status(500).json({
       success: false,
@@ -358,10 +981,445 @@ router.put('/:id', [
   }
 });
 
+// @route   POST /api/leads/bulk/reassign
+// @desc    Reassign many leads (by `ids` or `filter`) to `assignedToId`
+// @access  Private (update access to each lead)
+router.post('/bulk/reassign', [
+  ...bulkTargetRules,
+  body('assignedToId').isInt().withMessage('assignedToId must be a user ID').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const assignee = await User.findOne({ where: { id: req.body.assignedToId, isActive: true } });
+    if (!assignee) {
+      return res.status(400).json({
+        success: false,
+        message: 'Leads can only be assigned to an active user'
+      });
+    }
+
+    const { permitted, results } = await resolveBulkTargets(req);
+    const changed = permitted.filter(lead => lead.assignedToId !== assignee.id);
+    const changedIds = changed.map(lead => lead.id);
+
+    if (changed.length > 0) {
+      await sequelize.transaction(async (transaction) => {
+        await Lead.update({ assignedToId: assignee.id }, { where: { id: changedIds }, transaction });
+        await Activity.bulkCreate(changed.map(lead => ({
+          type: 'Note',
+          title: 'Lead Reassigned',
+          description: `Lead reassigned to ${assignee.name}`,
+          leadId: lead.id,
+          userId: req.user.id
+        })), { transaction });
+      });
+    }
+
+    permitted.forEach(lead => results.push({ id: lead.id, success: true, changed: changedIds.includes(lead.id) }));
+
+    // One notification for the whole batch
+    if (changed.length > 0 && assignee.id !== req.user.id) {
+      await notifyUser(req.app.get('io'), assignee, changed.length === 1
+        ? {
+          type: 'leadAssigned',
+          title: `${changed[0].name} was assigned to you`,
+          body: `Reassigned by ${req.user.name}`,
+          leadId: changed[0].id,
+          email: emailTemplates.leadAssigned(changed[0].name, assignee.name, changed[0].id)
+        }
+        : {
+          type: 'leadAssigned',
+          title: `${changed.length} leads were assigned to you`,
+          body: `Reassigned by ${req.user.name}`,
+          data: { leadIds: changedIds },
+          email: emailTemplates.leadsAssigned(assignee.name, changed)
+        });
+    }
+
+    // Emit socket events (previous assignees learn the leads left them)
+    const previousAssigneeIds = new Map(changed.map(lead => [lead.id, lead.assignedToId]));
+    for (const lead of await findLeadsForEvents(changedIds)) {
+      await emitToLeadViewers(req.app.get('io'), [lead.assignedToId, lead.createdById, previousAssigneeIds.get(lead.id)], 'lead:updated', { lead });
+    }
+
+    sendBulkResults(res, `${changed.length} lead(s) reassigned`, results);
+  } catch (error) {
+    handleBulkError(res, error, 'Bulk reassign leads');
+  }
+});
+
+// @route   POST /api/leads/bulk/status
+// @desc    Move many leads (by `ids` or `filter`) to `stageId`, or to the stage named
+//          `status` in each lead's own pipeline
+// @access  Private (update access to each lead)
+router.post('/bulk/status', [
+  ...bulkTargetRules,
+  body('status').optional().isString().trim().notEmpty().withMessage('status must be a stage name'),
+  body('stageId').optional().isInt().withMessage('stageId must be a stage ID').toInt(),
+  lossReasonRule,
+  body().custom((value) => {
+    if (!value.status === !value.stageId) {
+      throw new Error('Provide either status or stageId');
+    }
+    return true;
+  })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { status, stageId, lossReason } = req.body;
+    const targetStage = stageId ? await resolveStage({ stageId }) : null;
+    const { permitted, results } = await resolveBulkTargets(req);
+    const stagesById = await getStagesById();
+
+    // The stage each lead moves to; a lead whose pipeline lacks the named stage, or that
+    // would break the stage rules, fails
+    const moves = [];
+    for (const lead of permitted) {
+      let stage;
+      try {
+        stage = stagesById.get((targetStage || await resolveStage({ pipelineId: lead.pipelineId, status })).id);
+      } catch (error) {
+        if (!error.status) throw error;
+        results.push({ id: lead.id, success: false, message: error.message });
+        continue;
+      }
+
+      const violations = stage.id === lead.stageId ? [] : await findStageViolations({
+        fromStage: stagesById.get(lead.stageId),
+        toStage: stage,
+        values: lead.get({ plain: true }),
+        lossReason
+      });
+      if (violations.length > 0) {
+        results.push({
+          id: lead.id,
+          success: false,
+          message: violations.map(violation => violation.message).join('; '),
+          errors: violations
+        });
+        continue;
+      }
+
+      moves.push({ lead, stage });
+    }
+
+    const changed = moves.filter(({ lead, stage }) => lead.stageId !== stage.id);
+    const changedIds = changed.map(({ lead }) => lead.id);
+    const changes = new Map(changed.map(({ lead, stage }) => [lead.id, describeStageChange(stagesById.get(lead.stageId), stage, lossReason)]));
+
+    if (changed.length > 0) {
+      await sequelize.transaction(async (transaction) => {
+        for (const stage of new Set(changed.map(move => move.stage))) {
+          await Lead.update(
+            { pipelineId: stage.pipelineId, stageId: stage.id, status: stage.name },
+            { where: { id: changed.filter(move => move.stage === stage).map(({ lead }) => lead.id) }, transaction }
+          );
+        }
+        await Activity.bulkCreate(changed.map(({ lead }) => ({
+          type: 'Status Change',
+          title: 'Status Changed',
+          description: `Status changed from "${changes.get(lead.id).from}" to "${changes.get(lead.id).to}"`,
+          leadId: lead.id,
+          userId: req.user.id,
+          metadata: changes.get(lead.id).metadata
+        })), { transaction });
+      });
+    }
+
+    moves.forEach(({ lead }) => results.push({ id: lead.id, success: true, changed: changedIds.includes(lead.id) }));
+
+    // One notification per assignee, listing all of their leads that changed
+    const newStatus = targetStage ? targetStage.name : status;
+    const changedByAssignee = new Map();
+    changed.filter(({ lead }) => lead.assignedToId && lead.assignedToId !== req.user.id).forEach(({ lead }) => {
+      if (!changedByAssignee.has(lead.assignedToId)) changedByAssignee.set(lead.assignedToId, []);
+      changedByAssignee.get(lead.assignedToId).push({ id: lead.id, name: lead.name, oldStatus: changes.get(lead.id).from });
+    });
+    const assignees = await User.findAll({ where: { id: [...changedByAssignee.keys()] } });
+    for (const assignee of assignees) {
+      const leads = changedByAssignee.get(assignee.id);
+      const { from, to } = changes.get(leads[0].id);
+      await notifyUser(req.app.get('io'), assignee, leads.length === 1
+        ? {
+          type: 'statusChanged',
+          title: `${leads[0].name} moved to ${to}`,
+          body: `Status changed from "${from}" to "${to}" by ${req.user.name}`,
+          leadId: leads[0].id,
+          data: { from, to },
+          email: emailTemplates.leadStatusChanged(leads[0].name, from, to, leads[0].id)
+        }
+        : {
+          type: 'statusChanged',
+          title: `${leads.length} of your leads moved to ${newStatus}`,
+          body: `Changed by ${req.user.name}`,
+          data: { leadIds: leads.map(lead => lead.id), to: newStatus },
+          email: emailTemplates.leadsStatusChanged(leads, newStatus)
+        });
+    }
+
+    // Emit socket events
+    for (const lead of await findLeadsForEvents(changedIds)) {
+      await emitToLeadViewers(req.app.get('io'), [lead.assignedToId, lead.createdById], 'lead:updated', { lead });
+    }
+
+    sendBulkResults(res, `${changed.length} lead(s) changed to ${newStatus}`, results);
+  } catch (error) {
+    handleBulkError(res, error, 'Bulk change lead status');
+  }
+});
+
+// @route   POST /api/leads/bulk/tags
+// @desc    Add and/or remove tags on many leads (by `ids` or `filter`)
+// @access  Private (update access to each lead)
+router.post('/bulk/tags', [
+  ...bulkTargetRules,
+  body('add').optional().isArray().withMessage('add must be a list of tags'),
+  body('add.*').isString().trim().notEmpty().isLength({ max: 50 }).withMessage('Tags must be text of up to 50 characters'),
+  body('remove').optional().isArray().withMessage('remove must be a list of tags'),
+  body('remove.*').isString().trim().notEmpty().withMessage('Tags must be text'),
+  body().custom((value) => {
+    if (!value.add?.length && !value.remove?.length) {
+      throw new Error('Provide tags to add or remove');
+    }
+    return true;
+  })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { add = [], remove = [] } = req.body;
+    const { permitted, results } = await resolveBulkTargets(req);
+    const changedIds = [];
+
+    await sequelize.transaction(async (transaction) => {
+      for (const lead of permitted) {
+        const tags = [...new Set([...lead.tags, ...add])].filter(tag => !remove.includes(tag));
+        if (tags.length === lead.tags.length && tags.every(tag => lead.tags.includes(tag))) continue;
+
+        await lead.update({ tags }, { transaction });
+        changedIds.push(lead.id);
+      }
+    });
+
+    permitted.forEach(lead => results.push({ id: lead.id, success: true, changed: changedIds.includes(lead.id) }));
+
+    // Emit socket events
+    for (const lead of await findLeadsForEvents(changedIds)) {
+      await emitToLeadViewers(req.app.get('io'), [lead.assignedToId, lead.createdById], 'lead:updated', { lead });
+    }
+
+    sendBulkResults(res, `${changedIds.length} lead(s) retagged`, results);
+  } catch (error) {
+    handleBulkError(res, error, 'Bulk tag leads');
+  }
+});
+
+// @route   POST /api/leads/bulk/delete
+// @desc    Delete many leads (by `ids` or `filter`)
+// @access  Private (lead:delete, plus update access to each lead)
+router.post('/bulk/delete', requirePermission('lead:delete'), bulkTargetRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { permitted, results } = await resolveBulkTargets(req);
+
+    if (permitted.length > 0) {
+      await sequelize.transaction(async (transaction) => {
+        await Lead.destroy({ where: { id: permitted.map(lead => lead.id) }, transaction });
+      });
+    }
+
+    permitted.forEach(lead => results.push({ id: lead.id, success: true }));
+
+    // Emit socket events
+    for (const lead of permitted) {
+      await emitToLeadViewers(req.app.get('io'), [lead.assignedToId, lead.createdById], 'lead:deleted', { leadId: lead.id });
+    }
+
+    sendBulkResults(res, `${permitted.length} lead(s) deleted`, results);
+  } catch (error) {
+    handleBulkError(res, error, 'Bulk delete leads');
+  }
+});
+
+// @route   POST /api/leads/:id/merge
+// @desc    Merge other leads into this one. `fields` picks, per field, the lead whose
+//          value survives; other fields keep this lead's value, or take the first merged
+//          lead's when this one has none. Activities move here; merged leads are deleted.
+// @access  Private (lead:delete, plus the right to update every lead involved)
+router.post('/:id/merge', requirePermission('lead:delete'), [
+  body('leadIds').isArray({ min: 1 }).withMessage('leadIds must list the leads to merge'),
+  body('leadIds.*').isInt().withMessage('leadIds must be lead IDs').toInt(),
+  body('fields').optional().isObject().withMessage('fields must map lead fields to lead IDs')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const survivorId = parseInt(req.params.id);
+    const mergedIds = [...new Set(req.body.leadIds)].filter(id => id !== survivorId);
+    if (mergedIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose at least one other lead to merge'
+      });
+    }
+
+    const leads = await Lead.findAll({ where: { id: [survivorId, ...mergedIds] } });
+    const survivor = leads.find(lead => lead.id === survivorId);
+    const merged = leads.filter(lead => lead.id !== survivorId);
+    if (!survivor || merged.length !== mergedIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found'
+      });
+    }
+
+    for (const lead of leads) {
+      if (!(await canAccessLead(req.user, lead, 'update'))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+    }
+
+    const fields = req.body.fields || {};
+    const updates = {};
+    for (const [field, sourceId] of Object.entries(fields)) {
+      const source = leads.find(lead => lead.id === parseInt(sourceId));
+      if (!MERGEABLE_FIELDS.includes(field) || !source) {
+        return res.status(400).json({
+          success: false,
+          message: `fields.${field} must name one of the merged leads (fields: ${MERGEABLE_FIELDS.join(', ')})`
+        });
+      }
+      updates[field] = source[field];
+      // The status is the stage's name; take the stage itself, which may be in another pipeline
+      if (field === 'status') {
+        updates.pipelineId = source.pipelineId;
+        updates.stageId = source.stageId;
+      }
+    }
+
+    for (const field of MERGEABLE_FIELDS) {
+      if (field in updates || !isBlank(survivor[field])) continue;
+      const donor = merged.find(lead => !isBlank(lead[field]));
+      if (donor) {
+        updates[field] = donor[field];
+      }
+    }
+
+    // Unless picked, the surviving lead keeps every tag
+    if (!('tags' in fields)) {
+      updates.tags = [...new Set(leads.flatMap(lead => lead.tags))];
+    }
+
+    // Custom field values the surviving lead lacks come from the merged leads
+    updates.customFields = Object.assign({}, ...[...merged].reverse().map(lead => lead.customFields), survivor.customFields);
+
+    await sequelize.transaction(async (transaction) => {
+      await survivor.update(updates, { transaction });
+
+      const [movedActivities] = await Activity.update(
+        { leadId: survivor.id },
+        { where: { leadId: mergedIds }, transaction }
+      );
+      const [movedTasks] = await Task.update(
+        { leadId: survivor.id },
+        { where: { leadId: mergedIds }, transaction }
+      );
+
+      // The merged leads are kept in the activity so the merge can be audited
+      await Activity.create({
+        type: 'Note',
+        title: 'Leads Merged',
+        description: `Merged ${merged.map(lead => `"${lead.name}" (#${lead.id})`).join(', ')} into this lead`,
+        leadId: survivor.id,
+        userId: req.user.id,
+        metadata: {
+          mergedLeadIds: mergedIds,
+          fields,
+          movedActivities,
+          movedTasks,
+          mergedLeads: merged.map(lead => lead.toJSON())
+        }
+      }, { transaction });
+
+      await Lead.destroy({ where: { id: mergedIds }, transaction });
+    });
+
+    await survivor.reload({
+      include: [
+        { model: User, as: 'assignedTo', attributes: ['id', 'name', 'email'] },
+        { model: User, as: 'createdBy', attributes: ['id', 'name', 'email'] }
+      ]
+    });
+
+    // Emit socket event
+    const ownerIds = leads.flatMap(lead => [lead.assignedToId, lead.createdById]);
+    await emitToLeadViewers(req.app.get('io'), [...ownerIds, survivor.assignedToId], 'lead:merged', {
+      lead: survivor,
+      mergedLeadIds: mergedIds
+    });
+
+    res.json({
+      success: true,
+      message: 'Leads merged successfully',
+      data: {
+        lead: survivor,
+        mergedLeadIds: mergedIds
+      }
+    });
+  } catch (error) {
+    console.error('Merge leads error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   DELETE /api/leads/:id
 // @desc    Delete a lead
-// @access  Private (Admin, Manager)
-router.delete('/:id', authorize('Admin', 'Manager'), async (req, res) => {
+// @access  Private (lead:delete)
+router.delete('/:id', requirePermission('lead:delete'), async (req, res) => {
   try {
     const lead = await Lead.findByPk(req.params.id);
     if (!lead) {
@@ -371,13 +1429,18 @@ router.delete('/:id', authorize('Admin', 'Manager'), async (req, res) => {
       });
     }
 
+    // Deleting requires lead:delete and the right to edit this lead
+    if (!(await canAccessLead(req.user, lead, 'update'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
     await lead.destroy();
 
     // Emit socket event
-    const io = req.app.get('io');
-    if (io) {
-      io.emit('lead:deleted', { leadId: req.params.id });
-    }
+    await emitToLeadViewers(req.app.get('io'), [lead.assignedToId, lead.createdById], 'lead:deleted', { leadId: req.params.id });
 
     res.json({
       success: true,
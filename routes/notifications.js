@@ -0,0 +1,199 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { Notification, Lead } = require('../models');
+const { authenticate } = require('../middleware/auth');
+const { parsePagination, findPage } = require('../utils/pagination');
+const {
+  NOTIFICATION_TYPES,
+  notificationError,
+  getPreferences,
+  checkPreferences
+} = require('../utils/notifications');
+
+const router = express.Router();
+
+// All routes require authentication; each user only sees their own notifications
+router.use(authenticate);
+
+// Newest first (see findPage)
+const NOTIFICATION_SORT = {
+  key: 'id',
+  direction: 'DESC',
+  attribute: 'id',
+  value: notification => notification.id
+};
+
+const sendNotificationError = (res, error, label) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error'
+  });
+};
+
+const findOwnNotification = async (user, id) => {
+  const notification = await Notification.findOne({ where: { id, userId: user.id } });
+  if (!notification) {
+    throw notificationError('Notification not found', 404);
+  }
+  return notification;
+};
+
+const countUnread = user => Notification.count({ where: { userId: user.id, readAt: null } });
+
+// @route   GET /api/notifications
+// @desc    The user's notifications, newest first, with their unread count. Filters:
+//          `unread=true` and `type`. Pages by `page` or by `cursor`.
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { unread, type } = req.query;
+    const pagination = parsePagination(req.query, { defaultLimit: 20 });
+
+    if (type && !NOTIFICATION_TYPES.includes(type)) {
+      throw notificationError(`type must be one of: ${NOTIFICATION_TYPES.join(', ')}`);
+    }
+
+    const where = { userId: req.user.id };
+    if (unread === 'true') {
+      where.readAt = null;
+    }
+    if (type) {
+      where.type = type;
+    }
+
+    const { rows: notifications, pagination: page } = await findPage(Notification, {
+      where,
+      include: [{ model: Lead, as: 'lead', attributes: ['id', 'name'] }],
+      sort: NOTIFICATION_SORT,
+      pagination
+    });
+
+    res.json({
+      success: true,
+      data: { notifications, unreadCount: await countUnread(req.user), pagination: page }
+    });
+  } catch (error) {
+    sendNotificationError(res, error, 'Get notifications');
+  }
+});
+
+// @route   GET /api/notifications/preferences
+// @desc    The user's channel for each notification type
+// @access  Private
+router.get('/preferences', (req, res) => {
+  res.json({
+    success: true,
+    data: { preferences: getPreferences(req.user) }
+  });
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Change the channel (inApp, email, digest or off) of some notification types
+// @access  Private
+router.put('/preferences', [
+  body().isObject().withMessage('Send an object of notification type to channel')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    checkPreferences(req.body);
+    await req.user.update({ notificationPreferences: { ...req.user.notificationPreferences, ...req.body } });
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated successfully',
+      data: { preferences: getPreferences(req.user) }
+    });
+  } catch (error) {
+    sendNotificationError(res, error, 'Update notification preferences');
+  }
+});
+
+// @route   POST /api/notifications/read-all
+// @desc    Mark all of the user's notifications read
+// @access  Private
+router.post('/read-all', async (req, res) => {
+  try {
+    const [updated] = await Notification.update(
+      { readAt: new Date() },
+      { where: { userId: req.user.id, readAt: null } }
+    );
+
+    res.json({
+      success: true,
+      message: `${updated} notification(s) marked read`,
+      data: { updated, unreadCount: 0 }
+    });
+  } catch (error) {
+    sendNotificationError(res, error, 'Mark all notifications read');
+  }
+});
+
+// @route   POST /api/notifications/:id/read
+// @desc    Mark a notification read
+// @access  Private
+router.post('/:id/read', async (req, res) => {
+  try {
+    const notification = await findOwnNotification(req.user, req.params.id);
+    if (!notification.readAt) {
+      await notification.update({ readAt: new Date() });
+    }
+
+    res.json({
+      success: true,
+      data: { notification, unreadCount: await countUnread(req.user) }
+    });
+  } catch (error) {
+    sendNotificationError(res, error, 'Mark notification read');
+  }
+});
+
+// @route   POST /api/notifications/:id/unread
+// @desc    Mark a notification unread again
+// @access  Private
+router.post('/:id/unread', async (req, res) => {
+  try {
+    const notification = await findOwnNotification(req.user, req.params.id);
+    await notification.update({ readAt: null });
+
+    res.json({
+      success: true,
+      data: { notification, unreadCount: await countUnread(req.user) }
+    });
+  } catch (error) {
+    sendNotificationError(res, error, 'Mark notification unread');
+  }
+});
+
+// @route   DELETE /api/notifications/:id
+// @desc    Delete a notification
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const notification = await findOwnNotification(req.user, req.params.id);
+    await notification.destroy();
+
+    res.json({
+      success: true,
+      message: 'Notification deleted successfully'
+    });
+  } catch (error) {
+    sendNotificationError(res, error, 'Delete notification');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,150 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { issueTokens, generateUserToken, consumeUserToken } = require('../utils/jwt');
+const {
+  isOidcEnabled,
+  createAuthorizationRequest,
+  completeAuthorization,
+  findOrProvisionUser
+} = require('../utils/oidc');
+
+const router = express.Router();
+
+// Binds the login to the browser that started it, so a callback URL cannot be replayed
+// in someone else's browser (login CSRF)
+const STATE_COOKIE = 'oidc_state';
+const STATE_COOKIE_OPTIONS = {
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: '/api/auth/oidc'
+};
+
+const readCookie = (req, name) => {
+  const pair = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim().split('='))
+    .find(([key]) => key === name);
+  return pair ? decodeURIComponent(pair.slice(1).join('=')) : null;
+};
+
+// Page of the frontend that receives the outcome of a login
+const frontendCallbackUrl = (params) => {
+  const base = process.env.OIDC_FRONTEND_CALLBACK_URL ||
+    `${process.env.FRONTEND_URL || 'http://localhost:3000'}/auth/sso/callback`;
+  return `${base}?${new URLSearchParams(params).toString()}`;
+};
+
+const requireOidc = (req, res, next) => {
+  if (!isOidcEnabled()) {
+    return res.status(404).json({
+      success: false,
+      message: 'Single sign-on is not configured'
+    });
+  }
+  next();
+};
+
+// @route   GET /api/auth/oidc/config
+// @desc    Whether single sign-on is available (to show the SSO button)
+// @access  Public
+router.get('/config', (req, res) => {
+  res.json({
+    success: true,
+    data: { enabled: isOidcEnabled() }
+  });
+});
+
+// @route   GET /api/auth/oidc/login
+// @desc    Redirect the browser to the identity provider
+// @access  Public
+router.get('/login', requireOidc, async (req, res) => {
+  try {
+    const { state, url } = await createAuthorizationRequest();
+
+    res.cookie(STATE_COOKIE, state, { ...STATE_COOKIE_OPTIONS, maxAge: 10 * 60 * 1000 });
+    res.redirect(url);
+  } catch (error) {
+    console.error('SSO login error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/auth/oidc/callback
+// @desc    Identity provider redirect target. Signs the user in (provisioning or linking
+//          the account) and sends the browser back to the frontend with a one-time code.
+// @access  Public
+router.get('/callback', requireOidc, async (req, res) => {
+  const { code, state, error } = req.query;
+  const cookieState = readCookie(req, STATE_COOKIE);
+  res.clearCookie(STATE_COOKIE, STATE_COOKIE_OPTIONS);
+
+  try {
+    if (error) {
+      return res.redirect(frontendCallbackUrl({ error: req.query.error_description || error }));
+    }
+
+    if (!code || !state || state !== cookieState) {
+      return res.redirect(frontendCallbackUrl({ error: 'Login session is invalid or has expired' }));
+    }
+
+    const claims = await completeAuthorization({ code, state });
+    const user = await findOrProvisionUser(claims);
+    const loginCode = await generateUserToken(user, 'sso_login');
+
+    res.redirect(frontendCallbackUrl({ code: loginCode }));
+  } catch (err) {
+    if (!err.status) {
+      console.error('SSO callback error:', err);
+    }
+    res.redirect(frontendCallbackUrl({ error: err.status ? err.message : 'Single sign-on failed' }));
+  }
+});
+
+// @route   POST /api/auth/oidc/exchange
+// @desc    Exchange the one-time code from the callback for a session
+// @access  Public (requires a login code)
+router.post('/exchange', [
+  body('code').isString().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await consumeUserToken(req.body.code, 'sso_login');
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user,
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('SSO exchange error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
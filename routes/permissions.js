@@ -0,0 +1,131 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+  ROLES,
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  getRolePermissions,
+  setRolePermissions,
+  resetRolePermissions,
+  getUserPermissions
+} = require('../utils/permissions');
+const { refreshLeadRooms } = require('../socket/socket');
+
+const router = express.Router();
+
+// @route   GET /api/permissions/me
+// @desc    Get the current user's effective permissions
+// @access  Private
+router.get('/me', authenticate, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        role: req.user.role,
+        permissions: [...(await getUserPermissions(req.user))]
+      }
+    });
+  } catch (error) {
+    console.error('Get own permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Remaining routes configure roles
+router.use(authenticate, requirePermission('permission:manage'));
+
+// @route   GET /api/permissions
+// @desc    Get the permission catalog and each role's permissions
+// @access  Private (permission:manage)
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        permissions: PERMISSIONS,
+        roles: await getRolePermissions(),
+        defaults: DEFAULT_ROLE_PERMISSIONS
+      }
+    });
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/permissions/roles/:role
+// @desc    Replace the permissions of a role
+// @access  Private (permission:manage)
+router.put('/roles/:role', [
+  param('role').isIn(ROLES).withMessage('Invalid role'),
+  body('permissions').isArray().withMessage('permissions must be an array'),
+  body('permissions.*').isIn(Object.keys(PERMISSIONS)).withMessage('Unknown permission')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const permissions = await setRolePermissions(req.params.role, req.body.permissions, req.user.id);
+    await refreshLeadRooms(req.app.get('io'));
+
+    res.json({
+      success: true,
+      message: 'Role permissions updated',
+      data: { role: req.params.role, permissions }
+    });
+  } catch (error) {
+    console.error('Update role permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/permissions/roles/:role
+// @desc    Restore the default permissions of a role
+// @access  Private (permission:manage)
+router.delete('/roles/:role', [
+  param('role').isIn(ROLES).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const permissions = await resetRolePermissions(req.params.role, req.user.id);
+    await refreshLeadRooms(req.app.get('io'));
+
+    res.json({
+      success: true,
+      message: 'Role permissions reset to defaults',
+      data: { role: req.params.role, permissions }
+    });
+  } catch (error) {
+    console.error('Reset role permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,476 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Pipeline, Stage, Lead } = require('../models');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { STAGE_OUTCOMES, getPipelines, invalidatePipelineCache } = require('../utils/pipelines');
+const { checkStageRules } = require('../utils/stageRules');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const pipelineValidators = [
+  body('description').optional({ nullable: true }).trim(),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be true or false'),
+  body('position').optional().isInt({ min: 0 }).withMessage('position must be a whole number')
+];
+
+// Rules for a stage, at `prefix` ('' for a stage body, 'stages.*.' inside a pipeline)
+const stageValidators = (prefix = '', { partial = false } = {}) => [
+  (partial ? body(`${prefix}name`).optional() : body(`${prefix}name`))
+    .isString().trim().notEmpty().isLength({ max: 50 }).withMessage('Stage name must be text of up to 50 characters'),
+  body(`${prefix}probability`).optional().isInt({ min: 0, max: 100 }).withMessage('probability must be a percentage (0-100)').toInt(),
+  body(`${prefix}outcome`).optional().isIn(STAGE_OUTCOMES).withMessage(`outcome must be one of: ${STAGE_OUTCOMES.join(', ')}`),
+  body(`${prefix}position`).optional().isInt({ min: 0 }).withMessage('position must be a whole number').toInt(),
+  body(`${prefix}allowedTransitions`).optional({ nullable: true }).isArray().withMessage('allowedTransitions must be a list of stage names, or null to allow any'),
+  body(`${prefix}allowedTransitions.*`).isString().withMessage('allowedTransitions must be a list of stage names'),
+  body(`${prefix}requiredFields`).optional().isArray().withMessage('requiredFields must be a list of lead fields'),
+  body(`${prefix}requiredFields.*`).isString().withMessage('requiredFields must be a list of lead fields')
+];
+
+// The transition rules and required fields of a stage body, when given
+const stageRuleValues = ({ allowedTransitions, requiredFields }) => ({
+  ...(allowedTransitions !== undefined && { allowedTransitions }),
+  ...(requiredFields !== undefined && { requiredFields })
+});
+
+const sendValidationErrors = (res, errors) => res.status(400).json({
+  success: false,
+  message: 'Validation errors',
+  errors: errors.array()
+});
+
+const findPipeline = id => Pipeline.findByPk(id, {
+  include: [{ model: Stage, as: 'stages' }],
+  order: [[{ model: Stage, as: 'stages' }, 'position', 'ASC'], [{ model: Stage, as: 'stages' }, 'id', 'ASC']]
+});
+
+// Rename a stage in the allowedTransitions of `stages`; a null name removes it
+const renameInTransitions = async (stages, oldName, newName, transaction) => {
+  for (const stage of stages) {
+    if (!stage.allowedTransitions || !stage.allowedTransitions.includes(oldName)) continue;
+
+    const allowedTransitions = stage.allowedTransitions
+      .map(name => (name === oldName ? newName : name))
+      .filter(Boolean);
+    await stage.update({ allowedTransitions }, { transaction });
+  }
+};
+
+// Only one pipeline is the default
+const clearOtherDefaults = (pipelineId, transaction) => Pipeline.update(
+  { isDefault: false },
+  { where: { id: { [Op.ne]: pipelineId }, isDefault: true }, transaction }
+);
+
+// @route   GET /api/pipelines
+// @desc    List the pipelines with their stages, in display order
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const pipelines = await getPipelines();
+
+    res.json({
+      success: true,
+      data: { pipelines }
+    });
+  } catch (error) {
+    console.error('Get pipelines error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/pipelines
+// @desc    Create a pipeline with its stages (`stages`, in order)
+// @access  Private (pipeline:manage)
+router.post('/', requirePermission('pipeline:manage'), [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  ...pipelineValidators,
+  body('stages').isArray({ min: 1 }).withMessage('A pipeline needs at least one stage'),
+  ...stageValidators('stages.*.')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const { name, description, isDefault = false, position = 0, stages } = req.body;
+
+    const names = stages.map(stage => stage.name);
+    if (new Set(names).size !== names.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Stage names must be unique within a pipeline'
+      });
+    }
+
+    for (const stage of stages) {
+      const rulesError = await checkStageRules(stage, names);
+      if (rulesError) {
+        return res.status(400).json({
+          success: false,
+          message: `${stage.name}: ${rulesError}`
+        });
+      }
+    }
+
+    const existingPipeline = await Pipeline.findOne({ where: { name } });
+    if (existingPipeline) {
+      return res.status(400).json({
+        success: false,
+        message: 'A pipeline with this name already exists'
+      });
+    }
+
+    const pipelineId = await sequelize.transaction(async (transaction) => {
+      const pipeline = await Pipeline.create({ name, description, isDefault, position }, { transaction });
+      if (isDefault) {
+        await clearOtherDefaults(pipeline.id, transaction);
+      }
+      await Stage.bulkCreate(stages.map((stage, index) => ({
+        name: stage.name,
+        probability: stage.probability,
+        outcome: stage.outcome,
+        position: stage.position !== undefined ? stage.position : index,
+        ...stageRuleValues(stage),
+        pipelineId: pipeline.id
+      })), { transaction });
+      return pipeline.id;
+    });
+    invalidatePipelineCache();
+
+    res.status(201).json({
+      success: true,
+      message: 'Pipeline created successfully',
+      data: { pipeline: await findPipeline(pipelineId) }
+    });
+  } catch (error) {
+    console.error('Create pipeline error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/pipelines/:id
+// @desc    Update a pipeline's name, description, position, or make it the default
+// @access  Private (pipeline:manage)
+router.put('/:id', requirePermission('pipeline:manage'), [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  ...pipelineValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const pipeline = await Pipeline.findByPk(req.params.id);
+    if (!pipeline) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pipeline not found'
+      });
+    }
+
+    const { name, description, isDefault, position } = req.body;
+
+    if (isDefault === false && pipeline.isDefault) {
+      return res.status(400).json({
+        success: false,
+        message: 'Make another pipeline the default instead'
+      });
+    }
+
+    if (name && name !== pipeline.name && await Pipeline.findOne({ where: { name } })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A pipeline with this name already exists'
+      });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await pipeline.update({
+        ...(name !== undefined && { name }),
+        ...(description !== undefined && { description }),
+        ...(isDefault !== undefined && { isDefault }),
+        ...(position !== undefined && { position })
+      }, { transaction });
+      if (isDefault) {
+        await clearOtherDefaults(pipeline.id, transaction);
+      }
+    });
+    invalidatePipelineCache();
+
+    res.json({
+      success: true,
+      message: 'Pipeline updated successfully',
+      data: { pipeline: await findPipeline(pipeline.id) }
+    });
+  } catch (error) {
+    console.error('Update pipeline error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/pipelines/:id
+// @desc    Delete a pipeline and its stages. Refused for the default pipeline and while
+//          it still holds leads.
+// @access  Private (pipeline:manage)
+router.delete('/:id', requirePermission('pipeline:manage'), async (req, res) => {
+  try {
+    const pipeline = await Pipeline.findByPk(req.params.id);
+    if (!pipeline) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pipeline not found'
+      });
+    }
+
+    if (pipeline.isDefault) {
+      return res.status(400).json({
+        success: false,
+        message: 'The default pipeline cannot be deleted; make another pipeline the default first'
+      });
+    }
+
+    const leadCount = await Lead.count({ where: { pipelineId: pipeline.id } });
+    if (leadCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `The pipeline still holds ${leadCount} lead(s); move them to another pipeline first`
+      });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await Stage.destroy({ where: { pipelineId: pipeline.id }, transaction });
+      await pipeline.destroy({ transaction });
+    });
+    invalidatePipelineCache();
+
+    res.json({
+      success: true,
+      message: 'Pipeline deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete pipeline error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/pipelines/:id/stages
+// @desc    Add a stage to a pipeline (at the end unless `position` is given)
+// @access  Private (pipeline:manage)
+router.post('/:id/stages', requirePermission('pipeline:manage'), stageValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const pipeline = await findPipeline(req.params.id);
+    if (!pipeline) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pipeline not found'
+      });
+    }
+
+    const { name, probability, outcome, position } = req.body;
+
+    if (pipeline.stages.some(stage => stage.name === name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The pipeline already has a stage with this name'
+      });
+    }
+
+    const rulesError = await checkStageRules(req.body, [...pipeline.stages.map(stage => stage.name), name]);
+    if (rulesError) {
+      return res.status(400).json({
+        success: false,
+        message: rulesError
+      });
+    }
+
+    const stage = await Stage.create({
+      name,
+      probability,
+      outcome,
+      ...stageRuleValues(req.body),
+      position: position !== undefined ? position : Math.max(-1, ...pipeline.stages.map(other => other.position)) + 1,
+      pipelineId: pipeline.id
+    });
+    invalidatePipelineCache();
+
+    res.status(201).json({
+      success: true,
+      message: 'Stage created successfully',
+      data: { stage }
+    });
+  } catch (error) {
+    console.error('Create stage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/pipelines/:id/stages/:stageId
+// @desc    Update a stage, including its transition rules and required fields. Renaming
+//          it renames the status of its leads and the rules that name it.
+// @access  Private (pipeline:manage)
+router.put('/:id/stages/:stageId', requirePermission('pipeline:manage'), stageValidators('', { partial: true }), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const stage = await Stage.findOne({ where: { id: req.params.stageId, pipelineId: req.params.id } });
+    if (!stage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stage not found'
+      });
+    }
+
+    const { name, probability, outcome, position } = req.body;
+
+    const siblings = await Stage.findAll({ where: { pipelineId: stage.pipelineId, id: { [Op.ne]: stage.id } } });
+    const newName = name !== undefined ? name : stage.name;
+
+    if (siblings.some(sibling => sibling.name === newName)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The pipeline already has a stage with this name'
+      });
+    }
+
+    const rulesError = await checkStageRules(req.body, [...siblings.map(sibling => sibling.name), newName]);
+    if (rulesError) {
+      return res.status(400).json({
+        success: false,
+        message: rulesError
+      });
+    }
+
+    const oldName = stage.name;
+
+    await sequelize.transaction(async (transaction) => {
+      await stage.update({
+        ...(name !== undefined && { name }),
+        ...(probability !== undefined && { probability }),
+        ...(outcome !== undefined && { outcome }),
+        ...(position !== undefined && { position }),
+        ...stageRuleValues(req.body)
+      }, { transaction });
+
+      if (newName !== oldName) {
+        // Lead.status mirrors the stage name; the leads themselves did not change, so no
+        // lead hooks (they would resolve the new name against the cached stages)
+        await Lead.update({ status: newName }, { where: { stageId: stage.id }, silent: true, hooks: false, transaction });
+        await renameInTransitions([...siblings, stage], oldName, newName, transaction);
+      }
+    });
+    invalidatePipelineCache();
+
+    res.json({
+      success: true,
+      message: 'Stage updated successfully',
+      data: { stage }
+    });
+  } catch (error) {
+    console.error('Update stage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/pipelines/:id/stages/:stageId
+// @desc    Delete a stage. Its leads move to `moveToStageId` (in the body), which is
+//          required while the stage holds leads.
+// @access  Private (pipeline:manage)
+router.delete('/:id/stages/:stageId', requirePermission('pipeline:manage'), [
+  body('moveToStageId').optional().isInt().withMessage('moveToStageId must be a stage ID').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const stage = await Stage.findOne({ where: { id: req.params.stageId, pipelineId: req.params.id } });
+    if (!stage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stage not found'
+      });
+    }
+
+    if (await Stage.count({ where: { pipelineId: stage.pipelineId } }) === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'A pipeline needs at least one stage'
+      });
+    }
+
+    const { moveToStageId } = req.body;
+    const leadCount = await Lead.count({ where: { stageId: stage.id } });
+    let target = null;
+
+    if (leadCount > 0) {
+      target = moveToStageId && moveToStageId !== stage.id ? await Stage.findByPk(moveToStageId) : null;
+      if (!target) {
+        return res.status(400).json({
+          success: false,
+          message: `The stage still holds ${leadCount} lead(s); choose a stage to move them to (moveToStageId)`
+        });
+      }
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      if (target) {
+        await Lead.update(
+          { pipelineId: target.pipelineId, stageId: target.id, status: target.name },
+          { where: { stageId: stage.id }, transaction }
+        );
+      }
+      await stage.destroy({ transaction });
+
+      const siblings = await Stage.findAll({ where: { pipelineId: stage.pipelineId }, transaction });
+      await renameInTransitions(siblings, stage.name, null, transaction);
+    });
+    invalidatePipelineCache();
+
+    res.json({
+      success: true,
+      message: target ? `Stage deleted; ${leadCount} lead(s) moved to ${target.name}` : 'Stage deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete stage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
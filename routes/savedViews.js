@@ -0,0 +1,204 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { SavedView, User } = require('../models');
+const { authenticate } = require('../middleware/auth');
+const {
+  VISIBILITIES,
+  normalizeViewFilters,
+  visibleViewsWhere,
+  findVisibleView
+} = require('../utils/savedViews');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const viewValidators = [
+  body('visibility').optional().isIn(VISIBILITIES).withMessage(`visibility must be one of: ${VISIBILITIES.join(', ')}`),
+  body('filters').optional().isObject().withMessage('filters must be an object of lead list parameters')
+];
+
+const ownerInclude = { model: User, as: 'user', attributes: ['id', 'name', 'email'] };
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Only the owner changes a view, even one shared with them
+const findOwnView = async (user, id) => {
+  const view = await findVisibleView(user, id);
+  if (view.userId !== user.id) {
+    const error = new Error('Only the owner can change this view');
+    error.status = 403;
+    throw error;
+  }
+  return view;
+};
+
+// Shared views go to the owner's team, so sharing needs one
+const teamFor = (user, visibility) => {
+  if (visibility !== 'team') {
+    return null;
+  }
+  if (!user.teamId) {
+    const error = new Error('Join a team to share views with it');
+    error.status = 400;
+    throw error;
+  }
+  return user.teamId;
+};
+
+const sendError = (res, error, label) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error.name === 'SequelizeUniqueConstraintError') {
+    return res.status(400).json({
+      success: false,
+      message: 'You already have a view with this name'
+    });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error'
+  });
+};
+
+// @route   GET /api/saved-views
+// @desc    The user's saved lead views and those shared with their team
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const views = await SavedView.findAll({
+      where: await visibleViewsWhere(req.user),
+      include: [ownerInclude],
+      order: [['name', 'ASC'], ['id', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { views }
+    });
+  } catch (error) {
+    sendError(res, error, 'Get saved views');
+  }
+});
+
+// @route   GET /api/saved-views/:id
+// @desc    Get a saved view. `GET /api/leads?view=:id` lists its leads.
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const view = await findVisibleView(req.user, req.params.id);
+    await view.reload({ include: [ownerInclude] });
+
+    res.json({
+      success: true,
+      data: { view }
+    });
+  } catch (error) {
+    sendError(res, error, 'Get saved view');
+  }
+});
+
+// @route   POST /api/saved-views
+// @desc    Save lead list filters as a named view
+// @access  Private
+router.post('/', [
+  body('name').trim().notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+  ...viewValidators
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const { name, visibility = 'private', filters = {} } = req.body;
+
+    const view = await SavedView.create({
+      name,
+      visibility,
+      teamId: teamFor(req.user, visibility),
+      filters: await normalizeViewFilters(filters, req.user),
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'View saved successfully',
+      data: { view }
+    });
+  } catch (error) {
+    sendError(res, error, 'Create saved view');
+  }
+});
+
+// @route   PUT /api/saved-views/:id
+// @desc    Rename, share or unshare a view, or replace its filters
+// @access  Private (owner)
+router.put('/:id', [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty')
+    .isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+  ...viewValidators
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const view = await findOwnView(req.user, req.params.id);
+    const { name, visibility, filters } = req.body;
+
+    const updates = {};
+    if (name !== undefined) updates.name = name;
+    if (visibility !== undefined) {
+      updates.visibility = visibility;
+      updates.teamId = teamFor(req.user, visibility);
+    }
+    if (filters !== undefined) updates.filters = await normalizeViewFilters(filters, req.user);
+
+    await view.update(updates);
+
+    res.json({
+      success: true,
+      message: 'View updated successfully',
+      data: { view }
+    });
+  } catch (error) {
+    sendError(res, error, 'Update saved view');
+  }
+});
+
+// @route   DELETE /api/saved-views/:id
+// @desc    Delete a view
+// @access  Private (owner)
+router.delete('/:id', async (req, res) => {
+  try {
+    const view = await findOwnView(req.user, req.params.id);
+    await view.destroy();
+
+    res.json({
+      success: true,
+      message: 'View deleted successfully'
+    });
+  } catch (error) {
+    sendError(res, error, 'Delete saved view');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,229 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { ScoringRule } = require('../models');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+  RULE_TYPES,
+  checkScoringRule,
+  invalidateScoringRuleCache,
+  rescoreAllLeads
+} = require('../utils/leadScoring');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const scoringRuleValidators = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty')
+    .isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+  body('condition').optional({ values: 'null' }).isObject().withMessage('condition must be a filter condition or group'),
+  body('activityTypes').optional().isArray().withMessage('activityTypes must be a list'),
+  body('withinDays').optional({ values: 'null' }).isInt({ min: 1, max: 3650 }).withMessage('withinDays must be a whole number from 1 to 3650'),
+  body('points').optional().isInt({ min: -1000, max: 1000 }).withMessage('points must be a whole number from -1000 to 1000'),
+  body('maxPoints').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('maxPoints must be a whole number from 0'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+  body('position').optional().isInt({ min: 0 }).withMessage('position must be a whole number')
+];
+
+// Rules change every lead's score, so each change rescores them all before answering
+const applyRuleChange = async () => {
+  invalidateScoringRuleCache();
+  return rescoreAllLeads();
+};
+
+// @route   GET /api/scoring-rules
+// @desc    List the lead scoring rules, in the order breakdowns list them
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const scoringRules = await ScoringRule.findAll({ order: [['position', 'ASC'], ['id', 'ASC']] });
+
+    res.json({
+      success: true,
+      data: { scoringRules }
+    });
+  } catch (error) {
+    console.error('Get scoring rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/scoring-rules
+// @desc    Add a scoring rule and rescore every lead
+// @access  Private (scoring:manage)
+router.post('/', requirePermission('scoring:manage'), [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('type').isIn(RULE_TYPES).withMessage(`Type must be one of: ${RULE_TYPES.join(', ')}`),
+  body('points').isInt({ min: -1000, max: 1000 }).withMessage('points must be a whole number from -1000 to 1000'),
+  ...scoringRuleValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      name, type, condition = null, activityTypes, withinDays = null, points,
+      maxPoints = null, isActive = true, position = 0
+    } = req.body;
+
+    await checkScoringRule({ type, condition, activityTypes, withinDays, maxPoints });
+
+    const scoringRule = await ScoringRule.create({
+      name,
+      type,
+      condition,
+      ...(activityTypes !== undefined && { activityTypes }),
+      withinDays,
+      points,
+      maxPoints,
+      isActive,
+      position,
+      createdById: req.user.id
+    });
+    const rescored = await applyRuleChange();
+
+    res.status(201).json({
+      success: true,
+      message: 'Scoring rule created successfully',
+      data: { scoringRule, rescored }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Create scoring rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/scoring-rules/recalculate
+// @desc    Rescore every lead with the current rules
+// @access  Private (scoring:manage)
+router.post('/recalculate', requirePermission('scoring:manage'), async (req, res) => {
+  try {
+    const rescored = await applyRuleChange();
+
+    res.json({
+      success: true,
+      message: 'Lead scores recalculated successfully',
+      data: { rescored }
+    });
+  } catch (error) {
+    console.error('Recalculate lead scores error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/scoring-rules/:id
+// @desc    Update a scoring rule and rescore every lead. The type cannot change.
+// @access  Private (scoring:manage)
+router.put('/:id', requirePermission('scoring:manage'), [
+  body('type').not().exists().withMessage('The type of a scoring rule cannot change'),
+  ...scoringRuleValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const scoringRule = await ScoringRule.findByPk(req.params.id);
+    if (!scoringRule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scoring rule not found'
+      });
+    }
+
+    const updates = {};
+    ['name', 'condition', 'activityTypes', 'withinDays', 'points', 'maxPoints', 'isActive', 'position']
+      .filter(field => req.body[field] !== undefined)
+      .forEach((field) => {
+        updates[field] = req.body[field];
+      });
+
+    await checkScoringRule({
+      type: scoringRule.type,
+      condition: 'condition' in updates ? updates.condition : scoringRule.condition,
+      activityTypes: 'activityTypes' in updates ? updates.activityTypes : scoringRule.activityTypes,
+      withinDays: 'withinDays' in updates ? updates.withinDays : scoringRule.withinDays,
+      maxPoints: 'maxPoints' in updates ? updates.maxPoints : scoringRule.maxPoints
+    });
+
+    await scoringRule.update(updates);
+    const rescored = await applyRuleChange();
+
+    res.json({
+      success: true,
+      message: 'Scoring rule updated successfully',
+      data: { scoringRule, rescored }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Update scoring rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/scoring-rules/:id
+// @desc    Delete a scoring rule and rescore every lead
+// @access  Private (scoring:manage)
+router.delete('/:id', requirePermission('scoring:manage'), async (req, res) => {
+  try {
+    const scoringRule = await ScoringRule.findByPk(req.params.id);
+    if (!scoringRule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scoring rule not found'
+      });
+    }
+
+    await scoringRule.destroy();
+    const rescored = await applyRuleChange();
+
+    res.json({
+      success: true,
+      message: 'Scoring rule deleted successfully',
+      data: { rescored }
+    });
+  } catch (error) {
+    console.error('Delete scoring rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,455 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Task, Lead, User, Activity } = require('../models');
+const { authenticate } = require('../middleware/auth');
+const { leadScopeWhere, canAccessLead } = require('../utils/permissions');
+const { parsePagination, findPage } = require('../utils/pagination');
+const {
+  TASK_PRIORITIES,
+  COMPLETION_ACTIVITY_TYPES,
+  taskError,
+  taskBuckets,
+  scheduleTaskReminder
+} = require('../utils/tasks');
+
+const router = express.Router();
+
+// Soonest due first (see findPage)
+const TASK_SORT = {
+  key: 'dueAt',
+  direction: 'ASC',
+  attribute: 'dueAt',
+  value: task => task.dueAt
+};
+
+const TASK_STATUSES = ['open', 'completed', 'all'];
+
+const taskInclude = [
+  { model: Lead, as: 'lead', attributes: ['id', 'name', 'email'] },
+  { model: User, as: 'assignedTo', attributes: ['id', 'name', 'email'] },
+  { model: User, as: 'createdBy', attributes: ['id', 'name', 'email'] }
+];
+
+// All routes require authentication
+router.use(authenticate);
+
+const taskValidators = [
+  body('title').optional().trim().notEmpty().withMessage('Title cannot be empty'),
+  body('dueAt').optional().isISO8601().withMessage('dueAt must be a date and time').toDate(),
+  body('priority').optional().isIn(TASK_PRIORITIES).withMessage(`Priority must be one of: ${TASK_PRIORITIES.join(', ')}`),
+  body('assignedToId').optional().isInt().withMessage('assignedToId must be a user ID').toInt(),
+  body('remindAt').optional({ values: 'null' }).isISO8601().withMessage('remindAt must be a date and time').toDate()
+];
+
+// The task's assignee must be an active user who may read its lead
+const findAssignee = async (assignedToId, lead) => {
+  const assignee = await User.findOne({ where: { id: assignedToId, isActive: true } });
+  if (!assignee) {
+    throw taskError('Assignee not found or inactive');
+  }
+  if (!(await canAccessLead(assignee, lead, 'read'))) {
+    throw taskError('The assignee cannot view this lead');
+  }
+  return assignee;
+};
+
+// A task can be changed by its assignee, its creator and whoever may edit its lead
+const canEditTask = async (user, task, lead) => task.assignedToId === user.id ||
+  task.createdById === user.id ||
+  canAccessLead(user, lead, 'update');
+
+// Load a task with its lead for a change by the user; throws 404/403 errors
+const findEditableTask = async (user, id) => {
+  const task = await Task.findByPk(id);
+  if (!task) {
+    throw taskError('Task not found', 404);
+  }
+  const lead = await Lead.findByPk(task.leadId);
+  if (!lead || !(await canEditTask(user, task, lead))) {
+    throw taskError('Access denied', 403);
+  }
+  return { task, lead };
+};
+
+// Tell the assignee about a task someone else gave them
+const notifyAssignee = (io, task, user) => {
+  if (io && task.assignedToId !== user.id) {
+    io.to(`user:${task.assignedToId}`).emit('task:assigned', { task });
+  }
+};
+
+const sendTaskError = (res, error, label) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error'
+  });
+};
+
+// @route   GET /api/tasks
+// @desc    List tasks on the leads the user may read, soonest due first. Filters:
+//          `leadId`, `assignedToId` ("me" too), `priority` and `status` (open, completed
+//          or all; default open). Pages by `page` or by `cursor`.
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { leadId, assignedToId, priority, status = 'open' } = req.query;
+    const pagination = parsePagination(req.query, { defaultLimit: 50 });
+
+    if (!TASK_STATUSES.includes(status)) {
+      throw taskError(`status must be one of: ${TASK_STATUSES.join(', ')}`);
+    }
+
+    const where = {};
+    if (leadId) {
+      where.leadId = parseInt(leadId);
+    }
+    if (assignedToId) {
+      where.assignedToId = assignedToId === 'me' ? req.user.id : parseInt(assignedToId);
+    }
+    if (priority) {
+      where.priority = priority;
+    }
+    if (status !== 'all') {
+      where.completedAt = status === 'open' ? null : { [Op.ne]: null };
+    }
+
+    // Only tasks on leads the user may read
+    const leadWhere = await leadScopeWhere(req.user);
+    if (!leadWhere) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const { rows: tasks, pagination: page } = await findPage(Task, {
+      where,
+      include: [
+        { model: Lead, as: 'lead', attributes: ['id', 'name', 'email'], where: leadWhere, required: true },
+        { model: User, as: 'assignedTo', attributes: ['id', 'name', 'email'] }
+      ],
+      sort: TASK_SORT,
+      pagination
+    });
+
+    res.json({
+      success: true,
+      data: { tasks, pagination: page }
+    });
+  } catch (error) {
+    sendTaskError(res, error, 'Get tasks');
+  }
+});
+
+// @route   GET /api/tasks/mine
+// @desc    The user's open tasks in three lists: overdue, due today and upcoming (the
+//          next `days` days, default 7). `timezone` (IANA) sets where "today" ends.
+// @access  Private
+router.get('/mine', async (req, res) => {
+  try {
+    const buckets = taskBuckets(req.query);
+
+    const findBucket = dueAt => Task.findAll({
+      where: { assignedToId: req.user.id, completedAt: null, dueAt },
+      include: [{ model: Lead, as: 'lead', attributes: ['id', 'name', 'email'] }],
+      order: [['dueAt', 'ASC'], ['id', 'ASC']]
+    });
+
+    const [overdue, today, upcoming] = await Promise.all([
+      findBucket(buckets.overdue),
+      findBucket(buckets.today),
+      findBucket(buckets.upcoming)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        overdue,
+        today,
+        upcoming,
+        counts: { overdue: overdue.length, today: today.length, upcoming: upcoming.length }
+      }
+    });
+  } catch (error) {
+    sendTaskError(res, error, 'Get my tasks');
+  }
+});
+
+// @route   GET /api/tasks/:id
+// @desc    Get a task on a lead the user may read
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const task = await Task.findByPk(req.params.id, {
+      include: [...taskInclude, { model: Activity, as: 'activity' }]
+    });
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const lead = await Lead.findByPk(task.leadId);
+    if (task.assignedToId !== req.user.id && !(lead && await canAccessLead(req.user, lead, 'read'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { task }
+    });
+  } catch (error) {
+    sendTaskError(res, error, 'Get task');
+  }
+});
+
+// @route   POST /api/tasks
+// @desc    Create a task on a lead the user may read. Assigned to the user unless
+//          `assignedToId` says otherwise; reminded at `remindAt` (default: when due).
+// @access  Private
+router.post('/', [
+  body('title').trim().notEmpty().withMessage('Title is required'),
+  body('dueAt').isISO8601().withMessage('dueAt must be a date and time'),
+  body('leadId').isInt().withMessage('Lead ID is required').toInt(),
+  ...taskValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { title, description, dueAt, priority, leadId, assignedToId = req.user.id } = req.body;
+
+    const lead = await Lead.findByPk(leadId);
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found'
+      });
+    }
+    if (!(await canAccessLead(req.user, lead, 'read'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    await findAssignee(assignedToId, lead);
+
+    const task = await sequelize.transaction(async (transaction) => {
+      const created = await Task.create({
+        title,
+        description,
+        dueAt,
+        priority,
+        leadId,
+        assignedToId,
+        createdById: req.user.id,
+        remindAt: req.body.remindAt !== undefined ? req.body.remindAt : dueAt
+      }, { transaction });
+      await scheduleTaskReminder(created, transaction);
+      return created;
+    });
+    await task.reload({ include: taskInclude });
+
+    notifyAssignee(req.app.get('io'), task, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Task created successfully',
+      data: { task }
+    });
+  } catch (error) {
+    sendTaskError(res, error, 'Create task');
+  }
+});
+
+// @route   PUT /api/tasks/:id
+// @desc    Update a task. Moving the due date moves the reminder with it unless
+//          `remindAt` is given; either sends the reminder again.
+// @access  Private (the assignee, the creator, or whoever may edit the lead)
+router.put('/:id', [
+  body('leadId').not().exists().withMessage('A task cannot move to another lead'),
+  ...taskValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { task, lead } = await findEditableTask(req.user, req.params.id);
+
+    const updates = {};
+    ['title', 'description', 'dueAt', 'priority', 'assignedToId', 'remindAt']
+      .filter(field => req.body[field] !== undefined)
+      .forEach((field) => {
+        updates[field] = req.body[field];
+      });
+
+    if (updates.assignedToId !== undefined && updates.assignedToId !== task.assignedToId) {
+      await findAssignee(updates.assignedToId, lead);
+    }
+    if (updates.dueAt !== undefined && updates.remindAt === undefined && task.remindAt) {
+      updates.remindAt = updates.dueAt;
+    }
+    if (updates.remindAt !== undefined) {
+      updates.reminderSentAt = null;
+    }
+
+    const reassigned = updates.assignedToId !== undefined && updates.assignedToId !== task.assignedToId;
+    await sequelize.transaction(async (transaction) => {
+      await task.update(updates, { transaction });
+      if (updates.remindAt !== undefined) {
+        await scheduleTaskReminder(task, transaction);
+      }
+    });
+    await task.reload({ include: taskInclude });
+
+    if (reassigned) {
+      notifyAssignee(req.app.get('io'), task, req.user);
+    }
+
+    res.json({
+      success: true,
+      message: 'Task updated successfully',
+      data: { task }
+    });
+  } catch (error) {
+    sendTaskError(res, error, 'Update task');
+  }
+});
+
+// @route   POST /api/tasks/:id/complete
+// @desc    Complete a task. With `activity: { type, title?, description? }` also logs
+//          a Call, Meeting, Email or Note activity on the lead.
+// @access  Private (the assignee, the creator, or whoever may edit the lead)
+router.post('/:id/complete', [
+  body('activity').optional().isObject().withMessage('activity must be an object'),
+  body('activity.type').if(body('activity').exists())
+    .isIn(COMPLETION_ACTIVITY_TYPES).withMessage(`Activity type must be one of: ${COMPLETION_ACTIVITY_TYPES.join(', ')}`),
+  body('activity.title').optional().trim().notEmpty().withMessage('Activity title cannot be empty'),
+  body('activity.description').optional().isString().withMessage('Activity description must be text')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { task } = await findEditableTask(req.user, req.params.id);
+    if (task.completedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Task is already completed'
+      });
+    }
+
+    const { activity: activityInput } = req.body;
+    await sequelize.transaction(async (transaction) => {
+      let activity = null;
+      if (activityInput) {
+        activity = await Activity.create({
+          type: activityInput.type,
+          title: activityInput.title || task.title,
+          description: activityInput.description !== undefined ? activityInput.description : task.description,
+          leadId: task.leadId,
+          userId: req.user.id,
+          metadata: { taskId: task.id }
+        }, { transaction });
+      }
+
+      await task.update({
+        completedAt: new Date(),
+        completedById: req.user.id,
+        activityId: activity ? activity.id : null
+      }, { transaction });
+    });
+    await task.reload({ include: [...taskInclude, { model: Activity, as: 'activity' }] });
+
+    res.json({
+      success: true,
+      message: 'Task completed successfully',
+      data: { task }
+    });
+  } catch (error) {
+    sendTaskError(res, error, 'Complete task');
+  }
+});
+
+// @route   POST /api/tasks/:id/reopen
+// @desc    Reopen a completed task. An activity logged on completion stays; a reminder
+//          not yet sent is sent when due.
+// @access  Private (the assignee, the creator, or whoever may edit the lead)
+router.post('/:id/reopen', async (req, res) => {
+  try {
+    const { task } = await findEditableTask(req.user, req.params.id);
+    if (!task.completedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Task is not completed'
+      });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await task.update({ completedAt: null, completedById: null, activityId: null }, { transaction });
+      if (!task.reminderSentAt) {
+        await scheduleTaskReminder(task, transaction);
+      }
+    });
+    await task.reload({ include: taskInclude });
+
+    res.json({
+      success: true,
+      message: 'Task reopened successfully',
+      data: { task }
+    });
+  } catch (error) {
+    sendTaskError(res, error, 'Reopen task');
+  }
+});
+
+// @route   DELETE /api/tasks/:id
+// @desc    Delete a task
+// @access  Private (the assignee, the creator, or whoever may edit the lead)
+router.delete('/:id', async (req, res) => {
+  try {
+    const { task } = await findEditableTask(req.user, req.params.id);
+    await task.destroy();
+
+    res.json({
+      success: true,
+      message: 'Task deleted successfully'
+    });
+  } catch (error) {
+    sendTaskError(res, error, 'Delete task');
+  }
+});
+
+module.exports = router;
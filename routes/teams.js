@@ -0,0 +1,377 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Team, User } = require('../models');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { hasPermission, getVisibleTeamIds } = require('../utils/permissions');
+const { refreshLeadRooms } = require('../socket/socket');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const teamIncludes = [
+  { model: User, as: 'manager', attributes: ['id', 'name', 'email', 'role'] },
+  { model: User, as: 'members', attributes: ['id', 'name', 'email', 'role', 'isActive'] },
+  { model: Team, as: 'parentTeam', attributes: ['id', 'name'] }
+];
+
+const teamValidators = [
+  body('description').optional({ nullable: true }).trim(),
+  body('managerId').optional({ nullable: true }).isInt().withMessage('managerId must be a user id'),
+  body('parentTeamId').optional({ nullable: true }).isInt().withMessage('parentTeamId must be a team id')
+];
+
+// Check the manager and parent team of a create/update. Returns an error message or null.
+const checkTeamRelations = async ({ managerId, parentTeamId }, teamId = null) => {
+  if (managerId) {
+    const manager = await User.findByPk(managerId);
+    if (!manager || !manager.isActive) {
+      return 'Manager must be an active user';
+    }
+  }
+
+  if (parentTeamId) {
+    const teams = await Team.findAll({ attributes: ['id', 'parentTeamId'], raw: true });
+    const parentOf = new Map(teams.map(team => [team.id, team.parentTeamId]));
+
+    if (!parentOf.has(Number(parentTeamId))) {
+      return 'Parent team not found';
+    }
+
+    // A team cannot sit below itself
+    const seen = new Set();
+    for (let id = Number(parentTeamId); id && !seen.has(id); id = parentOf.get(id)) {
+      if (id === teamId) {
+        return 'A team cannot be placed under itself or one of its sub-teams';
+      }
+      seen.add(id);
+    }
+  }
+
+  return null;
+};
+
+// @route   GET /api/teams
+// @desc    List teams (all with team:manage, otherwise the teams the user sees into)
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const where = {};
+    if (!(await hasPermission(req.user, 'team:manage'))) {
+      where.id = { [Op.in]: await getVisibleTeamIds(req.user) };
+    }
+
+    const teams = await Team.findAll({
+      where,
+      include: teamIncludes,
+      order: [['name', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { teams }
+    });
+  } catch (error) {
+    console.error('Get teams error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/teams/:id
+// @desc    Get a team with its manager and members
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const team = await Team.findByPk(req.params.id, {
+      include: [
+        ...teamIncludes,
+        { model: Team, as: 'subTeams', attributes: ['id', 'name'] }
+      ]
+    });
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    const canView = await hasPermission(req.user, 'team:manage') ||
+      (await getVisibleTeamIds(req.user)).includes(team.id);
+    if (!canView) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { team }
+    });
+  } catch (error) {
+    console.error('Get team error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/teams
+// @desc    Create a team
+// @access  Private (team:manage)
+router.post('/', requirePermission('team:manage'), [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  ...teamValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, managerId, parentTeamId } = req.body;
+
+    const existingTeam = await Team.findOne({ where: { name } });
+    if (existingTeam) {
+      return res.status(400).json({
+        success: false,
+        message: 'A team with this name already exists'
+      });
+    }
+
+    const relationError = await checkTeamRelations({ managerId, parentTeamId });
+    if (relationError) {
+      return res.status(400).json({
+        success: false,
+        message: relationError
+      });
+    }
+
+    const team = await Team.create({
+      name,
+      description: description || null,
+      managerId: managerId || null,
+      parentTeamId: parentTeamId || null
+    });
+    await team.reload({ include: teamIncludes });
+
+    await refreshLeadRooms(req.app.get('io'));
+
+    res.status(201).json({
+      success: true,
+      message: 'Team created successfully',
+      data: { team }
+    });
+  } catch (error) {
+    console.error('Create team error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/teams/:id
+// @desc    Update a team's name, description, manager or parent team
+// @access  Private (team:manage)
+router.put('/:id', requirePermission('team:manage'), [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  ...teamValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const team = await Team.findByPk(req.params.id);
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    const { name, description, managerId, parentTeamId } = req.body;
+
+    if (name && name !== team.name) {
+      const existingTeam = await Team.findOne({ where: { name } });
+      if (existingTeam) {
+        return res.status(400).json({
+          success: false,
+          message: 'A team with this name already exists'
+        });
+      }
+    }
+
+    const relationError = await checkTeamRelations({ managerId, parentTeamId }, team.id);
+    if (relationError) {
+      return res.status(400).json({
+        success: false,
+        message: relationError
+      });
+    }
+
+    await team.update({
+      ...(name !== undefined && { name }),
+      ...(description !== undefined && { description }),
+      ...(managerId !== undefined && { managerId }),
+      ...(parentTeamId !== undefined && { parentTeamId })
+    });
+    await team.reload({ include: teamIncludes });
+
+    await refreshLeadRooms(req.app.get('io'));
+
+    res.json({
+      success: true,
+      message: 'Team updated successfully',
+      data: { team }
+    });
+  } catch (error) {
+    console.error('Update team error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/teams/:id
+// @desc    Delete a team. Members become unassigned; sub-teams move up to its parent.
+// @access  Private (team:manage)
+router.delete('/:id', requirePermission('team:manage'), async (req, res) => {
+  try {
+    const team = await Team.findByPk(req.params.id);
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await User.update({ teamId: null }, { where: { teamId: team.id }, transaction });
+      await Team.update(
+        { parentTeamId: team.parentTeamId },
+        { where: { parentTeamId: team.id }, transaction }
+      );
+      await team.destroy({ transaction });
+    });
+
+    await refreshLeadRooms(req.app.get('io'));
+
+    res.json({
+      success: true,
+      message: 'Team deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete team error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/teams/:id/members
+// @desc    Move users into a team (from whatever team they were in)
+// @access  Private (team:manage)
+router.post('/:id/members', requirePermission('team:manage'), [
+  body('userIds').isArray({ min: 1 }).withMessage('userIds must be a non-empty array'),
+  body('userIds.*').isInt().withMessage('userIds must contain user ids')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const team = await Team.findByPk(req.params.id);
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    const userIds = [...new Set(req.body.userIds.map(Number))];
+    const users = await User.findAll({ where: { id: { [Op.in]: userIds } } });
+    if (users.length !== userIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more users were not found'
+      });
+    }
+
+    await User.update({ teamId: team.id }, { where: { id: { [Op.in]: userIds } } });
+    await team.reload({ include: teamIncludes });
+
+    await refreshLeadRooms(req.app.get('io'));
+
+    res.json({
+      success: true,
+      message: 'Members added successfully',
+      data: { team }
+    });
+  } catch (error) {
+    console.error('Add team members error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/teams/:id/members/:userId
+// @desc    Remove a user from a team
+// @access  Private (team:manage)
+router.delete('/:id/members/:userId', requirePermission('team:manage'), async (req, res) => {
+  try {
+    const user = await User.findOne({
+      where: { id: req.params.userId, teamId: req.params.id }
+    });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not a member of this team'
+      });
+    }
+
+    await user.update({ teamId: null });
+
+    await refreshLeadRooms(req.app.get('io'));
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove team member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,360 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateSession } = require('../middleware/auth');
+const { issueTokens, verifyChallengeToken } = require('../utils/jwt');
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUrl,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  consumeRecoveryCode
+} = require('../utils/totp');
+const { isTwoFactorRequired } = require('../utils/settings');
+const { checkLogin, recordLoginFailure, recordLoginSuccess } = require('../utils/loginThrottle');
+
+const router = express.Router();
+
+// Enrolment is open to logged-in users, and to users whose login was held back
+// because their role requires 2FA (they present the setup challenge token instead)
+const authenticateForSetup = async (req, res, next) => {
+  if (!req.body.challengeToken) {
+    return authenticateSession(req, res, next);
+  }
+
+  try {
+    req.user = await verifyChallengeToken(req.body.challengeToken, 'two_factor_setup');
+    req.viaSetupChallenge = true;
+    next();
+  } catch (error) {
+    res.status(error.status || 401).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Check a TOTP or recovery code and persist what it used up. Returns false on mismatch.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const remaining = consumeRecoveryCode(user.twoFactorRecoveryCodes || [], recoveryCode);
+    if (!remaining) {
+      return false;
+    }
+    await user.update({ twoFactorRecoveryCodes: remaining });
+    return true;
+  }
+
+  const counter = verifyTotp(decryptSecret(user.twoFactorSecret), code, {
+    lastCounter: user.twoFactorLastCounter
+  });
+  if (counter === null) {
+    return false;
+  }
+  await user.update({ twoFactorLastCounter: counter });
+  return true;
+};
+
+// @route   GET /api/auth/2fa/status
+// @desc    Get the current user's 2FA status
+// @access  Private
+router.get('/status', authenticateSession, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        enabled: req.user.twoFactorEnabled,
+        required: await isTwoFactorRequired(req.user),
+        recoveryCodesRemaining: (req.user.twoFactorRecoveryCodes || []).length
+      }
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrolment: generate a secret and its provisioning URI
+// @access  Private (or setup challenge token)
+router.post('/setup', authenticateForSetup, async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    await req.user.update({ twoFactorPendingSecret: encryptSecret(secret) });
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl: buildOtpauthUrl(secret, req.user.email)
+      }
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrolment with a code and receive recovery codes
+// @access  Private (or setup challenge token)
+router.post('/enable', [
+  body('code').notEmpty().withMessage('Code is required')
+], authenticateForSetup, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = req.user;
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start the setup first'
+      });
+    }
+
+    const counter = verifyTotp(decryptSecret(user.twoFactorPendingSecret), req.body.code);
+    if (counter === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await user.update({
+      twoFactorEnabled: true,
+      twoFactorSecret: user.twoFactorPendingSecret,
+      twoFactorPendingSecret: null,
+      twoFactorLastCounter: counter,
+      twoFactorRecoveryCodes: hashes
+    });
+
+    // Enrolling during a held-back login completes that login
+    let session = {};
+    if (req.viaSetupChallenge) {
+      await recordLoginSuccess(user.email);
+      session = await issueTokens(user, req);
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: {
+        recoveryCodes: codes,
+        ...(req.viaSetupChallenge && { user, ...session })
+      }
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Exchange a login challenge token and a TOTP or recovery code for a session
+// @access  Public (requires a challenge token)
+router.post('/verify', [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  body().custom(value => !!(value.code || value.recoveryCode)).withMessage('Code or recovery code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await verifyChallengeToken(req.body.challengeToken, 'two_factor_challenge');
+
+    // Code guessing counts against the same failed-login limits as passwords
+    const throttle = await checkLogin(user.email, req.ip);
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Too many failed attempts. Try again in ${throttle.retryAfter} second(s).`,
+        retryAfter: throttle.retryAfter
+      });
+    }
+
+    const valid = await verifySecondFactor(user, req.body);
+    if (!valid) {
+      await recordLoginFailure(user.email, req.ip);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid code'
+      });
+    }
+
+    await recordLoginSuccess(user.email);
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user,
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('2FA verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes (the old ones stop working)
+// @access  Private
+router.post('/recovery-codes', authenticateSession, [
+  body('code').notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await verifySecondFactor(req.user, { code: req.body.code }))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await req.user.update({ twoFactorRecoveryCodes: hashes });
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated',
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off 2FA (not allowed when the user's role requires it)
+// @access  Private
+router.post('/disable', authenticateSession, [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = req.user;
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        message: `Two-factor authentication is required for the ${user.role} role`
+      });
+    }
+
+    const passwordMatches = await user.comparePassword(req.body.password);
+    if (!passwordMatches || !(await verifySecondFactor(user, { code: req.body.code }))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or code'
+      });
+    }
+
+    await user.update({
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorPendingSecret: null,
+      twoFactorLastCounter: null,
+      twoFactorRecoveryCodes: []
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
+
@@ -0,0 +1,600 @@
+const crypto = require('crypto');
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { User, Lead, Activity } = require('../models');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { revokeAllSessions } = require('../utils/jwt');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/accountEmails');
+const { disconnectUserSockets, emitToLeadViewers, refreshLeadRooms } = require('../socket/socket');
+const { listLockouts, clearLockout, accountKey } = require('../utils/loginThrottle');
+const { setSetting, getTwoFactorRequiredRoles } = require('../utils/settings');
+const { parsePagination } = require('../utils/pagination');
+
+const router = express.Router();
+
+// All routes require permission to manage users
+router.use(authenticate, requirePermission('user:manage'));
+
+// True when at least one other active Admin would remain
+const hasOtherActiveAdmin = async (userId) => {
+  const count = await User.count({
+    where: { role: 'Admin', isActive: true, id: { [Op.ne]: userId } }
+  });
+  return count > 0;
+};
+
+// @route   GET /api/users
+// @desc    List users with filters and pagination
+// @access  Private (user:manage)
+router.get('/', [
+  query('role').optional().isIn(['Admin', 'Manager', 'Sales Executive']).withMessage('Invalid role'),
+  query('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+  query('teamId').optional().isInt().withMessage('teamId must be a team id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { page, limit } = parsePagination({ page: req.query.page, limit: req.query.limit }, { defaultLimit: 20 });
+    const {
+      role,
+      isActive,
+      teamId,
+      search
+    } = req.query;
+
+    const where = {};
+
+    if (role) {
+      where.role = role;
+    }
+
+    if (isActive !== undefined) {
+      where.isActive = isActive === 'true';
+    }
+
+    if (teamId) {
+      where.teamId = teamId;
+    }
+
+    if (search) {
+      where[Op.or] = [
+        { name: { [Op.iLike]: `%${search}%` } },
+        { email: { [Op.iLike]: `%${search}%` } }
+      ];
+    }
+
+    const { count, rows: users } = await User.findAndCountAll({
+      where,
+      order: [['name', 'ASC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          total: count,
+          page,
+          limit,
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/users/lockouts
+// @desc    List accounts and IPs currently delayed or locked out after failed logins
+// @access  Private (user:manage)
+router.get('/lockouts', async (req, res) => {
+  try {
+    const lockouts = await listLockouts();
+
+    res.json({
+      success: true,
+      data: { lockouts }
+    });
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/users/lockouts/:key
+// @desc    Clear a lockout by key (e.g. "account:jane@example.com" or "ip:203.0.113.7")
+// @access  Private (user:manage)
+router.delete('/lockouts/:key', async (req, res) => {
+  try {
+    const cleared = await clearLockout(req.params.key);
+    if (!cleared) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lockout not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Lockout cleared successfully'
+    });
+  } catch (error) {
+    console.error('Clear lockout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/users/two-factor-policy
+// @desc    Get the roles that must use two-factor authentication
+// @access  Private (user:manage)
+router.get('/two-factor-policy', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { requiredRoles: await getTwoFactorRequiredRoles() }
+    });
+  } catch (error) {
+    console.error('Get 2FA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/users/two-factor-policy
+// @desc    Set the roles that must use two-factor authentication
+// @access  Private (user:manage)
+router.put('/two-factor-policy', [
+  body('requiredRoles').isArray().withMessage('requiredRoles must be an array'),
+  body('requiredRoles.*').isIn(['Admin', 'Manager', 'Sales Executive']).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const requiredRoles = [...new Set(req.body.requiredRoles)];
+    await setSetting('twoFactor.requiredRoles', requiredRoles, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor policy updated',
+      data: { requiredRoles }
+    });
+  } catch (error) {
+    console.error('Update 2FA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/users/:id
+// @desc    Get a single user
+// @access  Private (user:manage)
+router.get('/:id', async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { user }
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users
+// @desc    Create a user. Without a password the user gets a link to set one.
+// @access  Private (user:manage)
+router.post('/', [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('email').isEmail().withMessage('Please provide a valid email'),
+  body('password').optional().isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('role').optional().isIn(['Admin', 'Manager', 'Sales Executive']).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { name, email, password, role } = req.body;
+
+    const existingUser = await User.findOne({ where: { email } });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already exists with this email'
+      });
+    }
+
+    const user = await User.create({
+      name,
+      email,
+      password: password || crypto.randomBytes(24).toString('hex'),
+      role: role || 'Sales Executive'
+    });
+
+    if (password) {
+      await sendVerificationEmail(user);
+    } else {
+      // The reset link doubles as "set your password" and proves the address
+      await sendPasswordResetEmail(user);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully',
+      data: { user }
+    });
+  } catch (error) {
+    console.error('Create user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/users/:id
+// @desc    Update a user's name, email or role
+// @access  Private (user:manage)
+router.put('/:id', [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('email').optional().isEmail().withMessage('Please provide a valid email'),
+  body('role').optional().isIn(['Admin', 'Manager', 'Sales Executive']).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { name, email, role } = req.body;
+
+    if (role && role !== 'Admin' && user.role === 'Admin' && !(await hasOtherActiveAdmin(user.id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change the role of the last active Admin'
+      });
+    }
+
+    if (email && email !== user.email) {
+      const existingUser = await User.findOne({ where: { email } });
+      if (existingUser) {
+        return res.status(400).json({
+          success: false,
+          message: 'User already exists with this email'
+        });
+      }
+    }
+
+    const emailChanged = email && email !== user.email;
+    await user.update({
+      ...(name !== undefined && { name }),
+      ...(emailChanged && { email, emailVerified: false, emailVerifiedAt: null }),
+      ...(role !== undefined && { role })
+    });
+
+    if (emailChanged) {
+      await sendVerificationEmail(user);
+    }
+
+    // A new role can change which leads the user's sockets receive
+    if (role !== undefined) {
+      await refreshLeadRooms(req.app.get('io'));
+    }
+
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      data: { user }
+    });
+  } catch (error) {
+    console.error('Update user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/deactivate
+// @desc    Deactivate a user, optionally handing all their leads to someone else
+// @access  Private (user:manage)
+router.post('/:id/deactivate', [
+  body('reassignToId').optional({ nullable: true }).isInt().withMessage('reassignToId must be a user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account'
+      });
+    }
+
+    if (user.role === 'Admin' && !(await hasOtherActiveAdmin(user.id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot deactivate the last active Admin'
+      });
+    }
+
+    const reassignToId = req.body.reassignToId ? parseInt(req.body.reassignToId) : null;
+    let reassignTo = null;
+    if (reassignToId) {
+      reassignTo = await User.findByPk(reassignToId);
+      if (!reassignTo || !reassignTo.isActive || reassignTo.id === user.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Leads can only be reassigned to another active user'
+        });
+      }
+    }
+
+    let reassignedLeadIds = [];
+    await sequelize.transaction(async (transaction) => {
+      await user.update({ isActive: false }, { transaction });
+
+      if (reassignTo) {
+        const leads = await Lead.findAll({
+          where: { assignedToId: user.id },
+          attributes: ['id'],
+          transaction
+        });
+        reassignedLeadIds = leads.map(lead => lead.id);
+
+        if (reassignedLeadIds.length > 0) {
+          await Lead.update(
+            { assignedToId: reassignTo.id },
+            { where: { id: reassignedLeadIds }, transaction }
+          );
+
+          await Activity.bulkCreate(reassignedLeadIds.map(leadId => ({
+            type: 'Note',
+            title: 'Lead Reassigned',
+            description: `Lead reassigned to ${reassignTo.name} after ${user.name} was deactivated`,
+            leadId,
+            userId: req.user.id,
+            metadata: { fromUserId: user.id, toUserId: reassignTo.id }
+          })), { transaction });
+        }
+      }
+    });
+
+    await revokeAllSessions(user);
+    const io = req.app.get('io');
+    disconnectUserSockets(io, user.id);
+
+    if (reassignedLeadIds.length > 0) {
+      await emitToLeadViewers(io, [user.id, reassignTo.id], 'leads:reassigned', {
+        leadIds: reassignedLeadIds,
+        fromUserId: user.id,
+        toUserId: reassignTo.id
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User deactivated successfully',
+      data: {
+        user,
+        reassignedLeads: reassignedLeadIds.length
+      }
+    });
+  } catch (error) {
+    console.error('Deactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/reactivate
+// @desc    Reactivate a deactivated user
+// @access  Private (user:manage)
+router.post('/:id/reactivate', async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await user.update({ isActive: true });
+
+    res.json({
+      success: true,
+      message: 'User reactivated successfully',
+      data: { user }
+    });
+  } catch (error) {
+    console.error('Reactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/unlock
+// @desc    Clear the failed-login lockout of a user's account
+// @access  Private (user:manage)
+router.post('/:id/unlock', async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await clearLockout(accountKey(user.email));
+
+    res.json({
+      success: true,
+      message: 'Account unlocked successfully'
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/two-factor/reset
+// @desc    Remove a user's 2FA enrolment (e.g. lost device) and log them out everywhere
+// @access  Private (user:manage)
+router.post('/:id/two-factor/reset', async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await user.update({
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorPendingSecret: null,
+      twoFactorLastCounter: null,
+      twoFactorRecoveryCodes: []
+    });
+    await revokeAllSessions(user);
+    disconnectUserSockets(req.app.get('io'), user.id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset',
+      data: { user }
+    });
+  } catch (error) {
+    console.error('Reset user 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/reset-password
+// @desc    Log the user out everywhere and email them a password reset link
+// @access  Private (user:manage)
+router.post('/:id/reset-password', async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await revokeAllSessions(user);
+    disconnectUserSockets(req.app.get('io'), user.id);
+    const emailJob = await sendPasswordResetEmail(user);
+
+    res.json({
+      success: true,
+      message: 'Sessions revoked; the password reset email is queued',
+      data: { emailQueued: true, emailJobId: emailJob.id }
+    });
+  } catch (error) {
+    console.error('Reset user password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
+
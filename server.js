@@ -8,10 +8,29 @@ require('dotenv').config();
 
 const { sequelize } = require('./config/database');
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const oidcRoutes = require('./routes/oidc');
+const userRoutes = require('./routes/users');
+const invitationRoutes = require('./routes/invitations');
+const permissionRoutes = require('./routes/permissions');
+const teamRoutes = require('./routes/teams');
+const apiKeyRoutes = require('./routes/apiKeys');
+const customFieldRoutes = require('./routes/customFields');
+const pipelineRoutes = require('./routes/pipelines');
+const savedViewRoutes = require('./routes/savedViews');
+const scoringRuleRoutes = require('./routes/scoringRules');
+const assignmentRuleRoutes = require('./routes/assignmentRules');
+const taskRoutes = require('./routes/tasks');
+const jobRoutes = require('./routes/jobs');
+const notificationRoutes = require('./routes/notifications');
 const leadRoutes = require('./routes/leads');
 const activityRoutes = require('./routes/activities');
 const dashboardRoutes = require('./routes/dashboard');
 const { setupSocketIO } = require('./socket/socket');
+const { ensureDefaultPipeline } = require('./utils/pipelines');
+const { startScoreRefresh } = require('./utils/leadScoring');
+const { startJobWorker } = require('./utils/jobQueue');
+const { startNotificationDigests } = require('./utils/notifications');
 
 const app = express();
 const server = http.createServer(app);
@@ -107,9 +126,24 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/oidc', oidcRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/permissions', permissionRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/custom-fields', customFieldRoutes);
+app.use('/api/pipelines', pipelineRoutes);
+app.use('/api/saved-views', savedViewRoutes);
+app.use('/api/scoring-rules', scoringRuleRoutes);
+app.use('/api/assignment-rules', assignmentRuleRoutes);
 app.use('/api/leads', leadRoutes);
 app.use('/api/activities', activityRoutes);
+app.use('/api/tasks', taskRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/notifications', notificationRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 
 // Health check
@@ -137,43 +171,52 @@ app.use((err, req, res, next) => {
 
 const PORT = process.env.PORT || 5000;
 
-// Database connection and server start
-sequelize.authenticate()
-  .then(() => {
-    console.log('✅ Database connected successfully');
-    return sequelize.sync({ alter: process.env.NODE_ENV === 'development' });
-  })
-  .then(() => {
-    console.log('✅ Database models synchronized');
-    server.listen(PORT, () => {
-      console.log(`🚀 Server running on port ${PORT}`);
-      console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-      console.log(`🔗 API URL: http://localhost:${PORT}/api`);
-    });
-  })
-  .catch((error) => {
-    console.error('\n❌ Database Connection Error:');
-    console.error(`   ${error.message}\n`);
+// Database connection and server start. Tests sync their own schema and run the
+// background work themselves, so under jest the app is only exported.
+if (process.env.NODE_ENV !== 'test') {
+  sequelize.authenticate()
+    .then(() => {
+      console.log('✅ Database connected successfully');
+      return sequelize.sync({ alter: process.env.NODE_ENV === 'development' });
+    })
+    .then(() => {
+      console.log('✅ Database models synchronized');
+      return ensureDefaultPipeline();
+    })
+    .then(() => {
+      startScoreRefresh();
+      startJobWorker(io);
+      startNotificationDigests();
+      server.listen(PORT, () => {
+        console.log(`🚀 Server running on port ${PORT}`);
+        console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
+        console.log(`🔗 API URL: http://localhost:${PORT}/api`);
+      });
+    })
+    .catch((error) => {
+      console.error('\n❌ Database Connection Error:');
+      console.error(`   ${error.message}\n`);
     
-    if (error.message.includes('password')) {
-      console.error('💡 Solution:');
-      console.error('   1. Check if DB_PASSWORD is set in .env file');
-      console.error('   2. Verify PostgreSQL user password is correct');
-      console.error('   3. Make sure password is not empty\n');
-    } else if (error.message.includes('does not exist')) {
-      console.error('💡 Solution:');
-      console.error('   1. Create the database: CREATE DATABASE swiftcrm;');
-      console.error('   2. Or update DB_NAME in .env file\n');
-    } else if (error.message.includes('ECONNREFUSED')) {
-      console.error('💡 Solution:');
-      console.error('   1. Make sure PostgreSQL is running');
-      console.error('   2. Check if DB_HOST and DB_PORT are correct');
-      console.error('   3. Verify PostgreSQL service is started\n');
-    }
+      if (error.message.includes('password')) {
+        console.error('💡 Solution:');
+        console.error('   1. Check if DB_PASSWORD is set in .env file');
+        console.error('   2. Verify PostgreSQL user password is correct');
+        console.error('   3. Make sure password is not empty\n');
+      } else if (error.message.includes('does not exist')) {
+        console.error('💡 Solution:');
+        console.error('   1. Create the database: CREATE DATABASE swiftcrm;');
+        console.error('   2. Or update DB_NAME in .env file\n');
+      } else if (error.message.includes('ECONNREFUSED')) {
+        console.error('💡 Solution:');
+        console.error('   1. Make sure PostgreSQL is running');
+        console.error('   2. Check if DB_HOST and DB_PORT are correct');
+        console.error('   3. Verify PostgreSQL service is started\n');
+      }
     
-    console.error('📝 See DATABASE_SETUP.md for detailed setup instructions\n');
-    process.exit(1);
-  });
+      console.error('📝 See DATABASE_SETUP.md for detailed setup instructions\n');
+      process.exit(1);
+    });
+}
 
 module.exports = { app, server, io };
 
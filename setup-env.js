@@ -51,7 +51,8 @@ DB_PASSWORD=7000
 
 # JWT Configuration
 JWT_SECRET=your_super_secret_jwt_key_change_this_in_production
-JWT_EXPIRE=7d
+JWT_EXPIRE=15m
+REFRESH_TOKEN_TTL_DAYS=30
 
 # Email Configuration (Optional)
 EMAIL_HOST=
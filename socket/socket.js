@@ -1,5 +1,22 @@
-const jwt = require('jsonwebtoken');
-const { User } = require('../models');
+const { Lead, User } = require('../models');
+const { verifyAccessToken } = require('../utils/jwt');
+const { canAccessLead, getScope, getVisibleTeamIds } = require('../utils/permissions');
+
+// Users who may read every lead share one room
+const ALL_LEADS_ROOM = 'leads:all';
+
+// Join the rooms that carry lead events this user may see: every lead, or the leads of
+// the teams they see into. Their own leads arrive through their user room.
+const joinLeadRooms = async (socket) => {
+  const scope = await getScope(socket.user, 'lead:read');
+
+  if (scope === 'any') {
+    socket.join(ALL_LEADS_ROOM);
+  } else if (scope === 'team') {
+    const teamIds = await getVisibleTeamIds(socket.user);
+    teamIds.forEach(teamId => socket.join(`team:${teamId}`));
+  }
+};
 
 const setupSocketIO = (io) => {
   // Authentication middleware for socket
@@ -11,10 +28,9 @@ const setupSocketIO = (io) => {
         return next(new Error('Authentication error: No token provided'));
       }
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findByPk(decoded.userId);
+      const user = await verifyAccessToken(token);
 
-      if (!user || !user.isActive) {
+      if (!user) {
         return next(new Error('Authentication error: Invalid token'));
       }
 
@@ -26,7 +42,7 @@ const setupSocketIO = (io) => {
     }
   });
 
-  io.on('connection', (socket) => {
+  io.on('connection', async (socket) => {
     console.log(`User ${socket.userId} connected`);
 
     // Join user-specific room
@@ -36,9 +52,21 @@ const setupSocketIO = (io) => {
     socket.join(`role:${socket.user.role}`);
 
     // Handle lead updates
-    socket.on('lead:subscribe', (leadId) => {
-      socket.join(`lead:${leadId}`);
-      console.log(`User ${socket.userId} subscribed to lead ${leadId}`);
+    // Only leads the user may read can be followed
+    socket.on('lead:subscribe', async (leadId) => {
+      try {
+        const lead = await Lead.findByPk(leadId);
+        if (!lead || !(await canAccessLead(socket.user, lead, 'read'))) {
+          socket.emit('lead:subscribe:error', { leadId, message: 'Lead not found or access denied' });
+          return;
+        }
+
+        socket.join(`lead:${leadId}`);
+        console.log(`User ${socket.userId} subscribed to lead ${leadId}`);
+      } catch (error) {
+        console.error('Lead subscribe error:', error);
+        socket.emit('lead:subscribe:error', { leadId, message: 'Server error' });
+      }
     });
 
     socket.on('lead:unsubscribe', (leadId) => {
@@ -50,9 +78,63 @@ const setupSocketIO = (io) => {
     socket.on('disconnect', () => {
       console.log(`User ${socket.userId} disconnected`);
     });
+
+    // Last, so the handlers above are registered before the first await
+    try {
+      await joinLeadRooms(socket);
+    } catch (error) {
+      console.error('Join lead rooms error:', error);
+    }
+  });
+
+};
+
+// Disconnect any open sockets of a user, e.g. after their sessions were revoked
+const disconnectUserSockets = (io, userId) => {
+  if (io) {
+    io.in(`user:${userId}`).disconnectSockets(true);
+  }
+};
+
+// Rebuild the lead rooms of every connected socket, e.g. after users moved between teams
+// or a team changed manager
+const refreshLeadRooms = async (io) => {
+  if (!io) return;
+
+  for (const socket of io.of('/').sockets.values()) {
+    try {
+      await socket.user.reload();
+      [...socket.rooms]
+        .filter(room => room === ALL_LEADS_ROOM || room.startsWith('team:'))
+        .forEach(room => socket.leave(room));
+      await joinLeadRooms(socket);
+    } catch (error) {
+      console.error('Refresh lead rooms error:', error);
+    }
+  }
+};
+
+// Emit a lead-related event only to the users who may read leads owned by `ownerIds`
+// (the assignee and creator): readers of all leads, the owners themselves and the
+// managers of the owners' teams
+const emitToLeadViewers = async (io, ownerIds, event, payload) => {
+  if (!io) return;
+
+  const ids = [...new Set(ownerIds.filter(Boolean))];
+  const owners = ids.length > 0
+    ? await User.findAll({ where: { id: ids }, attributes: ['id', 'teamId'], raw: true })
+    : [];
+
+  const rooms = new Set([ALL_LEADS_ROOM]);
+  owners.forEach(owner => {
+    rooms.add(`user:${owner.id}`);
+    if (owner.teamId) {
+      rooms.add(`team:${owner.teamId}`);
+    }
   });
 
+  io.to([...rooms]).emit(event, payload);
 };
 
-module.exports = { setupSocketIO };
+module.exports = { setupSocketIO, disconnectUserSockets, refreshLeadRooms, emitToLeadViewers };
 
@@ -0,0 +1,160 @@
+const request = require('supertest');
+const { sequelize } = require('../config/database');
+const { User, ApiKeyWrite } = require('../models');
+const { app } = require('../server');
+const { generateToken } = require('../utils/jwt');
+const { invalidatePermissionCache, setRolePermissions, DEFAULT_ROLE_PERMISSIONS } = require('../utils/permissions');
+
+describe('API Keys API', () => {
+  let adminToken;
+  let admin;
+  let integrationUser;
+  let apiKeyId;
+  let key;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+    invalidatePermissionCache();
+
+    admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'Admin'
+    });
+    integrationUser = await User.create({
+      name: 'Website Form',
+      email: 'website-form@example.com',
+      password: 'password123',
+      role: 'Sales Executive'
+    });
+
+    adminToken = generateToken(admin.id);
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('POST /api/api-keys', () => {
+    it('should create a key and return it once', async () => {
+      const res = await request(app)
+        .post('/api/api-keys')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Website form', scopes: ['lead:create'], userId: integrationUser.id });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data.key).toMatch(/^crm_/);
+      expect(res.body.data.apiKey.keyHash).toBeUndefined();
+      expect(res.body.data.apiKey.status).toBe('active');
+
+      apiKeyId = res.body.data.apiKey.id;
+      key = res.body.data.key;
+    });
+
+    it('should reject unknown scopes', async () => {
+      const res = await request(app)
+        .post('/api/api-keys')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Bad key', scopes: ['lead:teleport'] });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should not let a non-Admin key manager mint keys beyond their own permissions', async () => {
+      await setRolePermissions('Manager', [...DEFAULT_ROLE_PERMISSIONS.Manager, 'apikey:manage']);
+      const manager = await User.create({
+        name: 'Key Manager',
+        email: 'keys@example.com',
+        password: 'password123',
+        role: 'Manager'
+      });
+      const managerToken = generateToken(manager.id);
+
+      try {
+        const asAdmin = await request(app)
+          .post('/api/api-keys')
+          .set('Authorization', `Bearer ${managerToken}`)
+          .send({ name: 'Escalation', scopes: ['lead:create'], userId: admin.id });
+        expect(asAdmin.statusCode).toBe(403);
+
+        const adminScopes = await request(app)
+          .post('/api/api-keys')
+          .set('Authorization', `Bearer ${managerToken}`)
+          .send({ name: 'Escalation', scopes: ['user:manage', 'permission:manage'] });
+        expect(adminScopes.statusCode).toBe(403);
+
+        const allowed = await request(app)
+          .post('/api/api-keys')
+          .set('Authorization', `Bearer ${managerToken}`)
+          .send({ name: 'Rep form', scopes: ['lead:create'], userId: integrationUser.id });
+        expect(allowed.statusCode).toBe(201);
+
+        await request(app)
+          .delete(`/api/api-keys/${allowed.body.data.apiKey.id}`)
+          .set('Authorization', `Bearer ${managerToken}`);
+      } finally {
+        await setRolePermissions('Manager', DEFAULT_ROLE_PERMISSIONS.Manager);
+      }
+    });
+  });
+
+  describe('Authenticating with a key', () => {
+    it('should allow scoped writes and record them', async () => {
+      const res = await request(app)
+        .post('/api/leads')
+        .set('X-API-Key', key)
+        .send({ name: 'Form Lead', email: 'form@example.com' });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data.lead.createdById).toBe(integrationUser.id);
+
+      // The write is recorded once the response has finished
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const writes = await ApiKeyWrite.findAll({ where: { apiKeyId } });
+      expect(writes).toHaveLength(1);
+      expect(writes[0].path).toBe('/api/leads');
+    });
+
+    it('should deny permissions outside the key\'s scopes', async () => {
+      const res = await request(app)
+        .get('/api/leads')
+        .set('Authorization', `Bearer ${key}`);
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should refuse keys on account endpoints', async () => {
+      const res = await request(app)
+        .post('/api/auth/logout-all')
+        .set('X-API-Key', key);
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should record when the key was last used', async () => {
+      const res = await request(app)
+        .get('/api/api-keys')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.apiKeys[0].lastUsedAt).toBeTruthy();
+    });
+  });
+
+  describe('DELETE /api/api-keys/:id', () => {
+    it('should revoke a key', async () => {
+      const res = await request(app)
+        .delete(`/api/api-keys/${apiKeyId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+
+      const leadRes = await request(app)
+        .post('/api/leads')
+        .set('X-API-Key', key)
+        .send({ name: 'Late Lead', email: 'late@example.com' });
+      expect(leadRes.statusCode).toBe(401);
+    });
+  });
+});
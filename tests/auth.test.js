@@ -2,6 +2,7 @@ const request = require('supertest');
 const { sequelize } = require('../config/database');
 const { User } = require('../models');
 const { app } = require('../server');
+const { generateUserToken } = require('../utils/jwt');
 
 describe('Authentication API', () => {
   beforeAll(async () => {
@@ -13,7 +14,9 @@ describe('Authentication API', () => {
   });
 
   describe('POST /api/auth/register', () => {
-    it('should register a new user', async () => {
+    let adminToken;
+
+    it('should register the first user as Admin', async () => {
       const res = await request(app)
         .post('/api/auth/register')
         .send({
@@ -27,12 +30,45 @@ describe('Authentication API', () => {
       expect(res.body.success).toBe(true);
       expect(res.body.data.user).toHaveProperty('id');
       expect(res.body.data.user.email).toBe('test@example.com');
+      expect(res.body.data.user.role).toBe('Admin');
       expect(res.body.data.token).toBeDefined();
+      adminToken = res.body.data.token;
+    });
+
+    it('should refuse anonymous registration once a user exists', async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Self Promoted',
+          email: 'self@example.com',
+          password: 'password123',
+          role: 'Admin'
+        });
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should let an Admin register a user', async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name: 'Sales Rep',
+          email: 'rep@example.com',
+          password: 'password123',
+          role: 'Sales Executive'
+        });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data.user.role).toBe('Sales Executive');
+      expect(res.body.data.token).toBeUndefined();
     });
 
     it('should not register user with existing email', async () => {
       const res = await request(app)
         .post('/api/auth/register')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({
           name: 'Test User 2',
           email: 'test@example.com',
@@ -84,6 +120,171 @@ describe('Authentication API', () => {
       expect(res.body.success).toBe(false);
     });
   });
+
+  describe('Password reset and email verification', () => {
+    it('should not reveal whether an email is registered', async () => {
+      const res = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.success).toBe(true);
+    });
+
+    it('should reset the password with a single-use token', async () => {
+      const user = await User.findOne({ where: { email: 'test@example.com' } });
+      const token = await generateUserToken(user, 'password_reset');
+
+      const res = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'newpassword123' });
+      expect(res.statusCode).toBe(200);
+
+      const reuse = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'anotherpassword' });
+      expect(reuse.statusCode).toBe(400);
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'newpassword123' });
+      expect(login.statusCode).toBe(200);
+
+      // Restore the password used by the remaining tests
+      await user.reload();
+      await user.update({ password: 'password123' });
+    });
+
+    it('should refuse unverified accounts when verification is required', async () => {
+      await User.create({
+        name: 'Unverified User',
+        email: 'unverified@example.com',
+        password: 'password123'
+      });
+
+      process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+      try {
+        const refused = await request(app)
+          .post('/api/auth/login')
+          .send({ email: 'unverified@example.com', password: 'password123' });
+        expect(refused.statusCode).toBe(403);
+
+        const user = await User.findOne({ where: { email: 'unverified@example.com' } });
+        const token = await generateUserToken(user, 'email_verification');
+        const verify = await request(app)
+          .post('/api/auth/verify-email')
+          .send({ token });
+        expect(verify.statusCode).toBe(200);
+        expect(verify.body.data.user.emailVerified).toBe(true);
+
+        const login = await request(app)
+          .post('/api/auth/login')
+          .send({ email: 'unverified@example.com', password: 'password123' });
+        expect(login.statusCode).toBe(200);
+      } finally {
+        delete process.env.REQUIRE_EMAIL_VERIFICATION;
+      }
+    });
+  });
+
+  describe('Refresh tokens', () => {
+    let tokens;
+
+    beforeAll(async () => {
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'test@example.com',
+          password: 'password123'
+        });
+      tokens = res.body.data;
+    });
+
+    it('should return a refresh token on login', () => {
+      expect(tokens.refreshToken).toBeDefined();
+    });
+
+    it('should rotate the refresh token', async () => {
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.token).toBeDefined();
+      expect(res.body.data.refreshToken).not.toBe(tokens.refreshToken);
+
+      // Reusing the rotated token is rejected and revokes the whole session
+      const reuse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken });
+      expect(reuse.statusCode).toBe(401);
+
+      const afterReuse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: res.body.data.refreshToken });
+      expect(afterReuse.statusCode).toBe(401);
+    });
+
+    it('should rotate a refresh token only once when it is used concurrently', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'test@example.com',
+          password: 'password123'
+        });
+      const { refreshToken } = login.body.data;
+
+      const results = await Promise.all([1, 2].map(() => request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })));
+
+      expect(results.map(res => res.statusCode).sort()).toEqual([200, 401]);
+    });
+
+    it('should revoke the access token on logout', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'test@example.com',
+          password: 'password123'
+        });
+      const { token, refreshToken } = login.body.data;
+
+      const logout = await request(app)
+        .post('/api/auth/logout')
+        .send({ refreshToken });
+      expect(logout.statusCode).toBe(200);
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`);
+      expect(me.statusCode).toBe(401);
+    });
+
+    it('should log out all sessions', async () => {
+      const first = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+      const second = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+
+      const res = await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${first.body.data.token}`);
+      expect(res.statusCode).toBe(200);
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${second.body.data.token}`);
+      expect(me.statusCode).toBe(401);
+
+      const refresh = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: second.body.data.refreshToken });
+      expect(refresh.statusCode).toBe(401);
+    });
+  });
 });
 
 
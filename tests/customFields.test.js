@@ -0,0 +1,164 @@
+const request = require('supertest');
+const { sequelize } = require('../config/database');
+const { User, Lead } = require('../models');
+const { app } = require('../server');
+const { generateToken } = require('../utils/jwt');
+const { invalidateCustomFieldCache } = require('../utils/customFields');
+
+describe('Custom Fields API', () => {
+  let adminToken;
+  let managerToken;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+    invalidateCustomFieldCache();
+
+    const admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'Admin'
+    });
+    const manager = await User.create({
+      name: 'Manager User',
+      email: 'manager@example.com',
+      password: 'password123',
+      role: 'Manager'
+    });
+
+    adminToken = generateToken(admin.id);
+    managerToken = generateToken(manager.id);
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  const defineField = data => request(app)
+    .post('/api/custom-fields')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(data);
+
+  const createLead = (name, customFields) => request(app)
+    .post('/api/leads')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ name, email: `${name.toLowerCase()}@example.com`, customFields });
+
+  describe('POST /api/custom-fields', () => {
+    it('should define fields', async () => {
+      const industry = await defineField({
+        key: 'industry',
+        label: 'Industry',
+        type: 'select',
+        options: ['Software', 'Retail', 'Finance'],
+        required: true
+      });
+      expect(industry.statusCode).toBe(201);
+
+      const employees = await defineField({
+        key: 'employeeCount',
+        label: 'Employees',
+        type: 'number',
+        validation: { min: 1, integer: true }
+      });
+      expect(employees.statusCode).toBe(201);
+    });
+
+    it('should reject select fields without options', async () => {
+      const res = await defineField({ key: 'region', label: 'Region', type: 'select' });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should be limited to customfield:manage', async () => {
+      const res = await request(app)
+        .post('/api/custom-fields')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ key: 'region', label: 'Region', type: 'text' });
+
+      expect(res.statusCode).toBe(403);
+    });
+  });
+
+  describe('Lead values', () => {
+    it('should validate and store values on create', async () => {
+      const res = await createLead('Acme', { industry: 'Software', employeeCount: '250' });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data.lead.customFields).toEqual({ industry: 'Software', employeeCount: 250 });
+    });
+
+    it('should enforce required fields and rules', async () => {
+      const missing = await createLead('Globex', { employeeCount: 10 });
+      expect(missing.statusCode).toBe(400);
+      expect(missing.body.errors[0].msg).toMatch(/Industry is required/);
+
+      const invalid = await createLead('Globex', { industry: 'Mining', employeeCount: 2.5 });
+      expect(invalid.statusCode).toBe(400);
+    });
+
+    it('should keep other values on update', async () => {
+      const created = await createLead('Initech', { industry: 'Finance', employeeCount: 40 });
+
+      const res = await request(app)
+        .put(`/api/leads/${created.body.data.lead.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ customFields: { employeeCount: 45 } });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.lead.customFields).toEqual({ industry: 'Finance', employeeCount: 45 });
+    });
+  });
+
+  describe('GET /api/leads', () => {
+    it('should filter and sort on custom fields', async () => {
+      await createLead('Hooli', { industry: 'Software', employeeCount: 5000 });
+
+      const res = await request(app)
+        .get('/api/leads')
+        .query({ 'cf.industry': 'Software', 'cf.employeeCount[gte]': 100, sortBy: 'cf.employeeCount', sortOrder: 'ASC' })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.leads.map(lead => lead.name)).toEqual(['Acme', 'Hooli']);
+    });
+
+    it('should reject unknown custom fields', async () => {
+      const res = await request(app)
+        .get('/api/leads')
+        .query({ 'cf.unknown': 'x' })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('GET /api/leads/export', () => {
+    it('should include custom fields', async () => {
+      const res = await request(app)
+        .get('/api/leads/export')
+        .query({ format: 'json', columns: 'name,cf.industry', sortBy: 'name', sortOrder: 'ASC' })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(JSON.parse(res.text)[0]).toEqual({ name: 'Acme', 'cf.industry': 'Software' });
+    });
+  });
+
+  describe('DELETE /api/custom-fields/:id', () => {
+    it('should delete the field and its values', async () => {
+      const list = await request(app)
+        .get('/api/custom-fields')
+        .set('Authorization', `Bearer ${managerToken}`);
+      const employees = list.body.data.customFields.find(field => field.key === 'employeeCount');
+
+      const res = await request(app)
+        .delete(`/api/custom-fields/${employees.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      const lead = await Lead.findOne({ where: { name: 'Acme' } });
+      expect(lead.customFields).toEqual({ industry: 'Software' });
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const request = require('supertest');
+const { sequelize } = require('../config/database');
+const { User, Invitation, Job } = require('../models');
+const { app } = require('../server');
+const { generateToken, hashToken } = require('../utils/jwt');
+
+describe('Invitations API', () => {
+  let managerToken;
+  let manager;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    manager = await User.create({
+      name: 'Manager User',
+      email: 'manager@example.com',
+      password: 'password123',
+      role: 'Manager'
+    });
+
+    managerToken = generateToken(manager.id);
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('POST /api/invitations', () => {
+    it('should invite a teammate', async () => {
+      const res = await request(app)
+        .post('/api/invitations')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ email: 'newrep@example.com', role: 'Sales Executive' });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data.invitation.status).toBe('pending');
+      expect(res.body.data.invitation.tokenHash).toBeUndefined();
+
+      // The job names the invitation; its link token is only made when the email is sent
+      expect(res.body.data.emailQueued).toBe(true);
+      const email = await Job.findByPk(res.body.data.emailJobId);
+      expect(email.type).toBe('invitation.email');
+      expect(email.payload).toEqual({ invitationId: res.body.data.invitation.id });
+    });
+
+    it('should not let a Manager invite an Admin', async () => {
+      const res = await request(app)
+        .post('/api/invitations')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ email: 'boss@example.com', role: 'Admin' });
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should list pending invitations', async () => {
+      const res = await request(app)
+        .get('/api/invitations')
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.invitations).toHaveLength(1);
+    });
+  });
+
+  describe('POST /api/invitations/accept', () => {
+    const token = 'a'.repeat(64);
+
+    beforeAll(async () => {
+      await Invitation.create({
+        email: 'invitee@example.com',
+        role: 'Sales Executive',
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        invitedById: manager.id
+      });
+    });
+
+    it('should create the account with a hashed password', async () => {
+      const res = await request(app)
+        .post('/api/invitations/accept')
+        .send({ token, name: 'Invited Rep', password: 'password123' });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data.token).toBeDefined();
+
+      const user = await User.findOne({ where: { email: 'invitee@example.com' } });
+      expect(user.password).not.toBe('password123');
+      expect(await user.comparePassword('password123')).toBe(true);
+      expect(user.role).toBe('Sales Executive');
+    });
+
+    it('should not accept the same invitation twice', async () => {
+      const res = await request(app)
+        .post('/api/invitations/accept')
+        .send({ token, name: 'Invited Rep', password: 'password123' });
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('DELETE /api/invitations/:id', () => {
+    it('should revoke a pending invitation', async () => {
+      const invitation = await Invitation.findOne({ where: { email: 'newrep@example.com' } });
+
+      const res = await request(app)
+        .delete(`/api/invitations/${invitation.id}`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(res.statusCode).toBe(200);
+      await invitation.reload();
+      expect(invitation.getStatus()).toBe('revoked');
+    });
+  });
+});
+
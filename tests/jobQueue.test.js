@@ -0,0 +1,145 @@
+// The tests run the queue themselves, without the server's worker
+process.env.JOB_POLL_INTERVAL_MS = '0';
+
+const request = require('supertest');
+const { sequelize } = require('../config/database');
+const { User, Job } = require('../models');
+const { app } = require('../server');
+const { generateToken } = require('../utils/jwt');
+const { invalidatePermissionCache } = require('../utils/permissions');
+const { registerJobHandler, enqueueJob, runDueJobs } = require('../utils/jobQueue');
+
+describe('Job Queue', () => {
+  let adminToken;
+  let repToken;
+  const handled = [];
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+    invalidatePermissionCache();
+
+    registerJobHandler('test.record', async (payload) => {
+      handled.push(payload);
+    });
+    registerJobHandler('test.fail', async () => {
+      throw new Error('Upstream unavailable');
+    });
+
+    const admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'Admin'
+    });
+    const rep = await User.create({
+      name: 'Sales Rep',
+      email: 'rep@example.com',
+      password: 'password123',
+      role: 'Sales Executive'
+    });
+
+    adminToken = generateToken(admin.id);
+    repToken = generateToken(rep.id);
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('Running jobs', () => {
+    it('should run due jobs once and leave later ones queued', async () => {
+      const now = await enqueueJob('test.record', { n: 1 });
+      const later = await enqueueJob('test.record', { n: 2 }, { runAt: new Date(Date.now() + 60 * 60 * 1000) });
+
+      expect(await runDueJobs()).toBe(1);
+      expect(await runDueJobs()).toBe(0);
+      expect(handled).toEqual([{ n: 1 }]);
+
+      await now.reload();
+      await later.reload();
+      expect(now.status).toBe('completed');
+      expect(now.attempts).toBe(1);
+      expect(later.status).toBe('pending');
+    });
+
+    it('should queue a job only once per idempotency key', async () => {
+      const first = await enqueueJob('test.record', { n: 3 }, { idempotencyKey: 'welcome:42' });
+      const second = await enqueueJob('test.record', { n: 4 }, { idempotencyKey: 'welcome:42' });
+
+      expect(second.id).toBe(first.id);
+      expect(await Job.count({ where: { idempotencyKey: 'welcome:42' } })).toBe(1);
+    });
+  });
+
+  describe('Failures', () => {
+    it('should retry with backoff, then mark the job dead', async () => {
+      const job = await enqueueJob('test.fail', {}, { maxAttempts: 2 });
+
+      await runDueJobs();
+      await job.reload();
+      expect(job.status).toBe('pending');
+      expect(job.runAt.getTime()).toBeGreaterThan(Date.now());
+      expect(job.lastError).toContain('Upstream unavailable');
+
+      await job.update({ runAt: new Date() });
+      await runDueJobs();
+      await job.reload();
+      expect(job.status).toBe('dead');
+      expect(job.attempts).toBe(2);
+    });
+  });
+
+  describe('Jobs API', () => {
+    it('should list dead jobs for admins only', async () => {
+      const denied = await request(app)
+        .get('/api/jobs')
+        .set('Authorization', `Bearer ${repToken}`);
+      expect(denied.statusCode).toBe(403);
+
+      const res = await request(app)
+        .get('/api/jobs')
+        .query({ status: 'dead' })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.jobs.map(job => job.type)).toEqual(['test.fail']);
+      expect(res.body.data.counts.dead).toBe(1);
+    });
+
+    it('should retry dead jobs only', async () => {
+      const dead = await Job.findOne({ where: { status: 'dead' } });
+      const completed = await Job.findOne({ where: { status: 'completed' } });
+
+      const refused = await request(app)
+        .post(`/api/jobs/${completed.id}/retry`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(refused.statusCode).toBe(400);
+
+      const res = await request(app)
+        .post(`/api/jobs/${dead.id}/retry`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.job.status).toBe('pending');
+      expect(res.body.data.job.attempts).toBe(0);
+    });
+  });
+
+  describe('Lost workers', () => {
+    it('should count a timed-out run as an attempt', async () => {
+      const lockedAt = new Date(Date.now() - 60 * 60 * 1000);
+      const retried = await Job.create({ type: 'test.record', payload: { n: 5 }, status: 'running', attempts: 1, maxAttempts: 2, lockedAt });
+      const exhausted = await Job.create({ type: 'test.record', payload: { n: 6 }, status: 'running', attempts: 2, maxAttempts: 2, lockedAt });
+
+      await runDueJobs();
+
+      await retried.reload();
+      expect(retried.status).toBe('completed');
+      expect(retried.attempts).toBe(2);
+      await exhausted.reload();
+      expect(exhausted.status).toBe('dead');
+      expect(exhausted.lastError).toMatch(/stopped/);
+      expect(handled).not.toContainEqual({ n: 6 });
+    });
+  });
+});
@@ -0,0 +1,176 @@
+const request = require('supertest');
+const { sequelize } = require('../config/database');
+const { User, Lead, Activity, AssignmentRule } = require('../models');
+const { app } = require('../server');
+const { generateToken } = require('../utils/jwt');
+const { invalidateAssignmentRuleCache } = require('../utils/leadAssignment');
+
+let leadCount = 0;
+
+const createLead = (token, lead = {}) => {
+  leadCount += 1;
+  return request(app)
+    .post('/api/leads')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ name: `Inbound ${leadCount}`, email: `inbound${leadCount}@example.com`, ...lead });
+};
+
+const createRule = (token, rule) => request(app)
+  .post('/api/assignment-rules')
+  .set('Authorization', `Bearer ${token}`)
+  .send(rule);
+
+describe('Lead Assignment Rules API', () => {
+  let adminToken;
+  let repToken;
+  let admin;
+  let alice;
+  let bob;
+  let partnerManager;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+    invalidateAssignmentRuleCache();
+
+    admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'Admin'
+    });
+    alice = await User.create({
+      name: 'Alice Rep',
+      email: 'alice@example.com',
+      password: 'password123',
+      role: 'Sales Executive'
+    });
+    await User.create({
+      name: 'Gone Rep',
+      email: 'gone@example.com',
+      password: 'password123',
+      role: 'Sales Executive',
+      isActive: false
+    });
+    bob = await User.create({
+      name: 'Bob Rep',
+      email: 'bob@example.com',
+      password: 'password123',
+      role: 'Sales Executive'
+    });
+    partnerManager = await User.create({
+      name: 'Partner Manager',
+      email: 'partners@example.com',
+      password: 'password123',
+      role: 'Manager'
+    });
+
+    adminToken = generateToken(admin.id);
+    repToken = generateToken(alice.id);
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('Without rules', () => {
+    it('should assign new leads to their creator', async () => {
+      const res = await createLead(adminToken);
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data.lead.assignedToId).toBe(admin.id);
+    });
+  });
+
+  describe('POST /api/assignment-rules', () => {
+    it('should only let users with assignment:manage add rules', async () => {
+      const res = await createRule(repToken, { name: 'Everyone' });
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should reject unknown users and bad weights', async () => {
+      const unknownUser = await createRule(adminToken, { name: 'Broken', userIds: [999] });
+      expect(unknownUser.statusCode).toBe(400);
+
+      const badWeight = await createRule(adminToken, { name: 'Broken', strategy: 'loadBalanced', weights: { [alice.id]: 0 } });
+      expect(badWeight.statusCode).toBe(400);
+    });
+  });
+
+  describe('Round-robin', () => {
+    it('should take turns among active Sales Executives and record the rule', async () => {
+      const rule = await createRule(adminToken, { name: 'Inbound round-robin', priority: 10 });
+      expect(rule.statusCode).toBe(201);
+
+      const assignees = [];
+      for (let i = 0; i < 3; i += 1) {
+        const res = await createLead(adminToken);
+        expect(res.statusCode).toBe(201);
+        assignees.push(res.body.data.lead.assignedToId);
+      }
+      expect(assignees).toEqual([alice.id, bob.id, alice.id]);
+
+      const lead = await Lead.findOne({ where: { assignedToId: bob.id } });
+      const activity = await Activity.findOne({ where: { leadId: lead.id, title: 'Lead Reassigned' } });
+      expect(activity.description).toBe('Lead assigned to Bob Rep by the assignment rule "Inbound round-robin"');
+      expect(activity.metadata.assignmentRuleId).toBe(rule.body.data.assignmentRule.id);
+    });
+
+    it('should keep an assignee given in the request', async () => {
+      const res = await createLead(adminToken, { assignedToId: partnerManager.id });
+
+      expect(res.body.data.lead.assignedToId).toBe(partnerManager.id);
+    });
+  });
+
+  describe('Territory rules', () => {
+    it('should try rules in priority order and match on the lead', async () => {
+      const res = await createRule(adminToken, {
+        name: 'Partner leads',
+        priority: 1,
+        condition: { field: 'source', op: 'eq', value: 'Partner' },
+        userIds: [partnerManager.id]
+      });
+      expect(res.statusCode).toBe(201);
+
+      const partnerLead = await createLead(adminToken, { source: 'Partner' });
+      expect(partnerLead.body.data.lead.assignedToId).toBe(partnerManager.id);
+
+      const webLead = await createLead(adminToken, { source: 'Website' });
+      expect(webLead.body.data.lead.assignedToId).not.toBe(partnerManager.id);
+    });
+
+    it('should fall through when the rule\'s users are inactive', async () => {
+      await partnerManager.update({ isActive: false });
+
+      const res = await createLead(adminToken, { source: 'Partner' });
+      expect([alice.id, bob.id]).toContain(res.body.data.lead.assignedToId);
+
+      await partnerManager.update({ isActive: true });
+    });
+  });
+
+  describe('Load balancing', () => {
+    it('should give leads to the user with the fewest open leads for their weight', async () => {
+      await AssignmentRule.update({ isActive: false }, { where: {} });
+      const res = await createRule(adminToken, {
+        name: 'Balanced',
+        strategy: 'loadBalanced',
+        userIds: [alice.id, bob.id],
+        weights: { [bob.id]: 3 }
+      });
+      expect(res.statusCode).toBe(201);
+
+      const openLeads = async userId => Lead.count({ where: { assignedToId: userId } });
+      const before = { alice: await openLeads(alice.id), bob: await openLeads(bob.id) };
+
+      for (let i = 0; i < 4; i += 1) {
+        await createLead(adminToken);
+      }
+
+      const added = { alice: await openLeads(alice.id) - before.alice, bob: await openLeads(bob.id) - before.bob };
+      expect(added.alice + added.bob).toBe(4);
+      expect(added.bob).toBeGreaterThan(added.alice);
+    });
+  });
+});
@@ -0,0 +1,169 @@
+const request = require('supertest');
+const { sequelize } = require('../config/database');
+const { User, Lead, Activity } = require('../models');
+const { app } = require('../server');
+const { generateToken } = require('../utils/jwt');
+
+describe('Bulk Lead Operations API', () => {
+  let admin;
+  let rep;
+  let otherRep;
+  let adminToken;
+  let repToken;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'Admin'
+    });
+    rep = await User.create({
+      name: 'Sales Rep',
+      email: 'rep@example.com',
+      password: 'password123',
+      role: 'Sales Executive'
+    });
+    otherRep = await User.create({
+      name: 'Other Rep',
+      email: 'other@example.com',
+      password: 'password123',
+      role: 'Sales Executive'
+    });
+
+    adminToken = generateToken(admin.id);
+    repToken = generateToken(rep.id);
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  const createLeads = (count, data) => Promise.all(Array.from({ length: count }, (_, index) => Lead.create({
+    name: `Lead ${index}`,
+    email: `lead${index}-${Date.now()}@example.com`,
+    createdById: admin.id,
+    assignedToId: admin.id,
+    ...data
+  })));
+
+  describe('POST /api/leads/bulk/reassign', () => {
+    it('should reassign leads and log an activity for each', async () => {
+      const leads = await createLeads(3);
+
+      const res = await request(app)
+        .post('/api/leads/bulk/reassign')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ids: leads.map(lead => lead.id), assignedToId: rep.id });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.summary).toEqual({ total: 3, succeeded: 3, failed: 0 });
+      expect(await Lead.count({ where: { assignedToId: rep.id } })).toBe(3);
+      expect(await Activity.count({ where: { title: 'Lead Reassigned' } })).toBe(3);
+    });
+
+    it('should refuse inactive assignees', async () => {
+      const inactive = await User.create({
+        name: 'Former Rep',
+        email: 'former@example.com',
+        password: 'password123',
+        isActive: false
+      });
+
+      const res = await request(app)
+        .post('/api/leads/bulk/reassign')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ filter: {}, assignedToId: inactive.id });
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('POST /api/leads/bulk/status', () => {
+    it('should report leads the user may not update', async () => {
+      const [own] = await createLeads(1, { assignedToId: rep.id });
+      const [foreign] = await createLeads(1, { assignedToId: otherRep.id });
+
+      const res = await request(app)
+        .post('/api/leads/bulk/status')
+        .set('Authorization', `Bearer ${repToken}`)
+        .send({ ids: [own.id, foreign.id, 999999], status: 'Contacted' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.results).toEqual([
+        { id: own.id, success: true, changed: true },
+        { id: foreign.id, success: false, message: 'Access denied' },
+        { id: 999999, success: false, message: 'Lead not found' }
+      ]);
+
+      expect((await Lead.findByPk(own.id)).status).toBe('Contacted');
+      expect((await Lead.findByPk(foreign.id)).status).toBe('New');
+      expect(await Activity.count({ where: { leadId: own.id, type: 'Status Change' } })).toBe(1);
+    });
+
+    it('should target leads by filter', async () => {
+      const res = await request(app)
+        .post('/api/leads/bulk/status')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ filter: { assignedToId: otherRep.id }, status: 'Lost', lossReason: 'No budget' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.summary.succeeded).toBe(1);
+      expect(await Lead.count({ where: { status: 'Lost' } })).toBe(1);
+    });
+
+    it('should require either ids or filter', async () => {
+      const res = await request(app)
+        .post('/api/leads/bulk/status')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'Won' });
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('POST /api/leads/bulk/tags', () => {
+    it('should add and remove tags', async () => {
+      const leads = await createLeads(2, { tags: ['cold'] });
+
+      const res = await request(app)
+        .post('/api/leads/bulk/tags')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ids: leads.map(lead => lead.id), add: ['trade-show'], remove: ['cold'] });
+
+      expect(res.statusCode).toBe(200);
+      expect((await Lead.findByPk(leads[0].id)).tags).toEqual(['trade-show']);
+
+      const listRes = await request(app)
+        .get('/api/leads')
+        .query({ tag: 'trade-show' })
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(listRes.body.data.pagination.total).toBe(2);
+    });
+  });
+
+  describe('POST /api/leads/bulk/delete', () => {
+    it('should delete leads for users with lead:delete', async () => {
+      const leads = await createLeads(2);
+
+      const res = await request(app)
+        .post('/api/leads/bulk/delete')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ids: leads.map(lead => lead.id) });
+
+      expect(res.statusCode).toBe(200);
+      expect(await Lead.count({ where: { id: leads.map(lead => lead.id) } })).toBe(0);
+    });
+
+    it('should forbid roles without lead:delete', async () => {
+      const res = await request(app)
+        .post('/api/leads/bulk/delete')
+        .set('Authorization', `Bearer ${repToken}`)
+        .send({ filter: {} });
+
+      expect(res.statusCode).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+const request = require('supertest');
+const { sequelize } = require('../config/database');
+const { User, Lead, Activity } = require('../models');
+const { app } = require('../server');
+const { generateToken } = require('../utils/jwt');
+const { matchReasons, normalizeEmail, normalizePhone, normalizeCompany } = require('../utils/leadDuplicates');
+
+describe('Duplicate Leads API', () => {
+  let adminToken;
+  let admin;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'Admin'
+    });
+    adminToken = generateToken(admin.id);
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  const createLead = (data) => Lead.create({ createdById: admin.id, assignedToId: admin.id, ...data });
+
+  describe('Matching', () => {
+    const keys = (lead) => ({
+      email: normalizeEmail(lead.email),
+      phone: normalizePhone(lead.phone),
+      name: lead.name.toLowerCase(),
+      company: normalizeCompany(lead.company)
+    });
+
+    it('should match normalized emails and phones', () => {
+      expect(matchReasons(
+        keys({ name: 'A', email: 'Jane.Doe+crm@Example.com', phone: '+1 (555) 010-9999' }),
+        keys({ name: 'B', email: 'jane.doe@example.com', phone: '555.010.9999' })
+      )).toEqual(['email', 'phone']);
+    });
+
+    it('should match similar names at the same company', () => {
+      expect(matchReasons(
+        keys({ name: 'Jon Smith', email: 'a@one.com', company: 'ACME, Inc.' }),
+        keys({ name: 'John Smith', email: 'b@two.com', company: 'Acme' })
+      )).toEqual(['name+company']);
+
+      expect(matchReasons(
+        keys({ name: 'Jon Smith', email: 'a@one.com', company: 'Acme' }),
+        keys({ name: 'Jane Doe', email: 'b@two.com', company: 'Acme' })
+      )).toEqual([]);
+    });
+  });
+
+  describe('POST /api/leads', () => {
+    it('should warn when a likely duplicate exists', async () => {
+      const existing = await createLead({ name: 'Existing', email: 'existing@example.com' });
+
+      const res = await request(app)
+        .post('/api/leads')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Existing Again', email: 'EXISTING@example.com' });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.message).toMatch(/may duplicate/);
+      expect(res.body.data.possibleDuplicates).toEqual([
+        expect.objectContaining({ leadId: existing.id, matchedOn: ['email'] })
+      ]);
+    });
+  });
+
+  describe('GET /api/leads/duplicates', () => {
+    it('should list clusters of duplicate leads', async () => {
+      const res = await request(app)
+        .get('/api/leads/duplicates')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.clusters).toHaveLength(1);
+      expect(res.body.data.clusters[0].leads).toHaveLength(2);
+      expect(res.body.data.clusters[0].matchedOn).toEqual(['email']);
+    });
+
+    it('should reject a page size over the maximum', async () => {
+      const res = await request(app)
+        .get('/api/leads/duplicates')
+        .query({ limit: 500 })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should only warn about leads the user can see', async () => {
+      const rep = await User.create({
+        name: 'Scoped Rep',
+        email: 'scoped@example.com',
+        password: 'password123',
+        role: 'Sales Executive'
+      });
+      await createLead({ name: 'Hidden', email: 'hidden@example.com' });
+
+      const res = await request(app)
+        .post('/api/leads')
+        .set('Authorization', `Bearer ${generateToken(rep.id)}`)
+        .send({ name: 'Hidden Again', email: 'hidden@example.com' });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data.possibleDuplicates).toEqual([]);
+    });
+  });
+
+  describe('POST /api/leads/:id/merge', () => {
+    it('should merge leads, keeping the chosen values and moving activities', async () => {
+      const survivor = await createLead({ name: 'Globex', email: 'sales@globex.com', company: 'Globex' });
+      const duplicate = await createLead({ name: 'Globex Corp', email: 'sales@globex.com', phone: '5550100', estimatedValue: 500 });
+      await Activity.create({ type: 'Call', title: 'Intro call', leadId: duplicate.id, userId: admin.id });
+
+      const res = await request(app)
+        .post(`/api/leads/${survivor.id}/merge`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ leadIds: [duplicate.id], fields: { name: duplicate.id } });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.lead).toMatchObject({ name: 'Globex Corp', company: 'Globex', phone: '5550100' });
+      expect(await Lead.findByPk(duplicate.id)).toBeNull();
+
+      const activities = await Activity.findAll({ where: { leadId: survivor.id } });
+      expect(activities.map(activity => activity.title)).toEqual(expect.arrayContaining(['Intro call', 'Leads Merged']));
+    });
+
+    it('should refuse field choices from other leads', async () => {
+      const survivor = await createLead({ name: 'Initech', email: 'info@initech.com' });
+      const duplicate = await createLead({ name: 'Initech', email: 'info@initech.com' });
+
+      const res = await request(app)
+        .post(`/api/leads/${survivor.id}/merge`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ leadIds: [duplicate.id], fields: { name: 999999 } });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should forbid merging for roles without lead:delete', async () => {
+      const rep = await User.create({
+        name: 'Sales Rep',
+        email: 'rep@example.com',
+        password: 'password123',
+        role: 'Sales Executive'
+      });
+      const survivor = await createLead({ name: 'Umbrella', email: 'a@umbrella.com', assignedToId: rep.id });
+      const duplicate = await createLead({ name: 'Umbrella', email: 'a@umbrella.com', assignedToId: rep.id });
+
+      const res = await request(app)
+        .post(`/api/leads/${survivor.id}/merge`)
+        .set('Authorization', `Bearer ${generateToken(rep.id)}`)
+        .send({ leadIds: [duplicate.id] });
+
+      expect(res.statusCode).toBe(403);
+    });
+  });
+});
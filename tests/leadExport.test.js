@@ -0,0 +1,114 @@
+const ExcelJS = require('exceljs');
+const request = require('supertest');
+const { sequelize } = require('../config/database');
+const { User, Lead } = require('../models');
+const { app } = require('../server');
+const { generateToken } = require('../utils/jwt');
+
+// supertest only buffers text responses; collect XLSX downloads as a Buffer
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('Lead Export API', () => {
+  let adminToken;
+  let repToken;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    const admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'Admin'
+    });
+    const rep = await User.create({
+      name: 'Sales Rep',
+      email: 'rep@example.com',
+      password: 'password123',
+      role: 'Sales Executive'
+    });
+
+    await Lead.bulkCreate([
+      { name: 'Acme', email: 'acme@example.com', status: 'New', estimatedValue: 1000, createdById: admin.id, assignedToId: rep.id },
+      { name: 'Globex, Inc.', email: 'globex@example.com', status: 'Won', createdById: admin.id, assignedToId: admin.id },
+      { name: '=HYPERLINK("x")', email: 'formula@example.com', status: 'New', createdById: admin.id, assignedToId: admin.id }
+    ]);
+
+    adminToken = generateToken(admin.id);
+    repToken = generateToken(rep.id);
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  it('should export CSV with the selected columns and user names', async () => {
+    const res = await request(app)
+      .get('/api/leads/export')
+      .query({ columns: 'name,assignedToName,createdByName', sortBy: 'name', sortOrder: 'ASC' })
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+    expect(res.headers['content-disposition']).toMatch(/attachment; filename="leads-.*\.csv"/);
+
+    const lines = res.text.replace(/^\uFEFF/, '').trim().split('\r\n');
+    expect(lines[0]).toBe('Name,Assigned To,Created By');
+    expect(lines).toContain('Acme,Sales Rep,Admin User');
+    expect(lines).toContain('"Globex, Inc.",Admin User,Admin User');
+    expect(lines).toContain('"\'=HYPERLINK(""x"")",Admin User,Admin User');
+  });
+
+  it('should apply the list filters and role scoping', async () => {
+    const res = await request(app)
+      .get('/api/leads/export')
+      .query({ format: 'json', columns: 'name,status' })
+      .set('Authorization', `Bearer ${repToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(JSON.parse(res.text)).toEqual([{ name: 'Acme', status: 'New' }]);
+
+    const filtered = await request(app)
+      .get('/api/leads/export')
+      .query({ format: 'json', status: 'Won', columns: 'name' })
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(JSON.parse(filtered.text)).toEqual([{ name: 'Globex, Inc.' }]);
+  });
+
+  it('should export XLSX', async () => {
+    const res = await request(app)
+      .get('/api/leads/export')
+      .query({ format: 'xlsx', search: 'acme', columns: 'name,estimatedValue' })
+      .set('Authorization', `Bearer ${adminToken}`)
+      .buffer(true)
+      .parse(binaryParser);
+
+    expect(res.statusCode).toBe(200);
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(res.body);
+    const worksheet = workbook.getWorksheet('Leads');
+    expect(worksheet.getRow(1).values.slice(1)).toEqual(['Name', 'Estimated Value']);
+    expect(worksheet.getRow(2).values.slice(1)).toEqual(['Acme', 1000]);
+    expect(worksheet.rowCount).toBe(2);
+  });
+
+  it('should reject unknown columns and formats', async () => {
+    const columnRes = await request(app)
+      .get('/api/leads/export')
+      .query({ columns: 'name,password' })
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(columnRes.statusCode).toBe(400);
+
+    const formatRes = await request(app)
+      .get('/api/leads/export')
+      .query({ format: 'pdf' })
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(formatRes.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,281 @@
+const request = require('supertest');
+const { sequelize } = require('../config/database');
+const { User, Lead, Team, CustomField } = require('../models');
+const { app } = require('../server');
+const { generateToken } = require('../utils/jwt');
+const { invalidateCustomFieldCache } = require('../utils/customFields');
+
+const listLeads = (token, query) => request(app)
+  .get('/api/leads')
+  .query({ sortBy: 'name', sortOrder: 'ASC', limit: 50, ...query })
+  .set('Authorization', `Bearer ${token}`);
+
+const names = res => res.body.data.leads.map(lead => lead.name);
+
+describe('Lead Filters and Saved Views API', () => {
+  let adminToken;
+  let repToken;
+  let teammateToken;
+  let outsiderToken;
+  let rep;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+    invalidateCustomFieldCache();
+
+    const team = await Team.create({ name: 'East' });
+    const admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'Admin'
+    });
+    rep = await User.create({
+      name: 'Sales Rep',
+      email: 'rep@example.com',
+      password: 'password123',
+      role: 'Sales Executive',
+      teamId: team.id
+    });
+    const teammate = await User.create({
+      name: 'Team Mate',
+      email: 'mate@example.com',
+      password: 'password123',
+      role: 'Sales Executive',
+      teamId: team.id
+    });
+    const outsider = await User.create({
+      name: 'Outsider',
+      email: 'outsider@example.com',
+      password: 'password123',
+      role: 'Sales Executive'
+    });
+
+    await CustomField.create({ key: 'industry', label: 'Industry', type: 'select', options: ['Software', 'Retail'] });
+    invalidateCustomFieldCache();
+
+    const monthsAgo = new Date();
+    monthsAgo.setMonth(monthsAgo.getMonth() - 3);
+
+    const leads = await Lead.bulkCreate([
+      { name: 'Alpha', email: 'alpha@example.com', status: 'Qualified', source: 'Webinar', estimatedValue: 8000, customFields: { industry: 'Software' }, createdById: admin.id, assignedToId: rep.id },
+      { name: 'Bravo', email: 'bravo@example.com', status: 'Proposal', source: 'Referral', estimatedValue: 12000, tags: ['vip'], createdById: admin.id, assignedToId: admin.id },
+      { name: 'Charlie', email: 'charlie@example.com', status: 'Proposal', source: 'Webinar', estimatedValue: 3000, customFields: { industry: 'Retail' }, createdById: admin.id, assignedToId: rep.id },
+      { name: 'Delta', email: 'delta@example.com', status: 'New', source: 'Webinar', estimatedValue: 9000, createdById: admin.id }
+    ]);
+    await sequelize.query('UPDATE leads SET "createdAt" = :monthsAgo WHERE id = :id', { replacements: { monthsAgo, id: leads[1].id } });
+
+    adminToken = generateToken(admin.id);
+    repToken = generateToken(rep.id);
+    teammateToken = generateToken(teammate.id);
+    outsiderToken = generateToken(outsider.id);
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('GET /api/leads?filters=', () => {
+    it('should combine conditions with and/or groups and ranges', async () => {
+      const filters = {
+        and: [
+          { field: 'status', op: 'in', value: ['Qualified', 'Proposal'] },
+          { field: 'estimatedValue', op: 'gt', value: 5000 },
+          { field: 'createdAt', op: 'inLast', value: '30d' },
+          { or: [{ field: 'source', op: 'eq', value: 'Webinar' }, { field: 'tags', op: 'hasAny', value: ['vip'] }] }
+        ]
+      };
+
+      const res = await listLeads(adminToken, { filters: JSON.stringify(filters) });
+
+      expect(res.statusCode).toBe(200);
+      expect(names(res)).toEqual(['Alpha']);
+    });
+
+    it('should filter on ranges, empty values, "me" and custom fields', async () => {
+      const between = await listLeads(adminToken, {
+        filters: JSON.stringify({ field: 'estimatedValue', op: 'between', value: [3000, 9000] })
+      });
+      expect(names(between)).toEqual(['Alpha', 'Charlie', 'Delta']);
+
+      const unassigned = await listLeads(adminToken, {
+        filters: JSON.stringify({ field: 'assignedToId', op: 'isEmpty' })
+      });
+      expect(names(unassigned)).toEqual(['Delta']);
+
+      const mine = await listLeads(repToken, {
+        filters: JSON.stringify({ field: 'assignedToId', op: 'eq', value: 'me' })
+      });
+      expect(names(mine)).toEqual(['Alpha', 'Charlie']);
+
+      const industry = await listLeads(adminToken, {
+        filters: JSON.stringify({ field: 'cf.industry', op: 'ne', value: 'Retail' })
+      });
+      expect(names(industry)).toEqual(['Alpha', 'Bravo', 'Delta']);
+
+      const older = await listLeads(adminToken, {
+        filters: JSON.stringify({ field: 'createdAt', op: 'notInLast', value: '1m' })
+      });
+      expect(names(older)).toEqual(['Bravo']);
+    });
+
+    it('should still apply role scoping', async () => {
+      const res = await listLeads(repToken, {
+        filters: JSON.stringify({ field: 'source', op: 'eq', value: 'Webinar' })
+      });
+
+      expect(names(res)).toEqual(['Alpha', 'Charlie']);
+    });
+
+    it('should reject malformed filters with a 400', async () => {
+      const invalid = [
+        ['{"and":', /valid JSON/],
+        [JSON.stringify({ field: 'password', op: 'eq', value: 'x' }), /cannot filter on "password"/],
+        [JSON.stringify({ field: 'name', op: 'gt', value: 'x' }), /name cannot be filtered with "gt"/],
+        [JSON.stringify({ and: [{ field: 'estimatedValue', op: 'gt', value: 'lots' }] }), /filters\.and\[0\]: estimatedValue values must be numbers/],
+        [JSON.stringify({ field: 'createdAt', op: 'inLast', value: 'a while' }), /periods look like/],
+        [JSON.stringify({ field: 'cf.industry', op: 'eq', value: 'Farming' }), /Industry must be one of/]
+      ];
+
+      for (const [filters, message] of invalid) {
+        const res = await listLeads(adminToken, { filters });
+        expect(res.statusCode).toBe(400);
+        expect(res.body.message).toMatch(message);
+      }
+    });
+  });
+
+  describe('Saved views', () => {
+    let privateView;
+    let sharedView;
+
+    it('should save a private view and list its leads by ID', async () => {
+      const res = await request(app)
+        .post('/api/saved-views')
+        .set('Authorization', `Bearer ${repToken}`)
+        .send({
+          name: 'Big webinar leads',
+          filters: {
+            filters: JSON.stringify({
+              and: [
+                { field: 'estimatedValue', op: 'gte', value: 5000 },
+                { field: 'source', op: 'eq', value: 'Webinar' }
+              ]
+            }),
+            sortBy: 'estimatedValue',
+            sortOrder: 'DESC'
+          }
+        });
+
+      expect(res.statusCode).toBe(201);
+      privateView = res.body.data.view;
+      expect(privateView.visibility).toBe('private');
+      expect(privateView.filters.filters).toEqual({
+        and: [
+          { field: 'estimatedValue', op: 'gte', value: 5000 },
+          { field: 'source', op: 'eq', value: 'Webinar' }
+        ]
+      });
+
+      const leads = await request(app)
+        .get('/api/leads')
+        .query({ view: privateView.id })
+        .set('Authorization', `Bearer ${repToken}`);
+
+      expect(leads.statusCode).toBe(200);
+      expect(names(leads)).toEqual(['Alpha']);
+    });
+
+    it('should let query parameters override the saved ones', async () => {
+      const res = await request(app)
+        .get('/api/leads')
+        .query({ view: privateView.id, filters: JSON.stringify({ field: 'estimatedValue', op: 'lt', value: 5000 }) })
+        .set('Authorization', `Bearer ${repToken}`);
+
+      expect(names(res)).toEqual(['Charlie']);
+    });
+
+    it('should share views with the owner\'s team only', async () => {
+      const res = await request(app)
+        .post('/api/saved-views')
+        .set('Authorization', `Bearer ${repToken}`)
+        .send({ name: 'Proposals', visibility: 'team', filters: { status: 'Proposal' } });
+
+      expect(res.statusCode).toBe(201);
+      sharedView = res.body.data.view;
+
+      const teammate = await request(app)
+        .get('/api/saved-views')
+        .set('Authorization', `Bearer ${teammateToken}`);
+      expect(teammate.body.data.views.map(view => view.name)).toEqual(['Proposals']);
+
+      const outsider = await request(app)
+        .get(`/api/saved-views/${sharedView.id}`)
+        .set('Authorization', `Bearer ${outsiderToken}`);
+      expect(outsider.statusCode).toBe(404);
+
+      const hidden = await request(app)
+        .get(`/api/saved-views/${privateView.id}`)
+        .set('Authorization', `Bearer ${teammateToken}`);
+      expect(hidden.statusCode).toBe(404);
+    });
+
+    it('should refuse sharing without a team', async () => {
+      const res = await request(app)
+        .post('/api/saved-views')
+        .set('Authorization', `Bearer ${outsiderToken}`)
+        .send({ name: 'Mine', visibility: 'team', filters: {} });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toMatch(/Join a team/);
+    });
+
+    it('should validate saved filters and names', async () => {
+      const unknown = await request(app)
+        .post('/api/saved-views')
+        .set('Authorization', `Bearer ${repToken}`)
+        .send({ name: 'Bad', filters: { page: 2 } });
+      expect(unknown.statusCode).toBe(400);
+      expect(unknown.body.message).toMatch(/cannot save page/);
+
+      const invalid = await request(app)
+        .post('/api/saved-views')
+        .set('Authorization', `Bearer ${repToken}`)
+        .send({ name: 'Bad', filters: { filters: { field: 'name', op: 'between', value: [1, 2] } } });
+      expect(invalid.statusCode).toBe(400);
+
+      const duplicate = await request(app)
+        .post('/api/saved-views')
+        .set('Authorization', `Bearer ${repToken}`)
+        .send({ name: 'Proposals', filters: {} });
+      expect(duplicate.statusCode).toBe(400);
+      expect(duplicate.body.message).toMatch(/already have a view/);
+    });
+
+    it('should only let the owner change or delete a view', async () => {
+      const notOwner = await request(app)
+        .put(`/api/saved-views/${sharedView.id}`)
+        .set('Authorization', `Bearer ${teammateToken}`)
+        .send({ name: 'Mine now' });
+      expect(notOwner.statusCode).toBe(403);
+
+      const unshare = await request(app)
+        .put(`/api/saved-views/${sharedView.id}`)
+        .set('Authorization', `Bearer ${repToken}`)
+        .send({ visibility: 'private' });
+      expect(unshare.statusCode).toBe(200);
+      expect(unshare.body.data.view.teamId).toBeNull();
+
+      const teammate = await request(app)
+        .get('/api/leads')
+        .query({ view: sharedView.id })
+        .set('Authorization', `Bearer ${teammateToken}`);
+      expect(teammate.statusCode).toBe(404);
+
+      const deleted = await request(app)
+        .delete(`/api/saved-views/${sharedView.id}`)
+        .set('Authorization', `Bearer ${repToken}`);
+      expect(deleted.statusCode).toBe(200);
+    });
+  });
+});
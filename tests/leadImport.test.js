@@ -0,0 +1,144 @@
+const ExcelJS = require('exceljs');
+const request = require('supertest');
+const { sequelize } = require('../config/database');
+const { User, Lead, Activity } = require('../models');
+const { app } = require('../server');
+const { generateToken } = require('../utils/jwt');
+
+const csv = (lines) => Buffer.from(lines.join('\n'));
+
+describe('Lead Import API', () => {
+  let authToken;
+  let rep;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    const manager = await User.create({
+      name: 'Import Manager',
+      email: 'manager@example.com',
+      password: 'password123',
+      role: 'Manager'
+    });
+    rep = await User.create({
+      name: 'Sales Rep',
+      email: 'rep@example.com',
+      password: 'password123',
+      role: 'Sales Executive'
+    });
+
+    await Lead.create({
+      name: 'Existing Lead',
+      email: 'existing@example.com',
+      createdById: manager.id,
+      assignedToId: manager.id
+    });
+
+    authToken = generateToken(manager.id);
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  const file = csv([
+    'name,email,status,estimatedValue,assignedToEmail',
+    'Acme,acme@example.com,New,1000,rep@example.com',
+    'Broken,not-an-email,New,,',
+    'Existing Again,EXISTING@example.com,,,',
+    'Acme Twin,acme@example.com,,,'
+  ]);
+
+  it('should report every row without saving on a dry run', async () => {
+    const res = await request(app)
+      .post('/api/leads/import')
+      .set('Authorization', `Bearer ${authToken}`)
+      .field('dryRun', 'true')
+      .attach('file', file, 'leads.csv');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.summary).toMatchObject({ totalRows: 4, valid: 1, invalid: 1, duplicates: 2, imported: 0 });
+
+    const [acme, broken, existing, twin] = res.body.data.rows;
+    expect(acme).toMatchObject({ row: 2, status: 'valid' });
+    expect(broken.errors[0]).toMatchObject({ field: 'email', message: 'Please provide a valid email' });
+    expect(existing.duplicateOf.leadId).toBeDefined();
+    expect(twin.duplicateOf).toEqual({ row: 2 });
+
+    expect(await Lead.count()).toBe(1);
+  });
+
+  it('should not reveal the id of a duplicate outside the importer\'s scope', async () => {
+    const res = await request(app)
+      .post('/api/leads/import')
+      .set('Authorization', `Bearer ${generateToken(rep.id)}`)
+      .field('dryRun', 'true')
+      .attach('file', csv(['name,email', 'Existing Again,existing@example.com']), 'leads.csv');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.rows[0]).toMatchObject({ status: 'duplicate', duplicateOf: { outOfScope: true } });
+    expect(res.body.data.rows[0].duplicateOf.leadId).toBeUndefined();
+  });
+
+  it('should import the valid rows with their activity', async () => {
+    const res = await request(app)
+      .post('/api/leads/import')
+      .set('Authorization', `Bearer ${authToken}`)
+      .attach('file', file, 'leads.csv');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.summary.imported).toBe(1);
+
+    const lead = await Lead.findByPk(res.body.data.rows[0].leadId);
+    expect(lead.email).toBe('acme@example.com');
+    expect(lead.assignedToId).toBe(rep.id);
+
+    const activity = await Activity.findOne({ where: { leadId: lead.id } });
+    expect(activity.title).toBe('Lead Created');
+  });
+
+  it('should use an explicit column mapping', async () => {
+    const res = await request(app)
+      .post('/api/leads/import')
+      .set('Authorization', `Bearer ${authToken}`)
+      .field('mapping', JSON.stringify({ 'Full Name': 'name', 'E-mail Address': 'email' }))
+      .attach('file', csv(['Full Name,E-mail Address,Ignored', 'Globex,globex@example.com,x']), 'leads.csv');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.summary.imported).toBe(1);
+  });
+
+  it('should read XLSX files', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Leads');
+    sheet.addRow(['Name', 'Email', 'Company']);
+    sheet.addRow(['Initech', 'initech@example.com', 'Initech LLC']);
+
+    const res = await request(app)
+      .post('/api/leads/import')
+      .set('Authorization', `Bearer ${authToken}`)
+      .attach('file', Buffer.from(await workbook.xlsx.writeBuffer()), 'leads.xlsx');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.rows[0]).toMatchObject({ status: 'imported', data: { company: 'Initech LLC' } });
+  });
+
+  it('should require the name and email columns', async () => {
+    const res = await request(app)
+      .post('/api/leads/import')
+      .set('Authorization', `Bearer ${authToken}`)
+      .attach('file', csv(['name,phone', 'Nobody,123']), 'leads.csv');
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toMatch(/email/);
+  });
+
+  it('should reject other file types', async () => {
+    const res = await request(app)
+      .post('/api/leads/import')
+      .set('Authorization', `Bearer ${authToken}`)
+      .attach('file', Buffer.from('hello'), 'leads.txt');
+
+    expect(res.statusCode).toBe(400);
+  });
+});
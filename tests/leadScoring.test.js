@@ -0,0 +1,205 @@
+const request = require('supertest');
+const { sequelize } = require('../config/database');
+const { User, Lead, Activity } = require('../models');
+const { app } = require('../server');
+const { generateToken } = require('../utils/jwt');
+const { invalidateScoringRuleCache } = require('../utils/leadScoring');
+
+const createRule = (token, rule) => request(app)
+  .post('/api/scoring-rules')
+  .set('Authorization', `Bearer ${token}`)
+  .send(rule);
+
+describe('Lead Scoring API', () => {
+  let adminToken;
+  let repToken;
+  let admin;
+  let hot;
+  let cold;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+    invalidateScoringRuleCache();
+
+    admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'Admin'
+    });
+    const rep = await User.create({
+      name: 'Sales Rep',
+      email: 'rep@example.com',
+      password: 'password123',
+      role: 'Sales Executive'
+    });
+
+    hot = await Lead.create({ name: 'Hot Lead', email: 'hot@example.com', source: 'Referral', estimatedValue: 20000, company: 'Acme', createdById: admin.id });
+    cold = await Lead.create({ name: 'Cold Lead', email: 'cold@example.com', source: 'Webinar', estimatedValue: 500, createdById: admin.id });
+
+    adminToken = generateToken(admin.id);
+    repToken = generateToken(rep.id);
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('Scoring rules', () => {
+    it('should only let users with scoring:manage change the rules', async () => {
+      const res = await createRule(repToken, {
+        name: 'Referral',
+        type: 'field',
+        condition: { field: 'source', op: 'eq', value: 'Referral' },
+        points: 20
+      });
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should reject rules without the settings their type needs', async () => {
+      const noCondition = await createRule(adminToken, { name: 'Broken', type: 'field', points: 5 });
+      expect(noCondition.statusCode).toBe(400);
+      expect(noCondition.body.message).toBe('Field rules need a condition');
+
+      const badField = await createRule(adminToken, {
+        name: 'Broken',
+        type: 'field',
+        condition: { field: 'nope', op: 'eq', value: 1 },
+        points: 5
+      });
+      expect(badField.statusCode).toBe(400);
+
+      const noWindow = await createRule(adminToken, { name: 'Recent', type: 'activityRecency', points: 5 });
+      expect(noWindow.statusCode).toBe(400);
+      expect(noWindow.body.message).toBe('Activity recency rules need withinDays');
+    });
+
+    it('should rescore every lead when a rule is added', async () => {
+      const referral = await createRule(adminToken, {
+        name: 'Referral',
+        type: 'field',
+        condition: { field: 'source', op: 'eq', value: 'Referral' },
+        points: 20
+      });
+      expect(referral.statusCode).toBe(201);
+      expect(referral.body.data.rescored).toBe(2);
+
+      const bigDeal = await createRule(adminToken, {
+        name: 'Big deal',
+        type: 'field',
+        condition: { and: [{ field: 'estimatedValue', op: 'gte', value: 10000 }, { field: 'company', op: 'isNotEmpty' }] },
+        points: 15
+      });
+      expect(bigDeal.statusCode).toBe(201);
+
+      await hot.reload();
+      await cold.reload();
+      expect(hot.score).toBe(35);
+      expect(hot.scoreBreakdown.map(item => item.name)).toEqual(['Referral', 'Big deal']);
+      expect(cold.score).toBe(0);
+      expect(cold.scoreBreakdown).toEqual([]);
+    });
+  });
+
+  describe('Automatic recalculation', () => {
+    it('should score activities, capped at maxPoints', async () => {
+      const res = await createRule(adminToken, {
+        name: 'Engagement',
+        type: 'activityCount',
+        activityTypes: ['Call', 'Meeting'],
+        withinDays: 30,
+        points: 4,
+        maxPoints: 10
+      });
+      expect(res.statusCode).toBe(201);
+
+      for (const type of ['Call', 'Meeting', 'Call', 'Note']) {
+        await Activity.create({ type, title: `${type} with them`, leadId: cold.id, userId: admin.id });
+      }
+
+      await cold.reload();
+      expect(cold.score).toBe(10);
+      expect(cold.scoreBreakdown).toEqual([
+        expect.objectContaining({ name: 'Engagement', points: 10, detail: '3 Call/Meeting activities in the last 30 days' })
+      ]);
+    });
+
+    it('should leave out activities older than the window', async () => {
+      const old = new Date(Date.now() - 60 * 24 * 60 * 60 * 1000);
+      await sequelize.query('UPDATE activities SET "createdAt" = :old WHERE "leadId" = :leadId', {
+        replacements: { old, leadId: cold.id }
+      });
+
+      const res = await request(app)
+        .post('/api/scoring-rules/recalculate')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(res.statusCode).toBe(200);
+
+      await cold.reload();
+      expect(cold.score).toBe(0);
+    });
+
+    it('should rescore a lead when its fields change', async () => {
+      const res = await request(app)
+        .put(`/api/leads/${cold.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ source: 'Referral' });
+      expect(res.statusCode).toBe(200);
+
+      await cold.reload();
+      expect(cold.score).toBe(20);
+    });
+
+    it('should not take a score from the client', async () => {
+      const res = await request(app)
+        .put(`/api/leads/${cold.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ score: 999 });
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('GET /api/leads?sortBy=score', () => {
+    it('should sort leads by score and return their breakdowns', async () => {
+      const res = await request(app)
+        .get('/api/leads')
+        .query({ sortBy: 'score', sortOrder: 'DESC', fields: 'id,name,score,scoreBreakdown' })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.leads.map(lead => lead.name)).toEqual(['Hot Lead', 'Cold Lead']);
+      expect(res.body.data.leads[0].score).toBe(35);
+      expect(res.body.data.leads[0].scoreBreakdown).toHaveLength(2);
+    });
+
+    it('should filter leads on their score', async () => {
+      const res = await request(app)
+        .get('/api/leads')
+        .query({ filters: JSON.stringify({ field: 'score', op: 'gte', value: 30 }) })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.leads.map(lead => lead.name)).toEqual(['Hot Lead']);
+    });
+  });
+
+  describe('DELETE /api/scoring-rules/:id', () => {
+    it('should take the rule\'s points off every lead', async () => {
+      const rules = await request(app)
+        .get('/api/scoring-rules')
+        .set('Authorization', `Bearer ${repToken}`);
+      expect(rules.statusCode).toBe(200);
+      const referral = rules.body.data.scoringRules.find(rule => rule.name === 'Referral');
+
+      const res = await request(app)
+        .delete(`/api/scoring-rules/${referral.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(res.statusCode).toBe(200);
+
+      await hot.reload();
+      expect(hot.score).toBe(15);
+    });
+  });
+});
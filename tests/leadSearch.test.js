@@ -0,0 +1,213 @@
+const request = require('supertest');
+const { sequelize } = require('../config/database');
+const { User, Lead, Activity } = require('../models');
+const { app } = require('../server');
+const { generateToken } = require('../utils/jwt');
+const { toPrefixQuery } = require('../utils/leadSearch');
+
+describe('Lead Search API', () => {
+  let adminToken;
+  let repToken;
+  let admin;
+  let acme;
+  let initech;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'Admin'
+    });
+    const rep = await User.create({
+      name: 'Sales Rep',
+      email: 'rep@example.com',
+      password: 'password123',
+      role: 'Sales Executive'
+    });
+
+    acme = await Lead.create({
+      name: 'Wile Coyote',
+      email: 'wile@acme.com',
+      phone: '(555) 010-0100',
+      company: 'Acme Corporation',
+      createdById: admin.id,
+      assignedToId: rep.id
+    });
+    initech = await Lead.create({
+      name: 'Peter Gibbons',
+      email: 'peter@initech.com',
+      company: 'Initech',
+      notes: 'Asked about Acme integrations',
+      createdById: admin.id,
+      assignedToId: admin.id
+    });
+    await Lead.create({
+      name: 'Hank Scorpio',
+      email: 'hank@globex.com',
+      company: 'Globex',
+      createdById: admin.id,
+      assignedToId: admin.id
+    });
+
+    adminToken = generateToken(admin.id);
+    repToken = generateToken(rep.id);
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('toPrefixQuery', () => {
+    it('should turn every word into a required prefix', () => {
+      expect(toPrefixQuery('Acme corp')).toBe('Acme:* & corp:*');
+      expect(toPrefixQuery('wile@acme.com')).toBe('wile:* & acme:* & com:*');
+    });
+
+    it('should join phone numbers and drop query syntax', () => {
+      expect(toPrefixQuery('(555) 010-0100')).toBe('5550100100:*');
+      expect(toPrefixQuery('a & !b | c:*')).toBe('a:* & b:* & c:*');
+      expect(toPrefixQuery('  ')).toBe('');
+    });
+  });
+
+  describe('GET /api/leads?search=', () => {
+    it('should rank name and company matches above notes matches', async () => {
+      const res = await request(app)
+        .get('/api/leads')
+        .query({ search: 'acme' })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.leads.map(lead => lead.id)).toEqual([acme.id, initech.id]);
+      expect(res.body.data.pagination.total).toBe(2);
+      expect(res.body.data.leads[0].searchSnippet).toMatch(/<mark>Acme<\/mark>/);
+      expect(res.body.data.leads[0].searchVector).toBeUndefined();
+    });
+
+    it('should match word prefixes and phone numbers', async () => {
+      const prefix = await request(app)
+        .get('/api/leads')
+        .query({ search: 'gibb' })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(prefix.body.data.leads.map(lead => lead.id)).toEqual([initech.id]);
+
+      const phone = await request(app)
+        .get('/api/leads')
+        .query({ search: '555-010-0100' })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(phone.body.data.leads.map(lead => lead.id)).toEqual([acme.id]);
+    });
+
+    it('should find leads by their activity notes and follow activity changes', async () => {
+      const activity = await Activity.create({
+        type: 'Call',
+        title: 'Discovery call',
+        description: 'Wants a quote for the anvil shipment',
+        leadId: initech.id,
+        userId: admin.id
+      });
+
+      const found = await request(app)
+        .get('/api/leads')
+        .query({ search: 'anvil' })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(found.body.data.leads.map(lead => lead.id)).toEqual([initech.id]);
+      expect(found.body.data.leads[0].searchSnippet).toMatch(/<mark>anvil<\/mark>/);
+
+      await activity.destroy();
+
+      const gone = await request(app)
+        .get('/api/leads')
+        .query({ search: 'anvil' })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(gone.body.data.leads).toHaveLength(0);
+    });
+
+    it('should reindex leads when their fields change', async () => {
+      await initech.update({ company: 'Initrode' });
+
+      const res = await request(app)
+        .get('/api/leads')
+        .query({ search: 'initrode' })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.body.data.leads.map(lead => lead.id)).toEqual([initech.id]);
+    });
+
+    it('should escape HTML in snippets', async () => {
+      const lead = await Lead.create({
+        name: 'Script Kiddie',
+        email: 'kiddie@example.com',
+        notes: '<script>alert("xss")</script> wants a demo',
+        createdById: admin.id
+      });
+
+      const res = await request(app)
+        .get('/api/leads')
+        .query({ search: 'demo' })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      const [result] = res.body.data.leads;
+      expect(result.id).toBe(lead.id);
+      expect(result.searchSnippet).not.toMatch(/<script>/);
+      expect(result.searchSnippet).toMatch(/&lt;script&gt;/);
+      expect(result.searchSnippet).toMatch(/<mark>demo<\/mark>/);
+
+      await lead.destroy();
+    });
+
+    it('should keep an explicit sort order', async () => {
+      const res = await request(app)
+        .get('/api/leads')
+        .query({ search: 'acme', sortBy: 'name', sortOrder: 'DESC' })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.body.data.leads.map(lead => lead.name)).toEqual(['Wile Coyote', 'Peter Gibbons']);
+    });
+  });
+
+  describe('GET /api/leads/typeahead', () => {
+    it('should return the best matches with minimal fields', async () => {
+      const res = await request(app)
+        .get('/api/leads/typeahead')
+        .query({ q: 'ac' })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.leads[0]).toEqual({
+        id: acme.id,
+        name: 'Wile Coyote',
+        email: 'wile@acme.com',
+        company: 'Acme Corporation',
+        status: 'New'
+      });
+    });
+
+    it('should only return leads the user may see', async () => {
+      const res = await request(app)
+        .get('/api/leads/typeahead')
+        .query({ q: 'peter' })
+        .set('Authorization', `Bearer ${repToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.leads).toHaveLength(0);
+    });
+
+    it('should return nothing for a query without words', async () => {
+      const res = await request(app)
+        .get('/api/leads/typeahead')
+        .query({ q: '***' })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.leads).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const request = require('supertest');
+const { sequelize } = require('../config/database');
+const { User } = require('../models');
+const { app } = require('../server');
+const { generateToken } = require('../utils/jwt');
+const {
+  createMemoryStore,
+  setStore,
+  recordLoginFailure,
+  accountKey
+} = require('../utils/loginThrottle');
+
+describe('Login throttling', () => {
+  let adminToken;
+  let rep;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+    setStore(createMemoryStore());
+
+    const admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'Admin'
+    });
+    rep = await User.create({
+      name: 'Sales Rep',
+      email: 'rep@example.com',
+      password: 'password123',
+      role: 'Sales Executive'
+    });
+
+    adminToken = generateToken(admin.id);
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  it('should delay logins after repeated failures', async () => {
+    for (let i = 0; i < 3; i++) {
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'rep@example.com', password: 'wrongpassword' });
+      expect(res.statusCode).toBe(401);
+    }
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'rep@example.com', password: 'password123' });
+
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['retry-after']).toBeDefined();
+  });
+
+  it('should lock the account and let an Admin see and clear it', async () => {
+    for (let i = 0; i < 10; i++) {
+      await recordLoginFailure('rep@example.com', '198.51.100.1');
+    }
+
+    const list = await request(app)
+      .get('/api/users/lockouts')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(list.statusCode).toBe(200);
+    const lockout = list.body.data.lockouts.find(entry => entry.key === accountKey('rep@example.com'));
+    expect(lockout.locked).toBe(true);
+
+    const unlock = await request(app)
+      .post(`/api/users/${rep.id}/unlock`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(unlock.statusCode).toBe(200);
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'rep@example.com', password: 'password123' });
+    expect(login.statusCode).toBe(200);
+  });
+});
+
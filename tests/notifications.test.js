@@ -0,0 +1,193 @@
+// The tests look at queued emails, so the server's job worker stays off
+process.env.JOB_POLL_INTERVAL_MS = '0';
+
+const request = require('supertest');
+const { sequelize } = require('../config/database');
+const { User, Notification, Job } = require('../models');
+const { app } = require('../server');
+const { generateToken } = require('../utils/jwt');
+const { invalidatePipelineCache } = require('../utils/pipelines');
+const { sendDigests } = require('../utils/notifications');
+
+const queuedEmails = async () => (await Job.findAll({ where: { type: 'email.send' }, order: [['id', 'ASC']] }))
+  .map(job => job.payload.subject);
+
+describe('Notifications API', () => {
+  let adminToken;
+  let repToken;
+  let otherRepToken;
+  let rep;
+  let leadId;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+    invalidatePipelineCache();
+
+    const admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'Admin'
+    });
+    rep = await User.create({
+      name: 'Sales Rep',
+      email: 'rep@example.com',
+      password: 'password123',
+      role: 'Sales Executive'
+    });
+    const otherRep = await User.create({
+      name: 'Other Rep',
+      email: 'other@example.com',
+      password: 'password123',
+      role: 'Sales Executive'
+    });
+
+    adminToken = generateToken(admin.id);
+    repToken = generateToken(rep.id);
+    otherRepToken = generateToken(otherRep.id);
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('Delivery', () => {
+    it('should put assignments in the inbox and email them by default', async () => {
+      const lead = await request(app)
+        .post('/api/leads')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Acme', email: 'acme@example.com', assignedToId: rep.id });
+      expect(lead.statusCode).toBe(201);
+      leadId = lead.body.data.lead.id;
+
+      const res = await request(app)
+        .get('/api/notifications')
+        .set('Authorization', `Bearer ${repToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.unreadCount).toBe(1);
+      expect(res.body.data.notifications[0]).toMatchObject({ type: 'leadAssigned', title: 'Acme was assigned to you', leadId, channel: 'email' });
+      expect(await queuedEmails()).toEqual(['New Lead Assigned: Acme']);
+    });
+
+    it('should keep status changes out of the mailbox by default', async () => {
+      const res = await request(app)
+        .put(`/api/leads/${leadId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'Contacted' });
+      expect(res.statusCode).toBe(200);
+
+      const notification = await Notification.findOne({ where: { userId: rep.id, type: 'statusChanged' } });
+      expect(notification.channel).toBe('inApp');
+      expect(notification.data).toEqual({ from: 'New', to: 'Contacted' });
+      expect(await queuedEmails()).toEqual(['New Lead Assigned: Acme']);
+    });
+  });
+
+  describe('PUT /api/notifications/preferences', () => {
+    it('should reject unknown types and channels', async () => {
+      const badType = await request(app)
+        .put('/api/notifications/preferences')
+        .set('Authorization', `Bearer ${repToken}`)
+        .send({ leadDeleted: 'email' });
+      expect(badType.statusCode).toBe(400);
+
+      const badChannel = await request(app)
+        .put('/api/notifications/preferences')
+        .set('Authorization', `Bearer ${repToken}`)
+        .send({ newActivity: 'pager' });
+      expect(badChannel.statusCode).toBe(400);
+    });
+
+    it('should turn types off or into the digest', async () => {
+      const res = await request(app)
+        .put('/api/notifications/preferences')
+        .set('Authorization', `Bearer ${repToken}`)
+        .send({ statusChanged: 'off', newActivity: 'digest' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.preferences).toEqual({
+        leadAssigned: 'email',
+        statusChanged: 'off',
+        newActivity: 'digest',
+        taskDue: 'email'
+      });
+
+      await request(app)
+        .put(`/api/leads/${leadId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'Qualified' });
+      expect(await Notification.count({ where: { userId: rep.id, type: 'statusChanged' } })).toBe(1);
+    });
+  });
+
+  describe('Daily digest', () => {
+    it('should email digest notifications once, in one email', async () => {
+      for (const title of ['Intro call', 'Pricing call']) {
+        const res = await request(app)
+          .post('/api/activities')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ type: 'Call', title, leadId });
+        expect(res.statusCode).toBe(201);
+      }
+      expect(await Notification.count({ where: { userId: rep.id, type: 'newActivity', channel: 'digest' } })).toBe(2);
+      expect(await queuedEmails()).toHaveLength(1);
+
+      expect(await sendDigests()).toBe(1);
+      expect(await sendDigests()).toBe(0);
+      expect(await queuedEmails()).toEqual(['New Lead Assigned: Acme', 'Your SwiftCRM Digest: 2 Updates']);
+    });
+  });
+
+  describe('Read state', () => {
+    it('should mark one notification read and unread again', async () => {
+      const [notification] = (await request(app)
+        .get('/api/notifications')
+        .query({ unread: 'true', limit: 1 })
+        .set('Authorization', `Bearer ${repToken}`)).body.data.notifications;
+
+      const read = await request(app)
+        .post(`/api/notifications/${notification.id}/read`)
+        .set('Authorization', `Bearer ${repToken}`);
+      expect(read.statusCode).toBe(200);
+      expect(read.body.data.notification.readAt).not.toBeNull();
+      expect(read.body.data.unreadCount).toBe(3);
+
+      const unread = await request(app)
+        .post(`/api/notifications/${notification.id}/unread`)
+        .set('Authorization', `Bearer ${repToken}`);
+      expect(unread.body.data.unreadCount).toBe(4);
+    });
+
+    it('should hide other users\' notifications', async () => {
+      const notification = await Notification.findOne({ where: { userId: rep.id } });
+
+      const res = await request(app)
+        .post(`/api/notifications/${notification.id}/read`)
+        .set('Authorization', `Bearer ${otherRepToken}`);
+
+      expect(res.statusCode).toBe(404);
+    });
+
+    it('should page through the inbox and mark everything read', async () => {
+      const first = await request(app)
+        .get('/api/notifications')
+        .query({ limit: 3 })
+        .set('Authorization', `Bearer ${repToken}`);
+      expect(first.body.data.notifications).toHaveLength(3);
+      expect(first.body.data.pagination.hasMore).toBe(true);
+
+      const second = await request(app)
+        .get('/api/notifications')
+        .query({ limit: 3, cursor: first.body.data.pagination.nextCursor })
+        .set('Authorization', `Bearer ${repToken}`);
+      expect(second.body.data.notifications.map(notification => notification.type)).toEqual(['leadAssigned']);
+
+      const res = await request(app)
+        .post('/api/notifications/read-all')
+        .set('Authorization', `Bearer ${repToken}`);
+      expect(res.body.data.updated).toBe(4);
+      expect(await Notification.count({ where: { userId: rep.id, readAt: null } })).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { sequelize } = require('../config/database');
+const { User } = require('../models');
+const { app } = require('../server');
+
+// Minimal OpenID Connect provider: discovery, JWKS and a token endpoint that hands out
+// whatever ID token claims the test queued for an authorization code
+const startMockIdp = () => new Promise((resolve) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'test-key', use: 'sig', alg: 'RS256' };
+  const codes = new Map();
+
+  const idp = express();
+  idp.use(express.urlencoded({ extended: false }));
+
+  const server = idp.listen(0, () => {
+    const issuer = `http://127.0.0.1:${server.address().port}`;
+
+    idp.get('/.well-known/openid-configuration', (req, res) => {
+      res.json({
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`
+      });
+    });
+
+    idp.get('/jwks', (req, res) => res.json({ keys: [jwk] }));
+
+    idp.post('/token', (req, res) => {
+      const pending = codes.get(req.body.code);
+      codes.delete(req.body.code);
+
+      const challenge = pending && crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+      if (!pending || challenge !== pending.codeChallenge || req.body.client_id !== 'swiftcrm') {
+        return res.status(400).json({ error: 'invalid_grant' });
+      }
+
+      const idToken = jwt.sign({ ...pending.claims, nonce: pending.nonce }, privateKey, {
+        algorithm: 'RS256',
+        keyid: 'test-key',
+        issuer,
+        audience: 'swiftcrm',
+        expiresIn: '5m'
+      });
+      res.json({ access_token: 'idp-access-token', token_type: 'Bearer', id_token: idToken });
+    });
+
+    resolve({
+      issuer,
+      server,
+      // The user "logs in" at the provider, which then issues this code
+      authorize: (authorizationUrl, claims) => {
+        const params = new URL(authorizationUrl).searchParams;
+        const code = crypto.randomBytes(8).toString('hex');
+        codes.set(code, { claims, nonce: params.get('nonce'), codeChallenge: params.get('code_challenge') });
+        return { code, state: params.get('state') };
+      }
+    });
+  });
+});
+
+// Run the browser side of a login and return the frontend callback URL it ends on
+const ssoLogin = async (idp, claims) => {
+  const loginRes = await request(app).get('/api/auth/oidc/login');
+  expect(loginRes.statusCode).toBe(302);
+
+  const cookie = loginRes.headers['set-cookie'].find(value => value.startsWith('oidc_state='));
+  const { code, state } = idp.authorize(loginRes.headers.location, claims);
+
+  const callbackRes = await request(app)
+    .get('/api/auth/oidc/callback')
+    .query({ code, state })
+    .set('Cookie', cookie.split(';')[0]);
+  expect(callbackRes.statusCode).toBe(302);
+
+  return new URL(callbackRes.headers.location);
+};
+
+describe('OIDC single sign-on', () => {
+  let idp;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+    idp = await startMockIdp();
+
+    Object.assign(process.env, {
+      OIDC_ISSUER: idp.issuer,
+      OIDC_CLIENT_ID: 'swiftcrm',
+      OIDC_CLIENT_SECRET: 'secret',
+      OIDC_REDIRECT_URI: 'http://localhost:5000/api/auth/oidc/callback',
+      OIDC_ROLE_MAPPING: 'crm-admins=Admin,crm-managers=Manager',
+      OIDC_FRONTEND_CALLBACK_URL: 'http://localhost:3000/auth/sso/callback'
+    });
+
+    await User.create({
+      name: 'Existing Rep',
+      email: 'existing@example.com',
+      password: 'password123',
+      role: 'Sales Executive'
+    });
+  });
+
+  afterAll(async () => {
+    idp.server.close();
+    await sequelize.close();
+  });
+
+  it('should report that SSO is enabled', async () => {
+    const res = await request(app).get('/api/auth/oidc/config');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.enabled).toBe(true);
+  });
+
+  it('should provision a new user with the role of their groups', async () => {
+    const callbackUrl = await ssoLogin(idp, {
+      sub: 'idp-user-1',
+      email: 'New.Manager@example.com',
+      email_verified: true,
+      name: 'New Manager',
+      groups: ['everyone', 'crm-managers']
+    });
+    expect(callbackUrl.searchParams.get('error')).toBeNull();
+
+    const res = await request(app)
+      .post('/api/auth/oidc/exchange')
+      .send({ code: callbackUrl.searchParams.get('code') });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.token).toBeDefined();
+    expect(res.body.data.user.email).toBe('new.manager@example.com');
+    expect(res.body.data.user.role).toBe('Manager');
+  });
+
+  it('should not accept a login code twice', async () => {
+    const callbackUrl = await ssoLogin(idp, {
+      sub: 'idp-user-1',
+      email: 'new.manager@example.com',
+      email_verified: true
+    });
+    const code = callbackUrl.searchParams.get('code');
+
+    await request(app).post('/api/auth/oidc/exchange').send({ code });
+    const res = await request(app).post('/api/auth/oidc/exchange').send({ code });
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should link an existing account by email and sync its role', async () => {
+    const callbackUrl = await ssoLogin(idp, {
+      sub: 'idp-user-2',
+      email: 'existing@example.com',
+      email_verified: true,
+      groups: ['crm-admins']
+    });
+
+    const res = await request(app)
+      .post('/api/auth/oidc/exchange')
+      .send({ code: callbackUrl.searchParams.get('code') });
+
+    expect(res.statusCode).toBe(200);
+    const user = await User.findOne({ where: { email: 'existing@example.com' } });
+    expect(user.oidcSubject).toBe('idp-user-2');
+    expect(user.role).toBe('Admin');
+    expect(await User.count()).toBe(2);
+  });
+
+  it('should refuse unverified email addresses', async () => {
+    const callbackUrl = await ssoLogin(idp, {
+      sub: 'idp-user-3',
+      email: 'unverified@example.com',
+      email_verified: false
+    });
+
+    expect(callbackUrl.searchParams.get('code')).toBeNull();
+    expect(callbackUrl.searchParams.get('error')).toMatch(/not verified/);
+  });
+
+  it('should refuse a callback from another browser', async () => {
+    const loginRes = await request(app).get('/api/auth/oidc/login');
+    const { code, state } = idp.authorize(loginRes.headers.location, {
+      sub: 'idp-user-1',
+      email: 'new.manager@example.com',
+      email_verified: true
+    });
+
+    const res = await request(app)
+      .get('/api/auth/oidc/callback')
+      .query({ code, state });
+
+    expect(res.statusCode).toBe(302);
+    expect(new URL(res.headers.location).searchParams.get('error')).toMatch(/invalid or has expired/);
+  });
+});
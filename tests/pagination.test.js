@@ -0,0 +1,183 @@
+const request = require('supertest');
+const { sequelize } = require('../config/database');
+const { User, Lead, Activity } = require('../models');
+const { app } = require('../server');
+const { generateToken } = require('../utils/jwt');
+
+// Follow nextCursor through every page of a list
+const collectPages = async (path, query, token, key) => {
+  const items = [];
+  let cursor;
+  for (let pages = 0; pages < 20; pages++) {
+    const res = await request(app)
+      .get(path)
+      .query({ ...query, ...(cursor && { cursor }) })
+      .set('Authorization', `Bearer ${token}`);
+    expect(res.statusCode).toBe(200);
+    items.push(...res.body.data[key]);
+    cursor = res.body.data.pagination.nextCursor;
+    if (!cursor) break;
+  }
+  return items;
+};
+
+describe('List Pagination', () => {
+  let adminToken;
+  let admin;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'Admin'
+    });
+
+    // Shared companies and values give the sorts ties to break
+    const leads = await Lead.bulkCreate(Array.from({ length: 7 }, (_, index) => ({
+      name: `Lead ${index + 1}`,
+      email: `lead${index + 1}@example.com`,
+      company: index % 3 === 0 ? null : `Company ${index % 2}`,
+      estimatedValue: (index % 3) * 1000,
+      createdById: admin.id
+    })));
+
+    await Activity.bulkCreate(leads.map(lead => ({
+      type: 'Note',
+      title: `Note on ${lead.name}`,
+      leadId: lead.id,
+      userId: admin.id
+    })));
+
+    adminToken = generateToken(admin.id);
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('GET /api/leads', () => {
+    it('should keep page numbers and the total by default', async () => {
+      const res = await request(app)
+        .get('/api/leads')
+        .query({ page: 2, limit: 3 })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.leads).toHaveLength(3);
+      expect(res.body.data.pagination).toMatchObject({ page: 2, limit: 3, total: 7, pages: 3, hasMore: true });
+      expect(typeof res.body.data.pagination.nextCursor).toBe('string');
+    });
+
+    it('should walk every lead once with cursors, nulls and ties included', async () => {
+      for (const sortOrder of ['ASC', 'DESC']) {
+        const leads = await collectPages('/api/leads', { limit: 2, sortBy: 'company', sortOrder }, adminToken, 'leads');
+        expect(leads).toHaveLength(7);
+        expect(new Set(leads.map(lead => lead.id)).size).toBe(7);
+
+        const companies = leads.map(lead => lead.company);
+        const named = companies.filter(Boolean);
+        const expected = [...named].sort();
+        if (sortOrder === 'DESC') expected.reverse();
+        expect(named).toEqual(expected);
+        // Postgres puts nulls last ascending and first descending
+        expect(sortOrder === 'ASC' ? companies.slice(-3) : companies.slice(0, 3)).toEqual([null, null, null]);
+      }
+    });
+
+    it('should not repeat leads created while paging', async () => {
+      const first = await request(app)
+        .get('/api/leads')
+        .query({ limit: 3 })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      const created = await Lead.create({ name: 'Newcomer', email: 'new@example.com', createdById: admin.id });
+
+      const second = await request(app)
+        .get('/api/leads')
+        .query({ limit: 3, cursor: first.body.data.pagination.nextCursor })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(second.statusCode).toBe(200);
+      expect(second.body.data.pagination.total).toBeUndefined();
+      expect(second.body.data.pagination.page).toBeUndefined();
+      const firstIds = first.body.data.leads.map(lead => lead.id);
+      second.body.data.leads.forEach(lead => expect(firstIds).not.toContain(lead.id));
+      expect(second.body.data.leads.map(lead => lead.id)).not.toContain(created.id);
+
+      await created.destroy();
+    });
+
+    it('should count the total with a cursor only when asked', async () => {
+      const first = await request(app)
+        .get('/api/leads')
+        .query({ limit: 3, includeTotal: false })
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(first.body.data.pagination.total).toBeUndefined();
+
+      const second = await request(app)
+        .get('/api/leads')
+        .query({ limit: 3, includeTotal: true, cursor: first.body.data.pagination.nextCursor })
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(second.body.data.pagination.total).toBe(7);
+    });
+
+    it('should return only the requested fields', async () => {
+      const res = await request(app)
+        .get('/api/leads')
+        .query({ fields: 'name,assignedTo', sortBy: 'name', sortOrder: 'ASC', limit: 1 })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.leads).toEqual([{ name: 'Lead 1', assignedTo: null }]);
+
+      const unknown = await request(app)
+        .get('/api/leads')
+        .query({ fields: 'name,password' })
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(unknown.statusCode).toBe(400);
+      expect(unknown.body.message).toMatch(/Unknown fields: password/);
+    });
+
+    it('should reject sorts and cursors it cannot use', async () => {
+      const invalid = [
+        [{ sortBy: 'password' }, /sortBy must be one of/],
+        [{ sortBy: 'name; DROP TABLE leads' }, /sortBy must be one of/],
+        [{ sortOrder: 'sideways' }, /sortOrder must be ASC or DESC/],
+        [{ limit: 1000 }, /limit must be/],
+        [{ cursor: 'not-a-cursor' }, /Invalid cursor/]
+      ];
+      for (const [query, message] of invalid) {
+        const res = await request(app)
+          .get('/api/leads')
+          .query(query)
+          .set('Authorization', `Bearer ${adminToken}`);
+        expect(res.statusCode).toBe(400);
+        expect(res.body.message).toMatch(message);
+      }
+
+      const first = await request(app)
+        .get('/api/leads')
+        .query({ limit: 2, sortBy: 'name' })
+        .set('Authorization', `Bearer ${adminToken}`);
+      const mismatched = await request(app)
+        .get('/api/leads')
+        .query({ limit: 2, sortBy: 'estimatedValue', cursor: first.body.data.pagination.nextCursor })
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(mismatched.statusCode).toBe(400);
+      expect(mismatched.body.message).toMatch(/different sort/);
+    });
+  });
+
+  describe('GET /api/activities', () => {
+    it('should page activities with cursors and trim fields', async () => {
+      const activities = await collectPages('/api/activities', { limit: 3, fields: 'id,title,lead' }, adminToken, 'activities');
+
+      expect(activities).toHaveLength(7);
+      expect(new Set(activities.map(activity => activity.id)).size).toBe(7);
+      expect(Object.keys(activities[0]).sort()).toEqual(['id', 'lead', 'title']);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const request = require('supertest');
+const { sequelize } = require('../config/database');
+const { User, Lead } = require('../models');
+const { app } = require('../server');
+const { generateToken } = require('../utils/jwt');
+const { invalidatePermissionCache } = require('../utils/permissions');
+
+describe('Permissions API', () => {
+  let adminToken;
+  let managerToken;
+  let salesToken;
+  let otherLead;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+    invalidatePermissionCache();
+
+    const admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'Admin'
+    });
+    const manager = await User.create({
+      name: 'Manager User',
+      email: 'manager@example.com',
+      password: 'password123',
+      role: 'Manager'
+    });
+    const rep = await User.create({
+      name: 'Sales User',
+      email: 'sales@example.com',
+      password: 'password123',
+      role: 'Sales Executive'
+    });
+
+    otherLead = await Lead.create({
+      name: 'Someone Else\'s Lead',
+      email: 'other@example.com',
+      assignedToId: manager.id,
+      createdById: manager.id
+    });
+
+    adminToken = generateToken(admin.id);
+    managerToken = generateToken(manager.id);
+    salesToken = generateToken(rep.id);
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('GET /api/permissions', () => {
+    it('should return the catalog and role mapping for an Admin', async () => {
+      const res = await request(app)
+        .get('/api/permissions')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.permissions).toHaveProperty('lead:delete');
+      expect(res.body.data.roles['Sales Executive']).toContain('lead:read:own');
+    });
+
+    it('should be forbidden without permission:manage', async () => {
+      const res = await request(app)
+        .get('/api/permissions')
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(res.statusCode).toBe(403);
+    });
+  });
+
+  describe('GET /api/permissions/me', () => {
+    it('should return the current user\'s permissions', async () => {
+      const res = await request(app)
+        .get('/api/permissions/me')
+        .set('Authorization', `Bearer ${salesToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.permissions).toContain('lead:create');
+      expect(res.body.data.permissions).not.toContain('lead:delete');
+    });
+  });
+
+  describe('PUT /api/permissions/roles/:role', () => {
+    it('should reject unknown permissions', async () => {
+      const res = await request(app)
+        .put('/api/permissions/roles/Manager')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ permissions: ['lead:fly'] });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should keep permission:manage on the Admin role', async () => {
+      const res = await request(app)
+        .put('/api/permissions/roles/Admin')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ permissions: ['lead:read:any'] });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.permissions).toContain('permission:manage');
+
+      await request(app)
+        .delete('/api/permissions/roles/Admin')
+        .set('Authorization', `Bearer ${adminToken}`);
+    });
+
+    it('should widen a role\'s lead access', async () => {
+      let res = await request(app)
+        .get(`/api/leads/${otherLead.id}`)
+        .set('Authorization', `Bearer ${salesToken}`);
+      expect(res.statusCode).toBe(403);
+
+      res = await request(app)
+        .put('/api/permissions/roles/Sales Executive')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ permissions: ['lead:read:any', 'lead:create', 'lead:update:own'] });
+      expect(res.statusCode).toBe(200);
+
+      res = await request(app)
+        .get(`/api/leads/${otherLead.id}`)
+        .set('Authorization', `Bearer ${salesToken}`);
+      expect(res.statusCode).toBe(200);
+    });
+  });
+
+  describe('DELETE /api/permissions/roles/:role', () => {
+    it('should restore the defaults', async () => {
+      const res = await request(app)
+        .delete('/api/permissions/roles/Sales Executive')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.permissions).not.toContain('lead:read:any');
+
+      const leadRes = await request(app)
+        .get(`/api/leads/${otherLead.id}`)
+        .set('Authorization', `Bearer ${salesToken}`);
+      expect(leadRes.statusCode).toBe(403);
+    });
+  });
+});
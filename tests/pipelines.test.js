@@ -0,0 +1,206 @@
+const request = require('supertest');
+const { sequelize } = require('../config/database');
+const { User, Lead, Activity } = require('../models');
+const { app } = require('../server');
+const { generateToken } = require('../utils/jwt');
+const { invalidatePipelineCache } = require('../utils/pipelines');
+
+describe('Pipelines API', () => {
+  let admin;
+  let adminToken;
+  let managerToken;
+  let partners;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+    invalidatePipelineCache();
+
+    admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'Admin'
+    });
+    const manager = await User.create({
+      name: 'Manager User',
+      email: 'manager@example.com',
+      password: 'password123',
+      role: 'Manager'
+    });
+
+    adminToken = generateToken(admin.id);
+    managerToken = generateToken(manager.id);
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  const createLead = data => request(app)
+    .post('/api/leads')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ email: `${data.name.toLowerCase()}@example.com`, ...data });
+
+  const updateLead = (id, data) => request(app)
+    .put(`/api/leads/${id}`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(data);
+
+  describe('GET /api/pipelines', () => {
+    it('should start with the default pipeline', async () => {
+      const res = await request(app)
+        .get('/api/pipelines')
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(res.statusCode).toBe(200);
+      const [pipeline] = res.body.data.pipelines;
+      expect(pipeline.isDefault).toBe(true);
+      expect(pipeline.stages.map(stage => stage.name)).toEqual(['New', 'Contacted', 'Qualified', 'Proposal', 'Negotiation', 'Won', 'Lost']);
+    });
+
+    it('should put new leads in the first stage of the default pipeline', async () => {
+      const res = await createLead({ name: 'Acme' });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data.lead.status).toBe('New');
+      expect(res.body.data.lead.stageId).toEqual(expect.any(Number));
+    });
+  });
+
+  describe('POST /api/pipelines', () => {
+    it('should create a pipeline with its stages', async () => {
+      const res = await request(app)
+        .post('/api/pipelines')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name: 'Partners',
+          stages: [
+            { name: 'Intro', probability: 10 },
+            { name: 'Pilot', probability: 50 },
+            { name: 'Signed', probability: 100, outcome: 'won' },
+            { name: 'Dropped', outcome: 'lost' }
+          ]
+        });
+
+      expect(res.statusCode).toBe(201);
+      partners = res.body.data.pipeline;
+      expect(partners.stages.map(stage => stage.position)).toEqual([0, 1, 2, 3]);
+    });
+
+    it('should reject duplicate stage names', async () => {
+      const res = await request(app)
+        .post('/api/pipelines')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Resellers', stages: [{ name: 'Intro' }, { name: 'Intro' }] });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should be limited to pipeline:manage', async () => {
+      const res = await request(app)
+        .post('/api/pipelines')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'Resellers', stages: [{ name: 'Intro' }] });
+
+      expect(res.statusCode).toBe(403);
+    });
+  });
+
+  describe('Lead stages', () => {
+    it('should look up the status in the chosen pipeline', async () => {
+      const created = await createLead({ name: 'Globex', pipelineId: partners.id, status: 'Pilot' });
+      expect(created.statusCode).toBe(201);
+      expect(created.body.data.lead.stageId).toBe(partners.stages[1].id);
+
+      const invalid = await createLead({ name: 'Initech', pipelineId: partners.id, status: 'Negotiation' });
+      expect(invalid.statusCode).toBe(400);
+    });
+
+    it('should log stage changes with the stage IDs', async () => {
+      const created = await createLead({ name: 'Hooli', pipelineId: partners.id });
+
+      const res = await updateLead(created.body.data.lead.id, { stageId: partners.stages[2].id });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.lead.status).toBe('Signed');
+      const activity = await Activity.findOne({ where: { leadId: created.body.data.lead.id, type: 'Status Change' } });
+      expect(activity.metadata).toMatchObject({
+        oldStatus: 'Intro',
+        newStatus: 'Signed',
+        oldStageId: partners.stages[0].id,
+        newStageId: partners.stages[2].id,
+        outcome: 'won'
+      });
+    });
+
+    it('should start at the first stage when moved to another pipeline', async () => {
+      const lead = await Lead.findOne({ where: { name: 'Acme' } });
+
+      const res = await updateLead(lead.id, { pipelineId: partners.id });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.lead.status).toBe('Intro');
+    });
+
+    it('should reject stages of other pipelines', async () => {
+      const lead = await Lead.findOne({ where: { name: 'Acme' } });
+
+      const res = await updateLead(lead.id, { status: 'Qualified' });
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('Stage changes', () => {
+    it('should rename the status of the stage\'s leads', async () => {
+      const res = await request(app)
+        .put(`/api/pipelines/${partners.id}/stages/${partners.stages[1].id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Trial' });
+
+      expect(res.statusCode).toBe(200);
+      expect((await Lead.findOne({ where: { name: 'Globex' } })).status).toBe('Trial');
+    });
+
+    it('should move the leads of a deleted stage', async () => {
+      const stage = partners.stages[1];
+      const refused = await request(app)
+        .delete(`/api/pipelines/${partners.id}/stages/${stage.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(refused.statusCode).toBe(400);
+
+      const res = await request(app)
+        .delete(`/api/pipelines/${partners.id}/stages/${stage.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ moveToStageId: partners.stages[0].id });
+
+      expect(res.statusCode).toBe(200);
+      expect((await Lead.findOne({ where: { name: 'Globex' } })).status).toBe('Intro');
+    });
+
+    it('should not delete a pipeline holding leads', async () => {
+      const res = await request(app)
+        .delete(`/api/pipelines/${partners.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('GET /api/dashboard/stats', () => {
+    it('should count won stages and weight open value by probability', async () => {
+      await createLead({ name: 'Umbrella', pipelineId: partners.id, estimatedValue: 1000 });
+
+      const res = await request(app)
+        .get('/api/dashboard/stats')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      // Hooli is in a won stage
+      expect(res.body.data.conversionRate).toBe(25);
+      const pipeline = res.body.data.pipelines.find(item => item.pipelineId === partners.id);
+      expect(pipeline.weightedValue).toBe(100);
+      expect(res.body.data.leadsByStatus).toMatchObject({ Intro: 3, Signed: 1 });
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const request = require('supertest');
+const { sequelize } = require('../config/database');
+const { User, Activity } = require('../models');
+const { app } = require('../server');
+const { generateToken } = require('../utils/jwt');
+const { invalidatePipelineCache } = require('../utils/pipelines');
+
+describe('Stage Transition Rules', () => {
+  let adminToken;
+  let deals;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+    invalidatePipelineCache();
+
+    const admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'Admin'
+    });
+    adminToken = generateToken(admin.id);
+
+    const res = await request(app)
+      .post('/api/pipelines')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        name: 'Deals',
+        stages: [
+          { name: 'Open', allowedTransitions: ['Proposal', 'Lost'] },
+          { name: 'Proposal', requiredFields: ['estimatedValue'], allowedTransitions: ['Won', 'Lost'] },
+          { name: 'Won', outcome: 'won' },
+          { name: 'Lost', outcome: 'lost' }
+        ]
+      });
+    deals = res.body.data.pipeline;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  const createLead = name => request(app)
+    .post('/api/leads')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ name, email: `${name.toLowerCase()}@example.com`, pipelineId: deals.id });
+
+  const updateLead = (id, data) => request(app)
+    .put(`/api/leads/${id}`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(data);
+
+  describe('Stage configuration', () => {
+    it('should reject transitions to unknown stages', async () => {
+      const res = await request(app)
+        .post(`/api/pipelines/${deals.id}/stages`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Review', allowedTransitions: ['Approved'] });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should reject unknown required fields', async () => {
+      const res = await request(app)
+        .put(`/api/pipelines/${deals.id}/stages/${deals.stages[1].id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ requiredFields: ['budget'] });
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('PUT /api/leads/:id', () => {
+    let leadId;
+
+    beforeAll(async () => {
+      leadId = (await createLead('Acme')).body.data.lead.id;
+    });
+
+    it('should refuse moves the stage does not allow', async () => {
+      const res = await updateLead(leadId, { status: 'Won' });
+
+      expect(res.statusCode).toBe(422);
+      expect(res.body.errors).toEqual([
+        expect.objectContaining({ rule: 'transition', allowedStages: ['Proposal', 'Lost'] })
+      ]);
+    });
+
+    it('should require the fields of the stage entered', async () => {
+      const refused = await updateLead(leadId, { status: 'Proposal' });
+      expect(refused.statusCode).toBe(422);
+      expect(refused.body.errors).toEqual([
+        expect.objectContaining({ rule: 'requiredField', field: 'estimatedValue' })
+      ]);
+
+      const res = await updateLead(leadId, { status: 'Proposal', estimatedValue: 5000 });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.lead.status).toBe('Proposal');
+    });
+
+    it('should require a loss reason and record it', async () => {
+      const refused = await updateLead(leadId, { status: 'Lost' });
+      expect(refused.statusCode).toBe(422);
+      expect(refused.body.errors[0].rule).toBe('lossReason');
+
+      const res = await updateLead(leadId, { status: 'Lost', lossReason: 'Went with a competitor' });
+      expect(res.statusCode).toBe(200);
+
+      const activity = await Activity.findOne({
+        where: { leadId, type: 'Status Change' },
+        order: [['createdAt', 'DESC']]
+      });
+      expect(activity.metadata.lossReason).toBe('Went with a competitor');
+    });
+  });
+
+  describe('POST /api/leads/bulk/status', () => {
+    it('should fail the leads that break the rules', async () => {
+      const open = (await createLead('Globex')).body.data.lead;
+
+      const res = await request(app)
+        .post('/api/leads/bulk/status')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ids: [open.id], stageId: deals.stages[2].id });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.results[0]).toMatchObject({
+        id: open.id,
+        success: false,
+        errors: [expect.objectContaining({ rule: 'transition' })]
+      });
+    });
+  });
+});
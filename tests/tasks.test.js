@@ -0,0 +1,210 @@
+// The tests run the queue themselves, without the server's worker
+process.env.JOB_POLL_INTERVAL_MS = '0';
+
+const request = require('supertest');
+const { sequelize } = require('../config/database');
+const { User, Lead, Task, Activity, Job, Notification } = require('../models');
+const { app } = require('../server');
+const { generateToken } = require('../utils/jwt');
+const { runDueJobs } = require('../utils/jobQueue');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Tasks API', () => {
+  let adminToken;
+  let repToken;
+  let otherRepToken;
+  let rep;
+  let otherRep;
+  let lead;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    const admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'Admin'
+    });
+    rep = await User.create({
+      name: 'Sales Rep',
+      email: 'rep@example.com',
+      password: 'password123',
+      role: 'Sales Executive'
+    });
+    otherRep = await User.create({
+      name: 'Other Rep',
+      email: 'other@example.com',
+      password: 'password123',
+      role: 'Sales Executive'
+    });
+
+    lead = await Lead.create({ name: 'Acme', email: 'acme@example.com', createdById: admin.id, assignedToId: rep.id });
+
+    adminToken = generateToken(admin.id);
+    repToken = generateToken(rep.id);
+    otherRepToken = generateToken(otherRep.id);
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('POST /api/tasks', () => {
+    it('should create a task assigned to the user, reminded when due', async () => {
+      const dueAt = new Date(Date.now() + 2 * 24 * HOUR_MS).toISOString();
+      const res = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${repToken}`)
+        .send({ title: 'Call back', dueAt, priority: 'High', leadId: lead.id });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data.task.assignedToId).toBe(rep.id);
+      expect(res.body.data.task.remindAt).toBe(dueAt);
+      expect(res.body.data.task.completedAt).toBeNull();
+    });
+
+    it('should refuse tasks on leads the user cannot view', async () => {
+      const res = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${otherRepToken}`)
+        .send({ title: 'Snoop', dueAt: new Date().toISOString(), leadId: lead.id });
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should refuse assignees who cannot view the lead', async () => {
+      const res = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ title: 'Follow up', dueAt: new Date().toISOString(), leadId: lead.id, assignedToId: otherRep.id });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('The assignee cannot view this lead');
+    });
+  });
+
+  describe('GET /api/tasks/mine', () => {
+    it('should split open tasks into overdue, today and upcoming', async () => {
+      const startOfTomorrow = new Date();
+      startOfTomorrow.setHours(24, 0, 0, 0);
+      const laterToday = new Date(Math.min(Date.now() + HOUR_MS, startOfTomorrow.getTime() - 1000));
+
+      await Task.bulkCreate([
+        { title: 'Overdue', dueAt: new Date(Date.now() - HOUR_MS), leadId: lead.id, assignedToId: rep.id },
+        { title: 'Later today', dueAt: laterToday, leadId: lead.id, assignedToId: rep.id },
+        { title: 'Next month', dueAt: new Date(Date.now() + 40 * 24 * HOUR_MS), leadId: lead.id, assignedToId: rep.id },
+        { title: 'Done', dueAt: new Date(Date.now() - HOUR_MS), leadId: lead.id, assignedToId: rep.id, completedAt: new Date() }
+      ]);
+
+      const res = await request(app)
+        .get('/api/tasks/mine')
+        .set('Authorization', `Bearer ${repToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.overdue.map(task => task.title)).toEqual(['Overdue']);
+      expect(res.body.data.today.map(task => task.title)).toEqual(['Later today']);
+      expect(res.body.data.upcoming.map(task => task.title)).toEqual(['Call back']);
+      expect(res.body.data.counts).toEqual({ overdue: 1, today: 1, upcoming: 1 });
+    });
+
+    it('should reject unknown time zones', async () => {
+      const res = await request(app)
+        .get('/api/tasks/mine')
+        .query({ timezone: 'Mars/Olympus' })
+        .set('Authorization', `Bearer ${repToken}`);
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('POST /api/tasks/:id/complete', () => {
+    it('should complete a task and log the call it was for', async () => {
+      const task = await Task.findOne({ where: { title: 'Overdue' } });
+
+      const res = await request(app)
+        .post(`/api/tasks/${task.id}/complete`)
+        .set('Authorization', `Bearer ${repToken}`)
+        .send({ activity: { type: 'Call', description: 'Left a voicemail' } });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.task.completedAt).not.toBeNull();
+      expect(res.body.data.task.activity).toMatchObject({ type: 'Call', title: 'Overdue', description: 'Left a voicemail' });
+
+      const activity = await Activity.findByPk(res.body.data.task.activityId);
+      expect(activity.metadata.taskId).toBe(task.id);
+    });
+
+    it('should only let the assignee, creator or lead editors change a task', async () => {
+      const task = await Task.findOne({ where: { title: 'Later today' } });
+
+      const res = await request(app)
+        .post(`/api/tasks/${task.id}/complete`)
+        .set('Authorization', `Bearer ${otherRepToken}`)
+        .send({});
+
+      expect(res.statusCode).toBe(403);
+    });
+  });
+
+  describe('Reminders', () => {
+    it('should remind the assignee once when a task is due', async () => {
+      const remindAt = new Date(Date.now() - 60 * 1000).toISOString();
+      const res = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${repToken}`)
+        .send({ title: 'Send proposal', dueAt: remindAt, remindAt, leadId: lead.id });
+      expect(res.statusCode).toBe(201);
+      const taskId = res.body.data.task.id;
+
+      const job = await Job.findOne({ where: { type: 'task.reminder' }, order: [['id', 'DESC']] });
+      expect(job.payload).toEqual({ taskId, remindAt });
+
+      const emit = jest.fn();
+      const io = { to: jest.fn(() => ({ emit })) };
+      await runDueJobs({ io });
+
+      expect(io.to).toHaveBeenCalledWith(`user:${rep.id}`);
+      expect(emit).toHaveBeenCalledWith('task:reminder', expect.objectContaining({ task: expect.objectContaining({ id: taskId }) }));
+      await job.reload();
+      expect(job.status).toBe('completed');
+
+      const task = await Task.findByPk(taskId);
+      expect(task.reminderSentAt).not.toBeNull();
+    });
+
+    it('should not remind about a task rescheduled since the reminder was queued', async () => {
+      const soon = new Date(Date.now() + 60 * 60 * 1000);
+      const task = await Task.create({ title: 'Demo', dueAt: soon, remindAt: soon, leadId: lead.id, assignedToId: rep.id });
+      await Job.create({ type: 'task.reminder', payload: { taskId: task.id, remindAt: new Date(Date.now() - 1000).toISOString() } });
+
+      const emit = jest.fn();
+      await runDueJobs({ io: { to: () => ({ emit }) } });
+
+      expect(emit).not.toHaveBeenCalled();
+      await task.reload();
+      expect(task.reminderSentAt).toBeNull();
+    });
+
+    it('should retry a reminder whose notification failed', async () => {
+      const due = new Date(Date.now() - 1000);
+      const task = await Task.create({ title: 'Follow up', dueAt: due, remindAt: due, leadId: lead.id, assignedToId: rep.id });
+      const job = await Job.create({ type: 'task.reminder', payload: { taskId: task.id, remindAt: due.toISOString() } });
+
+      const create = jest.spyOn(Notification, 'create').mockRejectedValueOnce(new Error('Database unavailable'));
+      await runDueJobs();
+      create.mockRestore();
+
+      await job.reload();
+      expect(job.status).toBe('pending');
+      await task.reload();
+      expect(task.reminderSentAt).toBeNull();
+
+      await job.update({ runAt: new Date() });
+      await runDueJobs();
+      await task.reload();
+      expect(task.reminderSentAt).not.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,185 @@
+const request = require('supertest');
+const { sequelize } = require('../config/database');
+const { User, Lead } = require('../models');
+const { app } = require('../server');
+const { generateToken } = require('../utils/jwt');
+const { invalidatePermissionCache } = require('../utils/permissions');
+
+describe('Teams API', () => {
+  let adminToken;
+  let managerToken;
+  let manager;
+  let eastRep;
+  let westRep;
+  let eastLead;
+  let westLead;
+  let eastTeam;
+  let westTeam;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+    invalidatePermissionCache();
+
+    const admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'Admin'
+    });
+    manager = await User.create({
+      name: 'East Manager',
+      email: 'manager@example.com',
+      password: 'password123',
+      role: 'Manager'
+    });
+    eastRep = await User.create({
+      name: 'East Rep',
+      email: 'east@example.com',
+      password: 'password123',
+      role: 'Sales Executive'
+    });
+    westRep = await User.create({
+      name: 'West Rep',
+      email: 'west@example.com',
+      password: 'password123',
+      role: 'Sales Executive'
+    });
+
+    eastLead = await Lead.create({
+      name: 'East Lead',
+      email: 'eastlead@example.com',
+      assignedToId: eastRep.id,
+      createdById: eastRep.id
+    });
+    westLead = await Lead.create({
+      name: 'West Lead',
+      email: 'westlead@example.com',
+      assignedToId: westRep.id,
+      createdById: westRep.id
+    });
+
+    adminToken = generateToken(admin.id);
+    managerToken = generateToken(manager.id);
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('POST /api/teams', () => {
+    it('should create teams for an Admin', async () => {
+      let res = await request(app)
+        .post('/api/teams')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'East', managerId: manager.id });
+
+      expect(res.statusCode).toBe(201);
+      eastTeam = res.body.data.team;
+
+      res = await request(app)
+        .post('/api/teams')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'West' });
+
+      expect(res.statusCode).toBe(201);
+      westTeam = res.body.data.team;
+    });
+
+    it('should be forbidden without team:manage', async () => {
+      const res = await request(app)
+        .post('/api/teams')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'North' });
+
+      expect(res.statusCode).toBe(403);
+    });
+  });
+
+  describe('POST /api/teams/:id/members', () => {
+    it('should move users into teams', async () => {
+      let res = await request(app)
+        .post(`/api/teams/${eastTeam.id}/members`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ userIds: [eastRep.id, westRep.id] });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.team.members).toHaveLength(2);
+
+      res = await request(app)
+        .post(`/api/teams/${westTeam.id}/members`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ userIds: [westRep.id] });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.team.members).toHaveLength(1);
+    });
+  });
+
+  describe('Team-scoped visibility', () => {
+    it('should only list the leads of the manager\'s team', async () => {
+      const res = await request(app)
+        .get('/api/leads')
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(res.statusCode).toBe(200);
+      const ids = res.body.data.leads.map(lead => lead.id);
+      expect(ids).toContain(eastLead.id);
+      expect(ids).not.toContain(westLead.id);
+    });
+
+    it('should deny a lead outside the manager\'s team', async () => {
+      const res = await request(app)
+        .get(`/api/leads/${westLead.id}`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should limit performance rows to the team', async () => {
+      const res = await request(app)
+        .get('/api/dashboard/performance')
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(res.statusCode).toBe(200);
+      const userIds = res.body.data.performance.map(row => row.userId);
+      expect(userIds).toEqual([eastRep.id]);
+    });
+
+    it('should include sub-teams in the manager\'s scope', async () => {
+      const res = await request(app)
+        .put(`/api/teams/${westTeam.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ parentTeamId: eastTeam.id });
+      expect(res.statusCode).toBe(200);
+
+      const leadRes = await request(app)
+        .get(`/api/leads/${westLead.id}`)
+        .set('Authorization', `Bearer ${managerToken}`);
+      expect(leadRes.statusCode).toBe(200);
+    });
+
+    it('should refuse to place a team under its own sub-team', async () => {
+      const res = await request(app)
+        .put(`/api/teams/${eastTeam.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ parentTeamId: westTeam.id });
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('DELETE /api/teams/:id/members/:userId', () => {
+    it('should remove a member from a team', async () => {
+      const res = await request(app)
+        .delete(`/api/teams/${eastTeam.id}/members/${eastRep.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+
+      const leadRes = await request(app)
+        .get(`/api/leads/${eastLead.id}`)
+        .set('Authorization', `Bearer ${managerToken}`);
+      expect(leadRes.statusCode).toBe(403);
+    });
+  });
+});
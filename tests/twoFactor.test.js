@@ -0,0 +1,128 @@
+const request = require('supertest');
+const { sequelize } = require('../config/database');
+const { User } = require('../models');
+const { app } = require('../server');
+const { generateToken } = require('../utils/jwt');
+const { hotp, currentCounter } = require('../utils/totp');
+
+describe('Two-factor authentication', () => {
+  let adminToken;
+  let managerToken;
+  let secret;
+  let recoveryCodes;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    const admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'Admin'
+    });
+    const manager = await User.create({
+      name: 'Manager User',
+      email: 'manager@example.com',
+      password: 'password123',
+      role: 'Manager'
+    });
+    await User.create({
+      name: 'Other Manager',
+      email: 'other.manager@example.com',
+      password: 'password123',
+      role: 'Manager'
+    });
+
+    adminToken = generateToken(admin.id);
+    managerToken = generateToken(manager.id);
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  it('should enrol with a provisioning URI and recovery codes', async () => {
+    const setup = await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', `Bearer ${managerToken}`);
+
+    expect(setup.statusCode).toBe(200);
+    expect(setup.body.data.otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+    secret = setup.body.data.secret;
+
+    const enable = await request(app)
+      .post('/api/auth/2fa/enable')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ code: hotp(secret, currentCounter()) });
+
+    expect(enable.statusCode).toBe(200);
+    expect(enable.body.data.recoveryCodes).toHaveLength(10);
+    recoveryCodes = enable.body.data.recoveryCodes;
+  });
+
+  it('should return a challenge instead of a session on login', async () => {
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'manager@example.com', password: 'password123' });
+
+    expect(login.statusCode).toBe(200);
+    expect(login.body.data.twoFactorRequired).toBe(true);
+    expect(login.body.data.token).toBeUndefined();
+
+    const { challengeToken } = login.body.data;
+
+    // The challenge is not a session token
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${challengeToken}`);
+    expect(me.statusCode).toBe(401);
+
+    const wrong = await request(app)
+      .post('/api/auth/2fa/verify')
+      .send({ challengeToken, code: '000000' });
+    expect(wrong.statusCode).toBe(401);
+
+    const verify = await request(app)
+      .post('/api/auth/2fa/verify')
+      .send({ challengeToken, recoveryCode: recoveryCodes[0] });
+    expect(verify.statusCode).toBe(200);
+    expect(verify.body.data.token).toBeDefined();
+
+    // Recovery codes are single-use
+    const reuse = await request(app)
+      .post('/api/auth/2fa/verify')
+      .send({ challengeToken, recoveryCode: recoveryCodes[0] });
+    expect(reuse.statusCode).toBe(401);
+  });
+
+  it('should force enrolment for roles required by the policy', async () => {
+    const policy = await request(app)
+      .put('/api/users/two-factor-policy')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ requiredRoles: ['Manager'] });
+    expect(policy.statusCode).toBe(200);
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'other.manager@example.com', password: 'password123' });
+
+    expect(login.statusCode).toBe(200);
+    expect(login.body.data.twoFactorSetupRequired).toBe(true);
+    expect(login.body.data.token).toBeUndefined();
+
+    const setup = await request(app)
+      .post('/api/auth/2fa/setup')
+      .send({ challengeToken: login.body.data.challengeToken });
+    expect(setup.statusCode).toBe(200);
+
+    const enable = await request(app)
+      .post('/api/auth/2fa/enable')
+      .send({
+        challengeToken: login.body.data.challengeToken,
+        code: hotp(setup.body.data.secret, currentCounter())
+      });
+    expect(enable.statusCode).toBe(200);
+    expect(enable.body.data.token).toBeDefined();
+  });
+});
+
@@ -0,0 +1,130 @@
+const request = require('supertest');
+const { sequelize } = require('../config/database');
+const { User, Lead } = require('../models');
+const { app } = require('../server');
+const { generateToken } = require('../utils/jwt');
+
+describe('Users API', () => {
+  let adminToken;
+  let salesToken;
+  let admin;
+  let rep;
+  let otherRep;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'Admin'
+    });
+    rep = await User.create({
+      name: 'Leaving Rep',
+      email: 'leaving@example.com',
+      password: 'password123',
+      role: 'Sales Executive'
+    });
+    otherRep = await User.create({
+      name: 'Other Rep',
+      email: 'other@example.com',
+      password: 'password123',
+      role: 'Sales Executive'
+    });
+
+    await Lead.bulkCreate([
+      { name: 'Lead One', email: 'one@example.com', assignedToId: rep.id, createdById: rep.id },
+      { name: 'Lead Two', email: 'two@example.com', assignedToId: rep.id, createdById: admin.id }
+    ]);
+
+    adminToken = generateToken(admin.id);
+    salesToken = generateToken(otherRep.id);
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('GET /api/users', () => {
+    it('should list users for an Admin', async () => {
+      const res = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.users).toHaveLength(3);
+    });
+
+    it('should reject an invalid or oversized limit', async () => {
+      for (const limit of ['abc', '101']) {
+        const res = await request(app)
+          .get(`/api/users?limit=${limit}`)
+          .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(res.statusCode).toBe(400);
+      }
+    });
+
+    it('should be forbidden for other roles', async () => {
+      const res = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${salesToken}`);
+
+      expect(res.statusCode).toBe(403);
+    });
+  });
+
+  describe('PUT /api/users/:id', () => {
+    it('should update a role', async () => {
+      const res = await request(app)
+        .put(`/api/users/${otherRep.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'Manager' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.user.role).toBe('Manager');
+    });
+
+    it('should not demote the last Admin', async () => {
+      const res = await request(app)
+        .put(`/api/users/${admin.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'Manager' });
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('POST /api/users/:id/deactivate', () => {
+    it('should deactivate a user and reassign their leads', async () => {
+      const repToken = generateToken(rep.id);
+
+      const res = await request(app)
+        .post(`/api/users/${rep.id}/deactivate`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reassignToId: otherRep.id });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.reassignedLeads).toBe(2);
+
+      const remaining = await Lead.count({ where: { assignedToId: rep.id } });
+      expect(remaining).toBe(0);
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${repToken}`);
+      expect(me.statusCode).toBe(401);
+    });
+
+    it('should reactivate a user', async () => {
+      const res = await request(app)
+        .post(`/api/users/${rep.id}/reactivate`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.user.isActive).toBe(true);
+    });
+  });
+});
+
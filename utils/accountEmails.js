@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const { User, Invitation } = require('../models');
+const { generateUserToken, hashToken } = require('./jwt');
+const { emailTemplates, sendEmail, isEmailConfigured } = require('./email');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+
+// Account emails go through the job queue like the others, so an SMTP failure is retried
+// rather than losing the link. The jobs only name the user or invitation: their link
+// tokens are made when the email is sent, so no raw token is stored with the job. Each
+// function resolves to the queued job.
+
+// Issue a fresh verification token and email it to the user
+const sendVerificationEmail = user => enqueueJob('account.email', { userId: user.id, purpose: 'email_verification' });
+
+// Issue a fresh password reset token and email it to the user
+const sendPasswordResetEmail = user => enqueueJob('account.email', { userId: user.id, purpose: 'password_reset' });
+
+// Email an invitation a fresh link; the link it had before stops working
+const sendInvitationEmail = invitation => enqueueJob('invitation.email', { invitationId: invitation.id });
+
+const deliver = async (to, emailData) => {
+  const result = await sendEmail(to, emailData.subject, emailData.html);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+};
+
+// Like email.send, these are skipped without email configured
+registerJobHandler('account.email', async ({ userId, purpose }) => {
+  if (!isEmailConfigured()) {
+    return;
+  }
+  const user = await User.findByPk(userId);
+  if (!user || !user.isActive || (purpose === 'email_verification' && user.emailVerified)) {
+    return;
+  }
+
+  const token = await generateUserToken(user, purpose);
+  await deliver(user.email, purpose === 'password_reset'
+    ? emailTemplates.passwordReset(user.name, token)
+    : emailTemplates.emailVerification(user.name, token));
+});
+
+registerJobHandler('invitation.email', async ({ invitationId }) => {
+  if (!isEmailConfigured()) {
+    return;
+  }
+  const invitation = await Invitation.findByPk(invitationId, {
+    include: [{ model: User, as: 'invitedBy', attributes: ['id', 'name'] }]
+  });
+  if (!invitation || invitation.getStatus() !== 'pending') {
+    return;
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await invitation.update({ tokenHash: hashToken(token) });
+  await deliver(invitation.email, emailTemplates.invitation(
+    invitation.invitedBy ? invitation.invitedBy.name : 'SwiftCRM',
+    invitation.role,
+    token,
+    invitation.expiresAt
+  ));
+});
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail, sendInvitationEmail };
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const { ApiKey, ApiKeyWrite, User } = require('../models');
+const { hashToken } = require('./jwt');
+
+// Recognisable prefix so keys can be told apart from JWTs and spotted by secret scanners
+const KEY_PREFIX = 'crm_';
+const PREFIX_DISPLAY_LENGTH = 12;
+
+// lastUsedAt is refreshed at most this often, not on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+const isApiKey = (value) => typeof value === 'string' && value.startsWith(KEY_PREFIX);
+
+// New raw key with its stored form; the raw key is only returned to the creator
+const generateApiKey = () => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+  return {
+    key,
+    prefix: key.slice(0, PREFIX_DISPLAY_LENGTH),
+    keyHash: hashToken(key)
+  };
+};
+
+// Resolve a raw key to { apiKey, user }, or null when it is unknown, revoked, expired or
+// its user is inactive
+const verifyApiKey = async (key, ip = null) => {
+  const apiKey = await ApiKey.findOne({
+    where: { keyHash: hashToken(key) },
+    include: [{ model: User, as: 'user' }]
+  });
+
+  if (!apiKey || apiKey.getStatus() !== 'active' || !apiKey.user || !apiKey.user.isActive) {
+    return null;
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    await apiKey.update({ lastUsedAt: new Date(), lastUsedIp: ip });
+  }
+
+  return { apiKey, user: apiKey.user };
+};
+
+// Record a write made with an API key once its response has been sent
+const trackApiKeyWrites = (req, res, apiKey) => {
+  if (!WRITE_METHODS.includes(req.method)) {
+    return;
+  }
+
+  res.on('finish', () => {
+    ApiKeyWrite.create({
+      apiKeyId: apiKey.id,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      statusCode: res.statusCode,
+      ip: req.ip
+    }).catch(error => console.error('Record API key write error:', error));
+  });
+};
+
+module.exports = {
+  isApiKey,
+  generateApiKey,
+  verifyApiKey,
+  trackApiKeyWrites
+};
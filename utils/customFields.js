@@ -0,0 +1,314 @@
+const { Op, fn, col, cast, where: sqlWhere } = require('sequelize');
+// The model directly, not ../models: that module loads the lead scoring, which filters
+// through this one
+const CustomField = require('../models/CustomField');
+
+const FIELD_TYPES = ['text', 'number', 'date', 'select', 'multi_select', 'boolean'];
+
+// Rules each type accepts in `validation`
+const VALIDATION_RULES = {
+  text: ['minLength', 'maxLength', 'pattern'],
+  number: ['min', 'max', 'integer'],
+  date: ['min', 'max'],
+  select: [],
+  multi_select: ['maxSelected'],
+  boolean: []
+};
+
+// List filter operators for number and date fields (`cf.employees[gte]=50`)
+const RANGE_OPERATORS = { gt: Op.gt, gte: Op.gte, lt: Op.lt, lte: Op.lte };
+
+const CACHE_TTL_MS = 30 * 1000;
+
+let cache = null;
+let cachedAt = 0;
+
+// Error carrying the HTTP status the routes should answer with
+const fieldError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Field definitions in display order, cached briefly like the role permissions
+const getCustomFields = async () => {
+  if (cache && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cache;
+  }
+
+  cache = await CustomField.findAll({ order: [['position', 'ASC'], ['id', 'ASC']] });
+  cachedAt = Date.now();
+  return cache;
+};
+
+const invalidateCustomFieldCache = () => {
+  cache = null;
+};
+
+const isBlank = value => value === null || value === undefined || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+const isDate = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !Number.isNaN(Date.parse(value)) && new Date(value).toISOString().startsWith(value);
+
+const isRegExp = (pattern) => {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Check a definition's options and validation rules against its type. Returns an error
+// message or null.
+const checkDefinition = ({ type, options = [], validation = {} }) => {
+  if (type === 'select' || type === 'multi_select') {
+    if (!Array.isArray(options) || options.length === 0 ||
+      options.some(option => typeof option !== 'string' || option.trim() === '')) {
+      return 'Select fields need a list of text options';
+    }
+    if (new Set(options).size !== options.length) {
+      return 'Options must be unique';
+    }
+  } else if (options && options.length > 0) {
+    return `Only select fields take options, not ${type} fields`;
+  }
+
+  const unknown = Object.keys(validation || {}).filter(rule => !VALIDATION_RULES[type].includes(rule));
+  if (unknown.length > 0) {
+    return `Unsupported validation for ${type} fields: ${unknown.join(', ')}`;
+  }
+
+  const { min, max, minLength, maxLength, pattern, integer, maxSelected } = validation || {};
+  const check = type === 'date' ? isDate : Number.isFinite;
+  if ((min !== undefined && !check(min)) || (max !== undefined && !check(max))) {
+    return type === 'date' ? 'min and max must be dates (YYYY-MM-DD)' : 'min and max must be numbers';
+  }
+  if ([minLength, maxLength, maxSelected].some(rule => rule !== undefined && !(Number.isInteger(rule) && rule >= 0))) {
+    return 'minLength, maxLength and maxSelected must be whole numbers';
+  }
+  if (pattern !== undefined && (typeof pattern !== 'string' || !isRegExp(pattern))) {
+    return 'pattern must be a regular expression';
+  }
+  if (integer !== undefined && typeof integer !== 'boolean') {
+    return 'integer must be true or false';
+  }
+
+  return null;
+};
+
+// Raw input -> stored value of the field's type. Lenient with strings so spreadsheet
+// cells and query parameters work: "12" is a number, "yes" a boolean, "a, b" a list.
+const parseValue = (field, value) => {
+  switch (field.type) {
+    case 'text':
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        throw fieldError(`${field.label} must be text`);
+      }
+      return String(value).trim();
+
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        throw fieldError(`${field.label} must be a number`);
+      }
+      return number;
+    }
+
+    case 'date':
+      if (!isDate(value)) {
+        throw fieldError(`${field.label} must be a date (YYYY-MM-DD)`);
+      }
+      return value;
+
+    case 'boolean': {
+      const text = String(value).trim().toLowerCase();
+      if (value === true || ['true', 'yes', '1'].includes(text)) return true;
+      if (value === false || ['false', 'no', '0'].includes(text)) return false;
+      throw fieldError(`${field.label} must be true or false`);
+    }
+
+    case 'select':
+      if (!field.options.includes(value)) {
+        throw fieldError(`${field.label} must be one of: ${field.options.join(', ')}`);
+      }
+      return value;
+
+    case 'multi_select': {
+      const values = typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : value;
+      if (!Array.isArray(values) || values.some(item => !field.options.includes(item))) {
+        throw fieldError(`${field.label} must be a list of: ${field.options.join(', ')}`);
+      }
+      return [...new Set(values)];
+    }
+
+    default:
+      throw fieldError(`${field.label} has an unknown type`);
+  }
+};
+
+// The field's validation rules, for a parsed value
+const checkRules = (field, value) => {
+  const { min, max, minLength, maxLength, pattern, integer, maxSelected } = field.validation || {};
+
+  if (integer && !Number.isInteger(value)) {
+    throw fieldError(`${field.label} must be a whole number`);
+  }
+  if (min !== undefined && value < min) {
+    throw fieldError(`${field.label} must be at least ${min}`);
+  }
+  if (max !== undefined && value > max) {
+    throw fieldError(`${field.label} must be at most ${max}`);
+  }
+  if (minLength !== undefined && value.length < minLength) {
+    throw fieldError(`${field.label} must be at least ${minLength} characters`);
+  }
+  if (maxLength !== undefined && value.length > maxLength) {
+    throw fieldError(`${field.label} must be at most ${maxLength} characters`);
+  }
+  if (pattern !== undefined && !new RegExp(pattern).test(value)) {
+    throw fieldError(`${field.label} has an invalid format`);
+  }
+  if (maxSelected !== undefined && value.length > maxSelected) {
+    throw fieldError(`${field.label} allows at most ${maxSelected} choices`);
+  }
+};
+
+// Validate and normalize the `customFields` of a lead create (or, with `partial`, update)
+// request. On create, required fields must be present and blank values are dropped; on
+// update only the given keys are checked, and blanks come back as null to clear the value.
+const validateCustomFieldValues = async (input, { partial = false } = {}) => {
+  if (input !== undefined && input !== null && (typeof input !== 'object' || Array.isArray(input))) {
+    return { values: {}, errors: ['customFields must be an object of field values'] };
+  }
+
+  const fields = await getCustomFields();
+  const fieldsByKey = new Map(fields.map(field => [field.key, field]));
+  const values = {};
+  const errors = [];
+
+  for (const [key, value] of Object.entries(input || {})) {
+    const field = fieldsByKey.get(key);
+    if (!field) {
+      errors.push(`Unknown custom field "${key}"`);
+      continue;
+    }
+
+    if (isBlank(value)) {
+      if (field.required) {
+        errors.push(`${field.label} is required`);
+      } else if (partial) {
+        values[key] = null;
+      }
+      continue;
+    }
+
+    try {
+      values[key] = parseValue(field, value);
+      checkRules(field, values[key]);
+    } catch (error) {
+      delete values[key];
+      errors.push(error.message);
+    }
+  }
+
+  if (!partial) {
+    fields
+      .filter(field => field.required && !(input && field.key in input))
+      .forEach(field => errors.push(`${field.label} is required`));
+  }
+
+  return { values, errors };
+};
+
+// Apply validated partial values (null clears a field) to a lead's current values
+const mergeCustomFieldValues = (current, changes) => {
+  const merged = { ...current, ...changes };
+  Object.keys(merged).forEach((key) => {
+    if (merged[key] === null) delete merged[key];
+  });
+  return merged;
+};
+
+// SQL for a field's value, typed so comparisons and sorting behave
+const valueExpression = (field) => {
+  const text = fn('jsonb_extract_path_text', col('Lead.customFields'), field.key);
+  if (field.type === 'number') return cast(text, 'NUMERIC');
+  if (field.type === 'date') return cast(text, 'DATE');
+  return text;
+};
+
+const findField = async (key) => {
+  const field = (await getCustomFields()).find(candidate => candidate.key === key);
+  if (!field) {
+    throw fieldError(`Unknown custom field "${key}"`);
+  }
+  return field;
+};
+
+// Where conditions for the `cf.<key>` list filters in a query. Text fields match on a
+// substring, multi_select fields when the value is among the choices, other types exactly;
+// number and date fields also take ranges (`cf.employees[gte]=50`).
+const customFieldFilters = async (query) => {
+  const conditions = [];
+
+  for (const [param, filter] of Object.entries(query || {})) {
+    if (!param.startsWith('cf.')) continue;
+    const field = await findField(param.slice(3));
+
+    if (filter && typeof filter === 'object' && !Array.isArray(filter)) {
+      for (const [operator, value] of Object.entries(filter)) {
+        if (!RANGE_OPERATORS[operator] || !['number', 'date'].includes(field.type)) {
+          throw fieldError(`${field.label} cannot be filtered with "${operator}"`);
+        }
+        conditions.push(sqlWhere(valueExpression(field), { [RANGE_OPERATORS[operator]]: parseValue(field, value) }));
+      }
+      continue;
+    }
+
+    // A repeated parameter matches any of its values
+    const matches = [].concat(filter).map((value) => {
+      if (field.type === 'text') {
+        return sqlWhere(valueExpression(field), { [Op.iLike]: `%${value}%` });
+      }
+      const parsed = field.type === 'multi_select' ? [String(value)] : parseValue(field, value);
+      return { customFields: { [Op.contains]: { [field.key]: parsed } } };
+    });
+    conditions.push(matches.length === 1 ? matches[0] : { [Op.or]: matches });
+  }
+
+  return conditions;
+};
+
+// Sort on a custom field (`sortBy=cf.<key>`): the SQL value to order by and, for
+// pagination cursors, the same value read from a lead. Multi-select lists have no value
+// a cursor can compare, so they page by position.
+const customFieldSort = async (key) => {
+  const field = await findField(key);
+  return {
+    expression: valueExpression(field),
+    nullable: true,
+    keyset: field.type !== 'multi_select',
+    value: (lead) => {
+      const value = (lead.customFields || {})[field.key];
+      if (value === undefined || value === null) return null;
+      return field.type === 'boolean' ? String(value) : value;
+    }
+  };
+};
+
+module.exports = {
+  FIELD_TYPES,
+  VALIDATION_RULES,
+  getCustomFields,
+  invalidateCustomFieldCache,
+  checkDefinition,
+  parseValue,
+  valueExpression,
+  findField,
+  validateCustomFieldValues,
+  mergeCustomFieldValues,
+  customFieldFilters,
+  customFieldSort
+};
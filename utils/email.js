@@ -190,6 +190,82 @@ const emailTemplates = {
     };
   },
   
+  // Several leads in one email, e.g. after a bulk reassignment
+  leadsAssigned: (assignedToName, leads) => {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const leadList = leads
+      .map(lead => `<li><a href="${frontendUrl}/leads/${lead.id}">${lead.name}</a></li>`)
+      .join('');
+
+    return {
+      subject: `${leads.length} Leads Assigned to You`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: #2563eb; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+            .content { background-color: #f9fafb; padding: 20px; border-radius: 0 0 5px 5px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h2>New Leads Assigned</h2>
+            </div>
+            <div class="content">
+              <p>Hello ${assignedToName},</p>
+              <p>You have been assigned ${leads.length} leads:</p>
+              <ul>${leadList}</ul>
+              <p>Please review and take necessary actions.</p>
+              <p style="margin-top: 20px;">Best regards,<br><strong>SwiftCRM Team</strong></p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+  },
+
+  // `leads` carry their previous status as `oldStatus`
+  leadsStatusChanged: (leads, newStatus) => {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const leadList = leads
+      .map(lead => `<li><a href="${frontendUrl}/leads/${lead.id}">${lead.name}</a> (was ${lead.oldStatus})</li>`)
+      .join('');
+
+    return {
+      subject: `${leads.length} Leads Moved to ${newStatus}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: #10b981; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+            .content { background-color: #f9fafb; padding: 20px; border-radius: 0 0 5px 5px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h2>Lead Statuses Updated</h2>
+            </div>
+            <div class="content">
+              <p>The status of ${leads.length} of your leads has been changed to <strong>${newStatus}</strong>:</p>
+              <ul>${leadList}</ul>
+              <p style="margin-top: 20px;">Best regards,<br><strong>SwiftCRM Team</strong></p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+  },
+
   newActivity: (leadName, activityType, userName, leadId = null) => {
     const leadLink = leadId ? `<a href="${process.env.FRONTEND_URL || 'http://localhost:3000'}/leads/${leadId}" style="background-color: #2563eb; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block; margin-top: 10px;">View Lead</a>` : '';
     
@@ -222,6 +298,189 @@ const emailTemplates = {
         </html>
       `
     };
+  },
+
+  taskReminder: (userName, taskTitle, leadName, dueAt, leadId = null) => {
+    const leadLink = leadId ? `<a href="${process.env.FRONTEND_URL || 'http://localhost:3000'}/leads/${leadId}" style="background-color: #f59e0b; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block; margin-top: 10px;">View Lead</a>` : '';
+
+    return {
+      subject: `Task Due: ${taskTitle}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: #f59e0b; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+            .content { background-color: #f9fafb; padding: 20px; border-radius: 0 0 5px 5px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h2>Task Reminder</h2>
+            </div>
+            <div class="content">
+              <p>Hello ${userName},</p>
+              <p>Your task <strong>${taskTitle}</strong> on lead <strong>${leadName}</strong> is due ${new Date(dueAt).toUTCString()}.</p>
+              ${leadLink}
+              <p style="margin-top: 20px;">Best regards,<br><strong>SwiftCRM Team</strong></p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+  },
+
+  // The day's unread notifications the user gets as a digest, oldest first
+  notificationDigest: (userName, notifications) => {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const notificationList = notifications
+      .map((notification) => {
+        const title = notification.leadId
+          ? `<a href="${frontendUrl}/leads/${notification.leadId}">${notification.title}</a>`
+          : notification.title;
+        return `<li>${title}${notification.body ? `<br><span style="color: #6b7280;">${notification.body}</span>` : ''}</li>`;
+      })
+      .join('');
+
+    return {
+      subject: `Your SwiftCRM Digest: ${notifications.length} Update${notifications.length === 1 ? '' : 's'}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: #2563eb; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+            .content { background-color: #f9fafb; padding: 20px; border-radius: 0 0 5px 5px; }
+            li { margin-bottom: 10px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h2>Daily Digest</h2>
+            </div>
+            <div class="content">
+              <p>Hello ${userName},</p>
+              <p>Here is what happened since your last digest:</p>
+              <ul>${notificationList}</ul>
+              <a href="${frontendUrl}/notifications" style="background-color: #2563eb; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block; margin-top: 10px;">View Notifications</a>
+              <p style="margin-top: 20px;">Best regards,<br><strong>SwiftCRM Team</strong></p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+  },
+
+  passwordReset: (userName, token) => {
+    const resetLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${encodeURIComponent(token)}`;
+
+    return {
+      subject: 'Reset your SwiftCRM password',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: #f59e0b; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+            .content { background-color: #f9fafb; padding: 20px; border-radius: 0 0 5px 5px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h2>Password Reset Request</h2>
+            </div>
+            <div class="content">
+              <p>Hello ${userName},</p>
+              <p>We received a request to reset your SwiftCRM password. Use the button below to choose a new one.</p>
+              <a href="${resetLink}" style="background-color: #2563eb; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block; margin-top: 10px;">Reset Password</a>
+              <p>This link can only be used once and expires in ${process.env.PASSWORD_RESET_TTL_MINUTES || 60} minutes. If you did not request a reset, you can ignore this email.</p>
+              <p style="margin-top: 20px;">Best regards,<br><strong>SwiftCRM Team</strong></p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+  },
+
+  emailVerification: (userName, token) => {
+    const verifyLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email?token=${encodeURIComponent(token)}`;
+
+    return {
+      subject: 'Verify your SwiftCRM email address',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: #2563eb; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+            .content { background-color: #f9fafb; padding: 20px; border-radius: 0 0 5px 5px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h2>Verify Your Email</h2>
+            </div>
+            <div class="content">
+              <p>Hello ${userName},</p>
+              <p>Please confirm that this email address belongs to you to finish setting up your SwiftCRM account.</p>
+              <a href="${verifyLink}" style="background-color: #2563eb; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block; margin-top: 10px;">Verify Email</a>
+              <p style="margin-top: 20px;">Best regards,<br><strong>SwiftCRM Team</strong></p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+  },
+
+  invitation: (inviterName, role, token, expiresAt) => {
+    const acceptLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/accept-invite?token=${encodeURIComponent(token)}`;
+
+    return {
+      subject: `${inviterName} invited you to SwiftCRM`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: #2563eb; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+            .content { background-color: #f9fafb; padding: 20px; border-radius: 0 0 5px 5px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h2>You're Invited to SwiftCRM</h2>
+            </div>
+            <div class="content">
+              <p>Hello,</p>
+              <p>${inviterName} has invited you to join SwiftCRM as a <strong>${role}</strong>.</p>
+              <a href="${acceptLink}" style="background-color: #2563eb; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block; margin-top: 10px;">Accept Invitation</a>
+              <p>This invitation expires on ${new Date(expiresAt).toUTCString()}.</p>
+              <p style="margin-top: 20px;">Best regards,<br><strong>SwiftCRM Team</strong></p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
   }
 };
 
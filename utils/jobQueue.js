@@ -0,0 +1,207 @@
+const os = require('os');
+const { Op, col } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Job } = require('../models');
+const { sendEmail, isEmailConfigured } = require('./email');
+
+const JOB_STATUSES = Job.rawAttributes.status.values;
+const CLAIM_BATCH_SIZE = 10;
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Job type -> async (payload, { job, io }) => void. Modules register the handlers of
+// their job types when they load; a handler that throws has the job retried.
+const handlers = new Map();
+
+// Names this process in `lockedBy`
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Error carrying the HTTP status the routes should answer with
+const jobError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+// Queue a job of `type` to run at `runAt` (now by default). With an `idempotencyKey` a
+// job already queued under that key is returned instead of a second one. In a
+// `transaction`, workers only see the job once it commits.
+const enqueueJob = async (type, payload = {}, { runAt, idempotencyKey, maxAttempts, transaction } = {}) => {
+  const values = {
+    type,
+    payload,
+    ...(runAt && { runAt }),
+    ...(maxAttempts && { maxAttempts })
+  };
+
+  if (!idempotencyKey) {
+    return Job.create(values, { transaction });
+  }
+  const [job] = await Job.findOrCreate({
+    where: { idempotencyKey },
+    defaults: values,
+    transaction
+  });
+  return job;
+};
+
+// Queue an email (`emailData` as the email templates return it) so a slow or failing
+// SMTP server only delays the email, not the request
+const enqueueEmail = (to, emailData, options) => enqueueJob('email.send', {
+  to,
+  subject: emailData.subject,
+  html: emailData.html
+}, options);
+
+// Wait before attempt n + 1: 30s, 1m, 2m, 4m... up to an hour
+const retryDelay = attempts => Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+
+// Jobs a worker died running go back to the queue after JOB_LOCK_TIMEOUT_MINUTES
+const lockTimeoutMs = () => Number(process.env.JOB_LOCK_TIMEOUT_MINUTES || 10) * 60 * 1000;
+
+// Claim up to `limit` due jobs for this worker. SKIP LOCKED lets several workers claim
+// at once without taking the same job.
+const claimJobs = async (limit) => {
+  // A job whose worker died used up the attempt it was claimed for, so one that keeps
+  // crashing its worker ends up dead like any other failing job
+  const stale = { status: 'running', lockedAt: { [Op.lt]: new Date(Date.now() - lockTimeoutMs()) } };
+  const lastError = 'The worker running this job stopped before it finished';
+  await Job.update(
+    { status: 'dead', lockedAt: null, lockedBy: null, lastError },
+    { where: { ...stale, attempts: { [Op.gte]: col('maxAttempts') } } }
+  );
+  await Job.update(
+    { status: 'pending', lockedAt: null, lockedBy: null, lastError },
+    { where: stale }
+  );
+
+  return sequelize.query(`
+    UPDATE jobs SET status = 'running', "lockedAt" = NOW(), "lockedBy" = :workerId,
+      attempts = attempts + 1, "updatedAt" = NOW()
+    WHERE id IN (
+      SELECT id FROM jobs
+      WHERE status = 'pending' AND "runAt" <= NOW()
+      ORDER BY "runAt", id
+      LIMIT :limit
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `, {
+    replacements: { workerId: WORKER_ID, limit },
+    type: sequelize.QueryTypes.SELECT,
+    model: Job,
+    mapToModel: true
+  });
+};
+
+// Run one claimed job: completed on success; on failure retried with backoff until it
+// is out of attempts, then dead
+const runJob = async (job, context) => {
+  try {
+    const handler = handlers.get(job.type);
+    if (!handler) {
+      throw new Error(`No handler for job type "${job.type}"`);
+    }
+    await handler(job.payload, { ...context, job });
+    await job.update({ status: 'completed', completedAt: new Date(), lockedAt: null, lockedBy: null, lastError: null });
+  } catch (error) {
+    const dead = job.attempts >= job.maxAttempts;
+    if (dead) {
+      console.error(`Job ${job.id} (${job.type}) failed for good:`, error);
+    }
+    await job.update({
+      status: dead ? 'dead' : 'pending',
+      runAt: dead ? job.runAt : new Date(Date.now() + retryDelay(job.attempts)),
+      lockedAt: null,
+      lockedBy: null,
+      lastError: error.stack || String(error)
+    });
+  }
+};
+
+// Run due jobs until none are left. Returns how many ran.
+const runDueJobs = async (context = {}) => {
+  let ran = 0;
+  for (;;) {
+    const jobs = await claimJobs(CLAIM_BATCH_SIZE);
+    if (jobs.length === 0) {
+      return ran;
+    }
+    for (const job of jobs) {
+      await runJob(job, context);
+    }
+    ran += jobs.length;
+  }
+};
+
+// Put a dead job back in the queue with fresh attempts
+const retryJob = async (job) => {
+  if (job.status !== 'dead') {
+    throw jobError('Only dead jobs can be retried');
+  }
+  await job.update({ status: 'pending', attempts: 0, runAt: new Date(), completedAt: null });
+  return job;
+};
+
+// Delete completed jobs older than JOB_RETENTION_DAYS (default 7)
+const pruneCompletedJobs = () => Job.destroy({
+  where: {
+    status: 'completed',
+    completedAt: { [Op.lt]: new Date(Date.now() - Number(process.env.JOB_RETENTION_DAYS || 7) * DAY_MS) }
+  }
+});
+
+// Poll for due jobs every JOB_POLL_INTERVAL_MS (default 1000; 0 turns this process's
+// worker off, e.g. when separate workers run the queue). `io` reaches the handlers.
+const startJobWorker = (io) => {
+  const interval = Number(process.env.JOB_POLL_INTERVAL_MS || 1000);
+  if (!(interval > 0)) {
+    return null;
+  }
+
+  let busy = false;
+  let prunedAt = 0;
+  return setInterval(async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      await runDueJobs({ io });
+      if (Date.now() - prunedAt > PRUNE_INTERVAL_MS) {
+        prunedAt = Date.now();
+        await pruneCompletedJobs();
+      }
+    } catch (error) {
+      console.error('Job worker error:', error);
+    } finally {
+      busy = false;
+    }
+  }, interval).unref();
+};
+
+// Emails fail (and are retried) on SMTP errors; without email configured they are skipped
+registerJobHandler('email.send', async ({ to, subject, html }) => {
+  if (!isEmailConfigured()) {
+    return;
+  }
+  const result = await sendEmail(to, subject, html);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+});
+
+module.exports = {
+  JOB_STATUSES,
+  jobError,
+  registerJobHandler,
+  enqueueJob,
+  enqueueEmail,
+  runDueJobs,
+  retryJob,
+  startJobWorker
+};
@@ -1,13 +1,300 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { User, RefreshToken, UserToken } = require('../models');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+// Lifetime (in minutes) of the single-use tokens sent by email or handed over after SSO
+const USER_TOKEN_TTL_MINUTES = {
+  password_reset: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60', 10),
+  email_verification: parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES || '2880', 10),
+  // Handed to the frontend after single sign-on and exchanged right away for a session
+  sso_login: 2
+};
+
+// Error carrying the HTTP status the routes should answer with
+const tokenError = (message, status = 401) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Short-lived access token. `tv` must match User.tokenVersion and `sid` ties the
+// token to a refresh token family so logging out a session also kills its access token.
+const generateToken = (userId, { tokenVersion = 0, sessionId } = {}) => {
+  const payload = { userId, tv: tokenVersion };
+  if (sessionId) {
+    payload.sid = sessionId;
+  }
 
-const generateToken = (userId) => {
   return jwt.sign(
-    { userId },
+    payload,
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
+  );
+};
+
+// Create and persist a refresh token, returning the raw value for the client
+const generateRefreshToken = async (user, { family, userAgent, ip, transaction } = {}) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const record = await RefreshToken.create({
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    userId: user.id,
+    expiresAt,
+    userAgent: userAgent ? userAgent.substring(0, 255) : null,
+    ip: ip || null
+  }, { transaction });
+
+  return { token, record };
+};
+
+// Start a new session: access token + refresh token in a fresh family
+const issueTokens = async (user, req = null) => {
+  const { token: refreshToken, record } = await generateRefreshToken(user, {
+    userAgent: req?.get('User-Agent'),
+    ip: req?.ip
+  });
+
+  return {
+    token: generateToken(user.id, { tokenVersion: user.tokenVersion, sessionId: record.family }),
+    refreshToken
+  };
+};
+
+// Revoke every token of a session
+const revokeFamily = async (family) => {
+  await RefreshToken.update(
+    { revokedAt: new Date() },
+    { where: { family, revokedAt: null } }
   );
 };
 
-module.exports = { generateToken };
+// Exchange a refresh token for a new pair. The presented token is revoked; presenting
+// an already-rotated token again is treated as theft and kills the whole session.
+const rotateRefreshToken = async (rawToken, req = null) => {
+  const existing = await RefreshToken.findOne({ where: { tokenHash: hashToken(rawToken) } });
+
+  if (!existing) {
+    throw tokenError('Invalid refresh token');
+  }
+
+  if (existing.revokedAt) {
+    if (existing.replacedByHash) {
+      console.warn(`Refresh token reuse detected for user ${existing.userId}, revoking session ${existing.family}`);
+      await revokeFamily(existing.family);
+    }
+    throw tokenError('Refresh token has been revoked');
+  }
+
+  if (existing.expiresAt < new Date()) {
+    throw tokenError('Refresh token expired');
+  }
+
+  const user = await User.findByPk(existing.userId);
+  if (!user || !user.isActive) {
+    await revokeFamily(existing.family);
+    throw tokenError('User is inactive');
+  }
+
+  const refreshToken = await sequelize.transaction(async (transaction) => {
+    const { token } = await generateRefreshToken(user, {
+      family: existing.family,
+      userAgent: req?.get('User-Agent'),
+      ip: req?.ip,
+      transaction
+    });
+
+    // Conditional update so two concurrent requests cannot both rotate the token; the
+    // one that loses rolls back its new token
+    const [revoked] = await RefreshToken.update(
+      { revokedAt: new Date(), replacedByHash: hashToken(token) },
+      { where: { id: existing.id, revokedAt: null }, transaction }
+    );
+    if (!revoked) {
+      throw tokenError('Refresh token has been revoked');
+    }
+    return token;
+  });
+
+  return {
+    user,
+    token: generateToken(user.id, { tokenVersion: user.tokenVersion, sessionId: existing.family }),
+    refreshToken
+  };
+};
+
+// Log out a single session identified by one of its refresh tokens
+const revokeRefreshToken = async (rawToken) => {
+  const existing = await RefreshToken.findOne({ where: { tokenHash: hashToken(rawToken) } });
+  if (!existing) {
+    return null;
+  }
+
+  await revokeFamily(existing.family);
+  return existing;
+};
+
+// Log out every session of a user, including access tokens that have not expired yet
+const revokeAllSessions = async (user) => {
+  await user.increment('tokenVersion');
+  await RefreshToken.update(
+    { revokedAt: new Date() },
+    { where: { userId: user.id, revokedAt: null } }
+  );
+};
+
+// Verify an access token and return its user, or null when the user is inactive or
+// the token was revoked. JWT errors (invalid/expired) are thrown to the caller.
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Single-use email tokens share the secret but must never act as a session
+  if (decoded.purpose) {
+    return null;
+  }
 
+  const user = await User.findByPk(decoded.userId);
+
+  if (!user || !user.isActive) {
+    return null;
+  }
+
+  if ((decoded.tv || 0) !== user.tokenVersion) {
+    return null;
+  }
+
+  if (decoded.sid) {
+    const liveToken = await RefreshToken.count({
+      where: {
+        family: decoded.sid,
+        revokedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      }
+    });
+    if (!liveToken) {
+      return null;
+    }
+  }
+
+  return user;
+};
+
+// Issue a signed, single-use token for an email flow (password reset, email
+// verification). Older unused tokens of the same purpose stop working.
+const generateUserToken = async (user, purpose) => {
+  const ttlMinutes = USER_TOKEN_TTL_MINUTES[purpose];
+  if (!ttlMinutes) {
+    throw new Error(`Unknown token purpose: ${purpose}`);
+  }
+
+  await UserToken.update(
+    { usedAt: new Date() },
+    { where: { userId: user.id, purpose, usedAt: null } }
+  );
+
+  const record = await UserToken.create({
+    userId: user.id,
+    purpose,
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+  });
+
+  return jwt.sign(
+    { userId: user.id, purpose },
+    process.env.JWT_SECRET,
+    { expiresIn: ttlMinutes * 60, jwtid: record.id }
+  );
+};
+
+// Verify and burn a token from generateUserToken, returning its user
+const consumeUserToken = async (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw tokenError(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token', 400);
+  }
+
+  if (decoded.purpose !== purpose || !decoded.jti) {
+    throw tokenError('Invalid token', 400);
+  }
+
+  // Conditional update so two concurrent requests cannot both use the token
+  const [used] = await UserToken.update(
+    { usedAt: new Date() },
+    {
+      where: {
+        id: decoded.jti,
+        userId: decoded.userId,
+        purpose,
+        usedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      }
+    }
+  );
+  if (!used) {
+    throw tokenError('Token is invalid or has already been used', 400);
+  }
+
+  const user = await User.findByPk(decoded.userId);
+  if (!user || !user.isActive) {
+    throw tokenError('User is inactive', 400);
+  }
+
+  return user;
+};
+
+// Short-lived token proving the password step of a login succeeded. `purpose` is
+// 'two_factor_challenge' (enter a code) or 'two_factor_setup' (enrol first).
+const generateChallengeToken = (user, purpose) => {
+  return jwt.sign(
+    { userId: user.id, purpose, tv: user.tokenVersion },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m' }
+  );
+};
+
+// Verify a challenge token and return its user
+const verifyChallengeToken = async (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw tokenError(error.name === 'TokenExpiredError' ? 'Challenge expired, please log in again' : 'Invalid challenge token');
+  }
+
+  if (decoded.purpose !== purpose) {
+    throw tokenError('Invalid challenge token');
+  }
+
+  const user = await User.findByPk(decoded.userId);
+  if (!user || !user.isActive || (decoded.tv || 0) !== user.tokenVersion) {
+    throw tokenError('Invalid challenge token');
+  }
+
+  return user;
+};
+
+module.exports = {
+  generateToken,
+  generateRefreshToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+  verifyAccessToken,
+  generateUserToken,
+  consumeUserToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  hashToken
+};
 
@@ -0,0 +1,159 @@
+const { fn, col, Op } = require('sequelize');
+const { AssignmentRule, Lead, Stage, User, Activity } = require('../models');
+const { buildLeadFilter } = require('./leadFilters');
+
+const STRATEGIES = AssignmentRule.rawAttributes.strategy.values;
+const CACHE_TTL_MS = 30 * 1000;
+
+let cache = null;
+let cachedAt = 0;
+
+// Error carrying the HTTP status the routes should answer with
+const assignmentError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Active rules in the order they are tried, cached briefly like the scoring rules
+const getAssignmentRules = async () => {
+  if (cache && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cache;
+  }
+
+  const rules = await AssignmentRule.findAll({
+    where: { isActive: true },
+    order: [['priority', 'ASC'], ['id', 'ASC']]
+  });
+  cache = rules.map(rule => rule.get({ plain: true }));
+  cachedAt = Date.now();
+  return cache;
+};
+
+const invalidateAssignmentRuleCache = () => {
+  cache = null;
+};
+
+// Check a rule's condition, users and weights; throws a 400 error otherwise
+const checkAssignmentRule = async ({ condition, userIds, weights }) => {
+  if (condition) {
+    await buildLeadFilter(condition, null);
+  }
+
+  if (!Array.isArray(userIds) || userIds.some(id => !Number.isInteger(id))) {
+    throw assignmentError('userIds must be a list of user IDs');
+  }
+  const uniqueIds = [...new Set(userIds)];
+  if (await User.count({ where: { id: uniqueIds } }) !== uniqueIds.length) {
+    throw assignmentError('userIds must all be existing users');
+  }
+
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights) ||
+    Object.entries(weights).some(([id, weight]) => !/^\d+$/.test(id) || typeof weight !== 'number' || !(weight > 0))) {
+    throw assignmentError('weights must map user IDs to positive numbers');
+  }
+};
+
+// Active users a rule can assign to, by ID. Inactive users are skipped, so a rule whose
+// users are all inactive does not apply.
+const findCandidates = (rule, transaction) => User.findAll({
+  where: {
+    isActive: true,
+    ...(rule.userIds.length > 0 ? { id: rule.userIds } : { role: 'Sales Executive' })
+  },
+  attributes: ['id', 'name', 'email'],
+  order: [['id', 'ASC']],
+  transaction
+});
+
+// The candidate after the one the rule assigned to last
+const pickRoundRobin = async (rule, candidates, transaction) => {
+  // Locked, so leads created at the same time take turns instead of going to one user
+  const lockedRule = await AssignmentRule.findByPk(rule.id, { transaction, lock: transaction.LOCK.UPDATE });
+  const lastId = lockedRule ? lockedRule.lastAssignedUserId || 0 : 0;
+  const assignee = candidates.find(user => user.id > lastId) || candidates[0];
+  if (lockedRule) {
+    await lockedRule.update({ lastAssignedUserId: assignee.id }, { transaction, silent: true });
+  }
+  return assignee;
+};
+
+// The candidate with the fewest open leads (leads in an `open` stage) for their weight
+const pickLeastLoaded = async (rule, candidates, transaction) => {
+  const rows = await Lead.findAll({
+    where: { assignedToId: candidates.map(user => user.id) },
+    attributes: ['assignedToId', [fn('COUNT', col('Lead.id')), 'openLeads']],
+    include: [{ model: Stage, as: 'stage', attributes: [], where: { outcome: 'open' } }],
+    group: ['Lead.assignedToId'],
+    raw: true,
+    transaction
+  });
+  const openLeads = new Map(rows.map(row => [row.assignedToId, parseInt(row.openLeads, 10)]));
+  const load = user => (openLeads.get(user.id) || 0) / (Number(rule.weights[user.id]) || 1);
+
+  return candidates.reduce((best, user) => (load(user) < load(best) ? user : best));
+};
+
+// The first active rule the lead (saved in `transaction`) matches that has an active user
+// to give it to, with that user: `{ rule, assignee }`. Null when no rule applies.
+const findAssignment = async (lead, transaction) => {
+  for (const rule of await getAssignmentRules()) {
+    if (rule.condition) {
+      let condition;
+      try {
+        condition = await buildLeadFilter(rule.condition, null);
+      } catch (error) {
+        // The condition names a custom field deleted since; the rule matches nothing
+        if (error.status) {
+          continue;
+        }
+        throw error;
+      }
+      if (await Lead.count({ where: { [Op.and]: [{ id: lead.id }, condition] }, transaction }) === 0) {
+        continue;
+      }
+    }
+
+    const candidates = await findCandidates(rule, transaction);
+    if (candidates.length === 0) {
+      continue;
+    }
+    const assignee = rule.strategy === 'roundRobin'
+      ? await pickRoundRobin(rule, candidates, transaction)
+      : await pickLeastLoaded(rule, candidates, transaction);
+    return { rule, assignee };
+  }
+  return null;
+};
+
+// Assign a lead created without an assignee: to the user the assignment rules pick, with
+// a "Lead Reassigned" activity naming the rule, else to `creator` as before rules existed.
+// Returns the `{ rule, assignee }` that fired, or null.
+const assignNewLead = async (lead, creator, transaction) => {
+  const assignment = await findAssignment(lead, transaction);
+  if (!assignment) {
+    await lead.update({ assignedToId: creator.id }, { transaction });
+    return null;
+  }
+
+  const { rule, assignee } = assignment;
+  await lead.update({ assignedToId: assignee.id }, { transaction });
+  await Activity.create({
+    type: 'Note',
+    title: 'Lead Reassigned',
+    description: `Lead assigned to ${assignee.name} by the assignment rule "${rule.name}"`,
+    leadId: lead.id,
+    userId: creator.id,
+    metadata: { assignmentRuleId: rule.id, assignmentRuleName: rule.name, assignedToId: assignee.id }
+  }, { transaction });
+  return assignment;
+};
+
+module.exports = {
+  STRATEGIES,
+  assignmentError,
+  getAssignmentRules,
+  invalidateAssignmentRuleCache,
+  checkAssignmentRule,
+  assignNewLead
+};
@@ -0,0 +1,210 @@
+const { Op, fn, col, where: sqlWhere } = require('sequelize');
+const { Lead, User } = require('../models');
+
+// Two names (or companies) this similar count as the same, 1 being identical
+const NAME_SIMILARITY = 0.85;
+const MIN_PHONE_DIGITS = 7;
+// Clusters are found in memory, among at most this many of the newest leads
+const MAX_SCANNED_LEADS = 10000;
+const COMPANY_SUFFIXES = new Set(['inc', 'incorporated', 'llc', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company', 'gmbh', 'plc', 'sa', 'ag', 'bv']);
+
+// "John.Doe+crm@Example.com " -> "john.doe@example.com"
+const normalizeEmail = (email) => {
+  const [local, domain] = String(email || '').trim().toLowerCase().split('@');
+  if (!local || !domain) return null;
+  return `${local.split('+')[0]}@${domain}`;
+};
+
+// Digits only, compared on the last 10 so "+1 (555) 010-9999" matches "555-010-9999"
+const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= MIN_PHONE_DIGITS ? digits.slice(-10) : null;
+};
+
+const normalizeName = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean)
+  .join(' ') || null;
+
+// "ACME, Inc." and "Acme" are the same company
+const normalizeCompany = (company) => {
+  const words = (normalizeName(company) || '').split(' ').filter(word => word && !COMPANY_SUFFIXES.has(word));
+  return words.join(' ') || null;
+};
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// 1 for identical strings, 0 for nothing in common. Word order is ignored.
+const similarity = (a, b) => {
+  if (!a || !b) return 0;
+  const sortWords = value => value.split(' ').sort().join(' ');
+  const [left, right] = [sortWords(a), sortWords(b)];
+  const length = Math.max(left.length, right.length);
+  return length === 0 ? 1 : 1 - levenshtein(left, right) / length;
+};
+
+// Normalized keys of a lead, computed once per comparison run
+const toMatchKeys = (lead) => ({
+  email: normalizeEmail(lead.email),
+  phone: normalizePhone(lead.phone),
+  name: normalizeName(lead.name),
+  company: normalizeCompany(lead.company)
+});
+
+// Why two leads look like the same prospect: any of 'email', 'phone', 'name+company'
+const matchReasons = (a, b) => {
+  const reasons = [];
+  if (a.email && a.email === b.email) reasons.push('email');
+  if (a.phone && a.phone === b.phone) reasons.push('phone');
+  if (a.company && b.company &&
+    similarity(a.company, b.company) >= NAME_SIMILARITY &&
+    similarity(a.name, b.name) >= NAME_SIMILARITY) {
+    reasons.push('name+company');
+  }
+  return reasons;
+};
+
+const MATCH_ATTRIBUTES = ['id', 'name', 'email', 'phone', 'company', 'status', 'assignedToId', 'createdAt'];
+
+// Clusters of leads (within `where`) that look like the same prospect. Leads are compared
+// by exact normalized email and phone, and by fuzzy name among leads of a similar company
+// (bucketed by the company's first word to avoid comparing every pair). Only the newest
+// MAX_SCANNED_LEADS leads are compared; `truncated` says whether older ones were left out.
+const findDuplicateClusters = async (where) => {
+  const newest = await Lead.findAll({ where, attributes: MATCH_ATTRIBUTES, order: [['id', 'DESC']], limit: MAX_SCANNED_LEADS + 1 });
+  const truncated = newest.length > MAX_SCANNED_LEADS;
+  const leads = newest.slice(0, MAX_SCANNED_LEADS).reverse();
+  const keys = new Map(leads.map(lead => [lead.id, toMatchKeys(lead)]));
+
+  // Union-find over lead ids; `reasons` collects why each cluster was joined
+  const parent = new Map(leads.map(lead => [lead.id, lead.id]));
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+  const pairReasons = [];
+  const union = (a, b, reasons) => {
+    pairReasons.push({ ids: [a, b], reasons });
+    parent.set(find(b), find(a));
+  };
+
+  const buckets = new Map();
+  const addToBucket = (key, id) => {
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(id);
+  };
+  for (const [id, key] of keys) {
+    if (key.email) addToBucket(`email:${key.email}`, id);
+    if (key.phone) addToBucket(`phone:${key.phone}`, id);
+    if (key.company) addToBucket(`company:${key.company.split(' ')[0]}`, id);
+  }
+
+  const compared = new Set();
+  for (const ids of buckets.values()) {
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        const pair = `${ids[i]}:${ids[j]}`;
+        if (compared.has(pair)) continue;
+        compared.add(pair);
+
+        const reasons = matchReasons(keys.get(ids[i]), keys.get(ids[j]));
+        if (reasons.length > 0) {
+          union(ids[i], ids[j], reasons);
+        }
+      }
+    }
+  }
+
+  const clusters = new Map();
+  for (const lead of leads) {
+    const root = find(lead.id);
+    if (!clusters.has(root)) clusters.set(root, { leads: [], reasons: new Set() });
+    clusters.get(root).leads.push(lead);
+  }
+  for (const { ids, reasons } of pairReasons) {
+    reasons.forEach(reason => clusters.get(find(ids[0])).reasons.add(reason));
+  }
+
+  return {
+    clusters: [...clusters.values()]
+      .filter(cluster => cluster.leads.length > 1)
+      .map(cluster => ({ leads: cluster.leads, matchedOn: [...cluster.reasons] })),
+    truncated
+  };
+};
+
+// Existing leads within `scopeWhere` (the leads the user may see) that look like the same
+// prospect as `data` (a lead being created). The database narrows the candidates;
+// matchReasons makes the call.
+const findLikelyDuplicates = async (data, { excludeId, scopeWhere } = {}) => {
+  const keys = toMatchKeys(data);
+  const candidates = [];
+
+  if (keys.email) {
+    const [local, domain] = keys.email.split('@');
+    candidates.push(sqlWhere(fn('lower', col('Lead.email')), keys.email));
+    candidates.push({ email: { [Op.iLike]: `${local}+%@${domain}` } });
+  }
+  if (keys.phone) {
+    candidates.push(sqlWhere(fn('regexp_replace', col('Lead.phone'), '[^0-9]', '', 'g'), { [Op.like]: `%${keys.phone}` }));
+  }
+  if (keys.company) {
+    candidates.push({ company: { [Op.iLike]: `%${keys.company.split(' ')[0]}%` } });
+  }
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  const where = { [Op.and]: [{ [Op.or]: candidates }, scopeWhere || {}] };
+  if (excludeId) {
+    where.id = { [Op.ne]: excludeId };
+  }
+
+  const leads = await Lead.findAll({
+    where,
+    attributes: MATCH_ATTRIBUTES,
+    include: [{ model: User, as: 'assignedTo', attributes: ['id', 'name'] }],
+    limit: 50
+  });
+
+  return leads
+    .map(lead => ({ lead, matchedOn: matchReasons(keys, toMatchKeys(lead)) }))
+    .filter(match => match.matchedOn.length > 0)
+    .map(({ lead, matchedOn }) => ({
+      leadId: lead.id,
+      name: lead.name,
+      email: lead.email,
+      company: lead.company,
+      assignedTo: lead.assignedTo ? { id: lead.assignedTo.id, name: lead.assignedTo.name } : null,
+      matchedOn
+    }));
+};
+
+module.exports = {
+  normalizeEmail,
+  normalizePhone,
+  normalizeCompany,
+  similarity,
+  matchReasons,
+  findDuplicateClusters,
+  findLikelyDuplicates
+};
@@ -0,0 +1,226 @@
+const ExcelJS = require('exceljs');
+const { Lead, User } = require('../models');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+const EXPORT_BATCH_SIZE = 500;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8'
+};
+
+// Column key -> header and how to read it from a lead loaded with assignedTo/createdBy
+const EXPORT_COLUMNS = {
+  id: { header: 'ID', value: lead => lead.id },
+  name: { header: 'Name', value: lead => lead.name },
+  email: { header: 'Email', value: lead => lead.email },
+  phone: { header: 'Phone', value: lead => lead.phone },
+  company: { header: 'Company', value: lead => lead.company },
+  status: { header: 'Status', value: lead => lead.status },
+  source: { header: 'Source', value: lead => lead.source },
+  estimatedValue: {
+    header: 'Estimated Value',
+    value: lead => (lead.estimatedValue === null ? null : Number(lead.estimatedValue))
+  },
+  notes: { header: 'Notes', value: lead => lead.notes },
+  tags: { header: 'Tags', value: lead => lead.tags.join(', ') },
+  assignedToId: { header: 'Assigned To ID', value: lead => lead.assignedToId },
+  assignedToName: { header: 'Assigned To', value: lead => lead.assignedTo?.name },
+  assignedToEmail: { header: 'Assigned To Email', value: lead => lead.assignedTo?.email },
+  createdById: { header: 'Created By ID', value: lead => lead.createdById },
+  createdByName: { header: 'Created By', value: lead => lead.createdBy?.name },
+  createdAt: { header: 'Created At', value: lead => lead.createdAt },
+  updatedAt: { header: 'Updated At', value: lead => lead.updatedAt }
+};
+
+const DEFAULT_EXPORT_COLUMNS = [
+  'id',
+  'name',
+  'email',
+  'phone',
+  'company',
+  'status',
+  'source',
+  'estimatedValue',
+  'assignedToName',
+  'createdByName',
+  'createdAt'
+];
+
+// Error carrying the HTTP status the routes should answer with
+const exportError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Column for a custom field (`cf.<key>`), headed by its label
+const customFieldColumn = field => ({
+  header: field.label,
+  value: (lead) => {
+    const value = lead.customFields?.[field.key];
+    return Array.isArray(value) ? value.join(', ') : value;
+  }
+});
+
+// "name,email,cf.industry" -> column definitions ({ key, header, value }) in the requested
+// order. By default the standard columns followed by every custom field.
+const parseExportColumns = (value, customFields = []) => {
+  const available = { ...EXPORT_COLUMNS };
+  customFields.forEach((field) => {
+    available[`cf.${field.key}`] = customFieldColumn(field);
+  });
+
+  const keys = value
+    ? [...new Set(String(value).split(',').map(column => column.trim()).filter(Boolean))]
+    : [...DEFAULT_EXPORT_COLUMNS, ...customFields.map(field => `cf.${field.key}`)];
+
+  const unknown = keys.filter(key => !available[key]);
+  if (unknown.length > 0) {
+    throw exportError(`Unknown column(s): ${unknown.join(', ')}. Allowed: ${Object.keys(available).join(', ')}`);
+  }
+  if (keys.length === 0) {
+    throw exportError('Select at least one column');
+  }
+
+  return keys.map(key => ({ key, ...available[key] }));
+};
+
+const toText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+};
+
+// Quote when needed, and neutralize values a spreadsheet would run as a formula
+const toCsvCell = (value) => {
+  let text = toText(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Resolves once the chunk is handed off, waiting for the client to catch up when needed
+const write = (res, chunk) => {
+  if (res.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+};
+
+// Read the matching leads a batch at a time so memory stays flat however many there are.
+// Stops early when the client goes away.
+const forEachLeadBatch = async ({ where, order }, res, callback) => {
+  for (let offset = 0; !res.destroyed; offset += EXPORT_BATCH_SIZE) {
+    const leads = await Lead.findAll({
+      where,
+      include: [
+        { model: User, as: 'assignedTo', attributes: ['id', 'name', 'email'] },
+        { model: User, as: 'createdBy', attributes: ['id', 'name', 'email'] }
+      ],
+      // id keeps the order stable between batches when the sort column has ties
+      order: [...order, ['id', 'ASC']],
+      limit: EXPORT_BATCH_SIZE,
+      offset
+    });
+
+    if (leads.length > 0) {
+      await callback(leads);
+    }
+    if (leads.length < EXPORT_BATCH_SIZE) {
+      return;
+    }
+  }
+};
+
+const streamCsv = async (res, query, columns) => {
+  // BOM so Excel opens the file as UTF-8
+  await write(res, `\uFEFF${columns.map(column => toCsvCell(column.header)).join(',')}\r\n`);
+
+  await forEachLeadBatch(query, res, (leads) => write(res, leads
+    .map(lead => `${columns.map(column => toCsvCell(column.value(lead))).join(',')}\r\n`)
+    .join('')));
+
+  res.end();
+};
+
+const streamJson = async (res, query, columns) => {
+  let first = true;
+  await write(res, '[');
+
+  await forEachLeadBatch(query, res, (leads) => {
+    const chunk = leads.map((lead) => {
+      const row = {};
+      for (const column of columns) {
+        row[column.key] = column.value(lead) ?? null;
+      }
+      const json = `${first ? '' : ','}\n${JSON.stringify(row)}`;
+      first = false;
+      return json;
+    }).join('');
+    return write(res, chunk);
+  });
+
+  res.end(']\n');
+};
+
+const streamXlsx = async (res, query, columns) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: true,
+    useSharedStrings: false
+  });
+  const worksheet = workbook.addWorksheet('Leads');
+  worksheet.columns = columns.map(column => ({
+    header: column.header,
+    key: column.key,
+    width: 20
+  }));
+
+  await forEachLeadBatch(query, res, (leads) => {
+    for (const lead of leads) {
+      const row = {};
+      for (const column of columns) {
+        row[column.key] = column.value(lead) ?? null;
+      }
+      worksheet.addRow(row).commit();
+    }
+  });
+
+  worksheet.commit();
+  await workbook.commit();
+};
+
+// Stream the leads matching `where`/`order` to the response as a file download
+const streamLeadExport = async (res, { format, columns, where, order }) => {
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="leads-${date}.${format}"`);
+
+  const query = { where, order };
+  if (format === 'csv') {
+    await streamCsv(res, query, columns);
+  } else if (format === 'xlsx') {
+    await streamXlsx(res, query, columns);
+  } else {
+    await streamJson(res, query, columns);
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMNS,
+  parseExportColumns,
+  streamLeadExport
+};
@@ -0,0 +1,320 @@
+const { Op, fn, col, where: sqlWhere } = require('sequelize');
+const { parseValue, valueExpression, findField } = require('./customFields');
+
+// Kinds of filterable values and the operators each takes
+const KIND_OPERATORS = {
+  text: ['eq', 'ne', 'in', 'notIn', 'contains', 'notContains', 'startsWith', 'isEmpty', 'isNotEmpty'],
+  choice: ['eq', 'ne', 'in', 'notIn', 'isEmpty', 'isNotEmpty'],
+  number: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'between', 'in', 'notIn', 'isEmpty', 'isNotEmpty'],
+  reference: ['eq', 'ne', 'in', 'notIn', 'isEmpty', 'isNotEmpty'],
+  timestamp: ['gt', 'gte', 'lt', 'lte', 'between', 'inLast', 'notInLast'],
+  date: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'between', 'inLast', 'notInLast', 'isEmpty', 'isNotEmpty'],
+  list: ['hasAny', 'hasAll', 'hasNone', 'isEmpty', 'isNotEmpty'],
+  boolean: ['eq', 'isEmpty', 'isNotEmpty']
+};
+
+// Lead attributes a filter can name, by kind. Custom fields are named `cf.<key>`.
+const LEAD_FILTER_FIELDS = {
+  id: 'reference',
+  name: 'text',
+  email: 'text',
+  phone: 'text',
+  company: 'text',
+  status: 'choice',
+  pipelineId: 'reference',
+  stageId: 'reference',
+  source: 'text',
+  estimatedValue: 'number',
+  score: 'number',
+  assignedToId: 'reference',
+  createdById: 'reference',
+  notes: 'text',
+  tags: 'list',
+  createdAt: 'timestamp',
+  updatedAt: 'timestamp'
+};
+
+const CUSTOM_FIELD_KINDS = {
+  text: 'text',
+  number: 'number',
+  date: 'date',
+  select: 'choice',
+  multi_select: 'list',
+  boolean: 'boolean'
+};
+
+// User references that also take "me", the user running the filter (when there is one)
+const USER_FIELDS = ['assignedToId', 'createdById'];
+
+const COMPARISONS = { eq: Op.eq, ne: Op.ne, gt: Op.gt, gte: Op.gte, lt: Op.lt, lte: Op.lte };
+
+// `inLast` / `notInLast` periods: "24h", "30d", "2w", "6m", "1y"
+const PERIOD_PATTERN = /^(\d{1,4})([hdwmy])$/;
+
+const MAX_FILTER_DEPTH = 5;
+const MAX_FILTER_CONDITIONS = 50;
+const MAX_FILTER_VALUES = 100;
+
+// Error carrying the HTTP status the routes should answer with
+const filterError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const escapeLike = value => value.replace(/[\\%_]/g, '\\$&');
+
+// Start of the period a `inLast` value ("30d") reaches back to
+const periodStart = (period, path) => {
+  const match = PERIOD_PATTERN.exec(String(period));
+  if (!match) {
+    throw filterError(`${path}: periods look like 24h, 30d, 2w, 6m or 1y`);
+  }
+
+  const amount = parseInt(match[1], 10);
+  const start = new Date();
+  switch (match[2]) {
+    case 'h': start.setHours(start.getHours() - amount); break;
+    case 'd': start.setDate(start.getDate() - amount); break;
+    case 'w': start.setDate(start.getDate() - amount * 7); break;
+    case 'm': start.setMonth(start.getMonth() - amount); break;
+    default: start.setFullYear(start.getFullYear() - amount);
+  }
+  return start;
+};
+
+// What a condition's `field` refers to: a lead attribute or a custom field's value
+const resolveTarget = async (name, path) => {
+  if (typeof name !== 'string') {
+    throw filterError(`${path}: field is required`);
+  }
+
+  if (name.startsWith('cf.')) {
+    const field = await findField(name.slice(3));
+    return { name, kind: CUSTOM_FIELD_KINDS[field.type], field };
+  }
+  if (!LEAD_FILTER_FIELDS[name]) {
+    throw filterError(`${path}: cannot filter on "${name}" (fields: ${Object.keys(LEAD_FILTER_FIELDS).join(', ')} or cf.<key>)`);
+  }
+  return { name, kind: LEAD_FILTER_FIELDS[name] };
+};
+
+// One operand of a condition, checked against the field's kind
+const parseOperand = (target, value, path, user) => {
+  if (target.field) {
+    try {
+      return parseValue(target.field, value);
+    } catch (error) {
+      throw filterError(`${path}: ${error.message}`);
+    }
+  }
+
+  switch (target.kind) {
+    case 'text':
+    case 'choice':
+    case 'list':
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        throw filterError(`${path}: ${target.name} values must be text`);
+      }
+      return String(value);
+
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        throw filterError(`${path}: ${target.name} values must be numbers`);
+      }
+      return number;
+    }
+
+    case 'reference':
+      if (value === 'me' && user && USER_FIELDS.includes(target.name)) {
+        return user.id;
+      }
+      if (!Number.isInteger(typeof value === 'string' ? Number(value) : value)) {
+        throw filterError(`${path}: ${target.name} values must be IDs${user && USER_FIELDS.includes(target.name) ? ' or "me"' : ''}`);
+      }
+      return Number(value);
+
+    case 'timestamp': {
+      const date = typeof value === 'string' ? new Date(value) : null;
+      if (!date || Number.isNaN(date.getTime())) {
+        throw filterError(`${path}: ${target.name} values must be dates (YYYY-MM-DD or ISO 8601)`);
+      }
+      return date;
+    }
+
+    default:
+      throw filterError(`${path}: unsupported value`);
+  }
+};
+
+const parseOperands = (target, values, path, user) => {
+  if (!Array.isArray(values) || values.length === 0 || values.length > MAX_FILTER_VALUES) {
+    throw filterError(`${path}: value must be a list of 1 to ${MAX_FILTER_VALUES} values`);
+  }
+  // A multi_select field's value is a list already; match its choices one by one
+  const operand = target.kind === 'list' && target.field ? { ...target, field: { ...target.field.get({ plain: true }), type: 'select' } } : target;
+  return values.map((value, index) => parseOperand(operand, value, `${path}[${index}]`, user));
+};
+
+// Where condition for a custom field (via its JSONB value) or a lead attribute
+const compare = (target, condition) => (target.field
+  ? sqlWhere(valueExpression(target.field), condition)
+  : { [target.name]: condition });
+
+// Leads without a value: null, and also blank text or an empty list
+const emptyCondition = (target, empty) => {
+  if (target.kind === 'list' && !target.field) {
+    return sqlWhere(fn('cardinality', col('Lead.tags')), empty ? { [Op.eq]: 0 } : { [Op.gt]: 0 });
+  }
+  const blank = target.kind === 'list' ? '[]' : '';
+  if (target.kind === 'text' || target.kind === 'choice' || target.kind === 'list') {
+    return empty
+      ? { [Op.or]: [compare(target, { [Op.is]: null }), compare(target, { [Op.eq]: blank })] }
+      : { [Op.and]: [compare(target, { [Op.not]: null }), compare(target, { [Op.ne]: blank })] };
+  }
+  return compare(target, empty ? { [Op.is]: null } : { [Op.not]: null });
+};
+
+// Negative conditions also match leads without a value, as users expect of "is not"
+const orEmpty = (target, condition) => ({ [Op.or]: [condition, compare(target, { [Op.is]: null })] });
+
+const listCondition = (target, op, values) => {
+  if (target.field) {
+    const key = target.field.key;
+    const any = { [Op.or]: values.map(value => ({ customFields: { [Op.contains]: { [key]: [value] } } })) };
+    if (op === 'hasAll') return { customFields: { [Op.contains]: { [key]: values } } };
+    return op === 'hasAny' ? any : { [Op.not]: any };
+  }
+  if (op === 'hasAll') return { tags: { [Op.contains]: values } };
+  const any = { tags: { [Op.overlap]: values } };
+  return op === 'hasAny' ? any : { [Op.not]: any };
+};
+
+const buildCondition = async ({ field, op, value }, path, user) => {
+  const target = await resolveTarget(field, path);
+  const operators = KIND_OPERATORS[target.kind];
+  if (!operators.includes(op)) {
+    throw filterError(`${path}: ${field} cannot be filtered with "${op}" (operators: ${operators.join(', ')})`);
+  }
+
+  switch (op) {
+    case 'isEmpty':
+      return emptyCondition(target, true);
+    case 'isNotEmpty':
+      return emptyCondition(target, false);
+
+    case 'in':
+      return compare(target, { [Op.in]: parseOperands(target, value, path, user) });
+    case 'notIn':
+      return orEmpty(target, compare(target, { [Op.notIn]: parseOperands(target, value, path, user) }));
+
+    case 'between': {
+      if (!Array.isArray(value) || value.length !== 2) {
+        throw filterError(`${path}: between takes [from, to]`);
+      }
+      return compare(target, { [Op.between]: parseOperands(target, value, path, user) });
+    }
+
+    case 'inLast':
+    case 'notInLast': {
+      const start = periodStart(value, path);
+      if (op === 'notInLast') {
+        return compare(target, { [Op.lt]: target.kind === 'date' ? start.toISOString().slice(0, 10) : start });
+      }
+      // Date fields can hold future dates (a contract end); those are not "in the last" period
+      return target.kind === 'date'
+        ? compare(target, { [Op.between]: [start.toISOString().slice(0, 10), new Date().toISOString().slice(0, 10)] })
+        : compare(target, { [Op.gte]: start });
+    }
+
+    case 'contains':
+    case 'notContains':
+    case 'startsWith': {
+      const text = escapeLike(String(parseOperand(target, value, path, user)));
+      if (op === 'notContains') {
+        return orEmpty(target, compare(target, { [Op.notILike]: `%${text}%` }));
+      }
+      return compare(target, { [Op.iLike]: op === 'startsWith' ? `${text}%` : `%${text}%` });
+    }
+
+    case 'hasAny':
+    case 'hasAll':
+    case 'hasNone':
+      return listCondition(target, op, parseOperands(target, value, path, user));
+
+    default: {
+      // Stored as JSON true/false, which the text value expression cannot compare with
+      if (target.kind === 'boolean') {
+        return { customFields: { [Op.contains]: { [target.field.key]: parseOperand(target, value, path, user) } } };
+      }
+      const condition = compare(target, { [COMPARISONS[op]]: parseOperand(target, value, path, user) });
+      return op === 'ne' ? orEmpty(target, condition) : condition;
+    }
+  }
+};
+
+// Where clause for a structured lead filter: a condition `{ field, op, value }` or a
+// group `{ and: [...] }` / `{ or: [...] }` of conditions and groups. Accepts the JSON
+// text of one too, as the list query string carries it. `user` resolves "me"; without
+// one (scoring rules), "me" is refused.
+const buildLeadFilter = async (input, user) => {
+  let filter = input;
+  if (typeof input === 'string') {
+    try {
+      filter = JSON.parse(input);
+    } catch (error) {
+      throw filterError('filters must be valid JSON');
+    }
+  }
+
+  let conditionCount = 0;
+  const build = async (node, path, depth) => {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      throw filterError(`${path}: expected a condition or an and/or group`);
+    }
+
+    const keys = Object.keys(node);
+    if (keys.length === 1 && (keys[0] === 'and' || keys[0] === 'or')) {
+      const children = node[keys[0]];
+      if (!Array.isArray(children) || children.length === 0) {
+        throw filterError(`${path}.${keys[0]}: expected a list of conditions`);
+      }
+      if (depth >= MAX_FILTER_DEPTH) {
+        throw filterError(`${path}: groups can be nested at most ${MAX_FILTER_DEPTH} deep`);
+      }
+      const conditions = [];
+      for (const [index, child] of children.entries()) {
+        conditions.push(await build(child, `${path}.${keys[0]}[${index}]`, depth + 1));
+      }
+      return { [keys[0] === 'and' ? Op.and : Op.or]: conditions };
+    }
+
+    conditionCount += 1;
+    if (conditionCount > MAX_FILTER_CONDITIONS) {
+      throw filterError(`filters can have at most ${MAX_FILTER_CONDITIONS} conditions`);
+    }
+    return buildCondition(node, path, user);
+  };
+
+  return build(filter, 'filters', 0);
+};
+
+// The fields a structured filter names, at any depth
+const filterFieldNames = (node) => {
+  if (!node || typeof node !== 'object') {
+    return [];
+  }
+  const children = node.and || node.or;
+  if (Array.isArray(children)) {
+    return children.flatMap(filterFieldNames);
+  }
+  return typeof node.field === 'string' ? [node.field] : [];
+};
+
+module.exports = {
+  KIND_OPERATORS,
+  LEAD_FILTER_FIELDS,
+  buildLeadFilter,
+  filterFieldNames
+};
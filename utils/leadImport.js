@@ -0,0 +1,247 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { parse } = require('csv-parse/sync');
+const { validationResult } = require('express-validator');
+const { Op, fn, col, where: sqlWhere } = require('sequelize');
+const { Lead, User } = require('../models');
+
+const MAX_IMPORT_ROWS = parseInt(process.env.MAX_IMPORT_ROWS || '5000', 10);
+
+// Lead fields a column can be mapped to. `assignedToEmail` is resolved to assignedToId.
+const IMPORTABLE_FIELDS = [
+  'name',
+  'email',
+  'phone',
+  'company',
+  'status',
+  'source',
+  'estimatedValue',
+  'notes',
+  'assignedToEmail'
+];
+const REQUIRED_FIELDS = ['name', 'email'];
+
+// Error carrying the HTTP status the routes should answer with
+const importError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const getFileType = (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  if (extension === '.csv' || file.mimetype === 'text/csv') return 'csv';
+  if (extension === '.xlsx' || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') return 'xlsx';
+  return null;
+};
+
+const readCsv = (buffer) => {
+  try {
+    return parse(buffer, { bom: true, skip_empty_lines: true, relax_column_count: true });
+  } catch (error) {
+    throw importError(`Could not read the CSV file: ${error.message}`);
+  }
+};
+
+// First worksheet as rows of cell text
+const readXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw importError('Could not read the XLSX file');
+  }
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) {
+    return [];
+  }
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const values = [];
+    row.eachCell({ includeEmpty: true }, (cell, columnNumber) => {
+      values[columnNumber - 1] = cell.text;
+    });
+    rows[rowNumber - 1] = values;
+  });
+
+  return Array.from(rows, row => row || []);
+};
+
+// Parse an uploaded CSV/XLSX file into its header row and data rows. Row numbers are
+// the spreadsheet's own (the header is row 1) so the report points at the right line.
+const parseSpreadsheet = async (file) => {
+  const type = getFileType(file);
+  if (!type) {
+    throw importError('Upload a .csv or .xlsx file');
+  }
+
+  const [headerRow = [], ...dataRows] = type === 'csv' ? readCsv(file.buffer) : await readXlsx(file.buffer);
+  const headers = headerRow.map(header => String(header || '').trim());
+
+  const rows = dataRows
+    .map((values, index) => ({ rowNumber: index + 2, values }))
+    .filter(({ values }) => values.some(value => String(value ?? '').trim() !== ''));
+
+  if (rows.length === 0) {
+    throw importError('The file has no data rows');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw importError(`The file has ${rows.length} rows; the limit is ${MAX_IMPORT_ROWS}`);
+  }
+
+  return { headers, rows };
+};
+
+// Column index -> Lead field. An explicit mapping ({ "Column header": "field" }) wins;
+// otherwise headers matching a field name (ignoring case and punctuation) are used.
+// Custom fields are mapped as `cf.<key>` and auto-matched by key or label.
+const buildColumnMapping = (headers, mapping, customFields = []) => {
+  const columns = {};
+  const fields = [...IMPORTABLE_FIELDS, ...customFields.map(field => `cf.${field.key}`)];
+  const aliases = new Map(customFields.map(field => [normalizeHeader(field.label), `cf.${field.key}`]));
+
+  if (mapping && Object.keys(mapping).length > 0) {
+    for (const [header, field] of Object.entries(mapping)) {
+      if (!field) continue;
+      if (!fields.includes(field)) {
+        throw importError(`Unknown lead field "${field}". Allowed: ${fields.join(', ')}`);
+      }
+      const index = headers.indexOf(header);
+      if (index === -1) {
+        throw importError(`Column "${header}" is not in the file`);
+      }
+      columns[index] = field;
+    }
+  } else {
+    headers.forEach((header, index) => {
+      const field = fields.find(candidate => normalizeHeader(candidate.replace(/^cf\./, '')) === normalizeHeader(header)) ||
+        aliases.get(normalizeHeader(header));
+      if (field) {
+        columns[index] = field;
+      }
+    });
+  }
+
+  const mappedFields = Object.values(columns);
+  const duplicated = mappedFields.find((field, index) => mappedFields.indexOf(field) !== index);
+  if (duplicated) {
+    throw importError(`Field "${duplicated}" is mapped to more than one column`);
+  }
+
+  const missing = REQUIRED_FIELDS.filter(field => !mappedFields.includes(field));
+  if (missing.length > 0) {
+    throw importError(`Map a column to: ${missing.join(', ')}`);
+  }
+
+  return columns;
+};
+
+// Blank cells count as "not provided", like a field left out of a create request
+const toLeadData = (values, columns) => {
+  const data = {};
+  for (const [index, field] of Object.entries(columns)) {
+    const value = String(values[index] ?? '').trim();
+    if (value === '') continue;
+
+    if (field.startsWith('cf.')) {
+      data.customFields = { ...data.customFields, [field.slice(3)]: value };
+    } else {
+      data[field] = value;
+    }
+  }
+  return data;
+};
+
+const findByLowerEmail = (model, emails, options = {}) => {
+  if (emails.length === 0) return [];
+  return model.findAll({
+    ...options,
+    where: {
+      ...options.where,
+      [Op.and]: [sqlWhere(fn('lower', col('email')), { [Op.in]: emails })]
+    }
+  });
+};
+
+// Validate every row with the create route's rules (`rules` are its express-validator
+// chains), resolve assignees and flag duplicates within the file and against existing
+// leads. `scopeWhere` is the importer's leadScopeWhere: a duplicate of a lead outside it
+// still counts, but its id is not given. Returns one report entry per row; valid entries
+// carry the lead `data`.
+const validateRows = async (rows, columns, rules, scopeWhere) => {
+  const report = [];
+
+  for (const { rowNumber, values } of rows) {
+    const rowRequest = { body: toLeadData(values, columns) };
+    for (const rule of rules) {
+      await rule.run(rowRequest);
+    }
+
+    const errors = validationResult(rowRequest).array().map(error => ({
+      field: error.path,
+      message: error.msg === 'Invalid value' ? `Invalid ${error.path}` : error.msg
+    }));
+
+    report.push({ row: rowNumber, data: rowRequest.body, errors });
+  }
+
+  // Assignees are given by email and must be active users
+  const assigneeEmails = [...new Set(report
+    .map(entry => entry.data.assignedToEmail?.toLowerCase())
+    .filter(Boolean))];
+  const assignees = await findByLowerEmail(User, assigneeEmails, {
+    where: { isActive: true },
+    attributes: ['id', 'email']
+  });
+  const assigneeIds = new Map(assignees.map(user => [user.email.toLowerCase(), user.id]));
+
+  const emails = [...new Set(report.map(entry => String(entry.data.email || '').toLowerCase()).filter(Boolean))];
+  const existing = await findByLowerEmail(Lead, emails, { attributes: ['id', 'email'] });
+  const existingEmails = new Set(existing.map(lead => lead.email.toLowerCase()));
+  const visible = scopeWhere
+    ? await findByLowerEmail(Lead, emails, { where: scopeWhere, attributes: ['id', 'email'] })
+    : [];
+  const visibleIds = new Map(visible.map(lead => [lead.email.toLowerCase(), lead.id]));
+  const seenInFile = new Map();
+
+  for (const entry of report) {
+    const { assignedToEmail, ...data } = entry.data;
+    const email = String(data.email || '').toLowerCase();
+
+    if (assignedToEmail) {
+      const assigneeId = assigneeIds.get(assignedToEmail.toLowerCase());
+      if (assigneeId) {
+        data.assignedToId = assigneeId;
+      } else {
+        entry.errors.push({ field: 'assignedToEmail', message: `No active user with email ${assignedToEmail}` });
+      }
+    }
+
+    if (email && visibleIds.has(email)) {
+      entry.duplicateOf = { leadId: visibleIds.get(email) };
+    } else if (email && existingEmails.has(email)) {
+      entry.duplicateOf = { outOfScope: true };
+    } else if (email && seenInFile.has(email)) {
+      entry.duplicateOf = { row: seenInFile.get(email) };
+    } else if (email && entry.errors.length === 0) {
+      seenInFile.set(email, entry.row);
+    }
+
+    entry.data = data;
+    entry.status = entry.errors.length > 0 ? 'invalid' : entry.duplicateOf ? 'duplicate' : 'valid';
+  }
+
+  return report;
+};
+
+module.exports = {
+  IMPORTABLE_FIELDS,
+  MAX_IMPORT_ROWS,
+  parseSpreadsheet,
+  buildColumnMapping,
+  validateRows
+};
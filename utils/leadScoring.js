@@ -0,0 +1,248 @@
+const { Op, fn, col } = require('sequelize');
+// The models directly, not ../models: that module loads this one for its hooks
+const Lead = require('../models/Lead');
+const Activity = require('../models/Activity');
+const ScoringRule = require('../models/ScoringRule');
+const { buildLeadFilter, filterFieldNames } = require('./leadFilters');
+
+const RULE_TYPES = ScoringRule.rawAttributes.type.values;
+const ACTIVITY_TYPES = Activity.rawAttributes.type.values;
+const SCORE_BATCH_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CACHE_TTL_MS = 30 * 1000;
+
+let cache = null;
+let cachedAt = 0;
+
+// Error carrying the HTTP status the routes should answer with
+const scoringError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Active rules in the order their points are listed, cached briefly like the pipelines
+const getScoringRules = async () => {
+  if (cache && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cache;
+  }
+
+  const rules = await ScoringRule.findAll({
+    where: { isActive: true },
+    order: [['position', 'ASC'], ['id', 'ASC']]
+  });
+  cache = rules.map(rule => rule.get({ plain: true }));
+  cachedAt = Date.now();
+  return cache;
+};
+
+const invalidateScoringRuleCache = () => {
+  cache = null;
+};
+
+// Check that a rule has the settings its type needs; throws a 400 error otherwise
+const checkScoringRule = async ({ type, condition, activityTypes, withinDays, maxPoints }) => {
+  if (type === 'field') {
+    if (!condition) {
+      throw scoringError('Field rules need a condition');
+    }
+    // A rule on the score would change with every scoring run
+    if (filterFieldNames(condition).includes('score')) {
+      throw scoringError('Field rules cannot depend on the score');
+    }
+    await buildLeadFilter(condition, null);
+    if (maxPoints !== undefined && maxPoints !== null) {
+      throw scoringError('Only activity count rules take maxPoints');
+    }
+    return;
+  }
+
+  if (condition) {
+    throw scoringError('Only field rules take a condition');
+  }
+  if (activityTypes !== undefined && (!Array.isArray(activityTypes) || activityTypes.length === 0 ||
+    activityTypes.some(activityType => !ACTIVITY_TYPES.includes(activityType)))) {
+    throw scoringError(`activityTypes must list activity types of: ${ACTIVITY_TYPES.join(', ')}`);
+  }
+  if (type === 'activityRecency' && !withinDays) {
+    throw scoringError('Activity recency rules need withinDays');
+  }
+  if (type === 'activityRecency' && maxPoints !== undefined && maxPoints !== null) {
+    throw scoringError('Only activity count rules take maxPoints');
+  }
+};
+
+const daysAgo = days => new Date(Date.now() - days * DAY_MS);
+
+// The rules' points for each lead: lead ID -> [{ ruleId, name, points, detail }]
+const scoreBreakdowns = async (leadIds) => {
+  const rules = await getScoringRules();
+  const breakdowns = new Map(leadIds.map(id => [id, []]));
+  const addPoints = (leadId, rule, points, detail) => {
+    if (points !== 0) {
+      breakdowns.get(leadId).push({ ruleId: rule.id, name: rule.name, points, detail });
+    }
+  };
+
+  for (const rule of rules) {
+    if (rule.type === 'field') {
+      let condition;
+      try {
+        condition = await buildLeadFilter(rule.condition, null);
+      } catch (error) {
+        // The condition names a custom field deleted since; the rule scores nothing
+        if (error.status) {
+          continue;
+        }
+        throw error;
+      }
+      const matches = await Lead.findAll({
+        where: { [Op.and]: [{ id: leadIds }, condition] },
+        attributes: ['id'],
+        raw: true
+      });
+      matches.forEach(({ id }) => addPoints(id, rule, rule.points, 'Matches the rule condition'));
+      continue;
+    }
+
+    const where = { leadId: leadIds, type: rule.activityTypes };
+    if (rule.withinDays) {
+      where.createdAt = { [Op.gte]: daysAgo(rule.withinDays) };
+    }
+    const rows = await Activity.findAll({
+      where,
+      attributes: ['leadId', [fn('COUNT', col('id')), 'count'], [fn('MAX', col('createdAt')), 'lastAt']],
+      group: ['leadId'],
+      raw: true
+    });
+    const types = rule.activityTypes.join('/');
+
+    rows.forEach((row) => {
+      if (rule.type === 'activityCount') {
+        const count = parseInt(row.count, 10);
+        let points = count * rule.points;
+        if (rule.maxPoints !== null) {
+          points = Math.sign(points) * Math.min(Math.abs(points), rule.maxPoints);
+        }
+        const period = rule.withinDays ? ` in the last ${rule.withinDays} days` : '';
+        addPoints(row.leadId, rule, points, `${count} ${types} ${count === 1 ? 'activity' : 'activities'}${period}`);
+      } else {
+        const days = Math.floor((Date.now() - new Date(row.lastAt).getTime()) / DAY_MS);
+        const when = days === 0 ? 'today' : `${days} ${days === 1 ? 'day' : 'days'} ago`;
+        addPoints(row.leadId, rule, rule.points, `Last ${types} activity ${when}`);
+      }
+    });
+  }
+
+  return breakdowns;
+};
+
+// Recompute and store the score and breakdown of the leads
+const scoreLeads = async (leadIds) => {
+  const ids = [...new Set(leadIds.filter(Boolean))];
+
+  for (let start = 0; start < ids.length; start += SCORE_BATCH_SIZE) {
+    const breakdowns = await scoreBreakdowns(ids.slice(start, start + SCORE_BATCH_SIZE));
+    const scoredAt = new Date();
+    for (const [leadId, breakdown] of breakdowns) {
+      const score = breakdown.reduce((sum, item) => sum + item.points, 0);
+      // Without hooks, so storing the score does not score the lead again
+      await Lead.update({ score, scoreBreakdown: breakdown, scoredAt }, {
+        where: { id: leadId },
+        hooks: false,
+        silent: true
+      });
+    }
+  }
+};
+
+// Rescore every lead, after the rules change and periodically as activities age.
+// Returns how many leads were scored.
+const rescoreAllLeads = async () => {
+  let lastId = 0;
+  let scored = 0;
+
+  for (;;) {
+    const leads = await Lead.findAll({
+      where: { id: { [Op.gt]: lastId } },
+      attributes: ['id'],
+      order: [['id', 'ASC']],
+      limit: SCORE_BATCH_SIZE,
+      raw: true
+    });
+    if (leads.length === 0) {
+      return scored;
+    }
+    await scoreLeads(leads.map(lead => lead.id));
+    lastId = leads[leads.length - 1].id;
+    scored += leads.length;
+  }
+};
+
+// Rescore every lead each SCORE_REFRESH_HOURS (default 24; 0 turns it off), so activity
+// rules with a time window stop counting activities as they age
+const startScoreRefresh = () => {
+  const hours = Number(process.env.SCORE_REFRESH_HOURS || 24);
+  if (!(hours > 0)) {
+    return null;
+  }
+  return setInterval(() => {
+    rescoreAllLeads().catch(error => console.error('Lead score refresh error:', error));
+  }, hours * 60 * 60 * 1000).unref();
+};
+
+// Score the leads once the change is visible to other connections: after its transaction
+// commits when there is one. A failure is logged, not passed on to the write.
+const scoreAfterWrite = (leadIds, options) => {
+  const run = () => scoreLeads(leadIds).catch(error => console.error('Lead scoring error:', error));
+  if (options.transaction) {
+    options.transaction.afterCommit(run);
+    return undefined;
+  }
+  return run();
+};
+
+// Leads of the activities a bulk update or destroy is about to touch
+const findActivityLeadIds = async (options) => {
+  const activities = await Activity.findAll({
+    where: options.where,
+    attributes: ['leadId'],
+    transaction: options.transaction,
+    raw: true
+  });
+  return activities.map(activity => activity.leadId);
+};
+
+Lead.addHook('afterCreate', 'leadScoring', (lead, options) => scoreAfterWrite([lead.id], options));
+Lead.addHook('afterUpdate', 'leadScoring', (lead, options) => scoreAfterWrite([lead.id], options));
+Lead.addHook('afterBulkCreate', 'leadScoring', (leads, options) => scoreAfterWrite(leads.map(lead => lead.id), options));
+Lead.addHook('beforeBulkUpdate', 'leadScoring', async (options) => {
+  const leads = await Lead.findAll({ where: options.where, attributes: ['id'], transaction: options.transaction, raw: true });
+  options.scoredLeadIds = leads.map(lead => lead.id);
+});
+Lead.addHook('afterBulkUpdate', 'leadScoring', options => scoreAfterWrite(options.scoredLeadIds || [], options));
+
+Activity.addHook('afterCreate', 'leadScoring', (activity, options) => scoreAfterWrite([activity.leadId], options));
+Activity.addHook('afterUpdate', 'leadScoring', (activity, options) => scoreAfterWrite([activity.leadId, activity.previous('leadId')], options));
+Activity.addHook('afterDestroy', 'leadScoring', (activity, options) => scoreAfterWrite([activity.leadId], options));
+Activity.addHook('afterBulkCreate', 'leadScoring', (activities, options) => scoreAfterWrite(activities.map(activity => activity.leadId), options));
+Activity.addHook('beforeBulkUpdate', 'leadScoring', async (options) => {
+  options.scoredLeadIds = [...await findActivityLeadIds(options), options.attributes.leadId];
+});
+Activity.addHook('afterBulkUpdate', 'leadScoring', options => scoreAfterWrite(options.scoredLeadIds || [], options));
+Activity.addHook('beforeBulkDestroy', 'leadScoring', async (options) => {
+  options.scoredLeadIds = await findActivityLeadIds(options);
+});
+Activity.addHook('afterBulkDestroy', 'leadScoring', options => scoreAfterWrite(options.scoredLeadIds || [], options));
+
+module.exports = {
+  RULE_TYPES,
+  ACTIVITY_TYPES,
+  scoringError,
+  getScoringRules,
+  invalidateScoringRuleCache,
+  checkScoringRule,
+  scoreLeads,
+  rescoreAllLeads,
+  startScoreRefresh
+};
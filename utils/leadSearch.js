@@ -0,0 +1,156 @@
+const { Op, fn, col } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Text search configuration of the search vector and every query against it
+const SEARCH_CONFIG = 'english';
+
+const MAX_SEARCH_TERMS = 10;
+const SNIPPET_OPTIONS = 'StartSel=\u0002, StopSel=\u0003, MaxFragments=2, MaxWords=15, MinWords=5, FragmentDelimiter=" … "';
+// ts_headline drops text it parses as HTML tags or entities, so the snippet text has its
+// markup characters swapped for control characters (like the selection markers) until
+// it is escaped
+const MARKUP_CHARS = '<>&';
+const MARKUP_STAND_INS = '\u0004\u0005\u0006';
+
+// leads."searchVector" is kept by these triggers, so every write path (bulk updates,
+// imports, merges, activity changes) keeps it current. Weights: A name and company,
+// B email and phone (also split into parts and digits, so "acme" finds "jo@acme.com"),
+// C notes and tags, D the titles and descriptions of the lead's activities.
+const SEARCH_TRIGGERS_SQL = `
+CREATE OR REPLACE FUNCTION lead_search_vector(lead leads) RETURNS tsvector AS $$
+  SELECT
+    setweight(to_tsvector('${SEARCH_CONFIG}', concat_ws(' ', lead.name, lead.company)), 'A') ||
+    setweight(to_tsvector('${SEARCH_CONFIG}', concat_ws(' ',
+      lead.email, regexp_replace(coalesce(lead.email, ''), '[@._+-]+', ' ', 'g'),
+      lead.phone, regexp_replace(coalesce(lead.phone, ''), '\\D', '', 'g'))), 'B') ||
+    setweight(to_tsvector('${SEARCH_CONFIG}', concat_ws(' ', lead.notes, array_to_string(lead.tags, ' '))), 'C') ||
+    setweight(to_tsvector('${SEARCH_CONFIG}', coalesce((
+      SELECT string_agg(concat_ws(' ', activity.title, activity.description), ' ')
+      FROM activities activity
+      WHERE activity."leadId" = lead.id
+    ), '')), 'D')
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION leads_search_trigger() RETURNS trigger AS $$
+BEGIN
+  NEW."searchVector" := lead_search_vector(NEW);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION activities_search_trigger() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP IN ('INSERT', 'UPDATE') THEN
+    UPDATE leads SET "searchVector" = lead_search_vector(leads)
+    WHERE id IN (SELECT "leadId" FROM new_activities);
+  END IF;
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    UPDATE leads SET "searchVector" = lead_search_vector(leads)
+    WHERE id IN (SELECT "leadId" FROM old_activities);
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS leads_search_update ON leads;
+CREATE TRIGGER leads_search_update
+  BEFORE INSERT OR UPDATE OF name, email, phone, company, notes, tags ON leads
+  FOR EACH ROW EXECUTE PROCEDURE leads_search_trigger();
+
+DROP TRIGGER IF EXISTS activities_search_insert ON activities;
+CREATE TRIGGER activities_search_insert
+  AFTER INSERT ON activities REFERENCING NEW TABLE AS new_activities
+  FOR EACH STATEMENT EXECUTE PROCEDURE activities_search_trigger();
+
+DROP TRIGGER IF EXISTS activities_search_update ON activities;
+CREATE TRIGGER activities_search_update
+  AFTER UPDATE ON activities REFERENCING OLD TABLE AS old_activities NEW TABLE AS new_activities
+  FOR EACH STATEMENT EXECUTE PROCEDURE activities_search_trigger();
+
+DROP TRIGGER IF EXISTS activities_search_delete ON activities;
+CREATE TRIGGER activities_search_delete
+  AFTER DELETE ON activities REFERENCING OLD TABLE AS old_activities
+  FOR EACH STATEMENT EXECUTE PROCEDURE activities_search_trigger();
+`;
+
+// (Re)create the search triggers and index any lead written without them. Runs after
+// every sequelize.sync(), which may have recreated the tables.
+const installLeadSearch = async () => {
+  await sequelize.query(SEARCH_TRIGGERS_SQL);
+  await sequelize.query('UPDATE leads SET "searchVector" = lead_search_vector(leads) WHERE "searchVector" IS NULL');
+};
+
+// Search text -> to_tsquery input in which every word is a required prefix ("acm" finds
+// "Acme"). Digits broken up by phone punctuation are joined, so "555-0100" finds the
+// phone number. Empty when the text has no words.
+const toPrefixQuery = (text) => String(text || '')
+  .replace(/(\d)[\s().-]+(?=\d)/g, '$1')
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(Boolean)
+  .slice(0, MAX_SEARCH_TERMS)
+  .map(term => `${term}:*`)
+  .join(' & ');
+
+const searchQuery = text => fn('to_tsquery', SEARCH_CONFIG, toPrefixQuery(text));
+
+// Where condition for the leads matching the search text; null when it has no words
+const searchCondition = (text) => {
+  if (!toPrefixQuery(text)) {
+    return null;
+  }
+  return { searchVector: { [Op.match]: searchQuery(text) } };
+};
+
+// How well a lead matches the search text, for ordering (higher is better)
+const searchRank = text => fn('ts_rank_cd', col('Lead.searchVector'), searchQuery(text));
+
+const escapeHtml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Excerpts of the leads' text (lead fields, then activities) around the words matching the
+// search text, as HTML-escaped text with the matches in <mark>. Lead ID -> snippet.
+const findSearchSnippets = async (leadIds, text) => {
+  if (leadIds.length === 0 || !toPrefixQuery(text)) {
+    return new Map();
+  }
+
+  const rows = await sequelize.query(`
+    SELECT lead.id, ts_headline(:config, translate(concat_ws(' · ',
+      lead.name, lead.company, lead.email, lead.phone, lead.notes, array_to_string(lead.tags, ', '),
+      (SELECT string_agg(concat_ws(': ', activity.title, activity.description), ' · ' ORDER BY activity."createdAt" DESC)
+       FROM activities activity WHERE activity."leadId" = lead.id)
+    ), :markup, :standIns), to_tsquery(:config, :query), :options) AS snippet
+    FROM leads lead
+    WHERE lead.id IN (:leadIds)
+  `, {
+    replacements: {
+      config: SEARCH_CONFIG,
+      query: toPrefixQuery(text),
+      options: SNIPPET_OPTIONS,
+      markup: MARKUP_CHARS,
+      standIns: MARKUP_STAND_INS,
+      leadIds
+    },
+    type: sequelize.QueryTypes.SELECT
+  });
+
+  return new Map(rows.map(row => [row.id, escapeHtml(row.snippet)
+    .replace(/\u0004/g, '&lt;')
+    .replace(/\u0005/g, '&gt;')
+    .replace(/\u0006/g, '&amp;')
+    .replace(/\u0002/g, '<mark>')
+    .replace(/\u0003/g, '</mark>')]));
+};
+
+module.exports = {
+  SEARCH_CONFIG,
+  installLeadSearch,
+  toPrefixQuery,
+  searchCondition,
+  searchRank,
+  findSearchSnippets
+};
@@ -0,0 +1,213 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { LoginAttempt } = require('../models');
+
+const WINDOW_MINUTES = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || '15', 10);
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10);
+const MAX_DELAY_SECONDS = 60;
+
+// Failures before delays start and before a temporary lockout, per key type.
+// IPs get more room because an office may share one address.
+const POLICIES = {
+  account: {
+    delayAfter: 3,
+    lockAfter: parseInt(process.env.LOGIN_ACCOUNT_LOCK_AFTER || '10', 10)
+  },
+  ip: {
+    delayAfter: 10,
+    lockAfter: parseInt(process.env.LOGIN_IP_LOCK_AFTER || '50', 10)
+  }
+};
+
+const accountKey = (email) => `account:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// Counters in the login_attempts table, so every server instance sees the same state
+const createDatabaseStore = () => ({
+  get: async (key) => {
+    const row = await LoginAttempt.findByPk(key);
+    return row ? row.get({ plain: true }) : null;
+  },
+
+  // Atomically count a failure, restarting the count when the last one is outside the window
+  recordFailure: async (key, ip, windowStart) => {
+    const [rows] = await sequelize.query(`
+      INSERT INTO login_attempts ("key", "failures", "firstFailureAt", "lastFailureAt", "lastIp", "createdAt", "updatedAt")
+      VALUES (:key, 1, NOW(), NOW(), :ip, NOW(), NOW())
+      ON CONFLICT ("key") DO UPDATE SET
+        "failures" = CASE WHEN login_attempts."lastFailureAt" < :windowStart THEN 1 ELSE login_attempts."failures" + 1 END,
+        "firstFailureAt" = CASE WHEN login_attempts."lastFailureAt" < :windowStart THEN NOW() ELSE login_attempts."firstFailureAt" END,
+        "blockedUntil" = CASE WHEN login_attempts."lastFailureAt" < :windowStart THEN NULL ELSE login_attempts."blockedUntil" END,
+        "lockedUntil" = CASE WHEN login_attempts."lastFailureAt" < :windowStart THEN NULL ELSE login_attempts."lockedUntil" END,
+        "lastFailureAt" = NOW(),
+        "lastIp" = :ip,
+        "updatedAt" = NOW()
+      RETURNING *
+    `, { replacements: { key, ip: ip || null, windowStart } });
+    return rows[0];
+  },
+
+  setBlock: async (key, { blockedUntil, lockedUntil }) => {
+    await LoginAttempt.update({ blockedUntil, lockedUntil }, { where: { key } });
+  },
+
+  reset: async (key) => {
+    return LoginAttempt.destroy({ where: { key } });
+  },
+
+  listBlocked: async (now) => {
+    const rows = await LoginAttempt.findAll({
+      where: {
+        [Op.or]: [
+          { lockedUntil: { [Op.gt]: now } },
+          { blockedUntil: { [Op.gt]: now } }
+        ]
+      },
+      order: [['lastFailureAt', 'DESC']]
+    });
+    return rows.map(row => row.get({ plain: true }));
+  }
+});
+
+// Process-local counters for tests and single-instance development
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  return {
+    get: async (key) => (entries.has(key) ? { ...entries.get(key) } : null),
+
+    recordFailure: async (key, ip, windowStart) => {
+      const now = new Date();
+      const entry = entries.get(key);
+      const restart = !entry || entry.lastFailureAt < windowStart;
+      const updated = {
+        key,
+        failures: restart ? 1 : entry.failures + 1,
+        firstFailureAt: restart ? now : entry.firstFailureAt,
+        lastFailureAt: now,
+        lastIp: ip || null,
+        blockedUntil: restart ? null : entry.blockedUntil,
+        lockedUntil: restart ? null : entry.lockedUntil
+      };
+      entries.set(key, updated);
+      return { ...updated };
+    },
+
+    setBlock: async (key, { blockedUntil, lockedUntil }) => {
+      const entry = entries.get(key);
+      if (entry) {
+        entries.set(key, { ...entry, blockedUntil, lockedUntil });
+      }
+    },
+
+    reset: async (key) => (entries.delete(key) ? 1 : 0),
+
+    listBlocked: async (now) => {
+      return [...entries.values()]
+        .filter(entry => entry.lockedUntil > now || entry.blockedUntil > now)
+        .sort((a, b) => b.lastFailureAt - a.lastFailureAt)
+        .map(entry => ({ ...entry }));
+    }
+  };
+};
+
+let store = process.env.LOGIN_THROTTLE_STORE === 'memory' ? createMemoryStore() : createDatabaseStore();
+
+// Swap the backing store (tests use createMemoryStore())
+const setStore = (newStore) => {
+  store = newStore;
+};
+
+// Delay or lockout that follows the given number of failures under a policy
+const blockFor = (failures, policy, now) => {
+  if (failures >= policy.lockAfter) {
+    return { blockedUntil: null, lockedUntil: new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000) };
+  }
+  if (failures >= policy.delayAfter) {
+    const delaySeconds = Math.min(2 ** (failures - policy.delayAfter), MAX_DELAY_SECONDS);
+    return { blockedUntil: new Date(now.getTime() + delaySeconds * 1000), lockedUntil: null };
+  }
+  return { blockedUntil: null, lockedUntil: null };
+};
+
+// Whether a login attempt may proceed. When it may not, `retryAfter` is in seconds
+// and `locked` tells a lockout apart from a progressive delay.
+const checkLogin = async (email, ip) => {
+  const now = new Date();
+  const entries = await Promise.all([store.get(accountKey(email)), store.get(ipKey(ip))]);
+
+  let result = { allowed: true };
+  for (const entry of entries) {
+    if (!entry) continue;
+
+    const until = entry.lockedUntil > now ? entry.lockedUntil : (entry.blockedUntil > now ? entry.blockedUntil : null);
+    if (!until) continue;
+
+    const retryAfter = Math.ceil((new Date(until) - now) / 1000);
+    if (result.allowed || retryAfter > result.retryAfter) {
+      result = { allowed: false, retryAfter, locked: entry.lockedUntil > now };
+    }
+  }
+
+  return result;
+};
+
+const recordLoginFailure = async (email, ip) => {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - WINDOW_MINUTES * 60 * 1000);
+
+  const targets = [
+    { key: accountKey(email), policy: POLICIES.account },
+    { key: ipKey(ip), policy: POLICIES.ip }
+  ];
+
+  for (const { key, policy } of targets) {
+    const entry = await store.recordFailure(key, ip, windowStart);
+    const block = blockFor(entry.failures, policy, now);
+    if (block.blockedUntil || block.lockedUntil) {
+      await store.setBlock(key, block);
+      if (block.lockedUntil) {
+        console.warn(`Login locked for ${key} until ${block.lockedUntil.toISOString()} after ${entry.failures} failures`);
+      }
+    }
+  }
+};
+
+// A successful login clears the account's counter; the IP counter decays with the window
+const recordLoginSuccess = async (email) => {
+  await store.reset(accountKey(email));
+};
+
+// Keys currently delayed or locked, for Admins
+const listLockouts = async () => {
+  const now = new Date();
+  const entries = await store.listBlocked(now);
+  return entries.map(entry => ({
+    key: entry.key,
+    type: entry.key.startsWith('ip:') ? 'ip' : 'account',
+    failures: entry.failures,
+    lastFailureAt: entry.lastFailureAt,
+    lastIp: entry.lastIp,
+    locked: entry.lockedUntil > now,
+    until: entry.lockedUntil > now ? entry.lockedUntil : entry.blockedUntil
+  }));
+};
+
+// Clear a key's counters, lifting any delay or lockout. Returns false if nothing was stored.
+const clearLockout = async (key) => {
+  const removed = await store.reset(key);
+  return removed > 0;
+};
+
+module.exports = {
+  checkLogin,
+  recordLoginFailure,
+  recordLoginSuccess,
+  listLockouts,
+  clearLockout,
+  accountKey,
+  createDatabaseStore,
+  createMemoryStore,
+  setStore
+};
+
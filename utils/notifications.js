@@ -0,0 +1,131 @@
+const { sequelize } = require('../config/database');
+const { Notification, User } = require('../models');
+const { emailTemplates } = require('./email');
+const { registerJobHandler, enqueueJob, enqueueEmail } = require('./jobQueue');
+
+const NOTIFICATION_TYPES = Notification.rawAttributes.type.values;
+// How a user gets a type of notification: in the inbox only, also by email right away,
+// also in the daily digest email, or not at all
+const CHANNELS = ['inApp', 'email', 'digest', 'off'];
+// Status changes and activities are frequent, so they stay out of the mailbox unless asked for
+const DEFAULT_PREFERENCES = {
+  leadAssigned: 'email',
+  statusChanged: 'inApp',
+  newActivity: 'inApp',
+  taskDue: 'email'
+};
+
+// Error carrying the HTTP status the routes should answer with
+const notificationError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// The user's channel for every notification type, defaults included
+const getPreferences = user => ({ ...DEFAULT_PREFERENCES, ...(user.notificationPreferences || {}) });
+
+const checkPreferences = (preferences) => {
+  Object.entries(preferences).forEach(([type, channel]) => {
+    if (!NOTIFICATION_TYPES.includes(type)) {
+      throw notificationError(`Unknown notification type "${type}"; use one of: ${NOTIFICATION_TYPES.join(', ')}`);
+    }
+    if (!CHANNELS.includes(channel)) {
+      throw notificationError(`The channel of ${type} must be one of: ${CHANNELS.join(', ')}`);
+    }
+  });
+};
+
+// Notify `user` of an event of `type` as their preferences say: an inbox entry sent to
+// their `user:<id>` room, with `email` (as the email templates return it) sent right
+// away on the email channel. Returns the notification, or null when the user turned the
+// type off.
+const notifyUser = async (io, user, { type, title, body = null, leadId = null, data = {}, email = null }) => {
+  const channel = getPreferences(user)[type];
+  if (channel === 'off' || !user.isActive) {
+    return null;
+  }
+
+  const notification = await Notification.create({ userId: user.id, type, title, body, leadId, data, channel });
+  if (channel === 'email' && email && user.email) {
+    await enqueueEmail(user.email, email);
+  }
+  if (io) {
+    io.to(`user:${user.id}`).emit('notification:created', { notification });
+  }
+  return notification;
+};
+
+// Email every user their digest notifications not yet digested, leaving out the ones they
+// already read. Returns how many users were emailed.
+const sendDigests = () => sequelize.transaction(async (transaction) => {
+  const notifications = await Notification.findAll({
+    where: { channel: 'digest', digestedAt: null },
+    include: [{ model: User, as: 'user', attributes: ['id', 'name', 'email', 'isActive'] }],
+    order: [['userId', 'ASC'], ['id', 'ASC']],
+    transaction
+  });
+
+  const byUser = new Map();
+  notifications.forEach((notification) => {
+    if (!byUser.has(notification.userId)) byUser.set(notification.userId, []);
+    byUser.get(notification.userId).push(notification);
+  });
+
+  let emailed = 0;
+  for (const userNotifications of byUser.values()) {
+    const { user } = userNotifications[0];
+    const unread = userNotifications.filter(notification => !notification.readAt);
+    if (user.isActive && user.email && unread.length > 0) {
+      await enqueueEmail(user.email, emailTemplates.notificationDigest(user.name, unread), { transaction });
+      emailed += 1;
+    }
+  }
+
+  await Notification.update(
+    { digestedAt: new Date() },
+    { where: { id: notifications.map(notification => notification.id) }, transaction }
+  );
+  return emailed;
+});
+
+// The next NOTIFICATION_DIGEST_HOUR o'clock, UTC (default 8)
+const nextDigestAt = () => {
+  const now = new Date();
+  const next = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), Number(process.env.NOTIFICATION_DIGEST_HOUR || 8)));
+  if (next <= now) {
+    next.setUTCDate(next.getUTCDate() + 1);
+  }
+  return next;
+};
+
+// Queue the next digest run. Keyed on its day, so every server process can do this.
+const scheduleDigest = () => {
+  const runAt = nextDigestAt();
+  return enqueueJob('notification.digest', {}, {
+    runAt,
+    idempotencyKey: `notification.digest:${runAt.toISOString().slice(0, 10)}`
+  });
+};
+
+// Each digest run queues the next one first, so a failing run does not stop the series
+registerJobHandler('notification.digest', async () => {
+  await scheduleDigest();
+  await sendDigests();
+});
+
+// Make sure a digest run is queued (on start, in case none is)
+const startNotificationDigests = () => scheduleDigest().catch((error) => {
+  console.error('Schedule notification digest error:', error);
+});
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  CHANNELS,
+  notificationError,
+  getPreferences,
+  checkPreferences,
+  notifyUser,
+  sendDigests,
+  startNotificationDigests
+};
@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op, fn, col, where: sqlWhere } = require('sequelize');
+const { User, OidcLoginState } = require('../models');
+const { hashToken } = require('./jwt');
+
+const STATE_TTL_MINUTES = 10;
+const ROLE_PRECEDENCE = ['Admin', 'Manager', 'Sales Executive'];
+
+// Error carrying the HTTP status the routes should answer with
+const oidcError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Read at call time so the provider can be configured without a restart of the tests
+const getOidcConfig = () => ({
+  issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET,
+  redirectUri: process.env.OIDC_REDIRECT_URI,
+  scopes: process.env.OIDC_SCOPES || 'openid email profile',
+  groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+  roleMapping: process.env.OIDC_ROLE_MAPPING || '',
+  defaultRole: process.env.OIDC_DEFAULT_ROLE === undefined ? 'Sales Executive' : process.env.OIDC_DEFAULT_ROLE,
+  autoProvision: process.env.OIDC_AUTO_PROVISION !== 'false',
+  requireVerifiedEmail: process.env.OIDC_REQUIRE_VERIFIED_EMAIL !== 'false'
+});
+
+const isOidcEnabled = () => {
+  const config = getOidcConfig();
+  return !!(config.issuer && config.clientId && config.redirectUri);
+};
+
+// Discovery document and signing keys, cached per issuer
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw oidcError(body.error_description || body.error || `Identity provider request failed (${response.status})`, 502);
+  }
+  return body;
+};
+
+const discover = async () => {
+  const { issuer } = getOidcConfig();
+  if (!discoveryCache.has(issuer)) {
+    discoveryCache.set(issuer, await fetchJson(`${issuer}/.well-known/openid-configuration`));
+  }
+  return discoveryCache.get(issuer);
+};
+
+// Public key for an ID token's `kid`. The key set is refetched once when the kid is
+// unknown, so key rotation at the provider is picked up.
+const getSigningKey = async (kid) => {
+  const { jwks_uri: jwksUri } = await discover();
+
+  const findKey = (keys) => keys.find(key => !kid || key.kid === kid);
+  let jwk = jwksCache.has(jwksUri) ? findKey(jwksCache.get(jwksUri)) : null;
+
+  if (!jwk) {
+    const { keys = [] } = await fetchJson(jwksUri);
+    jwksCache.set(jwksUri, keys);
+    jwk = findKey(keys);
+  }
+
+  if (!jwk) {
+    throw oidcError('Unknown ID token signing key', 401);
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+const base64Url = (buffer) => buffer.toString('base64url');
+
+// Start a login: remember state, nonce and PKCE verifier, and build the provider URL
+const createAuthorizationRequest = async () => {
+  const config = getOidcConfig();
+  const { authorization_endpoint: authorizationEndpoint } = await discover();
+
+  const state = base64Url(crypto.randomBytes(32));
+  const nonce = base64Url(crypto.randomBytes(16));
+  const codeVerifier = base64Url(crypto.randomBytes(32));
+  const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  await OidcLoginState.destroy({ where: { expiresAt: { [Op.lte]: new Date() } } });
+  await OidcLoginState.create({
+    stateHash: hashToken(state),
+    nonce,
+    codeVerifier,
+    expiresAt: new Date(Date.now() + STATE_TTL_MINUTES * 60 * 1000)
+  });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return { state, url: `${authorizationEndpoint}?${params.toString()}` };
+};
+
+// Finish a login: burn the state, redeem the code and return the verified ID token claims
+const completeAuthorization = async ({ code, state }) => {
+  const config = getOidcConfig();
+
+  const loginState = await OidcLoginState.findByPk(hashToken(state || ''));
+  if (!loginState) {
+    throw oidcError('Login session is invalid or has expired');
+  }
+  await loginState.destroy();
+  if (loginState.expiresAt <= new Date()) {
+    throw oidcError('Login session is invalid or has expired');
+  }
+
+  const { token_endpoint: tokenEndpoint } = await discover();
+  const tokens = await fetchJson(tokenEndpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: config.redirectUri,
+      client_id: config.clientId,
+      client_secret: config.clientSecret || '',
+      code_verifier: loginState.codeVerifier
+    })
+  });
+
+  if (!tokens.id_token) {
+    throw oidcError('Identity provider did not return an ID token', 502);
+  }
+
+  const header = jwt.decode(tokens.id_token, { complete: true })?.header;
+  const key = await getSigningKey(header?.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(tokens.id_token, key, {
+      algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'],
+      issuer: config.issuer,
+      audience: config.clientId
+    });
+  } catch (error) {
+    throw oidcError('Invalid ID token', 401);
+  }
+
+  if (claims.nonce !== loginState.nonce) {
+    throw oidcError('Invalid ID token', 401);
+  }
+
+  return claims;
+};
+
+// "group=Role,group=Role" -> highest role among the user's groups, or null when none match
+const mapGroupsToRole = (groups) => {
+  const { roleMapping } = getOidcConfig();
+  const userGroups = new Set(Array.isArray(groups) ? groups : [groups].filter(Boolean));
+
+  const roles = roleMapping.split(',')
+    .map(entry => entry.split('='))
+    .filter(([group, role]) => group && userGroups.has(group.trim()) && ROLE_PRECEDENCE.includes(role?.trim()))
+    .map(([, role]) => role.trim());
+
+  return ROLE_PRECEDENCE.find(role => roles.includes(role)) || null;
+};
+
+// User for verified ID token claims: the linked account, else an existing account with
+// the same (verified) email, which gets linked, else a newly provisioned account.
+// The role follows the IdP groups whenever one of them is mapped.
+const findOrProvisionUser = async (claims) => {
+  const config = getOidcConfig();
+  const mappedRole = mapGroupsToRole(claims[config.groupsClaim]);
+
+  let user = await User.findOne({ where: { oidcSubject: claims.sub } });
+
+  if (!user) {
+    if (!claims.email) {
+      throw oidcError('The identity provider did not share an email address', 403);
+    }
+    if (config.requireVerifiedEmail && claims.email_verified !== true) {
+      throw oidcError('Your email address is not verified with the identity provider', 403);
+    }
+
+    const email = claims.email.toLowerCase();
+    user = await User.findOne({ where: sqlWhere(fn('lower', col('email')), email) });
+
+    if (user) {
+      if (user.oidcSubject) {
+        throw oidcError('This account is linked to another identity', 409);
+      }
+      await user.update({ oidcSubject: claims.sub });
+    } else {
+      const role = mappedRole || config.defaultRole;
+      if (!config.autoProvision || !role) {
+        throw oidcError('No SwiftCRM account exists for this identity', 403);
+      }
+
+      // SSO users never need the password; it is random so it cannot be guessed
+      user = await User.create({
+        name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email,
+        email,
+        password: crypto.randomBytes(32).toString('hex'),
+        role,
+        oidcSubject: claims.sub,
+        emailVerified: true,
+        emailVerifiedAt: new Date()
+      });
+    }
+  }
+
+  if (!user.isActive) {
+    throw oidcError('Account is deactivated', 401);
+  }
+
+  const updates = {};
+  if (mappedRole && mappedRole !== user.role) {
+    updates.role = mappedRole;
+  }
+  if (!user.emailVerified && claims.email_verified === true) {
+    Object.assign(updates, { emailVerified: true, emailVerifiedAt: new Date() });
+  }
+  if (Object.keys(updates).length > 0) {
+    await user.update(updates);
+  }
+
+  return user;
+};
+
+module.exports = {
+  getOidcConfig,
+  isOidcEnabled,
+  createAuthorizationRequest,
+  completeAuthorization,
+  mapGroupsToRole,
+  findOrProvisionUser
+};
@@ -0,0 +1,180 @@
+const { Op, where: sqlWhere } = require('sequelize');
+
+const MAX_PAGE_SIZE = 100;
+
+// Error carrying the HTTP status the routes should answer with
+const paginationError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Cursors are opaque to clients: base64url JSON of where the next page starts
+const encodeCursor = position => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (position && typeof position === 'object' && !Array.isArray(position)) {
+      return position;
+    }
+  } catch (error) {
+    // Reported below like any other malformed cursor
+  }
+  throw paginationError('Invalid cursor');
+};
+
+const parseSortOrder = (sortOrder = 'DESC') => {
+  const direction = String(sortOrder).toUpperCase();
+  if (direction !== 'ASC' && direction !== 'DESC') {
+    throw paginationError('sortOrder must be ASC or DESC');
+  }
+  return direction;
+};
+
+// The `limit`, `page` / `cursor` and `includeTotal` list parameters. Without a cursor the
+// list pages by number and counts the total unless told not to; with one, the count is
+// opt-in since it costs a scan of every matching row.
+const parsePagination = (query, { defaultLimit }) => {
+  const limit = query.limit === undefined ? defaultLimit : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw paginationError(`limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`);
+  }
+
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+  const page = cursor ? null : Number(query.page || 1);
+  if (page !== null && (!Number.isInteger(page) || page < 1)) {
+    throw paginationError('page must be a whole number from 1');
+  }
+
+  const includeTotal = query.includeTotal === undefined
+    ? !cursor
+    : ['true', '1'].includes(String(query.includeTotal).toLowerCase());
+
+  return { limit, page, cursor, includeTotal };
+};
+
+// The `fields` parameter: the comma-separated fields to return, of `allowed`. Null for all.
+const parseFields = (param, allowed) => {
+  if (param === undefined || param === '') {
+    return null;
+  }
+
+  const fields = [...new Set(String(param).split(',').map(field => field.trim()).filter(Boolean))];
+  const unknown = fields.filter(field => !allowed.includes(field));
+  if (unknown.length > 0) {
+    throw paginationError(`Unknown fields: ${unknown.join(', ')} (fields: ${allowed.join(', ')})`);
+  }
+  return fields;
+};
+
+const pickFields = (record, fields) => {
+  if (!fields) {
+    return record;
+  }
+  return Object.fromEntries(fields.filter(field => field in record).map(field => [field, record[field]]));
+};
+
+// Order for a sort `{ attribute | expression, direction }`, with the ID breaking ties so
+// every row has one place in the order
+const sortOrderClause = sort => [[sort.expression || sort.attribute, sort.direction], ['id', sort.direction]];
+
+// Rows after the cursor row `{ v, id }` in the sort's order. Postgres puts nulls last
+// when ascending and first when descending; `nullable` sorts account for that.
+const afterCursorWhere = (sort, { v: value, id }) => {
+  const compare = condition => (sort.expression
+    ? sqlWhere(sort.expression, condition)
+    : { [sort.attribute]: condition });
+  const ascending = sort.direction === 'ASC';
+  const idAfter = { id: { [ascending ? Op.gt : Op.lt]: id } };
+
+  if (value === null || value === undefined) {
+    return ascending
+      ? { [Op.and]: [compare({ [Op.is]: null }), idAfter] }
+      : { [Op.or]: [compare({ [Op.not]: null }), { [Op.and]: [compare({ [Op.is]: null }), idAfter] }] };
+  }
+
+  const conditions = [
+    compare({ [ascending ? Op.gt : Op.lt]: value }),
+    { [Op.and]: [compare({ [Op.eq]: value }), idAfter] }
+  ];
+  if (ascending && sort.nullable) {
+    conditions.push(compare({ [Op.is]: null }));
+  }
+  return { [Op.or]: conditions };
+};
+
+// One page of `model` rows for `where`, in `sort` order.
+// `sort` is `{ key, direction, attribute | expression, nullable, value(row), keyset }`:
+// `key` names it in cursors, and `value` reads a row's sort value for the next cursor.
+// Sorts without comparable values (`keyset: false`) page by position instead.
+// Returns the rows and the `pagination` object of the response.
+const findPage = async (model, { where, include, attributes, sort, pagination }) => {
+  const { limit, page, cursor, includeTotal } = pagination;
+  const keyset = sort.keyset !== false;
+
+  if (cursor && (cursor.k !== sort.key || cursor.d !== sort.direction)) {
+    throw paginationError('The cursor belongs to a different sort; start again without it');
+  }
+  if (cursor && (keyset
+    ? !Number.isInteger(cursor.id) || !(cursor.v === null || ['string', 'number', 'boolean'].includes(typeof cursor.v))
+    : !Number.isInteger(cursor.o) || cursor.o < 0)) {
+    throw paginationError('Invalid cursor');
+  }
+
+  let pageWhere = where;
+  let offset = 0;
+  if (cursor && keyset) {
+    pageWhere = { [Op.and]: [where, afterCursorWhere(sort, cursor)] };
+  } else if (cursor) {
+    offset = cursor.o;
+  } else {
+    offset = (page - 1) * limit;
+  }
+
+  // One row more than the page tells whether another page follows
+  const rows = await model.findAll({
+    where: pageWhere,
+    include,
+    attributes,
+    order: sortOrderClause(sort),
+    limit: limit + 1,
+    offset
+  });
+  const hasMore = rows.length > limit;
+  if (hasMore) {
+    rows.pop();
+  }
+
+  let nextCursor = null;
+  if (hasMore) {
+    const last = rows[rows.length - 1];
+    nextCursor = encodeCursor(keyset
+      ? { k: sort.key, d: sort.direction, v: sort.value(last), id: last.id }
+      : { k: sort.key, d: sort.direction, o: offset + limit });
+  }
+
+  const result = { limit, hasMore, nextCursor };
+  if (page !== null) {
+    result.page = page;
+  }
+  if (includeTotal) {
+    result.total = await model.count({ where, include, distinct: true, col: 'id' });
+    if (page !== null) {
+      result.pages = Math.ceil(result.total / limit);
+    }
+  }
+
+  return { rows, pagination: result };
+};
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  paginationError,
+  parseSortOrder,
+  parsePagination,
+  parseFields,
+  pickFields,
+  sortOrderClause,
+  findPage
+};
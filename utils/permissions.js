@@ -0,0 +1,259 @@
+const { Op } = require('sequelize');
+const { User, Team } = require('../models');
+const { getSetting, setSetting } = require('./settings');
+
+const ROLES = ['Admin', 'Manager', 'Sales Executive'];
+
+// Every permission the API checks. Scoped permissions come in levels: `:own` covers leads
+// the user is assigned to or created (activities the user logged), `:team` the leads of
+// everyone in the user's teams (see getTeamUserIds), `:any` covers all.
+const PERMISSIONS = {
+  'lead:read:own': 'View own leads and their activities',
+  'lead:read:team': 'View the leads of the user\'s teams and their activities',
+  'lead:read:any': 'View all leads and their activities',
+  'lead:create': 'Create leads',
+  'lead:update:own': 'Edit own leads',
+  'lead:update:team': 'Edit the leads of the user\'s teams',
+  'lead:update:any': 'Edit any lead',
+  'lead:delete': 'Delete leads',
+  'activity:create': 'Log activities on leads the user can view',
+  'activity:edit:own': 'Edit and delete activities the user logged',
+  'activity:edit:any': 'Edit and delete any activity',
+  'dashboard:performance': 'View performance metrics of the users whose leads the user can view',
+  'invitation:create': 'Invite teammates',
+  'invitation:manage:any': 'Resend and revoke invitations sent by others',
+  'user:manage': 'Manage users, lockouts and the two-factor policy',
+  'team:manage': 'Create teams and move users between them',
+  'permission:manage': 'Configure the permissions of each role',
+  'apikey:manage': 'Create, list and revoke API keys',
+  'customfield:manage': 'Define the custom fields of leads',
+  'pipeline:manage': 'Configure sales pipelines and their stages',
+  'scoring:manage': 'Configure the lead scoring rules',
+  'assignment:manage': 'Configure the automatic lead assignment rules',
+  'job:manage': 'Inspect and retry background jobs'
+};
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  Admin: Object.keys(PERMISSIONS),
+  Manager: [
+    'lead:read:team',
+    'lead:create',
+    'lead:update:team',
+    'lead:delete',
+    'activity:create',
+    'activity:edit:own',
+    'dashboard:performance',
+    'invitation:create'
+  ],
+  'Sales Executive': [
+    'lead:read:own',
+    'lead:create',
+    'lead:update:own',
+    'activity:create',
+    'activity:edit:own'
+  ]
+};
+
+// Admins must always be able to fix the configuration
+const LOCKED_ADMIN_PERMISSIONS = ['permission:manage'];
+
+const SETTING_KEY = 'permissions.roles';
+const CACHE_TTL_MS = 30 * 1000;
+
+let cache = null;
+let cachedAt = 0;
+
+// Role -> permission list: Admin overrides from the settings table on top of the defaults.
+// Cached briefly so checks don't hit the database on every request.
+const getRolePermissions = async () => {
+  if (cache && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cache;
+  }
+
+  const overrides = await getSetting(SETTING_KEY, {});
+  cache = ROLES.reduce((acc, role) => {
+    acc[role] = overrides[role] || DEFAULT_ROLE_PERMISSIONS[role];
+    return acc;
+  }, {});
+  cachedAt = Date.now();
+
+  return cache;
+};
+
+const invalidatePermissionCache = () => {
+  cache = null;
+};
+
+// Replace one role's permissions. Unknown names are rejected by the caller's validation.
+const setRolePermissions = async (role, permissions, updatedById = null) => {
+  const overrides = await getSetting(SETTING_KEY, {});
+  const unique = [...new Set(role === 'Admin' ? [...permissions, ...LOCKED_ADMIN_PERMISSIONS] : permissions)];
+
+  await setSetting(SETTING_KEY, { ...overrides, [role]: unique }, updatedById);
+  invalidatePermissionCache();
+
+  return unique;
+};
+
+// Back to the built-in permissions for a role
+const resetRolePermissions = async (role, updatedById = null) => {
+  const overrides = await getSetting(SETTING_KEY, {});
+  delete overrides[role];
+
+  await setSetting(SETTING_KEY, overrides, updatedById);
+  invalidatePermissionCache();
+
+  return DEFAULT_ROLE_PERMISSIONS[role];
+};
+
+// Permissions of the user's role; requests made with an API key only keep the key's scopes
+const getUserPermissions = async (user) => {
+  const roles = await getRolePermissions();
+  const granted = roles[user.role] || [];
+
+  if (user.apiKey) {
+    return new Set(granted.filter(permission => user.apiKey.scopes.includes(permission)));
+  }
+  return new Set(granted);
+};
+
+// True when the user holds at least one of the permissions
+const hasPermission = async (user, ...permissions) => {
+  if (!user) return false;
+  const granted = await getUserPermissions(user);
+  return permissions.some(permission => granted.has(permission));
+};
+
+// Widest scope ('any', 'team' or 'own') the user holds for a scoped action such as
+// 'lead:read', or null when they hold none
+const getScope = async (user, action) => {
+  const granted = await getUserPermissions(user);
+  if (granted.has(`${action}:any`)) return 'any';
+  if (granted.has(`${action}:team`)) return 'team';
+  if (granted.has(`${action}:own`)) return 'own';
+  return null;
+};
+
+const SCOPE_LEVELS = ['own', 'team', 'any'];
+
+// The permissions of `permissions` that a user holding `granted` (a Set) does not cover.
+// A scoped permission is covered by the same action at its level or a wider one.
+const uncoveredPermissions = (granted, permissions) => permissions.filter((permission) => {
+  const level = permission.split(':').pop();
+  const index = SCOPE_LEVELS.indexOf(level);
+  if (index === -1) {
+    return !granted.has(permission);
+  }
+  const action = permission.slice(0, -level.length - 1);
+  return !SCOPE_LEVELS.slice(index).some(wider => granted.has(`${action}:${wider}`));
+});
+
+// Ids of the teams a user sees into: their own team, the teams they manage and every
+// sub-team below those
+const getVisibleTeamIds = async (user) => {
+  const teams = await Team.findAll({ attributes: ['id', 'managerId', 'parentTeamId'], raw: true });
+
+  const visible = new Set(teams
+    .filter(team => team.id === user.teamId || team.managerId === user.id)
+    .map(team => team.id));
+
+  // Walk down the hierarchy; the size check stops on cycles
+  let size;
+  do {
+    size = visible.size;
+    teams.forEach(team => {
+      if (team.parentTeamId && visible.has(team.parentTeamId)) {
+        visible.add(team.id);
+      }
+    });
+  } while (visible.size !== size);
+
+  return [...visible];
+};
+
+// Ids of the users a 'team' scope covers: the user and the members of their visible teams
+const getTeamUserIds = async (user) => {
+  const teamIds = await getVisibleTeamIds(user);
+  if (teamIds.length === 0) {
+    return [user.id];
+  }
+
+  const members = await User.findAll({
+    where: { teamId: { [Op.in]: teamIds } },
+    attributes: ['id'],
+    raw: true
+  });
+  return [...new Set([user.id, ...members.map(member => member.id)])];
+};
+
+// Ids of the users whose leads the user may read, or null for everyone
+const getVisibleUserIds = async (user) => {
+  const scope = await getScope(user, 'lead:read');
+
+  if (scope === 'any') return null;
+  if (scope === 'team') return getTeamUserIds(user);
+  if (scope === 'own') return [user.id];
+  return [];
+};
+
+// Sequelize `where` restricting Lead queries to what the user may read. Returns null when
+// the user may read no leads at all.
+const leadScopeWhere = async (user) => {
+  const userIds = await getVisibleUserIds(user);
+
+  if (userIds === null) return {};
+  if (userIds.length === 0) return null;
+  return {
+    [Op.or]: [
+      { assignedToId: { [Op.in]: userIds } },
+      { createdById: { [Op.in]: userIds } }
+    ]
+  };
+};
+
+// Check for many leads at once: resolves the user's scope once and returns a
+// synchronous (lead) => boolean
+const leadAccessChecker = async (user, action = 'read') => {
+  const scope = await getScope(user, `lead:${action}`);
+  if (scope === 'any') return () => true;
+  if (!scope) return () => false;
+
+  const userIds = new Set(scope === 'team' ? await getTeamUserIds(user) : [user.id]);
+  return lead => userIds.has(lead.assignedToId) || userIds.has(lead.createdById);
+};
+
+// Whether the user may 'read' or 'update' this lead
+const canAccessLead = async (user, lead, action = 'read') => {
+  const check = await leadAccessChecker(user, action);
+  return check(lead);
+};
+
+// Whether the user may edit or delete this activity
+const canEditActivity = async (user, activity) => {
+  const scope = await getScope(user, 'activity:edit');
+  if (scope === 'any') return true;
+  if (scope === 'own') return activity.userId === user.id;
+  return false;
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  getRolePermissions,
+  setRolePermissions,
+  resetRolePermissions,
+  invalidatePermissionCache,
+  getUserPermissions,
+  hasPermission,
+  getScope,
+  uncoveredPermissions,
+  getVisibleTeamIds,
+  getTeamUserIds,
+  getVisibleUserIds,
+  leadScopeWhere,
+  leadAccessChecker,
+  canAccessLead,
+  canEditActivity
+};
+
@@ -0,0 +1,182 @@
+const { sequelize } = require('../config/database');
+// The models directly, not ../models: the Lead model's hooks load this module
+const Pipeline = require('../models/Pipeline');
+const Stage = require('../models/Stage');
+
+const STAGE_OUTCOMES = ['open', 'won', 'lost'];
+
+// The pipeline every install starts with; its stages are the statuses leads had before
+// pipelines were configurable
+const DEFAULT_PIPELINE = {
+  name: 'Sales Pipeline',
+  description: 'Default sales process',
+  stages: [
+    { name: 'New', probability: 10, outcome: 'open' },
+    { name: 'Contacted', probability: 20, outcome: 'open' },
+    { name: 'Qualified', probability: 40, outcome: 'open' },
+    { name: 'Proposal', probability: 60, outcome: 'open' },
+    { name: 'Negotiation', probability: 80, outcome: 'open' },
+    { name: 'Won', probability: 100, outcome: 'won' },
+    { name: 'Lost', probability: 0, outcome: 'lost' }
+  ]
+};
+
+const CACHE_TTL_MS = 30 * 1000;
+
+let cache = null;
+let cachedAt = 0;
+
+// Error carrying the HTTP status the routes should answer with
+const pipelineError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Create the default pipeline and its stages unless some pipeline exists
+const ensureDefaultPipeline = async () => {
+  if (await Pipeline.count() > 0) {
+    return;
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    const [pipeline, created] = await Pipeline.findOrCreate({
+      where: { name: DEFAULT_PIPELINE.name },
+      defaults: { description: DEFAULT_PIPELINE.description, isDefault: true },
+      transaction
+    });
+    if (created) {
+      await Stage.bulkCreate(DEFAULT_PIPELINE.stages.map((stage, position) => ({
+        ...stage,
+        position,
+        pipelineId: pipeline.id
+      })), { transaction });
+    }
+  });
+};
+
+// Pipelines with their stages, both in display order, cached briefly like the custom fields
+const getPipelines = async () => {
+  if (cache && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cache;
+  }
+
+  await ensureDefaultPipeline();
+  const pipelines = await Pipeline.findAll({
+    include: [{ model: Stage, as: 'stages' }],
+    order: [
+      ['position', 'ASC'],
+      ['id', 'ASC'],
+      [{ model: Stage, as: 'stages' }, 'position', 'ASC'],
+      [{ model: Stage, as: 'stages' }, 'id', 'ASC']
+    ]
+  });
+  cache = pipelines.map(pipeline => pipeline.get({ plain: true }));
+  cachedAt = Date.now();
+  return cache;
+};
+
+const invalidatePipelineCache = () => {
+  cache = null;
+};
+
+// The pipeline new leads go to: the one flagged default, else the first
+const getDefaultPipeline = async () => {
+  const pipelines = await getPipelines();
+  return pipelines.find(pipeline => pipeline.isDefault) || pipelines[0];
+};
+
+// Every stage, with the pipeline it belongs to, by ID
+const getStagesById = async () => {
+  const stages = new Map();
+  (await getPipelines()).forEach(pipeline => pipeline.stages.forEach((stage) => {
+    stages.set(stage.id, { ...stage, pipeline });
+  }));
+  return stages;
+};
+
+// Find the stage a lead should be in from any of `stageId`, `pipelineId` and `status`
+// (a stage name). A stage ID wins; otherwise the status is looked up in the pipeline
+// (the default one when none is given). With `fallback`, a status the pipeline lacks
+// (or none) means the pipeline's first stage instead of an error.
+const resolveStage = async ({ pipelineId, stageId, status }, { fallback = false } = {}) => {
+  const pipelines = await getPipelines();
+
+  if (stageId) {
+    const stage = (await getStagesById()).get(parseInt(stageId));
+    if (!stage) {
+      throw pipelineError('Stage not found');
+    }
+    if (pipelineId && stage.pipelineId !== parseInt(pipelineId)) {
+      throw pipelineError(`Stage "${stage.name}" is not part of the chosen pipeline`);
+    }
+    return stage;
+  }
+
+  const pipeline = pipelineId
+    ? pipelines.find(candidate => candidate.id === parseInt(pipelineId))
+    : await getDefaultPipeline();
+  if (!pipeline) {
+    throw pipelineError('Pipeline not found');
+  }
+
+  let stage = status ? pipeline.stages.find(candidate => candidate.name === status) : null;
+  if (!stage && (fallback || !status)) {
+    stage = pipeline.stages[0];
+  }
+  if (!stage) {
+    throw pipelineError(`"${status}" is not a stage of "${pipeline.name}" (stages: ${pipeline.stages.map(candidate => candidate.name).join(', ')})`);
+  }
+  return { ...stage, pipeline };
+};
+
+// The stage a lead moves to when `changes` (pipelineId, stageId, status) are applied, by
+// the same rules as the Lead hook below; null when the lead stays in its stage
+const resolveStageChange = async (lead, { pipelineId, stageId, status }) => {
+  let stage;
+  if (stageId) {
+    stage = await resolveStage({ pipelineId, stageId });
+  } else if (status !== undefined || pipelineId !== undefined) {
+    stage = await resolveStage({
+      pipelineId: pipelineId || lead.pipelineId,
+      status: status !== undefined ? status : lead.status
+    }, { fallback: status === undefined || status === lead.status });
+  } else {
+    return null;
+  }
+  return stage.id === lead.stageId ? null : stage;
+};
+
+// Lead hook: keep pipelineId, stageId and status (the stage name) in step. Moving the
+// lead to another pipeline keeps a same-named stage, else starts at the first one.
+const syncLeadStage = async (lead) => {
+  const stageChanged = lead.changed('stageId') && lead.stageId;
+  const statusChanged = lead.changed('status') && lead.status;
+  const pipelineChanged = lead.isNewRecord || lead.changed('pipelineId');
+  if (!stageChanged && !statusChanged && !pipelineChanged) {
+    return;
+  }
+
+  const stage = await resolveStage({
+    pipelineId: stageChanged && !lead.changed('pipelineId') ? null : lead.pipelineId,
+    stageId: stageChanged ? lead.stageId : null,
+    status: lead.status
+  }, { fallback: !statusChanged });
+
+  lead.pipelineId = stage.pipelineId;
+  lead.stageId = stage.id;
+  lead.status = stage.name;
+};
+
+module.exports = {
+  STAGE_OUTCOMES,
+  DEFAULT_PIPELINE,
+  ensureDefaultPipeline,
+  getPipelines,
+  invalidatePipelineCache,
+  getDefaultPipeline,
+  getStagesById,
+  resolveStage,
+  resolveStageChange,
+  syncLeadStage
+};
@@ -0,0 +1,85 @@
+const { Op } = require('sequelize');
+const { SavedView, Team } = require('../models');
+const { buildLeadFilter } = require('./leadFilters');
+const { customFieldFilters } = require('./customFields');
+
+const VISIBILITIES = ['private', 'team'];
+
+// GET /api/leads query parameters a view can save, besides `cf.<key>` filters
+const VIEW_PARAMS = ['status', 'pipelineId', 'stageId', 'assignedToId', 'search', 'tag', 'filters', 'sortBy', 'sortOrder', 'limit', 'fields'];
+
+// Error carrying the HTTP status the routes should answer with
+const viewError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Check the list parameters a view saves; a structured filter is kept as its object, not
+// as JSON text. Returns the parameters to store.
+const normalizeViewFilters = async (filters, user) => {
+  const unknown = Object.keys(filters).filter(param => !VIEW_PARAMS.includes(param) && !param.startsWith('cf.'));
+  if (unknown.length > 0) {
+    throw viewError(`Views cannot save ${unknown.join(', ')} (parameters: ${VIEW_PARAMS.join(', ')} or cf.<key>)`);
+  }
+
+  const normalized = { ...filters };
+  if (typeof normalized.filters === 'string') {
+    try {
+      normalized.filters = JSON.parse(normalized.filters);
+    } catch (error) {
+      throw viewError('filters must be valid JSON');
+    }
+  }
+  if (normalized.filters !== undefined) {
+    await buildLeadFilter(normalized.filters, user);
+  }
+  await customFieldFilters(normalized);
+
+  return normalized;
+};
+
+// Where clause for the views a user can see: their own and those shared with their team
+// or a team they manage
+const visibleViewsWhere = async (user) => {
+  const managedTeams = await Team.findAll({ where: { managerId: user.id }, attributes: ['id'], raw: true });
+  const teamIds = [user.teamId, ...managedTeams.map(team => team.id)].filter(Boolean);
+
+  return {
+    [Op.or]: [
+      { userId: user.id },
+      ...(teamIds.length > 0 ? [{ visibility: 'team', teamId: { [Op.in]: teamIds } }] : [])
+    ]
+  };
+};
+
+const findVisibleView = async (user, id) => {
+  const view = Number.isInteger(Number(id))
+    ? await SavedView.findOne({ where: { [Op.and]: [{ id: Number(id) }, await visibleViewsWhere(user)] } })
+    : null;
+  if (!view) {
+    throw viewError('Saved view not found', 404);
+  }
+  return view;
+};
+
+// Lead list query with the saved view it names (`view`) filled in. Parameters given
+// alongside the view override the saved ones.
+const applySavedView = async (user, query = {}) => {
+  const { view: viewId, ...params } = query;
+  if (!viewId) {
+    return query;
+  }
+
+  const view = await findVisibleView(user, viewId);
+  return { ...view.filters, ...params };
+};
+
+module.exports = {
+  VISIBILITIES,
+  VIEW_PARAMS,
+  normalizeViewFilters,
+  visibleViewsWhere,
+  findVisibleView,
+  applySavedView
+};
@@ -0,0 +1,23 @@
+const { Setting } = require('../models');
+
+// Read a setting, falling back to the default when it has never been saved
+const getSetting = async (key, defaultValue = null) => {
+  const setting = await Setting.findByPk(key);
+  return setting && setting.value !== null ? setting.value : defaultValue;
+};
+
+const setSetting = async (key, value, updatedById = null) => {
+  await Setting.upsert({ key, value, updatedById });
+  return value;
+};
+
+// Roles that must use 2FA, configured by Admins through /api/users/two-factor-policy
+const getTwoFactorRequiredRoles = () => getSetting('twoFactor.requiredRoles', []);
+
+const isTwoFactorRequired = async (user) => {
+  const requiredRoles = await getTwoFactorRequiredRoles();
+  return requiredRoles.includes(user.role);
+};
+
+module.exports = { getSetting, setSetting, getTwoFactorRequiredRoles, isTwoFactorRequired };
+
@@ -0,0 +1,100 @@
+const { getCustomFields } = require('./customFields');
+
+// Lead fields a stage can require, with their names in messages. Custom fields are
+// required as `cf.<key>`.
+const REQUIRABLE_FIELDS = {
+  phone: 'Phone',
+  company: 'Company',
+  source: 'Source',
+  estimatedValue: 'Estimated value',
+  notes: 'Notes',
+  assignedToId: 'Assignee',
+  tags: 'Tags'
+};
+
+const LOSS_REASON_MAX_LENGTH = 500;
+
+// Leads start with an estimated value of 0, so it only counts as filled above zero
+const isFilled = (field, value) => {
+  if (value === null || value === undefined || value === '') return false;
+  if (Array.isArray(value)) return value.length > 0;
+  if (field === 'estimatedValue') return parseFloat(value) > 0;
+  return true;
+};
+
+// Check a stage's rules against the names of its pipeline's stages and the defined
+// custom fields. Returns an error message or null.
+const checkStageRules = async ({ allowedTransitions, requiredFields }, stageNames) => {
+  if (allowedTransitions) {
+    const unknown = allowedTransitions.filter(name => !stageNames.includes(name));
+    if (unknown.length > 0) {
+      return `allowedTransitions names stages the pipeline does not have: ${unknown.join(', ')}`;
+    }
+  }
+
+  if (requiredFields && requiredFields.length > 0) {
+    const customFieldKeys = (await getCustomFields()).map(field => `cf.${field.key}`);
+    const unknown = requiredFields.filter(field => !(field in REQUIRABLE_FIELDS) && !customFieldKeys.includes(field));
+    if (unknown.length > 0) {
+      return `Unknown required fields: ${unknown.join(', ')} (fields: ${Object.keys(REQUIRABLE_FIELDS).join(', ')} or cf.<key>)`;
+    }
+  }
+
+  return null;
+};
+
+// The rules a lead breaks by moving from `fromStage` to `toStage` (stages as getStagesById
+// returns them). `values` are the lead's values with the change applied. Transition rules
+// only apply within a pipeline; a stage whose outcome is `lost` needs a `lossReason`.
+const findStageViolations = async ({ fromStage, toStage, values, lossReason }) => {
+  const violations = [];
+
+  if (fromStage && fromStage.pipelineId === toStage.pipelineId && fromStage.allowedTransitions &&
+    !fromStage.allowedTransitions.includes(toStage.name)) {
+    violations.push({
+      rule: 'transition',
+      message: `Leads cannot move from "${fromStage.name}" to "${toStage.name}"`,
+      allowedStages: fromStage.allowedTransitions
+    });
+  }
+
+  const requiredFields = toStage.requiredFields || [];
+  const customFields = requiredFields.some(field => field.startsWith('cf.')) ? await getCustomFields() : [];
+  for (const field of requiredFields) {
+    let value;
+    let label;
+    if (field.startsWith('cf.')) {
+      const key = field.slice(3);
+      value = (values.customFields || {})[key];
+      label = (customFields.find(customField => customField.key === key) || {}).label || key;
+    } else {
+      value = values[field];
+      label = REQUIRABLE_FIELDS[field] || field;
+    }
+
+    if (!isFilled(field, value)) {
+      violations.push({
+        rule: 'requiredField',
+        field,
+        message: `${label} is required before entering "${toStage.name}"`
+      });
+    }
+  }
+
+  if (toStage.outcome === 'lost' && !(typeof lossReason === 'string' && lossReason.trim())) {
+    violations.push({
+      rule: 'lossReason',
+      field: 'lossReason',
+      message: `A loss reason is required to move a lead to "${toStage.name}"`
+    });
+  }
+
+  return violations;
+};
+
+module.exports = {
+  REQUIRABLE_FIELDS,
+  LOSS_REASON_MAX_LENGTH,
+  checkStageRules,
+  findStageViolations
+};
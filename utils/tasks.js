@@ -0,0 +1,125 @@
+const { Op } = require('sequelize');
+const { Task, Lead, User } = require('../models');
+const { emailTemplates } = require('./email');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+const { notifyUser } = require('./notifications');
+
+const TASK_PRIORITIES = Task.rawAttributes.priority.values;
+// Activity types a completed task can log
+const COMPLETION_ACTIVITY_TYPES = ['Call', 'Meeting', 'Email', 'Note'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_UPCOMING_DAYS = 90;
+
+// Error carrying the HTTP status the routes should answer with
+const taskError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const checkTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch (error) {
+    throw taskError('timezone must be an IANA time zone such as Europe/Berlin');
+  }
+};
+
+// How far `timeZone` is ahead of UTC at `date`, in ms
+const timeZoneOffset = (date, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).map(part => [part.type, Number(part.value)]));
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+// Start of today in `timeZone` (the server's when none)
+const startOfToday = (timeZone) => {
+  const now = new Date();
+  if (!timeZone) {
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  }
+  const local = new Date(now.getTime() + timeZoneOffset(now, timeZone));
+  const midnight = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate());
+  return new Date(midnight - timeZoneOffset(new Date(midnight), timeZone));
+};
+
+// The boundaries of the "my tasks" buckets: overdue (due before now), today (due from now
+// to the end of today) and upcoming (the `days` days after today)
+const taskBuckets = ({ timezone, days = 7 }) => {
+  if (timezone) {
+    checkTimeZone(timezone);
+  }
+  const upcomingDays = Number(days);
+  if (!Number.isInteger(upcomingDays) || upcomingDays < 1 || upcomingDays > MAX_UPCOMING_DAYS) {
+    throw taskError(`days must be a whole number from 1 to ${MAX_UPCOMING_DAYS}`);
+  }
+
+  const now = new Date();
+  const tomorrow = new Date(startOfToday(timezone).getTime() + DAY_MS);
+  return {
+    overdue: { [Op.lt]: now },
+    today: { [Op.gte]: now, [Op.lt]: tomorrow },
+    upcoming: { [Op.gte]: tomorrow, [Op.lt]: new Date(tomorrow.getTime() + upcomingDays * DAY_MS) }
+  };
+};
+
+// Queue the reminder of an open task for its `remindAt`. Keyed on the save, so a task
+// saved once is reminded once however often this runs for it.
+const scheduleTaskReminder = (task, transaction) => {
+  if (!task.remindAt || task.completedAt) {
+    return null;
+  }
+  const remindAt = new Date(task.remindAt);
+  return enqueueJob('task.reminder', { taskId: task.id, remindAt: remindAt.toISOString() }, {
+    runAt: remindAt,
+    idempotencyKey: `task.reminder:${task.id}:${task.updatedAt.getTime()}`,
+    transaction
+  });
+};
+
+// Notify the assignee of a task whose reminder is due as their preferences say, and send
+// `task:reminder` to their `user:<id>` room unless they turned reminders off. Nothing
+// happens when the task was completed, deleted or rescheduled since it was queued.
+registerJobHandler('task.reminder', async ({ taskId, remindAt }, { io }) => {
+  const task = await Task.findByPk(taskId, {
+    include: [
+      { model: Lead, as: 'lead', attributes: ['id', 'name'] },
+      { model: User, as: 'assignedTo', attributes: ['id', 'name', 'email', 'isActive', 'notificationPreferences'] }
+    ]
+  });
+  if (!task || task.completedAt || task.reminderSentAt || !task.remindAt || task.remindAt.toISOString() !== remindAt) {
+    return;
+  }
+
+  // Marked sent only once the notification is out, so a failed run is retried
+  const notification = task.assignedTo && await notifyUser(io, task.assignedTo, {
+    type: 'taskDue',
+    title: `Task due: ${task.title}`,
+    body: `On ${task.lead.name}, due ${task.dueAt.toUTCString()}`,
+    leadId: task.leadId,
+    data: { taskId: task.id, dueAt: task.dueAt },
+    email: emailTemplates.taskReminder(task.assignedTo.name, task.title, task.lead.name, task.dueAt, task.leadId)
+  });
+  await task.update({ reminderSentAt: new Date() }, { silent: true });
+
+  if (notification && io) {
+    io.to(`user:${task.assignedToId}`).emit('task:reminder', { task });
+  }
+});
+
+module.exports = {
+  TASK_PRIORITIES,
+  COMPLETION_ACTIVITY_TYPES,
+  taskError,
+  taskBuckets,
+  scheduleTaskReminder
+};
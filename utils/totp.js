@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const { hashToken } = require('./jwt');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'SwiftCRM';
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// RFC 4226 HOTP value for a counter
+const hotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const currentCounter = () => Math.floor(Date.now() / 1000 / PERIOD_SECONDS);
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Check a code against the current time step +/- `window` steps. Returns the matched
+// counter, or null. Counters at or below `lastCounter` are refused (replay protection).
+const verifyTotp = (secret, code, { window = 1, lastCounter = null } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const now = currentCounter();
+  for (let counter = now - window; counter <= now + window; counter++) {
+    if (lastCounter !== null && counter <= Number(lastCounter)) {
+      continue;
+    }
+    const expected = hotp(secret, counter);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return counter;
+    }
+  }
+
+  return null;
+};
+
+// otpauth:// URI for authenticator apps; the frontend renders it as a QR code
+const buildOtpauthUrl = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Secrets are encrypted with AES-256-GCM so a database dump alone cannot mint codes
+const encryptionKey = () => {
+  return crypto.createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+};
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Plain codes are shown to the user once; only their hashes are stored
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(code => hashToken(normalizeRecoveryCode(code)))
+  };
+};
+
+// Returns the remaining hashes when the code matches one, or null
+const consumeRecoveryCode = (hashes, code) => {
+  const hash = hashToken(normalizeRecoveryCode(code));
+  if (!hashes.includes(hash)) {
+    return null;
+  }
+  return hashes.filter(existing => existing !== hash);
+};
+
+module.exports = {
+  generateSecret,
+  verifyTotp,
+  hotp,
+  currentCounter,
+  buildOtpauthUrl,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  consumeRecoveryCode
+};
+